@@ -1,8 +1,100 @@
 import { defineConfig } from 'astro/config';
 import tailwindcss from '@tailwindcss/vite';
+import { fileURLToPath } from 'node:url';
+import { checkProjectContent } from './scripts/lib/content-check.js';
+import { writeSitemap } from './scripts/lib/sitemap.js';
+import { PRESS_KIT_PATH, writePressKit } from './scripts/lib/press-kit.js';
+import { writeHeaders } from './scripts/lib/csp.js';
+import { remoteArtworkOrigins } from './scripts/lib/artwork-cache.js';
+import { writeRedirects } from './scripts/lib/smart-links.js';
+import { newsletterMiddleware } from './scripts/lib/newsletter.js';
+import { loadEnv, loadReleases } from './scripts/lib/platform-sync.js';
+import { loadSongs } from './scripts/lib/content-check.js';
+import { releaseSlug } from './src/lib/releases.ts';
+
+const site = 'https://jadethreemusic.com';
+
+/** Fails the build when releases.json and the song pages disagree (see `npm run validate`). */
+const contentCheck = {
+  name: 'content-check',
+  hooks: {
+    'astro:build:start': ({ logger }) => {
+      const { errors, warnings } = checkProjectContent();
+      for (const w of warnings) logger.warn(w);
+      if (errors.length > 0) {
+        throw new Error(`Content check failed:\n  ${errors.join('\n  ')}`);
+      }
+    },
+  },
+};
+
+/** Writes dist/sitemap.xml (referenced from public/robots.txt) once every page is built. */
+const sitemap = {
+  name: 'sitemap',
+  hooks: {
+    'astro:build:done': ({ dir, pages, logger }) => {
+      const count = writeSitemap(fileURLToPath(dir), pages.map(p => p.pathname), site);
+      logger.info(`sitemap.xml: ${count} pages`);
+    },
+  },
+};
+
+/** Writes the /press zip from local files only; releases without cached artwork link to artworkUrl instead (see `npm run cache-artwork`). */
+const pressKit = {
+  name: 'press-kit',
+  hooks: {
+    'astro:build:done': ({ dir, logger }) => {
+      const { files, missingArtwork } = writePressKit(fileURLToPath(dir), { siteUrl: site });
+      if (missingArtwork.length > 0) {
+        logger.warn(`No cached artwork for ${missingArtwork.length} release(s), linked from the press kit instead: ${missingArtwork.join(', ')}. Run \`npm run cache-artwork\`.`);
+      }
+      logger.info(`${PRESS_KIT_PATH.slice(1)}: ${files.length} files`);
+    },
+  },
+};
+
+/**
+ * Writes dist/_headers with the CSP, whose frame-src follows the enabled players (scripts/lib/players.js)
+ * and whose img-src allows the store only for artwork that isn't cached yet.
+ */
+const securityHeaders = {
+  name: 'security-headers',
+  hooks: {
+    'astro:build:done': ({ dir }) => {
+      writeHeaders(fileURLToPath(dir), { imageOrigins: remoteArtworkOrigins(loadReleases().releases) });
+    },
+  },
+};
+
+/** Writes dist/_redirects with the /go/<slug>/<platform> short links, using the same slugs as the pages. */
+const smartLinks = {
+  name: 'smart-links',
+  hooks: {
+    'astro:build:done': ({ dir, logger }) => {
+      const songs = loadSongs();
+      const entries = loadReleases().releases.map(release => ({ slug: releaseSlug(release, songs), release }));
+      const count = writeRedirects(fileURLToPath(dir), entries);
+      logger.info(`_redirects: ${count} rules`);
+    },
+  },
+};
+
+/**
+ * Serves the newsletter endpoint from `astro dev` (netlify/functions/newsletter.mjs in production),
+ * with the local mailing list unless .env picks another.
+ */
+const newsletter = {
+  name: 'newsletter',
+  hooks: {
+    'astro:server:setup': ({ server }) => {
+      server.middlewares.use(newsletterMiddleware({ MAILING_LIST: 'local', MAILING_LIST_SECRET: 'dev', ...loadEnv() }));
+    },
+  },
+};
 
 export default defineConfig({
-  site: 'https://jadethreemusic.com',
+  site,
+  integrations: [contentCheck, sitemap, pressKit, securityHeaders, smartLinks, newsletter],
   vite: {
     plugins: [tailwindcss()],
   },
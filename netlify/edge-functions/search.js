@@ -0,0 +1,36 @@
+/**
+ * Renders /search?q= results into the built search page (scripts/lib/search.js),
+ * so search works without JavaScript. With JavaScript the page finds the
+ * results already there and leaves them.
+ */
+
+import { SEARCH_INDEX_PATH, fillSearchPage } from '../../scripts/lib/search.js';
+
+// Module scope, so each edge instance fetches this deploy's index once
+let index = null;
+
+export default async (request, context) => {
+  const query = new URL(request.url).searchParams.get('q') ?? '';
+  const response = await context.next();
+  if (!query.trim() || !response.ok || !response.headers.get('content-type')?.includes('text/html')) return response;
+
+  try {
+    index ??= fetch(new URL(SEARCH_INDEX_PATH, request.url)).then((res) => {
+      if (!res.ok) throw new Error(`${SEARCH_INDEX_PATH}: ${res.status}`);
+      return res.json();
+    });
+    await index;
+  } catch (err) {
+    // The page's own script renders the results instead
+    index = null;
+    console.error(err);
+    return response;
+  }
+
+  const html = fillSearchPage(await response.text(), query, await index);
+  const headers = new Headers(response.headers);
+  headers.delete('content-length');
+  return new Response(html, { status: response.status, headers });
+};
+
+export const config = { path: ['/search', '/search/'] };
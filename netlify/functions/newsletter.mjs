@@ -0,0 +1,16 @@
+/**
+ * Newsletter signup and double opt-in confirmation (scripts/lib/newsletter.js).
+ *
+ * Env (Site configuration → Environment variables): MAILING_LIST plus that
+ * list's keys (see scripts/mailing-lists/), MAILING_LIST_RATE_LIMIT (optional,
+ * signups per IP per 10 minutes, default 5)
+ */
+
+import { CONFIRM_PATH, SUBSCRIBE_PATH, createRateLimiter, handleNewsletter } from '../../scripts/lib/newsletter.js';
+
+// Module scope, so it lasts as long as the function instance
+const rateLimiter = createRateLimiter({ limit: Number(process.env.MAILING_LIST_RATE_LIMIT ?? 5) });
+
+export default async (request, context) => handleNewsletter(request, { env: process.env, ip: context.ip, rateLimiter });
+
+export const config = { path: [SUBSCRIBE_PATH, CONFIRM_PATH] };
@@ -0,0 +1,22 @@
+/**
+ * Rebuilds the site on release days (scripts/lib/upcoming.js), so upcoming
+ * releases go live without a manual deploy.
+ *
+ * Env (Site configuration → Environment variables): RELEASE_BUILD_HOOK, a
+ * build hook URL from Site configuration → Build & deploy → Build hooks.
+ * Netlify sets URL, the site's main address.
+ */
+
+import { triggerReleaseBuild } from '../../scripts/lib/upcoming.js';
+
+export default async () => {
+  if (!process.env.RELEASE_BUILD_HOOK) {
+    console.log('RELEASE_BUILD_HOOK is not set, nothing to do');
+    return;
+  }
+  const due = await triggerReleaseBuild({ siteUrl: process.env.URL, buildHookUrl: process.env.RELEASE_BUILD_HOOK });
+  console.log(due.length > 0 ? `Rebuilding for ${due.join(', ')}` : 'No releases out today');
+};
+
+// Just after midnight UTC, when the build date moves on to the release date
+export const config = { schedule: '5 0 * * *' };
@@ -1,15 +1,36 @@
 import { defineConfig } from '@playwright/test';
+import { E2E_MAILING_LIST_FILE } from './tests/e2e-mailing-list.mjs';
 
 export default defineConfig({
   testDir: './tests',
+  // tests/*.test.mjs are node:test suites, run by `npm run test:scripts`
+  testMatch: '**/*.spec.ts',
+  globalTeardown: './tests/e2e-mailing-list.mjs',
   use: {
     baseURL: 'http://localhost:4321',
     browserName: 'chromium',
   },
-  webServer: {
-    command: 'npm run preview -- --port 4321',
-    url: 'http://localhost:4321',
-    reuseExistingServer: false,
-    timeout: 30_000,
-  },
+  webServer: [
+    {
+      command: 'npm run preview -- --port 4321',
+      url: 'http://localhost:4321',
+      reuseExistingServer: false,
+      timeout: 30_000,
+    },
+    // The static preview can't run the newsletter function; the dev server serves it with the
+    // local mailing list, whose outbox tests/newsletter.spec.ts reads confirmation links from.
+    // The list lives in a temp file that the global teardown removes.
+    {
+      command: 'npm run dev -- --port 4322',
+      url: 'http://localhost:4322',
+      reuseExistingServer: false,
+      timeout: 60_000,
+      env: {
+        MAILING_LIST: 'local',
+        MAILING_LIST_FILE: E2E_MAILING_LIST_FILE,
+        MAILING_LIST_SECRET: 'playwright',
+        MAILING_LIST_RATE_LIMIT: '1000',
+      },
+    },
+  ],
 });
@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+/**
+ * analyze-audio.js
+ * Estimates BPM and key from a folder of audio masters (WAV, FLAC or MP3)
+ * and writes them, with confidence scores and each master's exact length,
+ * into the matching song pages. Everything runs locally; nothing is uploaded.
+ *
+ * Usage:
+ *   npm run analyze-audio -- <folder>             # analyze and write
+ *   npm run analyze-audio -- <folder> --dry-run   # print the readings, write nothing
+ *   npm run analyze-audio -- <folder> --force     # also replace bpm/key typed in by hand
+ *
+ * Files are matched to tracks in releases.json by name, ignoring track
+ * numbers and notes like "(Master v2)" or "_final". A master whose length is
+ * more than 1.5 s off the track's durationMs is flagged: it's probably a
+ * different mix, or the wrong file.
+ */
+
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { extname, join, relative, resolve } from 'node:path';
+import { loadReleases, ROOT } from './lib/platform-sync.js';
+import { SONGS_DIR, loadSongs } from './lib/content-check.js';
+import { AUDIO_EXTENSIONS, analyzeAudio, decodeAudio } from './lib/audio.js';
+import {
+  LOW_CONFIDENCE,
+  analysisFields,
+  durationMismatch,
+  formatPreciseDuration,
+  masterTitle,
+  matchMaster,
+  setAnalysis,
+} from './lib/masters.js';
+
+const args = process.argv.slice(2);
+const folders = args.filter(a => !a.startsWith('-'));
+const DRY_RUN = args.includes('--dry-run') || args.includes('-n');
+const FORCE = args.includes('--force');
+
+function reading(value, confidence) {
+  if (value === null) return 'not found';
+  const flag = confidence < LOW_CONFIDENCE ? ', check by ear' : '';
+  return `${value} (${confidence.toFixed(2)}${flag})`;
+}
+
+async function main() {
+  if (folders.length !== 1) throw new Error('Usage: npm run analyze-audio -- <folder of masters> [--dry-run] [--force]');
+  const folder = resolve(folders[0]);
+  const files = readdirSync(folder)
+    .filter(f => AUDIO_EXTENSIONS.includes(extname(f).toLowerCase()))
+    .sort();
+  if (files.length === 0) throw new Error(`No ${AUDIO_EXTENSIONS.join('/')} files in ${folder}`);
+
+  const { releases } = loadReleases();
+  const songs = loadSongs();
+  const mismatches = [];
+  let written = 0;
+
+  for (const file of files) {
+    const matches = matchMaster(file, releases, songs);
+    if (matches.length === 0) {
+      console.log(`\n✗ ${file}: no track called "${masterTitle(file)}" in releases.json, skipped`);
+      continue;
+    }
+
+    process.stdout.write(`\n${file}...`);
+    const analysis = analyzeAudio(await decodeAudio(join(folder, file)));
+    console.log(` ${formatPreciseDuration(analysis.durationMs)}`);
+    console.log(`  BPM ${reading(analysis.bpm, analysis.bpmConfidence)}, key ${reading(analysis.key, analysis.keyConfidence)}`);
+
+    for (const { release, track, song } of matches) {
+      const where = release.type === 'single' ? release.title : `${release.title} / ${track.trackNumber}. ${track.title}`;
+      const diff = durationMismatch(analysis.durationMs, track);
+      if (diff !== null) {
+        console.log(`  ⚠ ${where} is ${formatPreciseDuration(track.durationMs)} in releases.json (${diff > 0 ? '+' : ''}${(diff / 1000).toFixed(1)} s)`);
+        mismatches.push(file);
+      }
+      if (!song) {
+        console.log(`  ✗ ${where} has no song page (run \`npm run new-song\`)`);
+        continue;
+      }
+
+      const fields = analysisFields(song.data, analysis, { force: FORCE });
+      const kept = ['bpm', 'key'].filter(f => analysis[f] !== null && !(f in fields));
+      if (kept.length > 0) console.log(`  ${song.slug}: kept the ${kept.join(' and ')} typed in by hand (--force replaces it)`);
+      if (DRY_RUN) continue;
+
+      const path = join(SONGS_DIR, `${song.slug}.md`);
+      writeFileSync(path, setAnalysis(readFileSync(path, 'utf-8'), fields));
+      console.log(`  ✓ ${relative(ROOT, path)}`);
+      written++;
+    }
+  }
+
+  if (mismatches.length > 0) {
+    console.log(`\n${new Set(mismatches).size} master(s) don't match the length in releases.json — check you have the released mix.`);
+  }
+  console.log(DRY_RUN ? '\nDry run — nothing written.' : `\nUpdated ${written} song page(s).`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
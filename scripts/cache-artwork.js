@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * cache-artwork.js
+ * Downloads release artwork into src/assets/artwork/ and records each file's
+ * checksum, dominant color and placeholder in releases.json, so the build
+ * (and the press kit zip) never goes to the network for artwork.
+ *
+ * Usage:
+ *   npm run cache-artwork              # fetch artwork that's missing, modified or stale
+ *   npm run cache-artwork -- --force   # re-fetch everything
+ *
+ * Run it after `npm run sync` adds a release or changes its artworkUrl, then
+ * commit the new files together with releases.json.
+ */
+
+import { loadReleases, saveReleases } from './lib/platform-sync.js';
+import { cacheArtwork } from './lib/artwork-cache.js';
+
+const FORCE = process.argv.includes('--force');
+
+async function main() {
+  const data = loadReleases();
+  const { fetched, cached, failed } = await cacheArtwork(data.releases, { force: FORCE });
+  if (fetched.length > 0) saveReleases(data);
+
+  for (const title of fetched) console.log(`  ✓ ${title}`);
+  for (const reason of failed) console.log(`  ✗ ${reason}`);
+  console.log(`\n${fetched.length} fetched, ${cached.length} already cached, ${failed.length} failed.`);
+  if (failed.length > 0) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Collects Bluesky engagement for posted clips and reports what works.
+ *
+ * Usage:
+ *   node scripts/clip-stats.mjs              # fetch current counts, save a snapshot, print the report
+ *   node scripts/clip-stats.mjs --no-fetch   # report from saved snapshots only
+ *   node scripts/clip-stats.mjs --top 10     # show the 10 best posts (default 5)
+ *
+ * Reads the post URIs recorded in post-history.jsonl, fetches like, repost,
+ * reply and quote counts from the public AppView (no login needed) and
+ * appends one line per post to post-stats.jsonl, so counts can be compared
+ * over time. The report ranks songs and clip styles (first- vs third-person,
+ * quote vs description) by average engagement per post — likes + reposts +
+ * replies + quotes — and lists unapproved clips in the best-performing style.
+ *
+ * Optional env vars:
+ *   BSKY_APPVIEW_URL      AppView XRPC base (default https://public.api.bsky.app/xrpc)
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { readHistory } from './lib/schedule.mjs';
+import { openClipStore } from './lib/clip-store.mjs';
+import {
+  APPVIEW_URL,
+  fetchCounts,
+  readSnapshots,
+  appendSnapshots,
+  buildReport,
+  classifyStyle,
+} from './lib/engagement.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+// Overridable so tests can run against fixture files
+const CLIPS_FILE = process.env.CLIPS_FILE ?? path.join(ROOT, 'clips.yaml');
+const HISTORY_FILE = process.env.POST_HISTORY_FILE ?? path.join(ROOT, 'post-history.jsonl');
+const STATS_FILE = process.env.POST_STATS_FILE ?? path.join(ROOT, 'post-stats.jsonl');
+
+function argValue(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+const NO_FETCH = process.argv.includes('--no-fetch');
+const TOP = Number(argValue('--top') ?? 5);
+
+// ── Collect ───────────────────────────────────────────────────────────────────
+
+async function collect(history) {
+  const posts = history.filter(e => (e.network ?? 'bluesky') === 'bluesky' && e.uri);
+  if (posts.length === 0) return;
+
+  console.log(`Fetching engagement for ${posts.length} Bluesky post(s)...`);
+  const counts = await fetchCounts(posts.map(p => p.uri), {
+    appViewUrl: process.env.BSKY_APPVIEW_URL ?? APPVIEW_URL,
+  });
+
+  const fetchedAt = new Date().toISOString();
+  const snapshots = posts
+    .filter(p => counts.has(p.uri))
+    .map(p => ({ fetchedAt, uri: p.uri, slug: p.slug, id: p.id ?? null, ...counts.get(p.uri) }));
+  appendSnapshots(STATS_FILE, snapshots);
+
+  const missing = posts.length - snapshots.length;
+  console.log(`Saved ${snapshots.length} snapshot(s) to ${path.basename(STATS_FILE)}.`);
+  if (missing > 0) console.log(`${missing} post(s) not found (deleted?) — skipped.`);
+}
+
+// ── Report ────────────────────────────────────────────────────────────────────
+
+function printRanking(title, rows) {
+  console.log(`\n${title}`);
+  const width = Math.max(...rows.map(r => r.key.length));
+  for (const [i, r] of rows.entries()) {
+    const avg = r.average.toFixed(1).padStart(6);
+    console.log(`  ${String(i + 1).padStart(2)}. ${r.key.padEnd(width)}  ${avg} avg  (${r.posts} post(s), ${r.total} total)`);
+  }
+}
+
+function printPendingClips(bestStyle) {
+  if (!fs.existsSync(CLIPS_FILE)) return;
+  const pending = openClipStore(CLIPS_FILE).songs().flatMap(song =>
+    (song.clips ?? [])
+      .filter(c => c.approved !== true && classifyStyle(c.text ?? '').style === bestStyle)
+      .map(c => c.id ?? song.slug)
+  );
+  console.log(`\nUnapproved clips in the best style (${bestStyle}): ${pending.length}`);
+  if (pending.length > 0) console.log(`  ${pending.join(', ')}`);
+}
+
+function report(history) {
+  const { posts, songs, styles, voices, forms } = buildReport(history, readSnapshots(STATS_FILE));
+  if (posts.length === 0) {
+    console.log('No engagement data yet. Post some clips, then run this again.');
+    return;
+  }
+
+  console.log(`\nEngagement across ${posts.length} post(s) (likes + reposts + replies + quotes)`);
+  printRanking('Songs', songs);
+  printRanking('Clip styles', styles);
+  printRanking('Voice', voices);
+  printRanking('Form', forms);
+
+  console.log(`\nTop posts`);
+  for (const p of posts.slice(0, TOP)) {
+    const { likes, reposts, replies, quotes } = p.counts;
+    const firstLine = p.text.split('\n')[0];
+    console.log(`  ${String(p.engagement).padStart(4)}  ${p.slug} [${p.style}] ♥${likes} ↻${reposts} ↩${replies} ❝${quotes}`);
+    console.log(`        ${firstLine.length > 70 ? `${firstLine.slice(0, 70)}…` : firstLine}`);
+  }
+
+  printPendingClips(styles[0].key);
+}
+
+async function main() {
+  const history = readHistory(HISTORY_FILE);
+  if (history.length === 0) {
+    console.log('No posts in post-history.jsonl yet.');
+    return;
+  }
+  if (!NO_FETCH) await collect(history);
+  report(history);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -9,23 +9,28 @@
  *
  * Re-running skips songs that already have clips in clips.yaml (by slug).
  * To regenerate a song, delete its entry from clips.yaml first.
+ *
+ * New clips get ids (`<slug>-<n>`) and are added through the clip store, so
+ * comments and edits already in clips.yaml are kept. Each new clip is linted
+ * (see scripts/lint-clips.mjs) and any issues are written to its `lint:` field.
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
 import Anthropic from '@anthropic-ai/sdk';
+import { withClipStore } from './lib/clip-store.mjs';
+import { lintStore, ARTIST_PRONOUNS, CLIP_BASE_URL, MAX_GRAPHEMES } from './lib/clip-lint.mjs';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
 const SONGS_DIR = path.join(ROOT, 'src/content/songs');
 const OUTPUT_FILE = path.join(ROOT, 'clips.yaml');
-const BASE_URL = 'https://jadethreemusic.com/releases';
 
 const client = new Anthropic();
 
 async function generateClips(content, url) {
-  const maxTextLen = 300 - url.length - 2; // -2 for the "\n\n" before the URL
+  const maxTextLen = MAX_GRAPHEMES - url.length - 2; // -2 for the "\n\n" before the URL
 
   const message = await client.messages.create({
     model: 'claude-sonnet-4-6',
@@ -36,9 +41,9 @@ async function generateClips(content, url) {
       content: `Generate as many social media clips as you can for musician Jade Three based on this song interview. Aim for variety — different angles, different moments from the interview.
 
 Requirements:
-- Clip text must be ≤${maxTextLen} characters (the full post appends a blank line + the URL, which must stay under 300 chars total)
+- Clip text must be ≤${maxTextLen} characters (the full post appends a blank line + the URL, which must stay under ${MAX_GRAPHEMES} chars total)
 - Mix first-person clips (using Jade Three's own voice from the interview) and third-person clips
-- Jade Three's pronouns are he/him — use them in third-person clips
+- Jade Three's pronouns are ${ARTIST_PRONOUNS[0]}/${ARTIST_PRONOUNS[1]} — use them in third-person clips
 - Light editing is fine — keep the authentic voice, just sharpen for social media
 - Separate each clip with "---" on its own line
 - Return ONLY the clips, nothing else
@@ -59,60 +64,9 @@ ${content}`,
     })
     .filter(Boolean);
 
-  // Warn if any clip is over budget
-  for (const clip of clips) {
-    const full = clip + '\n\n' + url;
-    if (full.length > 300) {
-      process.stderr.write(`  ⚠ Clip over 300 chars (${full.length}): ${clip.slice(0, 60)}…\n`);
-    }
-  }
-
   return clips;
 }
 
-// ── YAML builder ──────────────────────────────────────────────────────────────
-
-function yamlHeader() {
-  return [
-    '# Social media clips for Jade Three',
-    '# approved: change false → true for clips you want to post',
-    '# sent:     change false → true after posting',
-    '',
-  ].join('\n');
-}
-
-function songBlock(slug, url, clips) {
-  const lines = [
-    `- slug: ${slug}`,
-    `  url: ${url}`,
-    `  clips:`,
-  ];
-
-  for (const clip of clips) {
-    // Indent every line of the clip text to 8 spaces (YAML literal block scalar)
-    const indented = clip.split('\n').map(l => `        ${l}`).join('\n');
-    lines.push(`    - approved: false`);
-    lines.push(`      sent: false`);
-    lines.push(`      text: |`);
-    lines.push(indented);
-    lines.push('');              // blank line within block scalar (paragraph break)
-    lines.push(`        ${url}`);
-    lines.push('');
-  }
-
-  lines.push('');
-  return lines.join('\n');
-}
-
-// ── Idempotency: find slugs already in the output file ───────────────────────
-
-function existingSlugs(outputPath) {
-  if (!fs.existsSync(outputPath)) return new Set();
-  const content = fs.readFileSync(outputPath, 'utf-8');
-  const matches = content.matchAll(/^- slug: (.+)$/gm);
-  return new Set([...matches].map(m => m[1].trim()));
-}
-
 // ── Main ─────────────────────────────────────────────────────────────────────
 
 async function main() {
@@ -132,32 +86,35 @@ async function main() {
     files = [match];
   }
 
-  const done = existingSlugs(OUTPUT_FILE);
-
-  // If starting fresh, write the header
-  if (!fs.existsSync(OUTPUT_FILE)) {
-    fs.writeFileSync(OUTPUT_FILE, yamlHeader());
-  }
-
-  let wrote = 0;
+  const wrote = await withClipStore(OUTPUT_FILE, async store => {
+    let count = 0;
 
-  for (const file of files) {
-    const slug = path.basename(file, '.md');
+    for (const file of files) {
+      const slug = path.basename(file, '.md');
 
-    if (done.has(slug)) {
-      process.stderr.write(`Skipping ${slug} (already exists)\n`);
-      continue;
-    }
+      if (store.hasSlug(slug)) {
+        process.stderr.write(`Skipping ${slug} (already exists)\n`);
+        continue;
+      }
 
-    const url = `${BASE_URL}/${slug}`;
-    const content = fs.readFileSync(path.join(SONGS_DIR, file), 'utf-8');
+      const url = `${CLIP_BASE_URL}/${slug}`;
+      const content = fs.readFileSync(path.join(SONGS_DIR, file), 'utf-8');
 
-    process.stderr.write(`Generating clips for: ${slug}...\n`);
+      process.stderr.write(`Generating clips for: ${slug}...\n`);
 
-    const clips = await generateClips(content, url);
-    fs.appendFileSync(OUTPUT_FILE, songBlock(slug, url, clips));
-    wrote++;
-  }
+      // Each post is the clip, a blank line, then the song URL
+      const clips = await generateClips(content, url);
+      store.addSong(slug, url, clips.map(clip => `${clip}\n\n${url}\n`));
+      const flagged = lintStore(store, { slugs: [slug] }).filter(r => r.issues.length > 0);
+      for (const { id, issues } of flagged) {
+        for (const issue of issues) process.stderr.write(`  ⚠ ${id}: ${issue}\n`);
+      }
+      process.stderr.write(`  ${clips.length} clip(s), ${flagged.length} with lint issues\n`);
+      store.save(); // keep what's done so far if a later song fails
+      count++;
+    }
+    return count;
+  });
 
   if (wrote === 0) {
     process.stderr.write('\nAll songs already have clips. Delete entries from clips.yaml to regenerate.\n');
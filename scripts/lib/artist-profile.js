@@ -0,0 +1,111 @@
+/**
+ * artist-profile.js
+ * Reads src/content/artist/profile.md and turns it into bios.
+ *
+ * Shared by the /about and /press pages (through src/lib/artist.ts) and by
+ * the press kit zip (scripts/lib/press-kit.js), so the bios a booker copies
+ * from the page and the ones in the zip are the same text.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import YAML from 'yaml';
+import { ROOT } from './platform-sync.js';
+
+export const PROFILE_PATH = join(ROOT, 'src', 'content', 'artist', 'profile.md');
+
+/**
+ * @typedef {object} ArtistProfile
+ * @property {string} name
+ * @property {string} location
+ * @property {string[]} genres
+ * @property {string[]} influences
+ * @property {string[]} instruments
+ * @property {string} started
+ * @property {string} bio_short
+ * @property {string} bio_medium
+ * @property {{ src: string, alt: string, credit?: string }[]} photos  src is relative to profile.md
+ * @property {{ text: string, source: string, url?: string }[]} quotes
+ */
+
+/**
+ * Frontmatter (with the same defaults as the `artist` collection schema in
+ * src/content/config.ts) and the markdown body.
+ * @returns {{ data: ArtistProfile, body: string }}
+ */
+export function loadProfile(file = PROFILE_PATH) {
+  const raw = readFileSync(file, 'utf-8');
+  const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  const fm = (match && YAML.parse(match[1])) || {};
+  return {
+    data: {
+      name: fm.name,
+      location: fm.location ?? '',
+      genres: fm.genres ?? [],
+      influences: fm.influences ?? [],
+      instruments: fm.instruments ?? [],
+      started: fm.started ?? '',
+      bio_short: fm.bio_short ?? '',
+      bio_medium: fm.bio_medium ?? '',
+      photos: fm.photos ?? [],
+      quotes: fm.quotes ?? [],
+    },
+    body: match ? raw.slice(match[0].length) : raw,
+  };
+}
+
+function listPhrase(items) {
+  const lower = items.map(i => i.toLowerCase());
+  return lower.length <= 1 ? (lower[0] ?? '') : `${lower.slice(0, -1).join(', ')} and ${lower.at(-1)}`;
+}
+
+/**
+ * A one-paragraph bio made only from facts in the profile and releases.json,
+ * used until `bio_short` is written.
+ * @param {Pick<ArtistProfile, 'name' | 'location' | 'genres' | 'started'>} profile
+ * @param {{ type: string, title: string, releaseDate: string, year: number }[]} releases
+ * @returns {string}
+ */
+export function factBio(profile, releases) {
+  const latest = [...releases].sort((a, b) => b.releaseDate.localeCompare(a.releaseDate))[0];
+  const kind = profile.genres.length > 0 ? `${listPhrase(profile.genres)} artist` : 'artist';
+  const where = profile.location ? ` from ${profile.location}` : '';
+  const since = profile.started ? `, making music since ${profile.started}` : '';
+  const sentences = [`${profile.name} is ${/^[aeiou]/.test(kind) ? 'an' : 'a'} ${kind}${where}${since}.`];
+  if (latest) {
+    const type = latest.type === 'ep' ? 'EP' : latest.type;
+    const count = `${releases.length} ${releases.length === 1 ? 'release' : 'releases'}`;
+    sentences.push(`${count} so far, most recently the ${type} "${latest.title}" (${latest.year}).`);
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * The bios shown on /press: the written ones, with a fact-based short bio
+ * until one is written. An empty `bio_medium` is left out.
+ * @param {Pick<ArtistProfile, 'name' | 'location' | 'genres' | 'started' | 'bio_short' | 'bio_medium'>} profile
+ * @param {{ type: string, title: string, releaseDate: string, year: number }[]} releases
+ * @returns {{ id: 'short' | 'medium', label: string, text: string }[]}
+ */
+export function bioVariants(profile, releases) {
+  return [
+    { id: /** @type {const} */ ('short'), label: 'Short bio', text: profile.bio_short.trim() || factBio(profile, releases) },
+    { id: /** @type {const} */ ('medium'), label: 'Medium bio', text: profile.bio_medium.trim() },
+  ].filter(bio => bio.text);
+}
+
+/**
+ * The profile's Q&A as plain text: "Question\n\nAnswer" blocks, without the
+ * top-level heading and without empty questions.
+ */
+export function fullBio(body) {
+  const sections = body.split(/^## +/m).slice(1);
+  return sections
+    .map(section => {
+      const [question, ...rest] = section.split('\n');
+      const answer = rest.join('\n').trim();
+      return answer ? `${question.trim()}\n\n${answer}` : null;
+    })
+    .filter(Boolean)
+    .join('\n\n\n');
+}
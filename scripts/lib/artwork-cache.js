@@ -0,0 +1,118 @@
+/**
+ * artwork-cache.js
+ * Local copies of release artwork in src/assets/artwork/. Files are named
+ * after the release id and the start of their SHA-256
+ * (single-1888734107-3f2a9c1d.jpg), so new artwork gets a new URL, and the
+ * release's `artwork` field in releases.json records what was cached:
+ *
+ *   "artwork": {
+ *     "file": "single-1888734107-3f2a9c1d.jpg",
+ *     "sha256": "3f2a9c1d…",
+ *     "source": "<the artworkUrl it was downloaded from>",
+ *     "color": "#2b1d3a",                          dominant color, for backdrops
+ *     "placeholder": "data:image/webp;base64,…"    tiny blurred preview
+ *   }
+ *
+ * The site renders artwork from these files (src/lib/artwork.ts), so once a
+ * release is cached its pages never depend on mzstatic.com / scdn.co being
+ * up. Until then they show the store's artworkUrl. `npm run cache-artwork`
+ * downloads whatever is missing or out of date; commit the files and
+ * releases.json together.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import sharp from 'sharp';
+import { ROOT } from './platform-sync.js';
+
+export const ARTWORK_DIR = join(ROOT, 'src', 'assets', 'artwork');
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+export function sha256(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+/** Path of the cached artwork for a release, or null if it hasn't been downloaded. */
+export function cachedArtwork(release, dir = ARTWORK_DIR) {
+  if (!release.artwork?.file) return null;
+  const file = join(dir, release.artwork.file);
+  return existsSync(file) ? file : null;
+}
+
+/**
+ * Origins the site loads artwork from while it isn't cached: the hosts of
+ * those releases' artworkUrl, for the CSP's img-src (scripts/lib/csp.js).
+ */
+export function remoteArtworkOrigins(releases, dir = ARTWORK_DIR) {
+  const urls = releases.filter(r => r.artworkUrl && !cachedArtwork(r, dir)).map(r => new URL(r.artworkUrl).origin);
+  return [...new Set(urls)].sort();
+}
+
+/**
+ * What's wrong with a release's cached artwork, or null if it's fine:
+ * 'missing' (never cached or the file is gone), 'modified' (the file doesn't
+ * match its checksum) or 'stale' (artworkUrl changed since it was cached).
+ */
+export function artworkProblem(release, dir = ARTWORK_DIR) {
+  const file = cachedArtwork(release, dir);
+  if (!file) return 'missing';
+  if (sha256(readFileSync(file)) !== release.artwork.sha256) return 'modified';
+  if (release.artworkUrl && release.artwork.source !== release.artworkUrl) return 'stale';
+  return null;
+}
+
+/** Dominant color and a ~16px WebP preview, both small enough to inline in the page. */
+export async function artworkPreview(bytes) {
+  const { dominant: { r, g, b } } = await sharp(bytes).stats();
+  const tiny = await sharp(bytes).resize(16, 16, { fit: 'inside' }).webp({ quality: 50 }).toBuffer();
+  return {
+    color: `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')}`,
+    placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+  };
+}
+
+/**
+ * Downloads the artwork of every release whose cache is missing, modified or
+ * stale (every release with `force`) and updates its `artwork` field in
+ * place — the caller saves releases.json. Returns { fetched, cached, failed }
+ * as lists of release titles; failed entries carry the reason.
+ */
+export async function cacheArtwork(releases, { dir = ARTWORK_DIR, force = false, fetchImpl = fetch } = {}) {
+  mkdirSync(dir, { recursive: true });
+  const result = { fetched: [], cached: [], failed: [] };
+
+  for (const release of releases) {
+    if (!force && !artworkProblem(release, dir)) {
+      result.cached.push(release.title);
+      continue;
+    }
+    if (!release.artworkUrl) {
+      result.failed.push(`${release.title}: no artworkUrl`);
+      continue;
+    }
+    try {
+      const res = await fetchImpl(release.artworkUrl);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const type = (res.headers.get('content-type') ?? '').split(';')[0].trim();
+      const ext = EXTENSIONS[type];
+      if (!ext) throw new Error(`unexpected content type "${type}"`);
+      const bytes = Buffer.from(await res.arrayBuffer());
+      const hash = sha256(bytes);
+      const preview = await artworkPreview(bytes);
+
+      const file = `${release.id}-${hash.slice(0, 8)}.${ext}`;
+      // Earlier versions of this release's artwork
+      for (const old of readdirSync(dir)) {
+        if (old !== file && old.startsWith(`${release.id}-`)) rmSync(join(dir, old));
+      }
+      writeFileSync(join(dir, file), bytes);
+      release.artwork = { file, sha256: hash, source: release.artworkUrl, ...preview };
+      result.fetched.push(release.title);
+    } catch (err) {
+      result.failed.push(`${release.title}: ${err.message}`);
+    }
+  }
+  return result;
+}
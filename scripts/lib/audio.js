@@ -0,0 +1,447 @@
+/**
+ * audio.js
+ * Decodes audio masters and estimates their tempo and key, for
+ * scripts/analyze-audio.js. WAV is read here; FLAC and MP3 go through the
+ * wasm-audio-decoders packages. The analysis itself is plain JavaScript:
+ *
+ * - Tempo: spectral-flux onset strength, autocorrelated, with a preference
+ *   for tempos near 120 BPM so half/double-time readings lose out.
+ * - Key: a chroma profile (spectral peaks folded onto the 12 pitch
+ *   classes) correlated with the Krumhansl-Kessler major and minor profiles.
+ *
+ * Both come with a confidence from 0 to 1: how far the winner is ahead of
+ * the runner-up. Low scores mean the reading is worth checking by ear.
+ */
+
+import { readFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { FLACDecoder } from '@wasm-audio-decoders/flac';
+import { MPEGDecoder } from 'mpg123-decoder';
+
+export const AUDIO_EXTENSIONS = ['.wav', '.flac', '.mp3'];
+
+/** Rate the analysis runs at; masters are downsampled to about this. */
+const ANALYSIS_RATE = 11025;
+
+/**
+ * @typedef {object} DecodedAudio
+ * @property {number} sampleRate
+ * @property {Float32Array[]} channelData  one array per channel, -1..1
+ */
+
+// ---------------------------------------------------------------------------
+// Decoding
+// ---------------------------------------------------------------------------
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+/**
+ * Reads a RIFF WAVE file: integer PCM (8, 16, 24 or 32 bit) or float (32 or
+ * 64 bit), including WAVE_FORMAT_EXTENSIBLE.
+ * @param {Uint8Array} bytes
+ * @returns {DecodedAudio}
+ */
+export function decodeWav(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  if (bytes.length < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('Not a WAV file');
+
+  let fmt = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= bytes.length;) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      let format = view.getUint16(body, true);
+      if (format === WAVE_FORMAT_EXTENSIBLE) format = view.getUint16(body + 24, true);
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bits: view.getUint16(body + 14, true),
+      };
+    } else if (id === 'data') {
+      data = { offset: body, size: Math.min(size, bytes.length - body) };
+    }
+    offset = body + size + (size % 2); // chunks are padded to an even length
+  }
+  if (!fmt || !data) throw new Error('WAV file has no fmt or data chunk');
+
+  const { format, channels, sampleRate, blockAlign, bits } = fmt;
+  const bytesPerSample = bits / 8;
+  const read = {
+    [`${WAVE_FORMAT_PCM}:8`]: o => (view.getUint8(o) - 128) / 128,
+    [`${WAVE_FORMAT_PCM}:16`]: o => view.getInt16(o, true) / 32768,
+    [`${WAVE_FORMAT_PCM}:24`]: o => ((view.getUint8(o + 2) << 24 | view.getUint8(o + 1) << 16 | view.getUint8(o) << 8) >> 8) / 8388608,
+    [`${WAVE_FORMAT_PCM}:32`]: o => view.getInt32(o, true) / 2147483648,
+    [`${WAVE_FORMAT_IEEE_FLOAT}:32`]: o => view.getFloat32(o, true),
+    [`${WAVE_FORMAT_IEEE_FLOAT}:64`]: o => view.getFloat64(o, true),
+  }[`${format}:${bits}`];
+  if (!read) throw new Error(`Unsupported WAV encoding (format ${format}, ${bits} bit)`);
+
+  const frames = Math.floor(data.size / blockAlign);
+  const channelData = Array.from({ length: channels }, () => new Float32Array(frames));
+  for (let i = 0; i < frames; i++) {
+    const frame = data.offset + i * blockAlign;
+    for (let c = 0; c < channels; c++) channelData[c][i] = read(frame + c * bytesPerSample);
+  }
+  return { sampleRate, channelData };
+}
+
+/** Trims the decoders' output to the samples actually decoded. */
+function decoded({ channelData, samplesDecoded, sampleRate, errors }, file) {
+  if (samplesDecoded === 0) {
+    throw new Error(`${basename(file)}: couldn't decode${errors?.length ? ` (${errors[0].message})` : ''}`);
+  }
+  return { sampleRate, channelData: channelData.map(c => c.subarray(0, samplesDecoded)) };
+}
+
+/**
+ * Decodes a WAV, FLAC or MP3 file.
+ * @param {string} file
+ * @returns {Promise<DecodedAudio>}
+ */
+export async function decodeAudio(file) {
+  const ext = extname(file).toLowerCase();
+  const bytes = new Uint8Array(readFileSync(file));
+  if (ext === '.wav') return decodeWav(bytes);
+
+  if (ext === '.flac') {
+    const decoder = new FLACDecoder();
+    await decoder.ready;
+    try {
+      return decoded(await decoder.decodeFile(bytes), file);
+    } finally {
+      decoder.free();
+    }
+  }
+
+  if (ext === '.mp3') {
+    const decoder = new MPEGDecoder();
+    await decoder.ready;
+    try {
+      return decoded(decoder.decode(bytes), file);
+    } finally {
+      decoder.free();
+    }
+  }
+
+  throw new Error(`${basename(file)}: unsupported format (use ${AUDIO_EXTENSIONS.join(', ')})`);
+}
+
+/** Length in milliseconds, to the nearest millisecond. */
+export function durationMs({ sampleRate, channelData }) {
+  return Math.round((channelData[0]?.length ?? 0) / sampleRate * 1000);
+}
+
+// ---------------------------------------------------------------------------
+// Signal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Mixes down to mono and decimates by a whole factor to about
+ * ANALYSIS_RATE, low-passing first (windowed sinc) so nothing above the new
+ * Nyquist frequency folds back into the pitch range.
+ * @param {DecodedAudio} audio
+ * @returns {{ samples: Float32Array, sampleRate: number }}
+ */
+export function toAnalysisRate({ sampleRate, channelData }) {
+  const length = channelData[0]?.length ?? 0;
+  const mono = new Float32Array(length);
+  for (const channel of channelData) {
+    for (let i = 0; i < length; i++) mono[i] += channel[i] / channelData.length;
+  }
+  const factor = Math.max(1, Math.floor(sampleRate / ANALYSIS_RATE));
+  if (factor === 1) return { samples: mono, sampleRate };
+
+  const taps = 16 * factor + 1;
+  const half = (taps - 1) / 2;
+  const cutoff = 0.45 / factor; // cycles per input sample
+  const kernel = new Float64Array(taps);
+  let sum = 0;
+  for (let i = 0; i < taps; i++) {
+    const x = i - half;
+    const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+    kernel[i] = sinc * (0.54 - 0.46 * Math.cos(2 * Math.PI * i / (taps - 1)));
+    sum += kernel[i];
+  }
+
+  const out = new Float32Array(Math.floor(length / factor));
+  for (let o = 0; o < out.length; o++) {
+    const center = o * factor;
+    let acc = 0;
+    for (let k = 0; k < taps; k++) {
+      const i = center + k - half;
+      if (i >= 0 && i < length) acc += mono[i] * kernel[k];
+    }
+    out[o] = acc / sum;
+  }
+  return { samples: out, sampleRate: sampleRate / factor };
+}
+
+/** In-place radix-2 FFT of `size` points (a power of two). */
+function createFft(size) {
+  const bits = Math.log2(size);
+  const reverse = new Uint32Array(size);
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    reverse[i] = r;
+  }
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cos[i] = Math.cos(2 * Math.PI * i / size);
+    sin[i] = -Math.sin(2 * Math.PI * i / size);
+  }
+
+  return (re, im) => {
+    for (let i = 0; i < size; i++) {
+      const j = reverse[i];
+      if (j > i) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let len = 2; len <= size; len *= 2) {
+      const step = size / len;
+      for (let start = 0; start < size; start += len) {
+        for (let k = 0; k < len / 2; k++) {
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const a = start + k;
+          const b = a + len / 2;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Calls `onFrame(magnitudes)` for each Hann-windowed frame of `samples`.
+ * The magnitudes array is reused between calls.
+ */
+function spectrogram(samples, size, hop, onFrame) {
+  const fft = createFft(size);
+  const window = Float64Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size));
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const magnitudes = new Float64Array(size / 2 + 1);
+  for (let start = 0; start + size <= samples.length; start += hop) {
+    for (let i = 0; i < size; i++) {
+      re[i] = samples[start + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 0; k <= size / 2; k++) magnitudes[k] = Math.hypot(re[k], im[k]);
+    onFrame(magnitudes);
+  }
+}
+
+/** Position of the peak near `i`, refined by fitting a parabola through it and its neighbours. */
+function parabolicPeak(values, i) {
+  const a = values[i - 1];
+  const b = values[i];
+  const c = values[i + 1];
+  const denominator = a - 2 * b + c;
+  return denominator === 0 ? i : i + 0.5 * (a - c) / denominator;
+}
+
+const clamp01 = x => Math.min(1, Math.max(0, x));
+
+// ---------------------------------------------------------------------------
+// Tempo
+// ---------------------------------------------------------------------------
+
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+
+/** Onset strength per frame: the summed rise in log-magnitude across bins. */
+function onsetEnvelope(samples, sampleRate) {
+  const size = 1024;
+  const hop = 128;
+  const envelope = [];
+  let previous = null;
+  spectrogram(samples, size, hop, magnitudes => {
+    const current = magnitudes.map(m => Math.log1p(100 * m));
+    let flux = 0;
+    if (previous) {
+      for (let k = 1; k < current.length; k++) flux += Math.max(0, current[k] - previous[k]);
+    }
+    envelope.push(flux);
+    previous = current;
+  });
+
+  // Keep only what rises above the local average (half a second each way),
+  // so the sections' loudness doesn't swamp the beat
+  const radius = Math.round(sampleRate / hop / 2);
+  const out = new Float64Array(envelope.length);
+  let windowSum = 0;
+  let lo = 0;
+  let hi = 0;
+  for (let i = 0; i < envelope.length; i++) {
+    while (hi < envelope.length && hi <= i + radius) windowSum += envelope[hi++];
+    while (lo < i - radius) windowSum -= envelope[lo++];
+    out[i] = Math.max(0, envelope[i] - windowSum / (hi - lo));
+  }
+  return { envelope: out, fps: sampleRate / hop };
+}
+
+/**
+ * Estimates the tempo of mono audio.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{ bpm: number, confidence: number } | null}  null when there's no beat to find
+ */
+export function estimateTempo(samples, sampleRate) {
+  const { envelope, fps } = onsetEnvelope(samples, sampleRate);
+  const minLag = Math.floor(60 * fps / MAX_BPM);
+  const maxLag = Math.ceil(60 * fps / MIN_BPM);
+  if (envelope.length < maxLag * 2) return null;
+
+  const mean = envelope.reduce((a, b) => a + b, 0) / envelope.length;
+  const centered = envelope.map(v => v - mean);
+  const acfLength = Math.min(envelope.length - 1, 4 * maxLag + 2);
+  const acf = new Float64Array(acfLength + 1);
+  for (let lag = 0; lag <= acfLength; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < centered.length; i++) sum += centered[i] * centered[i + lag];
+    acf[lag] = sum / (centered.length - lag);
+  }
+  if (acf[0] <= 0) return null;
+
+  // A log-normal preference centred on 120 BPM, an octave wide
+  const score = new Float64Array(maxLag + 2);
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    score[lag] = acf[lag] * Math.exp(-0.5 * Math.log2(60 * fps / lag / 120) ** 2);
+  }
+  const peaks = [];
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    if (score[lag] > 0 && score[lag] > score[lag - 1] && score[lag] >= score[lag + 1]) peaks.push(lag);
+  }
+  if (peaks.length === 0) return null;
+  const best = peaks.reduce((a, b) => (score[b] > score[a] ? b : a));
+
+  // The peak a few beats out pins the period down more finely than one beat does
+  let period = parabolicPeak(acf, best);
+  for (const beats of [4, 2]) {
+    const around = Math.round(best * beats);
+    if (around + beats + 1 > acfLength) continue;
+    let peak = around - beats;
+    for (let lag = peak; lag <= around + beats; lag++) if (acf[lag] > acf[peak]) peak = lag;
+    period = parabolicPeak(acf, peak) / beats;
+    break;
+  }
+
+  // Rivals are peaks that aren't a whole number of beats or a whole fraction of one
+  const related = lag => {
+    const ratio = lag > best ? lag / best : best / lag;
+    return Math.abs(ratio - Math.round(ratio)) < 0.04 * ratio;
+  };
+  const rival = Math.max(0, ...peaks.filter(lag => !related(lag)).map(lag => score[lag]));
+  return { bpm: Math.round(60 * fps / period), confidence: Number(clamp01(1 - rival / score[best]).toFixed(2)) };
+}
+
+// ---------------------------------------------------------------------------
+// Key
+// ---------------------------------------------------------------------------
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Krumhansl & Kessler's probe-tone ratings, tonic first
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * Energy per pitch class (C first), from the spectral peaks between A1 and
+ * A6 — below that the bins are too coarse, above it overtones dominate.
+ */
+export function chroma(samples, sampleRate) {
+  const size = 2 ** Math.ceil(Math.log2(sampleRate * 0.7));
+  const lowest = Math.ceil(55 * size / sampleRate);
+  const highest = Math.min(size / 2 - 1, Math.floor(1760 * size / sampleRate));
+  const pitchClass = new Int8Array(size / 2 + 1);
+  for (let k = lowest; k <= highest; k++) {
+    const midi = 69 + 12 * Math.log2(k * sampleRate / size / 440);
+    pitchClass[k] = ((Math.round(midi) % 12) + 12) % 12;
+  }
+
+  const energy = new Float64Array(12);
+  spectrogram(samples, size, size / 2, magnitudes => {
+    for (let k = lowest; k <= highest; k++) {
+      if (magnitudes[k] > magnitudes[k - 1] && magnitudes[k] >= magnitudes[k + 1]) energy[pitchClass[k]] += magnitudes[k];
+    }
+  });
+  return [...energy];
+}
+
+function correlation(a, b) {
+  const mean = v => v.reduce((x, y) => x + y, 0) / v.length;
+  const ma = mean(a);
+  const mb = mean(b);
+  let num = 0;
+  let da = 0;
+  let db = 0;
+  for (let i = 0; i < a.length; i++) {
+    num += (a[i] - ma) * (b[i] - mb);
+    da += (a[i] - ma) ** 2;
+    db += (b[i] - mb) ** 2;
+  }
+  return da === 0 || db === 0 ? 0 : num / Math.sqrt(da * db);
+}
+
+/**
+ * The best-fitting of the 24 major and minor keys for a chroma profile.
+ * @param {number[]} profile  from chroma()
+ * @returns {{ key: string, confidence: number } | null}  null for silence
+ */
+export function estimateKey(profile) {
+  if (profile.every(v => v === 0)) return null;
+  const candidates = [];
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = profile.map((_, i) => profile[(i + tonic) % 12]);
+    candidates.push({ key: `${NOTE_NAMES[tonic]} major`, r: correlation(rotated, MAJOR_PROFILE) });
+    candidates.push({ key: `${NOTE_NAMES[tonic]} minor`, r: correlation(rotated, MINOR_PROFILE) });
+  }
+  candidates.sort((a, b) => b.r - a.r);
+  const [first, second] = candidates;
+  const confidence = first.r <= 0 ? 0 : clamp01((first.r - second.r) / (1 - second.r));
+  return { key: first.key, confidence: Number(confidence.toFixed(2)) };
+}
+
+// ---------------------------------------------------------------------------
+// All together
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} AudioAnalysis
+ * @property {number} durationMs
+ * @property {number | null} bpm
+ * @property {number | null} bpmConfidence
+ * @property {string | null} key            e.g. "A minor"
+ * @property {number | null} keyConfidence
+ */
+
+/** @param {DecodedAudio} audio  @returns {AudioAnalysis} */
+export function analyzeAudio(audio) {
+  const { samples, sampleRate } = toAnalysisRate(audio);
+  const tempo = estimateTempo(samples, sampleRate);
+  const key = estimateKey(chroma(samples, sampleRate));
+  return {
+    durationMs: durationMs(audio),
+    bpm: tempo?.bpm ?? null,
+    bpmConfidence: tempo?.confidence ?? null,
+    key: key?.key ?? null,
+    keyConfidence: key?.confidence ?? null,
+  };
+}
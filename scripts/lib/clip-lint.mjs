@@ -0,0 +1,172 @@
+/**
+ * Quality checks for social clips, used by generate-clips.mjs on new clips
+ * and by lint-clips.mjs over the whole of clips.yaml.
+ *
+ * Each check returns human-readable issues prefixed with its rule name:
+ *   length     over Bluesky's grapheme limit (the shortest of our networks)
+ *   duplicate  the same as, or very close to, another clip
+ *   url        the song's URL is missing from the end, or another URL is used
+ *   pronouns   a third-person clip uses gendered pronouns other than ARTIST_PRONOUNS
+ *   quote      a quoted passage that isn't in the song's interview
+ *
+ * Quotes may be lightly edited (the generator is told so), so a quote passes
+ * when most of its word sequences appear in the interview. Quoted song
+ * titles are ignored.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { SONGS_DIR, loadSongs } from './content-check.js';
+import { loadReleases } from './platform-sync.js';
+import { countGraphemes, findUrls, findLinkUrl } from './post-text.mjs';
+import { classifyStyle } from './engagement.mjs';
+
+export const CLIP_BASE_URL = 'https://jadethreemusic.com/releases';
+export const MAX_GRAPHEMES = 300;
+
+/** Jade Three's pronouns — the rule given to the clip generator, and checked here. */
+export const ARTIST_PRONOUNS = ['he', 'him', 'his', 'himself'];
+
+// Gendered pronouns not in ARTIST_PRONOUNS are flagged. They/them aren't
+// checked: in clips they nearly always mean the sounds or the listeners.
+const GENDERED_PRONOUNS = ['he', 'him', 'his', 'himself', 'she', 'her', 'hers', 'herself'];
+const WRONG_PRONOUNS = GENDERED_PRONOUNS.filter(p => !ARTIST_PRONOUNS.includes(p));
+
+// Share of a clip's word trigrams found in another clip that makes it a near-duplicate
+const DUPLICATE_THRESHOLD = 0.6;
+// Share of a quote's word trigrams that must appear in the interview
+const QUOTE_THRESHOLD = 0.6;
+
+// ── Text helpers ──────────────────────────────────────────────────────────────
+
+/** Lowercase words with punctuation and URLs removed. */
+function words(text) {
+  let body = text;
+  for (const { url } of findUrls(text)) body = body.replace(url, ' ');
+  return body
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .replace(/[^\p{L}\p{N}'\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function trigrams(list) {
+  if (list.length < 3) return new Set([list.join(' ')]);
+  const grams = new Set();
+  for (let i = 0; i + 3 <= list.length; i++) grams.add(list.slice(i, i + 3).join(' '));
+  return grams;
+}
+
+/** Share of `a`'s trigrams that also appear in `b` (a Set). */
+function coverage(a, b) {
+  if (a.size === 0) return 0;
+  let hits = 0;
+  for (const gram of a) if (b.has(gram)) hits++;
+  return hits / a.size;
+}
+
+/** Quoted passages of three or more words, split at ellipses. */
+export function findQuotes(text) {
+  return [...text.matchAll(/["“]([^"”]+)["”]/g)]
+    .flatMap(m => m[1].split(/…|\.\.\./))
+    .map(q => q.trim())
+    .filter(q => words(q).length >= 3);
+}
+
+/** Body of a song page (everything after the frontmatter). */
+export function loadInterview(slug, dir = SONGS_DIR) {
+  const file = path.join(dir, `${slug}.md`);
+  if (!fs.existsSync(file)) return null;
+  return fs.readFileSync(file, 'utf-8').replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/, '');
+}
+
+// ── Checks ────────────────────────────────────────────────────────────────────
+
+function checkLength(text) {
+  const length = countGraphemes(text);
+  return length > MAX_GRAPHEMES ? [`length: ${length} graphemes (limit ${MAX_GRAPHEMES})`] : [];
+}
+
+function checkUrl(text, url) {
+  const linked = findLinkUrl(text);
+  if (!linked) return [`url: missing ${url}`];
+  const lastLine = text.trim().split('\n').at(-1).trim();
+  if (linked !== url) return [`url: links to ${linked}, expected ${url}`];
+  if (lastLine !== url) return [`url: ${url} should be on the last line`];
+  return [];
+}
+
+function checkPronouns(text) {
+  // Quotes are Jade Three's own words; only the clip's narration is checked
+  const narration = text.replace(/["“][^"”]*["”]/g, ' ');
+  if (classifyStyle(narration).voice !== 'third-person') return [];
+  const wrong = [...new Set(words(narration).filter(w => WRONG_PRONOUNS.includes(w)))];
+  return wrong.length > 0
+    ? [`pronouns: "${wrong.join('", "')}" — Jade Three is ${ARTIST_PRONOUNS.slice(0, 2).join('/')}`]
+    : [];
+}
+
+function checkQuotes(text, interview, titles) {
+  if (interview === null) return [];
+  const source = trigrams(words(interview));
+  const titleSet = new Set(titles.map(t => words(t).join(' ')));
+  return findQuotes(text)
+    .filter(quote => !titleSet.has(words(quote).join(' ')))
+    .filter(quote => coverage(trigrams(words(quote)), source) < QUOTE_THRESHOLD)
+    .map(quote => `quote: "${quote.length > 60 ? `${quote.slice(0, 60)}…` : quote}" not found in the interview`);
+}
+
+function checkDuplicates(text, others) {
+  const mine = trigrams(words(text));
+  const close = others.filter(other => coverage(mine, trigrams(words(other.text))) >= DUPLICATE_THRESHOLD);
+  return close.length > 0 ? [`duplicate: too close to ${close.map(o => o.id).join(', ')}`] : [];
+}
+
+/**
+ * Lints one clip. `others` are the clips to compare against ({ id, text }),
+ * `interview` the song's Q&A text (null to skip the quote check) and
+ * `titles` the song and release titles that may appear in quotes.
+ */
+export function lintClip(text, { url, interview = null, titles = [], others = [] }) {
+  return [
+    ...checkLength(text.trim()),
+    ...checkUrl(text, url),
+    ...checkDuplicates(text, others),
+    ...checkPronouns(text),
+    ...checkQuotes(text, interview, titles),
+  ];
+}
+
+/**
+ * Lints every clip of the given songs (all songs by default) against the
+ * whole file, writing each clip's issues to its `lint` field (removed when
+ * clean). Returns [{ id, slug, approved, issues }].
+ */
+export function lintStore(store, { slugs = null, songsDir = SONGS_DIR } = {}) {
+  const songs = store.songs();
+  const all = songs.flatMap(song => (song.clips ?? []).map(clip => ({ id: clip.id, text: clip.text ?? '' })));
+  const pages = new Map(loadSongs(songsDir).map(page => [page.slug, page.data]));
+  const releases = new Map(loadReleases().releases.map(r => [r.id, r]));
+
+  const results = [];
+  for (const song of songs) {
+    if (slugs && !slugs.includes(song.slug)) continue;
+    const interview = loadInterview(song.slug, songsDir);
+    const page = pages.get(song.slug);
+    const titles = [page?.title, releases.get(page?.releaseId)?.title].filter(Boolean);
+    const url = song.url ?? `${CLIP_BASE_URL}/${song.slug}`;
+
+    for (const clip of song.clips ?? []) {
+      const issues = lintClip(clip.text ?? '', {
+        url,
+        interview,
+        titles,
+        others: all.filter(other => other.id !== clip.id),
+      });
+      store.updateClip(clip.id, { lint: issues.length > 0 ? issues : undefined });
+      results.push({ id: clip.id, slug: song.slug, approved: clip.approved === true, issues });
+    }
+  }
+  return results;
+}
@@ -0,0 +1,205 @@
+/**
+ * Read-modify-write access to clips.yaml, shared by generate-clips.mjs and
+ * post-clip.mjs.
+ *
+ * The file is edited as a YAML document (not as text), so comments, block
+ * scalars and blank lines survive a save. Every clip has a stable `id`
+ * (`<slug>-<n>`), assigned when the clip is added and backfilled for older
+ * clips on open; callers look clips up by id, never by their text.
+ *
+ * `withClipStore()` holds an exclusive lock file next to clips.yaml for the
+ * whole callback, so two runs (e.g. overlapping cron jobs) can't both pick
+ * and post the same clip.
+ */
+
+import fs from 'node:fs';
+import YAML from 'yaml';
+
+// A lock older than this is assumed to belong to a crashed run
+const STALE_LOCK_MS = 30 * 60 * 1000;
+
+export const CLIPS_HEADER = [
+  '# Social media clips for Jade Three',
+  '# approved: change false → true for clips you want to post',
+  '# sent:     updated automatically after posting, per network',
+].join('\n');
+
+/** `sent` is either a per-network map or a legacy boolean meaning Bluesky. */
+export function isSent(clip, network) {
+  if (clip.sent && typeof clip.sent === 'object') return clip.sent[network] === true;
+  return network === 'bluesky' && clip.sent === true;
+}
+
+// ── Locking ───────────────────────────────────────────────────────────────────
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+function acquireLock(lockPath) {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, lockedAt: new Date().toISOString() }));
+      fs.closeSync(fd);
+      return;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      let holder = {};
+      try {
+        holder = JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+      } catch {
+        // Unreadable lock — fall through to the age check
+      }
+      const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+      if (attempt === 0 && (age > STALE_LOCK_MS || (holder.pid && !processAlive(holder.pid)))) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+      throw new Error(`clips.yaml is locked by another run (pid ${holder.pid ?? 'unknown'}, ${lockPath})`);
+    }
+  }
+}
+
+function releaseLock(lockPath) {
+  fs.rmSync(lockPath, { force: true });
+}
+
+// ── Store ─────────────────────────────────────────────────────────────────────
+
+function nextId(slug, usedIds) {
+  let n = 1;
+  while (usedIds.has(`${slug}-${n}`)) n++;
+  usedIds.add(`${slug}-${n}`);
+  return `${slug}-${n}`;
+}
+
+/**
+ * Opens clips.yaml (or starts an empty one). Returns a store whose methods
+ * edit the parsed document in place; call `save()` to write it back.
+ */
+export function openClipStore(file) {
+  const raw = fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '';
+  const doc = raw.trim() ? YAML.parseDocument(raw) : YAML.parseDocument(`${CLIPS_HEADER}\n[]\n`);
+  if (!YAML.isSeq(doc.contents)) throw new Error(`${file}: expected a list of songs`);
+
+  const songNodes = () => doc.contents.items;
+  const clipNodes = song => song.get('clips')?.items ?? [];
+  const usedIds = new Set();
+  let changed = false;
+
+  // Backfill ids for clips written before they existed
+  for (const song of songNodes()) {
+    for (const clip of clipNodes(song)) if (clip.get('id')) usedIds.add(clip.get('id'));
+  }
+  for (const song of songNodes()) {
+    for (const clip of clipNodes(song)) {
+      if (clip.get('id')) continue;
+      clip.items.unshift(doc.createPair('id', nextId(song.get('slug'), usedIds)));
+      changed = true;
+    }
+  }
+
+  function findClipNode(id) {
+    for (const song of songNodes()) {
+      const clip = clipNodes(song).find(c => c.get('id') === id);
+      if (clip) return clip;
+    }
+    return null;
+  }
+
+  return {
+    /** Plain-object snapshot: [{ slug, url, clips: [{ id, approved, sent, text, ... }] }] */
+    songs() {
+      return doc.toJS() ?? [];
+    },
+
+    hasSlug(slug) {
+      return songNodes().some(song => song.get('slug') === slug);
+    },
+
+    /** Appends a song with new, unapproved clips. Returns the assigned ids. */
+    addSong(slug, url, texts) {
+      const ids = texts.map(() => nextId(slug, usedIds));
+      const song = doc.createNode({
+        slug,
+        url,
+        clips: texts.map((text, i) => ({ id: ids[i], approved: false, sent: false, text })),
+      });
+      // Keep clip text as literal block scalars, one blank line between clips
+      song.spaceBefore = songNodes().length > 0;
+      song.get('clips').items.forEach((clip, i) => {
+        clip.get('text', true).type = 'BLOCK_LITERAL';
+        if (i > 0) clip.spaceBefore = true;
+      });
+      doc.contents.items.push(song);
+      changed = true;
+      return ids;
+    },
+
+    /**
+     * Sets top-level fields on one clip, e.g. { sent: { bluesky: true } }.
+     * `undefined` removes a field. New fields go before `text`, so the
+     * text stays last.
+     */
+    updateClip(id, fields) {
+      const clip = findClipNode(id);
+      if (!clip) throw new Error(`No clip with id ${id} in clips.yaml`);
+      for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) {
+          if (clip.delete(key)) changed = true;
+          continue;
+        }
+        const node = doc.createNode(value);
+        // Keep small maps like `sent: { bluesky: true }` on one line
+        if (YAML.isMap(node)) node.flow = true;
+        const textIndex = clip.items.findIndex(pair => pair.key?.value === 'text');
+        if (clip.has(key) || textIndex === -1) {
+          clip.set(key, node);
+        } else {
+          clip.items.splice(textIndex, 0, doc.createPair(key, node));
+        }
+        changed = true;
+      }
+    },
+
+    /** Records a post to `network`, keeping the other networks' state. */
+    markSent(id, network) {
+      const clip = findClipNode(id)?.toJSON();
+      if (!clip) throw new Error(`No clip with id ${id} in clips.yaml`);
+      const sent = clip.sent && typeof clip.sent === 'object' ? clip.sent : { bluesky: clip.sent === true };
+      this.updateClip(id, { sent: { ...sent, [network]: true } });
+    },
+
+    get changed() {
+      return changed;
+    },
+
+    save() {
+      fs.writeFileSync(file, doc.toString({ lineWidth: 0 }));
+      changed = false;
+    },
+  };
+}
+
+/**
+ * Runs `fn(store)` while holding the clips.yaml lock, saving afterwards if
+ * anything changed. The lock is released even if `fn` throws.
+ */
+export async function withClipStore(file, fn) {
+  const lockPath = `${file}.lock`;
+  acquireLock(lockPath);
+  try {
+    const store = openClipStore(file);
+    const result = await fn(store);
+    if (store.changed) store.save();
+    return result;
+  } finally {
+    releaseLock(lockPath);
+  }
+}
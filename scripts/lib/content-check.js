@@ -0,0 +1,299 @@
+/**
+ * content-check.js
+ * Schema for src/data/releases.json (mirrors src/types/releases.ts) and
+ * consistency checks between the release data and the song pages in
+ * src/content/songs/*.md.
+ *
+ * Used by `npm run validate` and by the build (see astro.config.mjs).
+ * Errors fail the build; warnings are printed and only fail with --strict.
+ */
+
+import { readFileSync, readdirSync } from 'node:fs';
+import { join, basename } from 'node:path';
+import YAML from 'yaml';
+import { z } from 'astro/zod';
+import { ROOT, DATA_PATH, normalizeTitle } from './platform-sync.js';
+import { ARTWORK_DIR, artworkProblem } from './artwork-cache.js';
+import { TAG_FIELDS, canonicalTag, loadVocabulary } from './song-tags.js';
+import { durationMismatch, formatPreciseDuration } from './masters.js';
+import { isUpcoming, today } from './upcoming.js';
+
+export const SONGS_DIR = join(ROOT, 'src', 'content', 'songs');
+
+// Spotify IDs are exactly 22 base62 characters; scripts/lib/players.js embeds only these
+export const SPOTIFY_ID_RE = /^[A-Za-z0-9]{22}$/;
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'expected YYYY-MM-DD');
+const optionalUrl = z.string().url().nullable();
+
+export const trackSchema = z.object({
+  trackNumber: z.number().int().positive(),
+  title: z.string().min(1),
+  // Required once the release is out (see checkContent)
+  spotifyId: z.string().nullable(),
+  spotifyUrl: z.string().url().nullable(),
+  isrc: z.string().regex(/^[A-Z]{2}[A-Z0-9]{3}\d{7}$/, 'malformed ISRC').optional(),
+  appleMusicUrl: optionalUrl,
+  amazonMusicUrl: optionalUrl,
+  youtubeUrl: optionalUrl,
+  durationMs: z.number().int().nonnegative(),
+  durationFormatted: z.string().regex(/^\d+:\d{2}$/, 'expected m:ss'),
+  isExplicit: z.boolean(),
+}).strict();
+
+export const artworkSchema = z.object({
+  file: z.string().regex(/^[\w-]+-[0-9a-f]{8}\.(jpg|png|webp)$/, 'expected <release id>-<hash>.<ext>'),
+  sha256: z.string().regex(/^[0-9a-f]{64}$/, 'expected a SHA-256 hex digest'),
+  source: z.string().url(),
+  color: z.string().regex(/^#[0-9a-f]{6}$/, 'expected #rrggbb'),
+  placeholder: z.string().startsWith('data:image/'),
+}).strict();
+
+export const releaseSchema = z.object({
+  id: z.string().min(1),
+  type: z.enum(['album', 'ep', 'single']),
+  title: z.string().min(1),
+  releaseDate: isoDate,
+  year: z.number().int(),
+  status: z.enum(['upcoming', 'released']).optional(),
+  preSaveUrl: optionalUrl.optional(),
+  spotifyId: z.string().nullable(),
+  spotifyUrl: z.string().url().nullable(),
+  appleMusicUrl: optionalUrl,
+  amazonMusicUrl: optionalUrl,
+  youtubePlaylistUrl: optionalUrl,
+  youtubeUrl: optionalUrl,
+  artworkUrl: z.string().url('missing artwork'),
+  artworkUrlSmall: z.string().url('missing small artwork'),
+  artwork: artworkSchema.optional(),
+  totalTracks: z.number().int().positive(),
+  tracks: z.array(trackSchema).min(1),
+}).strict();
+
+export const releasesDataSchema = z.object({
+  lastUpdated: isoDate,
+  artistName: z.string().min(1),
+  spotifyArtistId: z.string(),
+  releases: z.array(releaseSchema),
+}).strict();
+
+function formatIssuePath(data, path) {
+  // Turn ["releases", 3, "tracks", 0, "spotifyId"] into "Stinger / track 1 / spotifyId"
+  const parts = [];
+  let node = data;
+  for (const key of path) {
+    node = node?.[key];
+    if (typeof key !== 'number') {
+      if (key !== 'releases' && key !== 'tracks') parts.push(key);
+    } else if (node?.trackNumber !== undefined && node?.id === undefined) {
+      parts.push(`track ${node.trackNumber}`);
+    } else {
+      parts.push(node?.title ?? `#${key}`);
+    }
+  }
+  return parts.join(' / ') || '(root)';
+}
+
+// ---------------------------------------------------------------------------
+// Song pages
+// ---------------------------------------------------------------------------
+
+/** Reads the frontmatter of every song page, keyed by slug. */
+export function loadSongs(dir = SONGS_DIR) {
+  return readdirSync(dir)
+    .filter(f => f.endsWith('.md'))
+    .sort()
+    .map(file => {
+      const raw = readFileSync(join(dir, file), 'utf-8');
+      const frontmatter = raw.match(/^---\r?\n([\s\S]*?)\r?\n---/)?.[1] ?? '';
+      return { slug: basename(file, '.md'), data: YAML.parse(frontmatter) ?? {} };
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Checks
+// ---------------------------------------------------------------------------
+function findDuplicates(values) {
+  const seen = new Set();
+  const dupes = new Set();
+  for (const value of values) {
+    if (value === null || value === undefined) continue;
+    if (seen.has(value)) dupes.add(value);
+    seen.add(value);
+  }
+  return [...dupes];
+}
+
+/**
+ * Validates releases.json against the schema and cross-checks it with the
+ * song pages, as of `date` (for upcoming releases). Returns
+ * { errors, warnings } as lists of human-readable lines.
+ */
+export function checkContent(data, songs, date = today()) {
+  const errors = [];
+  const warnings = [];
+
+  const parsed = releasesDataSchema.safeParse(data);
+  if (!parsed.success) {
+    for (const issue of parsed.error.issues) {
+      errors.push(`releases.json: ${formatIssuePath(data, issue.path)}: ${issue.message}`);
+    }
+  }
+
+  const releases = Array.isArray(data?.releases) ? data.releases : [];
+
+  // Duplicate IDs
+  for (const id of findDuplicates(releases.map(r => r.id))) {
+    errors.push(`releases.json: duplicate release id "${id}"`);
+  }
+  for (const id of findDuplicates(releases.map(r => r.spotifyId))) {
+    errors.push(`releases.json: Spotify ID "${id}" is used by more than one release`);
+  }
+  const trackIds = releases.flatMap(r => (r.tracks ?? []).map(t => t.spotifyId));
+  for (const id of findDuplicates(trackIds)) {
+    errors.push(`releases.json: Spotify ID "${id}" is used by more than one track`);
+  }
+
+  // Per-release consistency
+  for (const release of releases) {
+    for (const id of findDuplicates((release.tracks ?? []).map(t => t.trackNumber))) {
+      errors.push(`releases.json: ${release.title}: duplicate track number ${id}`);
+    }
+    if (release.releaseDate && release.year !== Number(release.releaseDate.slice(0, 4))) {
+      errors.push(`releases.json: ${release.title}: year ${release.year} doesn't match releaseDate ${release.releaseDate}`);
+    }
+    if (typeof release.spotifyId === 'string' && !SPOTIFY_ID_RE.test(release.spotifyId)) {
+      warnings.push(`releases.json: ${release.title}: malformed Spotify ID "${release.spotifyId}" (player will be unavailable)`);
+    }
+    for (const track of release.tracks ?? []) {
+      if (typeof track.spotifyId === 'string' && !SPOTIFY_ID_RE.test(track.spotifyId)) {
+        warnings.push(`releases.json: ${release.title} / track ${track.trackNumber}: malformed Spotify ID "${track.spotifyId}"`);
+      }
+    }
+
+    // Only an upcoming release may still be missing from Spotify. Until
+    // `npm run sync` marks it released that's a warning, so the release-day
+    // build goes live with "Player unavailable" rather than failing.
+    const upcoming = isUpcoming(release, date);
+    if (!upcoming) {
+      const missing = release.status === 'upcoming' ? warnings : errors;
+      const items = [[release.title, release], ...(release.tracks ?? []).map(t => [`${release.title} / track ${t.trackNumber}`, t])];
+      for (const [where, item] of items) {
+        if (item.spotifyId === null) missing.push(`releases.json: ${where} / spotifyId: missing Spotify ID`);
+        if (item.spotifyUrl === null) missing.push(`releases.json: ${where} / spotifyUrl: missing Spotify URL`);
+      }
+    }
+    if (release.status === 'upcoming' && !upcoming) {
+      warnings.push(`releases.json: ${release.title}: status is "upcoming" but it came out on ${release.releaseDate} (\`npm run sync\` marks it released)`);
+    } else if (release.status !== 'upcoming' && release.releaseDate > date) {
+      warnings.push(`releases.json: ${release.title}: releaseDate ${release.releaseDate} is in the future; set "status": "upcoming" to show a coming-soon card instead of the players`);
+    }
+  }
+
+  // Song pages vs release data
+  const byId = new Map(releases.map(r => [r.id, r]));
+  for (const { slug, data: song } of songs) {
+    const where = `songs/${slug}.md`;
+    const release = byId.get(song.releaseId);
+    if (!release) {
+      errors.push(`${where}: releaseId "${song.releaseId}" not found in releases.json`);
+      continue;
+    }
+    if (song.type !== release.type) {
+      errors.push(`${where}: type "${song.type}" doesn't match release type "${release.type}"`);
+    }
+    if (String(song.releaseDate) !== release.releaseDate) {
+      errors.push(`${where}: releaseDate "${song.releaseDate}" doesn't match release date "${release.releaseDate}"`);
+    }
+    if (song.trackNumber === null || song.trackNumber === undefined) {
+      if (normalizeTitle(song.title) !== normalizeTitle(release.title)) {
+        warnings.push(`${where}: title "${song.title}" doesn't match release title "${release.title}"`);
+      }
+      continue;
+    }
+    const track = release.tracks?.find(t => t.trackNumber === song.trackNumber);
+    if (!track) {
+      errors.push(`${where}: trackNumber ${song.trackNumber} not found on "${release.title}"`);
+    } else if (normalizeTitle(song.title) !== normalizeTitle(track.title)) {
+      warnings.push(`${where}: title "${song.title}" doesn't match track ${song.trackNumber} "${track.title}"`);
+    }
+    if (track && durationMismatch(song.masterDurationMs, track) !== null) {
+      warnings.push(`${where}: master is ${formatPreciseDuration(song.masterDurationMs)} but track ${song.trackNumber} is ${formatPreciseDuration(track.durationMs)} in releases.json`);
+    }
+  }
+
+  // Two song pages describing the same release or track
+  const pagesFor = new Map();
+  for (const { slug, data: song } of songs) {
+    const key = song.trackNumber ? `${song.releaseId} track ${song.trackNumber}` : song.releaseId;
+    pagesFor.set(key, [...(pagesFor.get(key) ?? []), slug]);
+  }
+  for (const [key, slugs] of pagesFor) {
+    if (slugs.length > 1) errors.push(`songs: ${slugs.join(', ')} all describe ${key}`);
+  }
+
+  const withPages = new Set(songs.map(({ data: s }) => s.releaseId));
+  for (const release of releases) {
+    if (!withPages.has(release.id)) warnings.push(`${release.title}: no song page in src/content/songs`);
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Checks the artwork cache in src/assets/artwork against releases.json.
+ * A missing or edited file is an error; artwork that was never cached, or
+ * was cached from an older artworkUrl, is a warning.
+ */
+export function checkArtwork(releases, dir = ARTWORK_DIR) {
+  const errors = [];
+  const warnings = [];
+  for (const release of releases) {
+    const problem = artworkProblem(release, dir);
+    if (problem === 'missing' && release.artwork) {
+      errors.push(`${release.title}: artwork file ${release.artwork.file} is missing from src/assets/artwork (run \`npm run cache-artwork\`)`);
+    } else if (problem === 'missing') {
+      warnings.push(`${release.title}: artwork not cached, the site loads it from artworkUrl (run \`npm run cache-artwork\`)`);
+    } else if (problem === 'modified') {
+      errors.push(`${release.title}: ${release.artwork.file} doesn't match its checksum in releases.json (run \`npm run cache-artwork -- --force\`)`);
+    } else if (problem === 'stale') {
+      warnings.push(`${release.title}: artworkUrl changed since the artwork was cached (run \`npm run cache-artwork\`)`);
+    }
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Warns about song tags that aren't in the vocabulary (src/data/tags.yaml).
+ * Differences in case or punctuation only are warned about too, since the
+ * tag page would show whichever spelling it met first.
+ */
+export function checkTags(songs, vocabulary = loadVocabulary()) {
+  const warnings = [];
+  for (const { slug, data: song } of songs) {
+    for (const field of TAG_FIELDS) {
+      for (const label of song[field] ?? []) {
+        const tag = canonicalTag(vocabulary, field, label);
+        if (tag === null) warnings.push(`songs/${slug}.md: ${field} "${label}" isn't in src/data/tags.yaml`);
+        else if (tag !== label) warnings.push(`songs/${slug}.md: ${field} "${label}" is spelled "${tag}" in src/data/tags.yaml`);
+      }
+    }
+  }
+  return { errors: [], warnings };
+}
+
+/** Loads releases.json, the song pages and the artwork cache from disk and checks them. */
+export function checkProjectContent() {
+  const data = JSON.parse(readFileSync(DATA_PATH, 'utf-8'));
+  const songs = loadSongs();
+  const content = checkContent(data, songs);
+  const artwork = checkArtwork(data.releases ?? []);
+  const tags = checkTags(songs);
+  return {
+    errors: [...content.errors, ...artwork.errors],
+    warnings: [...content.warnings, ...artwork.warnings, ...tags.warnings],
+  };
+}
@@ -0,0 +1,44 @@
+/**
+ * csp.js
+ * The site's Content-Security-Policy, written to dist/_headers after the
+ * build (see astro.config.mjs) so frame-src always lists exactly the players
+ * in ENABLED_PLAYERS (scripts/lib/players.js) and img-src only the store
+ * hosts of artwork that isn't cached yet (scripts/lib/artwork-cache.js). The
+ * other headers stay in netlify.toml.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { ENABLED_PLAYERS, PLAYERS } from './players.js';
+
+const DIRECTIVES = {
+  'default-src': ["'self'"],
+  'script-src': ["'self'", "'unsafe-inline'"],
+  'style-src': ["'self'", "'unsafe-inline'", 'https://fonts.googleapis.com'],
+  'font-src': ["'self'", 'https://fonts.gstatic.com'],
+  'img-src': ["'self'", 'data:', 'blob:'],
+  'frame-src': [],
+  // The newsletter form posts (and fetches) to the same-origin function
+  'connect-src': ["'self'"],
+  'form-action': ["'self'"],
+};
+
+export function contentSecurityPolicy({ players = ENABLED_PLAYERS, imageOrigins = [] } = {}) {
+  const directives = {
+    ...DIRECTIVES,
+    'img-src': [...DIRECTIVES['img-src'], ...imageOrigins],
+    'frame-src': [...new Set(players.map(id => PLAYERS[id].origin))],
+  };
+  return Object.entries(directives)
+    .map(([name, sources]) => `${name} ${sources.length > 0 ? sources.join(' ') : "'none'"};`)
+    .join(' ');
+}
+
+/** Netlify's _headers format: the CSP for every page. */
+export function headersFile(options) {
+  return `/*\n  Content-Security-Policy: ${contentSecurityPolicy(options)}\n`;
+}
+
+export function writeHeaders(distDir, options) {
+  writeFileSync(join(distDir, '_headers'), headersFile(options));
+}
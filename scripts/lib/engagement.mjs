@@ -0,0 +1,128 @@
+/**
+ * Engagement stats for posted clips: fetching counts from the Bluesky
+ * AppView, the append-only snapshot log, and the report that ranks songs
+ * and clip styles.
+ *
+ * A clip's style has two parts, both read from its text:
+ *   - voice: first-person (Jade Three's own words — "I", "my", "we"…) or third-person
+ *   - form:  quote (a quoted line, e.g. "…" — Jade Three) or description
+ */
+
+import fs from 'node:fs';
+import { findUrls } from './post-text.mjs';
+
+export const APPVIEW_URL = 'https://public.api.bsky.app/xrpc';
+
+// app.bsky.feed.getPosts takes at most 25 URIs per request
+const GET_POSTS_LIMIT = 25;
+
+// ── AppView ───────────────────────────────────────────────────────────────────
+
+/**
+ * Fetches current counts for the given post URIs. Returns a Map of uri →
+ * { likes, reposts, replies, quotes }; deleted posts are missing from it.
+ */
+export async function fetchCounts(uris, { appViewUrl = APPVIEW_URL } = {}) {
+  const counts = new Map();
+  for (let i = 0; i < uris.length; i += GET_POSTS_LIMIT) {
+    const params = new URLSearchParams();
+    for (const uri of uris.slice(i, i + GET_POSTS_LIMIT)) params.append('uris', uri);
+    const res = await fetch(`${appViewUrl}/app.bsky.feed.getPosts?${params}`, {
+      headers: { 'User-Agent': 'jade-three-bot/1.0' },
+    });
+    if (!res.ok) throw new Error(`Bluesky AppView error: ${res.status} ${await res.text()}`);
+    for (const post of (await res.json()).posts ?? []) {
+      counts.set(post.uri, {
+        likes: post.likeCount ?? 0,
+        reposts: post.repostCount ?? 0,
+        replies: post.replyCount ?? 0,
+        quotes: post.quoteCount ?? 0,
+      });
+    }
+  }
+  return counts;
+}
+
+// ── Snapshots ─────────────────────────────────────────────────────────────────
+
+/** Reads post-stats.jsonl: one snapshot per post per run, oldest first. */
+export function readSnapshots(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+export function appendSnapshots(file, snapshots) {
+  if (snapshots.length === 0) return;
+  fs.appendFileSync(file, snapshots.map(s => JSON.stringify(s)).join('\n') + '\n');
+}
+
+/** The newest snapshot of each post, keyed by uri. */
+export function latestSnapshots(snapshots) {
+  const latest = new Map();
+  for (const snap of snapshots) {
+    const current = latest.get(snap.uri);
+    if (!current || new Date(snap.fetchedAt) >= new Date(current.fetchedAt)) latest.set(snap.uri, snap);
+  }
+  return latest;
+}
+
+// ── Report ────────────────────────────────────────────────────────────────────
+
+export function engagement({ likes = 0, reposts = 0, replies = 0, quotes = 0 }) {
+  return likes + reposts + replies + quotes;
+}
+
+/** Voice and form of a clip, from its text (URLs ignored). */
+export function classifyStyle(text) {
+  let body = text;
+  for (const { url } of findUrls(text)) body = body.replace(url, '');
+  const plain = body.replace(/[‘’]/g, "'");
+  const firstPerson = /\bI('m|'ve|'d|'ll)?\b/.test(plain) || /\b(me|my|mine|we|we're|our|us)\b/i.test(plain);
+  const voice = firstPerson ? 'first-person' : 'third-person';
+  // A quoted passage of a few words, e.g. "Stinger was my first…" — not a quoted title like "Stinger"
+  const form = /["“][^"”]*\s[^"”]*\s[^"”]*["”]/.test(body) ? 'quote' : 'description';
+  return { voice, form, style: `${voice} ${form}` };
+}
+
+function rank(groups) {
+  return [...groups.entries()]
+    .map(([key, posts]) => {
+      const total = posts.reduce((n, p) => n + p.engagement, 0);
+      return { key, posts: posts.length, total, average: total / posts.length };
+    })
+    .sort((a, b) => b.average - a.average || b.total - a.total || a.key.localeCompare(b.key));
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    groups.set(key, [...(groups.get(key) ?? []), item]);
+  }
+  return groups;
+}
+
+/**
+ * Joins the latest snapshot of each Bluesky post in the history with its
+ * clip, and ranks songs and styles by average engagement per post.
+ */
+export function buildReport(history, snapshots) {
+  const latest = latestSnapshots(snapshots);
+  const posts = history
+    .filter(entry => (entry.network ?? 'bluesky') === 'bluesky' && latest.has(entry.uri))
+    .map(entry => {
+      const snap = latest.get(entry.uri);
+      return { ...entry, ...classifyStyle(entry.text ?? ''), counts: snap, engagement: engagement(snap) };
+    });
+
+  return {
+    posts: [...posts].sort((a, b) => b.engagement - a.engagement),
+    songs: rank(groupBy(posts, p => p.slug)),
+    styles: rank(groupBy(posts, p => p.style)),
+    voices: rank(groupBy(posts, p => p.voice)),
+    forms: rank(groupBy(posts, p => p.form)),
+  };
+}
@@ -0,0 +1,194 @@
+/**
+ * feeds.js
+ * Serializes the discography as RSS 2.0, Atom 1.0 and JSON Feed 1.1, and
+ * pulls plain-text excerpts out of song notes.
+ *
+ * Used by the endpoints in src/pages/ (feed.xml.ts, atom.xml.ts,
+ * feed.json.ts), which build the feed items from releases.json and the
+ * songs collection. Kept as plain JS so tests/feeds.test.mjs can run it
+ * without a build.
+ */
+
+/**
+ * @typedef {object} FeedItem
+ * @property {string} id           Stable identifier (survives URL changes)
+ * @property {string} url          Page to open
+ * @property {string} title
+ * @property {string} date         Release date, YYYY-MM-DD
+ * @property {string} summary      Plain text
+ * @property {string} contentHtml
+ * @property {string[]} [tags]
+ * @property {{ url: string, type: string }} [image]  Artwork, sent as an enclosure/attachment
+ */
+
+/**
+ * @typedef {object} Feed
+ * @property {string} title
+ * @property {string} description
+ * @property {string} author
+ * @property {string} siteUrl
+ * @property {{ rss: string, atom: string, json: string }} feedUrls
+ * @property {string} [icon]
+ * @property {FeedItem[]} items    Newest first
+ */
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Release dates carry no time; noon UTC keeps them on the same day everywhere
+function isoDate(date) {
+  return `${date}T12:00:00Z`;
+}
+
+function rfc822Date(date) {
+  return new Date(isoDate(date)).toUTCString();
+}
+
+/** The newest item's date, or the Unix epoch for an empty feed. */
+function updated(feed) {
+  return feed.items.map(i => i.date).sort().at(-1) ?? '1970-01-01';
+}
+
+const tag = (name, text, attrs = '') => `<${name}${attrs}>${escapeXml(text)}</${name}>`;
+
+// ---------------------------------------------------------------------------
+// RSS 2.0
+// ---------------------------------------------------------------------------
+
+/** @param {Feed} feed */
+export function rssFeed(feed) {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      ${tag('title', item.title)}`,
+    `      ${tag('link', item.url)}`,
+    `      ${tag('guid', item.id, ' isPermaLink="false"')}`,
+    `      ${tag('pubDate', rfc822Date(item.date))}`,
+    `      ${tag('description', item.summary)}`,
+    `      <content:encoded><![CDATA[${item.contentHtml.replaceAll(']]>', ']]]]><![CDATA[>')}]]></content:encoded>`,
+    ...(item.tags ?? []).map(t => `      ${tag('category', t)}`),
+    // Length is required by the spec; 0 is the accepted value when it's unknown
+    ...(item.image ? [`      <enclosure url="${escapeXml(item.image.url)}" length="0" type="${escapeXml(item.image.type)}"/>`] : []),
+    '    </item>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+    '  <channel>',
+    `    ${tag('title', feed.title)}`,
+    `    ${tag('link', feed.siteUrl)}`,
+    `    ${tag('description', feed.description)}`,
+    '    <language>en</language>',
+    `    ${tag('lastBuildDate', rfc822Date(updated(feed)))}`,
+    `    <atom:link href="${escapeXml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml"/>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Atom 1.0
+// ---------------------------------------------------------------------------
+
+/** @param {Feed} feed */
+export function atomFeed(feed) {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    ${tag('title', item.title)}`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    ${tag('id', item.id)}`,
+    `    ${tag('published', isoDate(item.date))}`,
+    `    ${tag('updated', isoDate(item.date))}`,
+    `    ${tag('summary', item.summary)}`,
+    `    ${tag('content', item.contentHtml, ' type="html"')}`,
+    ...(item.tags ?? []).map(t => `    <category term="${escapeXml(t)}"/>`),
+    ...(item.image ? [`    <link rel="enclosure" type="${escapeXml(item.image.type)}" href="${escapeXml(item.image.url)}"/>`] : []),
+    '  </entry>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  ${tag('title', feed.title)}`,
+    `  ${tag('subtitle', feed.description)}`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrls.atom)}"/>`,
+    `  ${tag('id', feed.siteUrl)}`,
+    `  ${tag('updated', isoDate(updated(feed)))}`,
+    `  <author>${tag('name', feed.author)}</author>`,
+    ...(feed.icon ? [`  ${tag('icon', feed.icon)}`] : []),
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// JSON Feed 1.1 (https://www.jsonfeed.org/version/1.1/)
+// ---------------------------------------------------------------------------
+
+/** @param {Feed} feed */
+export function jsonFeed(feed) {
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrls.json,
+    description: feed.description,
+    ...(feed.icon ? { icon: feed.icon } : {}),
+    language: 'en',
+    authors: [{ name: feed.author, url: feed.siteUrl }],
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml,
+      ...(item.image ? { image: item.image.url } : {}),
+      date_published: isoDate(item.date),
+      ...(item.tags?.length ? { tags: item.tags } : {}),
+      ...(item.image ? { attachments: [{ url: item.image.url, mime_type: item.image.type }] } : {}),
+    })),
+  };
+  return JSON.stringify(json, null, 2) + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// Excerpts
+// ---------------------------------------------------------------------------
+
+/** Markdown with links, images and emphasis reduced to their text, on one line. */
+export function plainText(markdown) {
+  return markdown
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * The first answer in a song's Q&A notes as plain text, cut at a word
+ * boundary to at most `maxLength` characters. '' when there is none.
+ */
+export function songExcerpt(markdown, maxLength = 280) {
+  const body = markdown.replace(/^---\n[\s\S]*?\n---\n/, '');
+  const paragraph = body
+    .split(/\n\s*\n/)
+    .map(block => block.split('\n').filter(line => !line.startsWith('#')).join('\n').trim())
+    .find(Boolean);
+  if (!paragraph) return '';
+
+  const text = plainText(paragraph);
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.—–-]+$/, '')}…`;
+}
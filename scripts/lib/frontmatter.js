@@ -0,0 +1,50 @@
+/**
+ * frontmatter.js
+ * Edits single fields in a markdown file's YAML frontmatter without
+ * re-serializing the rest, so hand-written quoting, comments and field order
+ * survive. Used by the scripts that write into song pages
+ * (scripts/lib/song-tags.js, scripts/analyze-audio.js).
+ */
+
+/**
+ * A value in the style the song pages use: strings quoted, lists on one
+ * line (`["Melancholy", "Night drive"]`), numbers and null bare.
+ */
+export function yamlValue(value) {
+  if (Array.isArray(value)) return `[${value.map(v => JSON.stringify(v)).join(', ')}]`;
+  if (typeof value === 'string') return JSON.stringify(value);
+  return String(value ?? null);
+}
+
+/**
+ * Sets fields in the frontmatter of `raw` (the whole file). Only the lines
+ * of those fields change; a block list or map under a field is replaced
+ * along with it. A field that isn't there yet is added before the `before`
+ * field, or at the end of the frontmatter.
+ * @param {string} raw
+ * @param {Record<string, unknown>} values
+ * @param {{ before?: string }} [options]
+ */
+export function setFrontmatter(raw, values, { before } = {}) {
+  const match = raw.match(/^---(\r?\n)([\s\S]*?)\r?\n---/);
+  if (!match) throw new Error('No frontmatter found');
+  const eol = match[1];
+  const lines = match[2].split(/\r?\n/);
+  const lineOf = field => lines.findIndex(l => l.startsWith(`${field}:`));
+
+  for (const [field, value] of Object.entries(values)) {
+    const line = `${field}: ${yamlValue(value)}`;
+    const start = lineOf(field);
+    if (start === -1) {
+      const next = before ? lineOf(before) : -1;
+      lines.splice(next === -1 ? lines.length : next, 0, line);
+      continue;
+    }
+    // A block value continues on indented or "- " lines
+    let end = start + 1;
+    while (end < lines.length && /^(\s+\S|-\s)/.test(lines[end])) end++;
+    lines.splice(start, end - start, line);
+  }
+
+  return `---${eol}${lines.join(eol)}${eol}---${raw.slice(match[0].length)}`;
+}
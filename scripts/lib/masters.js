@@ -0,0 +1,123 @@
+/**
+ * masters.js
+ * Matches audio masters to tracks in releases.json by file name, and turns
+ * an analysis from scripts/lib/audio.js into song page frontmatter. Used by
+ * scripts/analyze-audio.js; the duration check is also run by
+ * content-check.js.
+ */
+
+import { basename, extname } from 'node:path';
+import { titlesMatch } from './platform-sync.js';
+import { setFrontmatter } from './frontmatter.js';
+
+/**
+ * How far a master's length may be from the track's `durationMs` before it's
+ * flagged. Streaming copies are the same master, so anything over a second
+ * and a half means a different mix or the wrong file.
+ */
+export const DURATION_TOLERANCE_MS = 1500;
+
+/** Confidence below which a reading is flagged as worth checking by ear. */
+export const LOW_CONFIDENCE = 0.3;
+
+/**
+ * The track title a master's file name stands for: no extension, track
+ * number, version suffix or "(master)"-style notes.
+ *   "03 - Fight or Flight (Master v2).wav" → "Fight or Flight"
+ *   "stinger_final_24bit.flac" → "stinger"
+ */
+export function masterTitle(file) {
+  let title = basename(file, extname(file)).replace(/_/g, ' ').trim();
+  title = title.replace(/^\d{1,2}(\s*[-.)]\s*|\s+)/, '');
+  let previous;
+  do {
+    previous = title;
+    title = title
+      .replace(/\s*[([][^)\]]*[)\]]$/, '')
+      .replace(/\s+-\s+[^-]*$/, '')
+      .replace(/\s+(master(ed)?|final|mixdown|mix|bounce|v\d+|\d+\s?bit|\d+k)$/i, '')
+      .trim();
+  } while (title !== previous);
+  return title;
+}
+
+/**
+ * @typedef {object} MasterMatch
+ * @property {object} release
+ * @property {object} track
+ * @property {{ slug: string, data: object } | null} song  null when the track has no song page
+ */
+
+/**
+ * Every track a master file belongs to. A song that's on a single and an EP
+ * matches both. Exact title matches win; otherwise a track whose title the
+ * file name starts with ("Stinger Extended" → "Stinger") is accepted.
+ * @param {string} file
+ * @param {object[]} releases
+ * @param {{ slug: string, data: object }[]} songs  from loadSongs()
+ * @returns {MasterMatch[]}
+ */
+export function matchMaster(file, releases, songs) {
+  const title = masterTitle(file);
+  const tracks = releases.flatMap(release => release.tracks.map(track => ({ release, track })));
+  let matches = tracks.filter(({ track }) => titlesMatch(track.title, title));
+  if (matches.length === 0) matches = tracks.filter(({ track }) => titlesMatch(track.title, title, { loose: true }));
+
+  return matches.map(({ release, track }) => ({
+    release,
+    track,
+    song: songs.find(({ data }) =>
+      data.releaseId === release.id &&
+      (release.type === 'single' || data.trackNumber === track.trackNumber)
+    ) ?? null,
+  }));
+}
+
+/**
+ * Milliseconds the master is longer (positive) or shorter than the track in
+ * releases.json, or null when they agree or the track has no duration.
+ */
+export function durationMismatch(masterMs, track) {
+  if (!masterMs || !track.durationMs) return null;
+  const diff = masterMs - track.durationMs;
+  return Math.abs(diff) > DURATION_TOLERANCE_MS ? diff : null;
+}
+
+/** "3:14.4", precise enough to compare masters. */
+export function formatPreciseDuration(ms) {
+  const tenths = Math.round(ms / 100);
+  const min = Math.floor(tenths / 600);
+  const sec = (tenths % 600) / 10;
+  return `${min}:${sec.toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * The frontmatter to write for an analysis. A `bpm` or `key` typed in by
+ * hand (set, with no confidence next to it) is kept unless `force`; so is
+ * anything the analysis couldn't read.
+ * @param {object} current  the song page's frontmatter
+ * @param {import('./audio.js').AudioAnalysis} analysis
+ * @returns {Record<string, unknown>}
+ */
+export function analysisFields(current, analysis, { force = false } = {}) {
+  const fields = {};
+  const handSet = (field) => !force && current[field] && current[`${field}Confidence`] == null;
+  for (const field of ['bpm', 'key']) {
+    if (analysis[field] === null || handSet(field)) continue;
+    fields[field] = analysis[field];
+    fields[`${field}Confidence`] = analysis[`${field}Confidence`];
+  }
+  fields.masterDurationMs = analysis.durationMs;
+  return fields;
+}
+
+/**
+ * Writes analysisFields() into a song page, each confidence next to its
+ * value: `bpm` and `bpmConfidence` before `key`, the rest after it.
+ * @param {string} raw  the whole .md file
+ */
+export function setAnalysis(raw, fields) {
+  const { bpm, bpmConfidence, ...rest } = fields;
+  const tempo = bpm === undefined ? {} : { bpm, bpmConfidence };
+  return setFrontmatter(setFrontmatter(raw, tempo, { before: 'key' }), rest);
+}
@@ -0,0 +1,234 @@
+/**
+ * newsletter.js
+ * The newsletter signup endpoint: POST /newsletter/subscribe takes the form
+ * in src/components/SignupForm.astro, GET /newsletter/confirm finishes double
+ * opt-in for lists that send our own confirmation link (see
+ * scripts/mailing-lists/). Served by netlify/functions/newsletter.mjs in
+ * production and by the dev server (astro.config.mjs) locally.
+ *
+ * Requests and responses are web-standard Request/Response. A form post
+ * gets a 303 to one of the /newsletter/<outcome> pages; the form's script
+ * asks for JSON instead and shows the same message in place.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { getMailingList, isConfigured } from '../mailing-lists/index.mjs';
+import { readList } from '../mailing-lists/local.mjs';
+
+export const SUBSCRIBE_PATH = '/newsletter/subscribe';
+export const CONFIRM_PATH = '/newsletter/confirm';
+/** Dev server only: the local list's outbox, newest first */
+export const OUTBOX_PATH = '/newsletter/outbox';
+
+/** Honeypot field: hidden from people, filled in by bots. */
+export const HONEYPOT_FIELD = 'website';
+
+/** Confirmation links work for a week. */
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Every outcome has a page at /newsletter/<id> (src/pages/newsletter/[outcome].astro). */
+export const OUTCOMES = {
+  'check-your-inbox': {
+    status: 200,
+    title: 'Check your inbox',
+    message: 'We sent you an email. Click the link in it to confirm your signup.',
+  },
+  confirmed: {
+    status: 200,
+    title: "You're on the list",
+    message: "Thanks for signing up. You'll hear about new releases first.",
+  },
+  'link-expired': {
+    status: 400,
+    title: 'That link has expired',
+    message: 'Confirmation links work for a week. Sign up again to get a new one.',
+  },
+  'invalid-email': {
+    status: 400,
+    title: "That email address doesn't look right",
+    message: 'Check it for typos and try again.',
+  },
+  'try-again-later': {
+    status: 503,
+    title: 'Signup is unavailable right now',
+    message: 'Something went wrong on our side. Please try again in a few minutes.',
+  },
+  'too-many-requests': {
+    status: 429,
+    title: 'Too many signups',
+    message: 'Please wait a few minutes before trying again.',
+  },
+};
+
+// Deliberately loose: the confirmation email is the real check
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function normalizeEmail(value) {
+  const email = String(value ?? '').trim().toLowerCase();
+  return email.length <= 254 && EMAIL_RE.test(email) ? email : null;
+}
+
+// ---------------------------------------------------------------------------
+// Confirmation tokens
+// ---------------------------------------------------------------------------
+
+function hmac(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/** `<payload>.<signature>`, where the payload is the address and expiry time. */
+export function signToken(email, secret, now = Date.now()) {
+  const payload = Buffer.from(JSON.stringify({ email, exp: now + TOKEN_TTL_MS })).toString('base64url');
+  return `${payload}.${hmac(payload, secret)}`;
+}
+
+/** The address a token was issued for, or null if it's forged, malformed or expired. */
+export function verifyToken(token, secret, now = Date.now()) {
+  const [payload, signature, extra] = String(token ?? '').split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+  const expected = Buffer.from(hmac(payload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+  try {
+    const { email, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    return typeof email === 'string' && exp > now ? email : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Rate limiting
+// ---------------------------------------------------------------------------
+
+/**
+ * Allows `limit` requests per key (the client IP) per window. Counts live in
+ * memory, so on Netlify they're per function instance: enough to slow down
+ * one script hammering the form, which is what the honeypot doesn't catch.
+ */
+export function createRateLimiter({ limit = 5, windowMs = 10 * 60 * 1000 } = {}) {
+  const hits = new Map();
+  return {
+    /** true if the request is allowed */
+    take(key, now = Date.now()) {
+      const entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        // Drop expired entries now and then so the map can't grow forever
+        if (hits.size > 10_000) for (const [k, e] of hits) if (e.resetAt <= now) hits.delete(k);
+        hits.set(key, { count: 1, resetAt: now + windowMs });
+        return true;
+      }
+      entry.count += 1;
+      return entry.count <= limit;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Handler
+// ---------------------------------------------------------------------------
+
+function respond(request, outcome) {
+  const { status, title, message } = OUTCOMES[outcome];
+  const headers = { 'Cache-Control': 'no-store' };
+  if (outcome === 'too-many-requests') headers['Retry-After'] = '600';
+  if ((request.headers.get('accept') ?? '').includes('application/json')) {
+    return Response.json({ outcome, title, message }, { status, headers });
+  }
+  return new Response(null, { status: 303, headers: { ...headers, Location: `/newsletter/${outcome}/` } });
+}
+
+async function subscribe(request, { env, ip, rateLimiter, list }) {
+  if (!rateLimiter.take(ip ?? 'unknown')) return respond(request, 'too-many-requests');
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch {
+    return respond(request, 'invalid-email');
+  }
+  // Bots get the same answer as people, so there's nothing to learn from it
+  if (form.get(HONEYPOT_FIELD)) return respond(request, 'check-your-inbox');
+
+  const email = normalizeEmail(form.get('email'));
+  if (!email) return respond(request, 'invalid-email');
+
+  // Only lists that confirm through us get a link; Buttondown and Mailchimp send their own
+  const confirmUrl = list.confirm
+    ? new URL(`${CONFIRM_PATH}?token=${signToken(email, env.MAILING_LIST_SECRET)}`, request.url).href
+    : null;
+  try {
+    await list.subscribe(email, env, { confirmUrl });
+  } catch (err) {
+    console.error(err.message);
+    return respond(request, 'try-again-later');
+  }
+  return respond(request, 'check-your-inbox');
+}
+
+async function confirm(request, { env, list }) {
+  const email = list.confirm && verifyToken(new URL(request.url).searchParams.get('token'), env.MAILING_LIST_SECRET);
+  if (!email) return respond(request, 'link-expired');
+  try {
+    await list.confirm(email, env);
+  } catch (err) {
+    console.error(err.message);
+    return respond(request, 'try-again-later');
+  }
+  return respond(request, 'confirmed');
+}
+
+/**
+ * Handles a request to SUBSCRIBE_PATH or CONFIRM_PATH.
+ * @param {Request} request
+ * @param {{ env: Record<string, string | undefined>, ip?: string, rateLimiter: ReturnType<typeof createRateLimiter> }} options
+ * @returns {Promise<Response>}
+ */
+export async function handleNewsletter(request, { env, ip, rateLimiter }) {
+  const { pathname } = new URL(request.url);
+  const route = pathname.replace(/\/$/, '');
+  const method = route === SUBSCRIBE_PATH ? 'POST' : route === CONFIRM_PATH ? 'GET' : null;
+  if (!method) return new Response('Not found', { status: 404 });
+  if (request.method !== method) return new Response('Method not allowed', { status: 405, headers: { Allow: method } });
+
+  const list = getMailingList(env.MAILING_LIST);
+  if (!list || !isConfigured(list, env)) {
+    console.error(`Mailing list not configured: set MAILING_LIST (${list ? list.requiredEnv.join(', ') : 'buttondown, mailchimp or local'})`);
+    return respond(request, 'try-again-later');
+  }
+  const options = { env, ip, rateLimiter, list };
+  return route === SUBSCRIBE_PATH ? subscribe(request, options) : confirm(request, options);
+}
+
+// ---------------------------------------------------------------------------
+// Dev server
+// ---------------------------------------------------------------------------
+
+/**
+ * Connect middleware serving the endpoint from `astro dev`, so the form works
+ * locally against MAILING_LIST=local without the Netlify CLI. It also serves
+ * the local list's outbox as JSON at OUTBOX_PATH, for following confirmation
+ * links by hand or from the Playwright tests.
+ */
+export function newsletterMiddleware(env = process.env) {
+  const rateLimiter = createRateLimiter({ limit: Number(env.MAILING_LIST_RATE_LIMIT ?? 5) });
+  return async (req, res, next) => {
+    const route = new URL(req.url, 'http://localhost').pathname.replace(/\/$/, '');
+    if (route === OUTBOX_PATH && env.MAILING_LIST === 'local') {
+      res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+      return res.end(JSON.stringify(readList(env.MAILING_LIST_FILE).outbox.toReversed()));
+    }
+    if (route !== SUBSCRIBE_PATH && route !== CONFIRM_PATH) return next();
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const request = new Request(new URL(req.url, `http://${req.headers.host}`), {
+      method: req.method,
+      headers: Object.entries(req.headers).filter(([, v]) => typeof v === 'string'),
+      body: ['GET', 'HEAD'].includes(req.method) ? undefined : Buffer.concat(chunks),
+    });
+    const response = await handleNewsletter(request, { env, ip: req.socket.remoteAddress, rateLimiter });
+    res.writeHead(response.status, Object.fromEntries(response.headers));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  };
+}
@@ -0,0 +1,352 @@
+/**
+ * platform-sync.js
+ * Shared helpers for the platform sync providers in scripts/providers/:
+ * loading and writing src/data/releases.json, .env parsing, title matching,
+ * merging provider data into existing entries, and diffing the result.
+ *
+ * Every provider goes through the same matcher, so a fix here reaches
+ * iTunes, YouTube and Spotify at once.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const ROOT = join(__dirname, '..', '..');
+export const DATA_PATH = join(ROOT, 'src', 'data', 'releases.json');
+
+export const ARTIST_NAME = 'Jade Three';
+// Small delay between requests to be polite to the APIs
+export const DELAY_MS = 300;
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// ---------------------------------------------------------------------------
+// Environment
+// ---------------------------------------------------------------------------
+
+/**
+ * Reads KEY=value pairs from the project .env file. Variables already set in
+ * the process environment win over the file.
+ */
+export function loadEnv(envPath = join(ROOT, '.env')) {
+  const vars = {};
+  try {
+    const raw = readFileSync(envPath, 'utf-8');
+    for (const line of raw.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) continue;
+      const idx = trimmed.indexOf('=');
+      if (idx === -1) continue;
+      vars[trimmed.slice(0, idx).trim()] = trimmed.slice(idx + 1).trim();
+    }
+  } catch {
+    // No .env file — rely on the process environment alone
+  }
+  for (const [key, value] of Object.entries(process.env)) {
+    if (value) vars[key] = value;
+  }
+  return vars;
+}
+
+// ---------------------------------------------------------------------------
+// releases.json
+// ---------------------------------------------------------------------------
+export function loadReleases(path = DATA_PATH) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return { lastUpdated: '', artistName: ARTIST_NAME, releases: [] };
+  }
+}
+
+export function saveReleases(data, path = DATA_PATH) {
+  data.lastUpdated = new Date().toISOString().slice(0, 10);
+  // Sort newest first
+  data.releases.sort((a, b) => new Date(b.releaseDate).getTime() - new Date(a.releaseDate).getTime());
+  writeFileSync(path, JSON.stringify(data, null, 2) + '\n');
+}
+
+// ---------------------------------------------------------------------------
+// Title matching
+// ---------------------------------------------------------------------------
+
+/**
+ * Normalize a title for fuzzy matching: lowercase, strip store suffixes
+ * ("- Single", "- EP"), remove all non-alphanumeric characters.
+ */
+export function normalizeTitle(str) {
+  return (str ?? '')
+    .toLowerCase()
+    .replace(/\s*[-–]\s*(single|ep)$/i, '')
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * URL slug for a title ("Didn't you want something?" → didnt-you-want-something).
+ * The one copy: the site's routes (src/lib/releases.ts), song pages, tags and
+ * the press kit all use it, so their slugs can't drift apart.
+ */
+export function slugify(text) {
+  return text.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/** Strip " - Single" / " - EP" suffix that stores append to collection names. */
+export function cleanTitle(collectionName) {
+  return collectionName.replace(/\s*[-–]\s*(Single|EP)$/i, '').trim();
+}
+
+/**
+ * True when two titles refer to the same release or track. Exact normalized
+ * match first; with `loose`, also accepts a candidate that starts with our
+ * title (handles suffixes like "(Radio Edit)" or "- Single").
+ */
+export function titlesMatch(ours, candidate, { loose = false } = {}) {
+  const a = normalizeTitle(ours);
+  const b = normalizeTitle(candidate);
+  if (!a || !b) return false;
+  if (a === b) return true;
+  return loose && b.startsWith(a);
+}
+
+/** Returns the first item whose title (via `getTitle`) matches, preferring exact matches. */
+export function bestMatch(items, title, getTitle = item => item.title) {
+  return (
+    items.find(item => titlesMatch(title, getTitle(item))) ??
+    items.find(item => titlesMatch(title, getTitle(item), { loose: true })) ??
+    null
+  );
+}
+
+export function findRelease(data, title) {
+  return bestMatch(data.releases ?? [], title);
+}
+
+export function findTrack(release, title) {
+  return bestMatch(release?.tracks ?? [], title);
+}
+
+/** Guess release type from a store's collection name and track count. */
+export function inferReleaseType(collectionName, trackCount) {
+  if (/\bEP\b/i.test(collectionName)) return 'ep';
+  if (trackCount === 1) return 'single';
+  if (trackCount <= 6) return 'ep';
+  return 'album';
+}
+
+export function formatDuration(ms) {
+  const totalSec = Math.round(ms / 1000);
+  const min = Math.floor(totalSec / 60);
+  const sec = totalSec % 60;
+  return `${min}:${sec.toString().padStart(2, '0')}`;
+}
+
+// ---------------------------------------------------------------------------
+// Merging
+// ---------------------------------------------------------------------------
+
+/**
+ * Copies provider values onto an existing release or track. Empty values are
+ * ignored. Fields already set are kept unless listed in `overwrite`, so
+ * hand-entered data survives a sync.
+ */
+export function mergeFields(target, incoming, { overwrite = [] } = {}) {
+  for (const [field, value] of Object.entries(incoming)) {
+    if (value === null || value === undefined || value === '') continue;
+    const current = target[field];
+    const isEmpty = current === null || current === undefined || current === '';
+    if (isEmpty || overwrite.includes(field)) target[field] = value;
+  }
+  return target;
+}
+
+/** Field order for releases created by a provider, matching releases.json. */
+export function newRelease(fields) {
+  return mergeFields({
+    id: '',
+    type: 'single',
+    title: '',
+    releaseDate: '',
+    year: 0,
+    spotifyId: null,
+    spotifyUrl: null,
+    appleMusicUrl: null,
+    amazonMusicUrl: null,
+    youtubePlaylistUrl: null,
+    youtubeUrl: null,
+    artworkUrl: '',
+    artworkUrlSmall: '',
+    artwork: undefined, // added by `npm run cache-artwork`
+    totalTracks: 0,
+    tracks: [],
+  }, fields, { overwrite: Object.keys(fields) });
+}
+
+/** Field order for tracks created by a provider, matching releases.json. */
+export function newTrack(fields) {
+  return mergeFields({
+    trackNumber: 0,
+    title: '',
+    spotifyId: null,
+    spotifyUrl: null,
+    isrc: undefined, // omitted from the JSON until a provider knows it
+    appleMusicUrl: null,
+    amazonMusicUrl: null,
+    youtubeUrl: null,
+    durationMs: 0,
+    durationFormatted: '0:00',
+    isExplicit: false,
+  }, fields, { overwrite: Object.keys(fields) });
+}
+
+// ---------------------------------------------------------------------------
+// Diffing
+// ---------------------------------------------------------------------------
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function diffFields(before, after, context, changes) {
+  const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+  fields.delete('tracks');
+  for (const field of fields) {
+    if (!sameValue(before?.[field], after?.[field])) {
+      changes.push({ ...context, field, from: before?.[field] ?? null, to: after?.[field] ?? null });
+    }
+  }
+}
+
+/**
+ * Lists every field that differs between two copies of releases.json.
+ * Releases are paired by id and tracks by track number, so the result reads
+ * as "release / track / field: from → to". Added and removed entries carry
+ * the whole release or track as `value`, so applyChange() can replay them.
+ */
+export function diffReleases(before, after) {
+  const changes = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (field === 'releases' || field === 'lastUpdated') continue;
+    if (!sameValue(before[field], after[field])) {
+      changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+
+  const beforeById = new Map((before.releases ?? []).map(r => [r.id, r]));
+
+  for (const release of after.releases ?? []) {
+    const old = beforeById.get(release.id);
+    beforeById.delete(release.id);
+    if (!old) {
+      changes.push({ releaseId: release.id, release: release.title, kind: 'added', value: release });
+      continue;
+    }
+    const context = { releaseId: release.id, release: release.title };
+    diffFields(old, release, context, changes);
+
+    const oldTracks = new Map((old.tracks ?? []).map(t => [t.trackNumber, t]));
+    for (const track of release.tracks ?? []) {
+      const oldTrack = oldTracks.get(track.trackNumber);
+      oldTracks.delete(track.trackNumber);
+      const trackContext = { ...context, trackNumber: track.trackNumber, track: track.title };
+      if (!oldTrack) changes.push({ ...trackContext, kind: 'added', value: track });
+      else diffFields(oldTrack, track, trackContext, changes);
+    }
+    for (const track of oldTracks.values()) {
+      changes.push({ ...context, trackNumber: track.trackNumber, track: track.title, kind: 'removed', value: track });
+    }
+  }
+
+  for (const release of beforeById.values()) {
+    changes.push({ releaseId: release.id, release: release.title, kind: 'removed', value: release });
+  }
+  return changes;
+}
+
+/**
+ * Applies one change from diffReleases() to `data` in place. `to` may be
+ * overridden on a field change (e.g. a URL pasted during review).
+ */
+export function applyChange(data, change) {
+  if (change.releaseId === undefined) {
+    data[change.field] = change.to;
+    return data;
+  }
+  const release = data.releases.find(r => r.id === change.releaseId);
+
+  if (change.trackNumber === undefined) {
+    if (change.kind === 'added') data.releases.push(structuredClone(change.value));
+    else if (change.kind === 'removed') data.releases = data.releases.filter(r => r.id !== change.releaseId);
+    else if (release) release[change.field] = change.to;
+    return data;
+  }
+
+  if (!release) return data;
+  if (change.kind === 'added') {
+    release.tracks.push(structuredClone(change.value));
+    release.tracks.sort((a, b) => a.trackNumber - b.trackNumber);
+  } else if (change.kind === 'removed') {
+    release.tracks = release.tracks.filter(t => t.trackNumber !== change.trackNumber);
+  } else {
+    const track = release.tracks.find(t => t.trackNumber === change.trackNumber);
+    if (track) track[change.field] = change.to;
+  }
+  return data;
+}
+
+/** True when a change replaces a value that was already filled in. */
+export function isOverwrite(change) {
+  return !change.kind && change.from !== null && change.from !== '' && change.from !== 0;
+}
+
+function changeLocation(change) {
+  if (change.releaseId === undefined) return 'releases.json';
+  return change.track ? `${change.release} / ${change.trackNumber}. ${change.track}` : change.release;
+}
+
+/** One-line description of a change from diffReleases(). */
+export function describeChange(change) {
+  const where = changeLocation(change);
+  if (change.kind) return `${where} — ${change.kind}`;
+  return `${where} — ${change.field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`;
+}
+
+/**
+ * Renders changes as a field-by-field diff grouped by release and track.
+ * Overwrites of existing values are flagged with "!" so hand-fixed data
+ * stands out.
+ */
+export function formatDiff(changes, indent = '  ') {
+  const lines = [];
+  let lastLocation = null;
+  for (const change of changes) {
+    const where = changeLocation(change);
+    if (where !== lastLocation) {
+      lines.push(`${indent}${where}`);
+      lastLocation = where;
+    }
+    if (change.kind) {
+      lines.push(`${indent}  ${change.kind === 'added' ? '+' : '-'} (${change.kind})`);
+      continue;
+    }
+    const flag = isOverwrite(change) ? '!' : ' ';
+    lines.push(`${indent}${flag} - ${change.field}: ${JSON.stringify(change.from)}`);
+    lines.push(`${indent}${flag} + ${change.field}: ${JSON.stringify(change.to)}`);
+  }
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Prompting
+// ---------------------------------------------------------------------------
+
+/** Creates a readline-backed `ask(prompt)` helper. Call `close()` when done. */
+export function createPrompt() {
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  return {
+    ask: prompt => new Promise(resolve => rl.question(prompt, resolve)),
+    close: () => rl.close(),
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * players.js
+ * The embeddable players (Spotify, Apple Music, YouTube): which ones the site
+ * offers, how a release's or track's platform URLs become embed URLs, and
+ * which origin each one needs in the CSP's frame-src.
+ *
+ * Shared by src/components/Player.astro and scripts/lib/csp.js, so taking a
+ * provider out of ENABLED_PLAYERS removes both its player and its frame-src.
+ */
+
+import { SPOTIFY_ID_RE } from './content-check.js';
+
+export const PLAYERS = {
+  spotify: { label: 'Spotify', origin: 'https://open.spotify.com' },
+  apple: { label: 'Apple Music', origin: 'https://embed.music.apple.com' },
+  youtube: { label: 'YouTube', origin: 'https://www.youtube-nocookie.com' },
+};
+
+/** Offered in this order; the first available one is the default. */
+export const ENABLED_PLAYERS = ['spotify', 'apple', 'youtube'];
+
+
+function parseUrl(url) {
+  try {
+    return url ? new URL(url) : null;
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Embed URLs
+// ---------------------------------------------------------------------------
+
+/** null for placeholder IDs */
+export function spotifyEmbedUrl(type, id) {
+  return SPOTIFY_ID_RE.test(id ?? '') ? `https://open.spotify.com/embed/${type}/${id}?utm_source=generator&theme=0` : null;
+}
+
+/** music.apple.com/us/album/x/123?i=456 → embed.music.apple.com/us/album/x/123?i=456 */
+export function appleEmbedUrl(url) {
+  const u = parseUrl(url);
+  if (u?.hostname !== 'music.apple.com') return null;
+  u.hostname = 'embed.music.apple.com';
+  u.searchParams.delete('uo');
+  return u.href;
+}
+
+/** A video (watch?v=, youtu.be/) or playlist URL → its youtube-nocookie.com embed. */
+export function youtubeEmbedUrl(url) {
+  const u = parseUrl(url);
+  if (!u) return null;
+  const host = u.hostname.replace(/^(www|m|music)\./, '');
+  const list = u.searchParams.get('list');
+  if (host === 'youtube.com' && u.pathname === '/playlist' && list) {
+    return `https://www.youtube-nocookie.com/embed/videoseries?list=${encodeURIComponent(list)}`;
+  }
+  const video = host === 'youtu.be' ? u.pathname.slice(1) : host === 'youtube.com' && u.pathname === '/watch' ? u.searchParams.get('v') : null;
+  return video && /^[\w-]{11}$/.test(video) ? `https://www.youtube-nocookie.com/embed/${video}` : null;
+}
+
+// ---------------------------------------------------------------------------
+// Players for a release or track
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} PlayerEmbed
+ * @property {string} id       key of PLAYERS
+ * @property {string} label
+ * @property {string} src      iframe URL
+ * @property {string} href     the provider's own page, linked without JavaScript
+ * @property {number | null} height  null for 16:9
+ */
+
+/**
+ * The players available for a release — or for one of its tracks when
+ * `track` is given — in ENABLED_PLAYERS order. A single plays its only
+ * track; an EP/album plays as a whole.
+ * @returns {PlayerEmbed[]}
+ */
+export function playerEmbeds(release, track = null, enabled = ENABLED_PLAYERS) {
+  const item = track ?? (release.type === 'single' ? release.tracks[0] ?? null : null);
+  // A single's release-level links stand in for missing track links
+  const parent = track ? null : release;
+  const apple = item ? item.appleMusicUrl ?? parent?.appleMusicUrl : release.appleMusicUrl;
+  const youtube = item ? item.youtubeUrl ?? parent?.youtubeUrl : release.youtubePlaylistUrl ?? release.youtubeUrl;
+  const candidates = {
+    spotify: item
+      ? { src: spotifyEmbedUrl('track', item.spotifyId), href: item.spotifyUrl, height: 152 }
+      : { src: spotifyEmbedUrl('album', release.spotifyId), href: release.spotifyUrl, height: 352 },
+    apple: { src: appleEmbedUrl(apple), href: apple, height: item ? 175 : 450 },
+    youtube: { src: youtubeEmbedUrl(youtube), href: youtube, height: null },
+  };
+  return enabled
+    .filter(id => candidates[id]?.src)
+    .map(id => ({ id, label: PLAYERS[id].label, ...candidates[id] }));
+}
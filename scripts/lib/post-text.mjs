@@ -0,0 +1,36 @@
+/**
+ * Text helpers shared by the publishers in scripts/publishers/.
+ */
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/** User-perceived characters — what Bluesky's 300 limit counts. */
+export function countGraphemes(text) {
+  return [...segmenter.segment(text)].length;
+}
+
+/** Every http(s) URL in the text, with its character offset. */
+export function findUrls(text) {
+  return [...text.matchAll(/https?:\/\/[^\s]+/g)].map(m => ({ url: m[0], index: m.index }));
+}
+
+/** The link a clip is about: by convention the last line of the post. */
+export function findLinkUrl(text) {
+  const lastLine = text.split('\n').filter(Boolean).at(-1)?.trim() ?? '';
+  return /^https?:\/\//.test(lastLine) ? lastLine : (findUrls(text).at(-1)?.url ?? null);
+}
+
+/**
+ * Hashtags (`#dreampop`), with the offset of the `#`. A tag must start a word
+ * and can't be all digits, so "#1" and "track#2" are left alone.
+ */
+export function findHashtags(text) {
+  return [...text.matchAll(/(^|\s)(#([\p{L}\p{N}_]*[\p{L}_][\p{L}\p{N}_]*))/gu)]
+    .map(m => ({ match: m[2], tag: m[3], index: m.index + m[1].length }));
+}
+
+/** Mentions of full handles (`@someone.bsky.social`), with the offset of the `@`. */
+export function findMentions(text) {
+  return [...text.matchAll(/(^|\s)(@([a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*\.[a-zA-Z][a-zA-Z0-9-]*))/g)]
+    .map(m => ({ match: m[2], handle: m[3].toLowerCase(), index: m.index + m[1].length }));
+}
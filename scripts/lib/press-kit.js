@@ -0,0 +1,224 @@
+/**
+ * press-kit.js
+ * Builds dist/press/jade-three-press-kit.zip after the build (see
+ * astro.config.mjs): bios, a discography CSV/JSON, artist photos, release
+ * artwork and a printable one-sheet.
+ *
+ * Everything comes from local files — profile.md, releases.json, the photos
+ * it references and the artwork cache (scripts/lib/artwork-cache.js) — so the
+ * zip builds offline. Releases whose artwork isn't cached are left out of
+ * artwork/ and reported; discography.json gives their artworkUrl instead.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import { zipSync, strToU8 } from 'fflate';
+import { DATA_PATH, loadReleases, slugify } from './platform-sync.js';
+import { PROFILE_PATH, bioVariants, fullBio, loadProfile } from './artist-profile.js';
+import { ARTWORK_DIR, cachedArtwork } from './artwork-cache.js';
+import { escapeXml } from './feeds.js';
+
+export const PRESS_KIT_NAME = 'jade-three-press-kit';
+export const PRESS_KIT_PATH = `/press/${PRESS_KIT_NAME}.zip`;
+
+const TYPE_LABELS = { single: 'Single', ep: 'EP', album: 'Album' };
+
+function newestFirst(releases) {
+  return [...releases].sort((a, b) => b.releaseDate.localeCompare(a.releaseDate));
+}
+
+// ---------------------------------------------------------------------------
+// Discography
+// ---------------------------------------------------------------------------
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function discographyCsv(releases) {
+  const header = ['title', 'type', 'release_date', 'tracks', 'spotify', 'apple_music', 'amazon_music', 'youtube'];
+  const rows = newestFirst(releases).map(r => [
+    r.title,
+    TYPE_LABELS[r.type],
+    r.releaseDate,
+    r.tracks.length,
+    r.spotifyUrl,
+    r.appleMusicUrl,
+    r.amazonMusicUrl,
+    r.youtubePlaylistUrl ?? r.youtubeUrl,
+  ]);
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+export function discographyJson(data, artworkNames) {
+  return JSON.stringify({
+    artist: data.artistName,
+    updated: data.lastUpdated,
+    releases: newestFirst(data.releases).map(r => ({
+      title: r.title,
+      type: r.type,
+      releaseDate: r.releaseDate,
+      // The store's copy until `npm run cache-artwork` has fetched it
+      artwork: artworkNames.get(r.id) ?? r.artworkUrl ?? null,
+      links: {
+        spotify: r.spotifyUrl,
+        appleMusic: r.appleMusicUrl,
+        amazonMusic: r.amazonMusicUrl,
+        youtube: r.youtubePlaylistUrl ?? r.youtubeUrl,
+      },
+      tracks: r.tracks.map(t => ({
+        trackNumber: t.trackNumber,
+        title: t.title,
+        duration: t.durationFormatted,
+        isrc: t.isrc ?? null,
+        explicit: t.isExplicit,
+      })),
+    })),
+  }, null, 2) + '\n';
+}
+
+// ---------------------------------------------------------------------------
+// One-sheet
+// ---------------------------------------------------------------------------
+
+/** A standalone page (no external assets) that prints to two A4/Letter pages. */
+export function oneSheetHtml({ data, profile, bios, photos, artworkNames, siteUrl }) {
+  const e = escapeXml;
+  const facts = [profile.location, profile.genres.join(' · '), profile.started && `Since ${profile.started}`].filter(Boolean);
+  const photo = photos[0];
+  const rows = newestFirst(data.releases).map(r => {
+    const art = artworkNames.get(r.id);
+    return `<tr>
+        <td>${art ? `<img src="${e(art)}" alt="" width="40" height="40">` : ''}</td>
+        <td><a href="${e(r.spotifyUrl)}">${e(r.title)}</a></td>
+        <td>${TYPE_LABELS[r.type]}</td>
+        <td>${e(r.releaseDate)}</td>
+        <td class="num">${r.tracks.length}</td>
+      </tr>`;
+  });
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${e(profile.name)} — One-sheet</title>
+  <style>
+    @page { size: A4; margin: 16mm; }
+    body { font: 11pt/1.5 -apple-system, "Helvetica Neue", Arial, sans-serif; color: #1a1a1a; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+    h1 { font-size: 28pt; margin: 0; }
+    h2 { font-size: 9pt; text-transform: uppercase; letter-spacing: .12em; color: #7a5a00; margin: 1.6rem 0 .5rem; }
+    .facts { color: #555; margin: .2rem 0 1rem; }
+    header { display: flex; gap: 1.5rem; align-items: flex-end; }
+    header img { width: 180px; height: auto; }
+    blockquote { margin: .6rem 0; padding-left: .8rem; border-left: 3px solid #d4a017; }
+    table { width: 100%; border-collapse: collapse; font-size: 10pt; }
+    td, th { text-align: left; padding: .3rem .4rem; border-bottom: 1px solid #ddd; vertical-align: middle; }
+    td.num { text-align: right; }
+    a { color: inherit; }
+    footer { margin-top: 1.6rem; font-size: 9pt; color: #555; }
+    @media print { body { margin: 0; max-width: none; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <header>
+    ${photo ? `<img src="${e(photo.name)}" alt="${e(photo.alt)}">` : ''}
+    <div>
+      <h1>${e(profile.name)}</h1>
+      <p class="facts">${facts.map(e).join(' · ')}</p>
+    </div>
+  </header>
+
+${bios.map(bio => `  <h2>${e(bio.label)}</h2>\n  <p>${e(bio.text)}</p>`).join('\n')}
+${profile.quotes.length > 0 ? `
+  <h2>Quotes</h2>
+${profile.quotes.map(q => `  <blockquote>“${e(q.text)}” — ${e(q.source)}</blockquote>`).join('\n')}` : ''}
+
+  <h2>Discography</h2>
+  <table>
+    <thead><tr><th></th><th>Title</th><th>Type</th><th>Released</th><th class="num">Tracks</th></tr></thead>
+    <tbody>
+      ${rows.join('\n      ')}
+    </tbody>
+  </table>
+
+  <footer>
+    <a href="${e(siteUrl)}">${e(siteUrl.replace(/^https?:\/\//, '').replace(/\/$/, ''))}</a>
+    · <a href="https://open.spotify.com/artist/${e(data.spotifyArtistId)}">Spotify</a>
+    · Updated ${e(data.lastUpdated)}
+  </footer>
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// Zip
+// ---------------------------------------------------------------------------
+
+/**
+ * The zip's files as { path: Uint8Array }, from already-loaded inputs.
+ * photos: [{ name, alt, bytes }], artwork: [{ release, name, bytes }]
+ */
+export function pressKitFiles({ data, profile, body, photos, artwork, siteUrl }) {
+  const bios = bioVariants(profile, data.releases);
+  const artworkNames = new Map(artwork.map(a => [a.release.id, a.name]));
+  const files = {};
+  for (const bio of bios) files[`bio-${bio.id}.txt`] = strToU8(`${bio.text}\n`);
+  const full = fullBio(body);
+  if (full) files['bio-full.txt'] = strToU8(`${profile.name}\n\n${full}\n`);
+  files['discography.csv'] = strToU8(discographyCsv(data.releases));
+  files['discography.json'] = strToU8(discographyJson(data, artworkNames));
+  for (const photo of photos) files[photo.name] = photo.bytes;
+  for (const art of artwork) files[art.name] = art.bytes;
+  files['one-sheet.html'] = strToU8(oneSheetHtml({ data, profile, bios, photos, artworkNames, siteUrl }));
+  return files;
+}
+
+/**
+ * Reads the profile, releases, photos and cached artwork from disk and zips
+ * them. Returns { zip, files, missingArtwork }.
+ */
+export function buildPressKit({
+  siteUrl,
+  dataPath = DATA_PATH,
+  profilePath = PROFILE_PATH,
+  artworkDir = ARTWORK_DIR,
+} = {}) {
+  const data = loadReleases(dataPath);
+  const { data: profile, body } = loadProfile(profilePath);
+
+  const photos = profile.photos.map(p => {
+    const file = resolve(dirname(profilePath), p.src);
+    return { name: `photos/${basename(file)}`, alt: p.alt, bytes: readFileSync(file) };
+  });
+
+  const missingArtwork = [];
+  const artwork = newestFirst(data.releases).flatMap(release => {
+    const file = cachedArtwork(release, artworkDir);
+    if (!file) {
+      missingArtwork.push(release.title);
+      return [];
+    }
+    const name = `artwork/${release.year}-${slugify(release.title)}-${release.type}${extname(file)}`;
+    return [{ release, name, bytes: readFileSync(file) }];
+  });
+
+  const files = pressKitFiles({ data, profile, body, photos, artwork, siteUrl });
+  // Fixed timestamps keep the zip byte-identical between builds of the same data
+  const mtime = new Date(`${data.lastUpdated || '2024-01-01'}T12:00:00Z`);
+  const zip = zipSync(
+    Object.fromEntries(Object.entries(files).map(([name, bytes]) => [`${PRESS_KIT_NAME}/${name}`, [bytes, { mtime }]])),
+    { level: 9 }
+  );
+  return { zip, files: Object.keys(files), missingArtwork };
+}
+
+/** Writes the zip to distDir/press/ and returns what buildPressKit returned. */
+export function writePressKit(distDir, options) {
+  const result = buildPressKit(options);
+  const file = join(distDir, PRESS_KIT_PATH);
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, result.zip);
+  return result;
+}
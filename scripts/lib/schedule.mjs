@@ -0,0 +1,90 @@
+/**
+ * Post scheduling for post-clip.mjs: the append-only post history log and
+ * the rules that decide which clips are due.
+ *
+ * A clip is due when either
+ *   - it has a `scheduledAt` timestamp that has passed, or
+ *   - a cadence is set (N posts per week) and enough time has gone by since
+ *     the last post; the cadence clip comes from the song posted least
+ *     recently, skipping songs posted within the last `songGapDays`.
+ */
+
+import fs from 'node:fs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ── History ───────────────────────────────────────────────────────────────────
+
+/** Reads post-history.jsonl: one JSON object per line, oldest first. */
+export function readHistory(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/** Appends one entry; the file is never rewritten. */
+export function appendHistory(file, entry) {
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+}
+
+/** Map of slug → Date of its most recent post. */
+export function lastPostedBySlug(history) {
+  const last = new Map();
+  for (const entry of history) {
+    const at = new Date(entry.postedAt);
+    if (!last.has(entry.slug) || at > last.get(entry.slug)) last.set(entry.slug, at);
+  }
+  return last;
+}
+
+// ── Selection ─────────────────────────────────────────────────────────────────
+
+/**
+ * Picks one clip, preferring songs that haven't been posted for the longest
+ * (never-posted songs first). Songs posted within `songGapDays` are skipped.
+ * Returns null when nothing qualifies. `random` is injectable for tests.
+ */
+export function pickClip(clips, history, { now = new Date(), songGapDays = 0, random = Math.random } = {}) {
+  const last = lastPostedBySlug(history);
+  const cutoff = now.getTime() - songGapDays * DAY_MS;
+  const lastAt = slug => last.get(slug)?.getTime() ?? -Infinity;
+
+  const candidates = clips.filter(c => lastAt(c.slug) <= cutoff);
+  if (candidates.length === 0) return null;
+
+  const oldest = Math.min(...candidates.map(c => lastAt(c.slug)));
+  const pool = candidates.filter(c => lastAt(c.slug) === oldest);
+  return pool[Math.floor(random() * pool.length)];
+}
+
+/** True when a cadence of `perWeek` posts leaves room for another post now. */
+export function cadenceSlotOpen(history, { now = new Date(), perWeek }) {
+  if (!perWeek) return false;
+  const weekAgo = now.getTime() - 7 * DAY_MS;
+  const times = history.map(e => new Date(e.postedAt).getTime());
+  const inLastWeek = times.filter(t => t > weekAgo).length;
+  if (inLastWeek >= perWeek) return false;
+  // Spread posts out: at least 7/N days between consecutive posts
+  const latest = Math.max(-Infinity, ...times);
+  return now.getTime() - latest >= (7 * DAY_MS) / perWeek;
+}
+
+/**
+ * Returns every clip that should be posted now: scheduled clips whose time
+ * has come (oldest first), then at most one cadence clip.
+ */
+export function selectDue(clips, history, { now = new Date(), perWeek = 0, songGapDays = 0, random } = {}) {
+  const scheduled = clips
+    .filter(c => c.scheduledAt && new Date(c.scheduledAt) <= now)
+    .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+  const due = [...scheduled];
+  if (cadenceSlotOpen(history, { now, perWeek })) {
+    const unscheduled = clips.filter(c => !c.scheduledAt);
+    const pick = pickClip(unscheduled, history, { now, songGapDays, random });
+    if (pick) due.push(pick);
+  }
+  return due;
+}
@@ -0,0 +1,438 @@
+/**
+ * search.js
+ * Full-text search over the song notes and artist profile: tokenizing and
+ * Porter stemming, the index written to /search-index.json at build time,
+ * BM25 ranking grouped by release, and highlighted snippets.
+ *
+ * Runs in three places with no dependencies: the build (src/lib/search.ts
+ * collects the documents), the browser (the header search box and
+ * /search), and the Netlify edge function that renders /search?q= for
+ * visitors without JavaScript. Kept as plain JS so tests/search.test.mjs
+ * can run it without a build.
+ */
+
+/** Where the build writes the index (src/pages/search-index.json.ts). */
+export const SEARCH_INDEX_PATH = '/search-index.json';
+
+/**
+ * @typedef {object} SearchDoc
+ * @property {string} group   Key into SearchIndex.groups — a release id, or "about"
+ * @property {string} title   The question, or the release/track title
+ * @property {string} [label] Which track of the release, when it's one of several
+ * @property {string} url     Page and anchor to open
+ * @property {string} text    Plain text the snippet is cut from
+ */
+
+/**
+ * @typedef {object} SearchGroup
+ * @property {string} title
+ * @property {string} url
+ * @property {string} meta    e.g. "EP · 2025"
+ */
+
+/**
+ * @typedef {object} SearchIndex
+ * @property {SearchDoc[]} docs
+ * @property {Record<string, SearchGroup>} groups
+ * @property {Record<string, number[]>} terms  stem → flat [doc, frequency, doc, frequency, ...]
+ * @property {number[]} lengths                terms per doc
+ * @property {number} averageLength
+ */
+
+// ---------------------------------------------------------------------------
+// Tokenizing
+// ---------------------------------------------------------------------------
+
+const STOP_WORDS = new Set(
+  ('a about an and are as at be but by did do does for from had has have i in into is it its me my of on or so ' +
+    'that the their them there they this to was we were what when where which who why with you your').split(' ')
+);
+
+/**
+ * Every word in `text` with where it sits, lowercased, without accents or
+ * apostrophes ("What’s" → "whats", "Café" → "cafe").
+ * @returns {{ word: string, start: number, end: number }[]}
+ */
+export function words(text) {
+  return [...text.matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu)].map(m => ({
+    word: m[0].normalize('NFD').replace(/\p{M}/gu, '').replace(/['’]/g, '').toLowerCase(),
+    start: m.index,
+    end: m.index + m[0].length,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// Porter stemmer (https://tartarus.org/martin/PorterStemmer/)
+// ---------------------------------------------------------------------------
+
+function isConsonant(word, i) {
+  const c = word[i];
+  if ('aeiou'.includes(c)) return false;
+  return c !== 'y' || i === 0 || !isConsonant(word, i - 1);
+}
+
+/** The number of vowel-consonant sequences: [C](VC)^m[V]. */
+function measure(stem) {
+  let m = 0;
+  let i = 0;
+  while (i < stem.length && isConsonant(stem, i)) i++;
+  while (i < stem.length) {
+    while (i < stem.length && !isConsonant(stem, i)) i++;
+    if (i === stem.length) break;
+    m++;
+    while (i < stem.length && isConsonant(stem, i)) i++;
+  }
+  return m;
+}
+
+function hasVowel(stem) {
+  return [...stem].some((_, i) => !isConsonant(stem, i));
+}
+
+function endsDoubleConsonant(word) {
+  const n = word.length;
+  return n > 1 && word[n - 1] === word[n - 2] && isConsonant(word, n - 1);
+}
+
+/** Ends consonant-vowel-consonant, the last not w, x or y ("hop", not "snow"). */
+function endsCvc(word) {
+  const n = word.length;
+  return n > 2 && isConsonant(word, n - 3) && !isConsonant(word, n - 2) && isConsonant(word, n - 1) &&
+    !'wxy'.includes(word[n - 1]);
+}
+
+/**
+ * Replaces the longest suffix in `rules` the word ends with, if what's left
+ * passes `condition`. Returns the word unchanged otherwise.
+ */
+function replaceSuffix(word, rules, condition) {
+  const suffix = Object.keys(rules)
+    .filter(s => word.endsWith(s))
+    .sort((a, b) => b.length - a.length)[0];
+  if (suffix === undefined) return word;
+  const stem = word.slice(0, -suffix.length);
+  return condition(stem) ? stem + rules[suffix] : word;
+}
+
+const STEP_2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log',
+};
+
+const STEP_3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const STEP_4 = Object.fromEntries(
+  ['al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ion', 'ou', 'ism',
+    'ate', 'iti', 'ous', 'ive', 'ize'].map(s => [s, ''])
+);
+
+/** The Porter stem of a lowercase word: "dreaming" → "dream", "melancholy" → "melancholi". */
+export function stem(word) {
+  if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+  let w = word;
+
+  // Step 1a: plurals
+  if (w.endsWith('sses') || w.endsWith('ies')) w = w.slice(0, -2);
+  else if (w.endsWith('s') && !w.endsWith('ss')) w = w.slice(0, -1);
+
+  // Step 1b: -ed and -ing
+  if (w.endsWith('eed')) {
+    if (measure(w.slice(0, -3)) > 0) w = w.slice(0, -1);
+  } else {
+    const suffix = ['ed', 'ing'].find(s => w.endsWith(s) && hasVowel(w.slice(0, -s.length)));
+    if (suffix) {
+      w = w.slice(0, -suffix.length);
+      if (w.endsWith('at') || w.endsWith('bl') || w.endsWith('iz')) w += 'e';
+      else if (endsDoubleConsonant(w) && !'lsz'.includes(w.at(-1))) w = w.slice(0, -1);
+      else if (measure(w) === 1 && endsCvc(w)) w += 'e';
+    }
+  }
+
+  // Step 1c: y → i
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) w = w.slice(0, -1) + 'i';
+
+  // Steps 2-4: derivational suffixes
+  w = replaceSuffix(w, STEP_2, s => measure(s) > 0);
+  w = replaceSuffix(w, STEP_3, s => measure(s) > 0);
+  w = replaceSuffix(w, STEP_4, s => measure(s) > 1 && (!w.endsWith('ion') || /[st]$/.test(s)));
+
+  // Step 5: a final -e, and -ll
+  if (w.endsWith('e')) {
+    const s = w.slice(0, -1);
+    if (measure(s) > 1 || (measure(s) === 1 && !endsCvc(s))) w = s;
+  }
+  if (w.endsWith('ll') && measure(w) > 1) w = w.slice(0, -1);
+
+  return w;
+}
+
+/**
+ * The stems a query or document is indexed under. Stop words are dropped,
+ * unless that would leave nothing ("who are you" still finds something).
+ */
+export function terms(text) {
+  const all = words(text).map(w => w.word);
+  const kept = all.filter(w => !STOP_WORDS.has(w));
+  return (kept.length > 0 ? kept : all).map(stem);
+}
+
+// ---------------------------------------------------------------------------
+// Index
+// ---------------------------------------------------------------------------
+
+/** Title words count this many times over words in the text. */
+const TITLE_WEIGHT = 2;
+
+/**
+ * Builds the index the build writes to /search-index.json.
+ * @param {SearchDoc[]} docs
+ * @param {Record<string, SearchGroup>} groups
+ * @returns {SearchIndex}
+ */
+export function buildSearchIndex(docs, groups) {
+  /** @type {Record<string, number[]>} */
+  const index = Object.create(null);
+  const lengths = docs.map((doc, i) => {
+    const counts = new Map();
+    const add = (term, n) => counts.set(term, (counts.get(term) ?? 0) + n);
+    for (const term of terms(`${doc.label ?? ''} ${doc.title}`)) add(term, TITLE_WEIGHT);
+    for (const term of terms(doc.text)) add(term, 1);
+    for (const [term, count] of counts) (index[term] ??= []).push(i, count);
+    return [...counts.values()].reduce((sum, n) => sum + n, 0);
+  });
+  const averageLength = lengths.reduce((sum, n) => sum + n, 0) / (lengths.length || 1);
+  return { docs, groups, terms: index, lengths, averageLength: Math.round(averageLength * 100) / 100 };
+}
+
+// ---------------------------------------------------------------------------
+// Searching
+// ---------------------------------------------------------------------------
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+/** Hits scoring under this share of the best one are left out as noise. */
+const MIN_RELATIVE_SCORE = 0.1;
+
+/**
+ * @typedef {object} SearchHit
+ * @property {SearchDoc} doc
+ * @property {number} score
+ * @property {{ text: string, mark: boolean }[]} snippet
+ */
+
+/**
+ * @typedef {object} SearchResultGroup
+ * @property {string} id
+ * @property {SearchGroup} group
+ * @property {SearchHit[]} hits  Best first
+ */
+
+/**
+ * The query's stems, and each one's matching stems in the index. The last
+ * word also matches longer words it starts ("melan" → "melancholi") so
+ * results show up while typing.
+ */
+function expandQuery(index, query) {
+  const queryWords = words(query).map(w => w.word);
+  const kept = queryWords.filter(w => !STOP_WORDS.has(w));
+  const last = queryWords.at(-1);
+  return terms(query).map((term, i, all) => {
+    const matches = Object.hasOwn(index.terms, term) ? [term] : [];
+    const prefix = i === all.length - 1 && kept.at(-1) === last ? last : null;
+    if (prefix && prefix.length >= 2) {
+      for (const candidate of Object.keys(index.terms)) {
+        if (candidate !== term && candidate.startsWith(prefix)) matches.push(candidate);
+      }
+    }
+    return { term, prefix, matches };
+  });
+}
+
+/**
+ * Ranks the docs for `query` with BM25, favouring docs that match more of
+ * the query's words, and groups them by release: groups in the order of
+ * their best hit, at most `limit` hits in all. Any doc matching a word is a
+ * candidate; weak partial matches are dropped.
+ * @param {SearchIndex} index
+ * @param {string} query
+ * @returns {SearchResultGroup[]}
+ */
+export function search(index, query, { limit = 20 } = {}) {
+  const expanded = expandQuery(index, query);
+  if (expanded.length === 0) return [];
+
+  const n = index.docs.length;
+  /** @type {Map<number, { score: number, matched: Set<number> }>} */
+  const scores = new Map();
+  expanded.forEach(({ matches }, q) => {
+    for (const term of matches) {
+      const postings = index.terms[term];
+      const df = postings.length / 2;
+      const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+      for (let p = 0; p < postings.length; p += 2) {
+        const [doc, tf] = [postings[p], postings[p + 1]];
+        const norm = 1 - B + B * index.lengths[doc] / index.averageLength;
+        const entry = scores.get(doc) ?? { score: 0, matched: new Set() };
+        entry.score += idf * tf * (K1 + 1) / (tf + K1 * norm);
+        entry.matched.add(q);
+        scores.set(doc, entry);
+      }
+    }
+  });
+
+  const isMatch = matcher(expanded);
+  const ranked = [...scores]
+    .map(([doc, { score, matched }]) => ({ doc, score: score * (matched.size / expanded.length) ** 2 }))
+    .sort((a, b) => b.score - a.score || a.doc - b.doc)
+    .filter((hit, _, [best]) => hit.score >= best.score * MIN_RELATIVE_SCORE)
+    .slice(0, limit);
+
+  /** @type {Map<string, SearchResultGroup>} */
+  const groups = new Map();
+  for (const { doc: i, score } of ranked) {
+    const doc = index.docs[i];
+    if (!groups.has(doc.group)) groups.set(doc.group, { id: doc.group, group: index.groups[doc.group], hits: [] });
+    groups.get(doc.group).hits.push({ doc, score, snippet: snippet(doc.text, isMatch) });
+  }
+  return [...groups.values()];
+}
+
+/** Whether a word (as words() returns it) matches one of the query's words. */
+function matcher(expanded) {
+  const stems = new Set(expanded.map(e => e.term));
+  const prefixes = expanded.map(e => e.prefix).filter(p => p && p.length >= 2);
+  return word => stems.has(stem(word)) || prefixes.some(p => word.startsWith(p));
+}
+
+/**
+ * The stretch of `text` with the most matching words, about `maxWords`
+ * long, as plain and marked segments. Starts a few words before the first
+ * match so it reads as a sentence; "…" marks a cut.
+ * @param {string} text
+ * @param {(word: string) => boolean} isMatch
+ * @returns {{ text: string, mark: boolean }[]}
+ */
+export function snippet(text, isMatch, maxWords = 28) {
+  const all = words(text);
+  if (all.length === 0) return [];
+  const hits = all.map(w => isMatch(w.word));
+
+  let best = 0;
+  let bestCount = -1;
+  for (let start = 0; start < all.length; start++) {
+    if (!hits[start]) continue;
+    const count = hits.slice(start, start + maxWords).filter(Boolean).length;
+    if (count > bestCount) [best, bestCount] = [start, count];
+  }
+  const first = Math.max(0, Math.min(best - 6, all.length - maxWords));
+  const last = Math.min(all.length, first + maxWords) - 1;
+
+  const segments = [];
+  const push = (text, mark) => {
+    if (!text) return;
+    const prev = segments.at(-1);
+    if (prev && prev.mark === mark) prev.text += text;
+    else segments.push({ text, mark });
+  };
+  if (first > 0) push('…', false);
+  let at = all[first].start;
+  for (let i = first; i <= last; i++) {
+    if (!hits[i]) continue;
+    push(text.slice(at, all[i].start), false);
+    push(text.slice(all[i].start, all[i].end), true);
+    at = all[i].end;
+  }
+  push(text.slice(at, last === all.length - 1 ? text.length : all[last].end), false);
+  if (last < all.length - 1) push('…', false);
+  return segments;
+}
+
+// ---------------------------------------------------------------------------
+// Rendering
+// ---------------------------------------------------------------------------
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const MARK_CLASS = 'bg-accent/20 text-text-primary rounded-sm px-0.5';
+
+function snippetHtml(segments) {
+  return segments.map(s => (s.mark ? `<mark class="${MARK_CLASS}">${escapeHtml(s.text)}</mark>` : escapeHtml(s.text))).join('');
+}
+
+const hitTitle = doc => escapeHtml(doc.label ? `${doc.label} — ${doc.title}` : doc.title);
+
+/** The /search URL for a query, for "See all results" and the form. */
+export function searchUrl(query) {
+  return `/search?q=${encodeURIComponent(query.trim())}`;
+}
+
+/**
+ * Results as HTML: the /search page's list, or with `compact` the header
+ * dropdown's options (role="option", ids `search-option-<n>`, for
+ * aria-activedescendant) followed by a "See all results" link.
+ * @param {SearchResultGroup[]} results
+ * @param {string} query
+ */
+export function renderResults(results, query, { compact = false } = {}) {
+  const q = escapeHtml(query.trim());
+  if (compact) {
+    if (results.length === 0) return `<p class="px-4 py-3 text-sm text-text-muted">No results for “${q}”</p>`;
+    let option = 0;
+    const groups = results.map(({ id, group, hits }) => `
+      <div role="group" aria-labelledby="search-group-${escapeHtml(id)}">
+        <p id="search-group-${escapeHtml(id)}" class="px-4 pt-3 pb-1 text-xs font-semibold uppercase tracking-widest text-accent">${escapeHtml(group.title)}</p>
+        ${hits.map(({ doc, snippet }) => `
+        <a role="option" id="search-option-${option++}" href="${escapeHtml(doc.url)}" aria-selected="false" class="block px-4 py-2 aria-selected:bg-white/5 hover:bg-white/5">
+          <span class="block text-sm text-text-primary">${hitTitle(doc)}</span>
+          <span class="block text-xs text-text-muted line-clamp-2">${snippetHtml(snippet)}</span>
+        </a>`).join('')}
+      </div>`).join('');
+    return `${groups}
+      <a role="option" id="search-option-${option}" href="${escapeHtml(searchUrl(query))}" aria-selected="false" class="block px-4 py-3 border-t border-white/5 text-sm text-accent aria-selected:bg-white/5 hover:bg-white/5">See all results</a>`;
+  }
+
+  if (results.length === 0) {
+    return `<p class="text-text-body">No results for “${q}”. Try a song title, a mood, or fewer words.</p>`;
+  }
+  const count = results.reduce((sum, g) => sum + g.hits.length, 0);
+  return `<p class="text-sm text-text-muted mb-8">${count} result${count === 1 ? '' : 's'} for “${q}”</p>
+    <div class="space-y-10">${results.map(({ group, hits }) => `
+      <section>
+        <h2 class="font-display text-xl font-semibold text-text-primary">
+          <a href="${escapeHtml(group.url)}" class="hover:text-accent transition-colors duration-200">${escapeHtml(group.title)}</a>
+          <span class="ml-2 text-xs font-normal text-text-muted">${escapeHtml(group.meta)}</span>
+        </h2>
+        <ul class="mt-4 space-y-5">${hits.map(({ doc, snippet }) => `
+          <li>
+            <a href="${escapeHtml(doc.url)}" class="text-sm font-medium text-accent hover:text-accent-light transition-colors duration-200">${hitTitle(doc)}</a>
+            <p class="mt-1 text-sm text-text-body leading-relaxed">${snippetHtml(snippet)}</p>
+          </li>`).join('')}
+        </ul>
+      </section>`).join('')}
+    </div>`;
+}
+
+/**
+ * Renders the results for `query` into the built /search page: into the
+ * `<!--search-results-->` placeholder, with the query filled into the
+ * `data-search-input` field. Used by the edge function so the page works
+ * without JavaScript.
+ * @param {string} html
+ * @param {string} query
+ * @param {SearchIndex} index
+ */
+export function fillSearchPage(html, query, index) {
+  if (!query.trim()) return html;
+  return html
+    .replace('<!--search-results-->', () => renderResults(search(index, query), query))
+    .replace(/<input\b[^>]*?\sdata-search-input/, tag => `${tag} value="${escapeHtml(query)}"`);
+}
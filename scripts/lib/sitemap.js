@@ -0,0 +1,46 @@
+/**
+ * sitemap.js
+ * Writes dist/sitemap.xml from the pages Astro built (see astro.config.mjs).
+ *
+ * Only real HTML pages go in: endpoints (feeds, the JSON API) have no
+ * index.html, and the redirect pages left at old URLs are skipped.
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { escapeXml } from './feeds.js';
+
+/**
+ * Absolute URLs of the indexable pages among `pathnames` (as Astro reports
+ * them: '' for the homepage, 'releases/stinger/' for the rest), sorted.
+ */
+export function sitemapUrls(distDir, pathnames, site) {
+  return [...new Set(pathnames)]
+    .filter(pathname => {
+      const file = join(distDir, pathname, 'index.html');
+      if (!existsSync(file)) return false;
+      const html = readFileSync(file, 'utf-8');
+      return !/<meta\s+http-equiv="refresh"/i.test(html) && !/<meta\s+name="robots"\s+content="[^"]*noindex/i.test(html);
+    })
+    // Trailing slash, matching the canonical URLs in BaseLayout
+    .map(pathname => pathname.replace(/^\/+|\/+$/g, ''))
+    .map(path => new URL(path ? `/${path}/` : '/', site).href)
+    .sort();
+}
+
+export function sitemapXml(urls) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls.map(url => `  <url><loc>${escapeXml(url)}</loc></url>`),
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+/** Writes sitemap.xml into distDir and returns the number of URLs in it. */
+export function writeSitemap(distDir, pathnames, site) {
+  const urls = sitemapUrls(distDir, pathnames, site);
+  writeFileSync(join(distDir, 'sitemap.xml'), sitemapXml(urls));
+  return urls.length;
+}
@@ -0,0 +1,70 @@
+/**
+ * smart-links.js
+ * The platforms a release can be opened in, shared by the /go/<slug>
+ * smart-link pages (src/pages/go/[slug].astro) and the short redirects to
+ * each platform (/go/<slug>/spotify) written to dist/_redirects after the
+ * build (see astro.config.mjs).
+ */
+
+import { writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+/** In the order they're listed on the smart-link page. */
+export const PLATFORMS = [
+  { id: 'spotify', label: 'Spotify', url: release => release.spotifyUrl },
+  { id: 'apple', label: 'Apple Music', url: release => release.appleMusicUrl },
+  { id: 'amazon', label: 'Amazon Music', url: release => release.amazonMusicUrl },
+  { id: 'youtube', label: 'YouTube', url: release => release.youtubePlaylistUrl ?? release.youtubeUrl },
+];
+
+export function smartLinkPath(slug) {
+  return `/go/${slug}`;
+}
+
+/**
+ * @typedef {object} PlatformLink
+ * @property {string} id     key of PLATFORMS, also the redirect's last path segment
+ * @property {string} label
+ * @property {string} url    the release on that platform
+ */
+
+/**
+ * The platforms `release` is available on.
+ * @returns {PlatformLink[]}
+ */
+export function platformLinks(release) {
+  return PLATFORMS
+    .map(({ id, label, url }) => ({ id, label, url: url(release) }))
+    .filter(link => link.url);
+}
+
+// ---------------------------------------------------------------------------
+// Netlify _redirects
+// ---------------------------------------------------------------------------
+
+/**
+ * One 302 per platform, then a catch-all sending platforms the release isn't
+ * on (or typos) back to its smart-link page. 302 so a changed platform URL
+ * isn't stuck in browser caches.
+ * @param {{ slug: string, release: object }[]} entries
+ */
+export function redirectRules(entries) {
+  return entries.flatMap(({ slug, release }) => {
+    const path = smartLinkPath(slug);
+    return [
+      ...platformLinks(release).map(link => `${path}/${link.id}  ${link.url}  302`),
+      `${path}/*  ${path}/  302`,
+    ];
+  });
+}
+
+export function redirectsFile(entries) {
+  return ['# Generated by scripts/lib/smart-links.js at build time', ...redirectRules(entries), ''].join('\n');
+}
+
+/** Writes _redirects into distDir and returns the number of rules in it. */
+export function writeRedirects(distDir, entries) {
+  const rules = redirectRules(entries);
+  writeFileSync(join(distDir, '_redirects'), redirectsFile(entries));
+  return rules.length;
+}
@@ -0,0 +1,167 @@
+/**
+ * song-scaffold.js
+ * Works out which releases and tracks in releases.json have no song page in
+ * src/content/songs/ yet, and writes those pages: frontmatter copied from
+ * releases.json, plus the Q&A headings the existing pages use, with the
+ * answers filled in when there are any. Used by scripts/new-song.js.
+ */
+
+import { existsSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { SONGS_DIR } from './content-check.js';
+import { slugify } from './platform-sync.js';
+import { isUpcoming } from './upcoming.js';
+
+/** The questions every single and EP/album track page answers. */
+export const SONG_QUESTIONS = [
+  "What's the song about?",
+  'Where did the idea come from?',
+  'How did it come together in the studio/production?',
+  'Favourite moment in the track',
+  'One thing listeners might miss',
+  "Any lyrics you're especially proud of?",
+];
+
+const TYPE_LABELS = { ep: 'EP', album: 'album' };
+
+/** The questions for the page about an EP/album as a whole. */
+export function releaseQuestions(release) {
+  const label = TYPE_LABELS[release.type];
+  return [
+    `What is this ${label} about as a whole?`,
+    'What does the title mean?',
+    'Why these tracks together?',
+    `How did the ${label} come together?`,
+    'The artwork',
+    'One thing listeners might miss',
+  ];
+}
+
+// ---------------------------------------------------------------------------
+// Missing pages
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {object} MissingSong
+ * @property {string} slug         file name without .md
+ * @property {string} title
+ * @property {object} release
+ * @property {number | null} trackNumber  null for the page about a whole EP/album
+ * @property {string[]} questions
+ */
+
+/**
+ * Every release and track without a song page, newest release first.
+ * Slugs follow the existing pages: a single or track is its slugified title,
+ * an EP/album's own page adds its type ("year-until-the-fall-ep"). A slug
+ * that's taken gets the release type, then a number, appended.
+ * @param {object[]} releases
+ * @param {{ slug: string, data: { releaseId: string, trackNumber?: number | null } }[]} songs  from loadSongs()
+ * @returns {MissingSong[]}
+ */
+export function missingSongs(releases, songs) {
+  const taken = new Set(songs.map(s => s.slug));
+  const has = (release, trackNumber) =>
+    songs.some(({ data }) =>
+      data.releaseId === release.id &&
+      // A single's page is its page whatever trackNumber it has
+      (release.type === 'single' || (data.trackNumber ?? null) === trackNumber)
+    );
+  const claim = (base, type) => {
+    let slug = base;
+    if (taken.has(slug)) slug = `${base}-${type}`;
+    for (let n = 2; taken.has(slug); n++) slug = `${base}-${n}`;
+    taken.add(slug);
+    return slug;
+  };
+
+  const missing = [];
+  for (const release of [...releases].sort((a, b) => b.releaseDate.localeCompare(a.releaseDate))) {
+    if (release.type === 'single') {
+      if (has(release, 1)) continue;
+      const title = release.tracks[0]?.title ?? release.title;
+      missing.push({ slug: claim(slugify(title), release.type), title, release, trackNumber: 1, questions: SONG_QUESTIONS });
+      continue;
+    }
+    if (!has(release, null)) {
+      const slug = claim(`${slugify(release.title)}-${release.type}`, release.type);
+      missing.push({ slug, title: release.title, release, trackNumber: null, questions: releaseQuestions(release) });
+    }
+    for (const track of release.tracks) {
+      if (has(release, track.trackNumber)) continue;
+      const slug = claim(slugify(track.title), release.type);
+      missing.push({ slug, title: track.title, release, trackNumber: track.trackNumber, questions: SONG_QUESTIONS });
+    }
+  }
+  return missing;
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+/**
+ * The page's markdown. Questions with an answer in `answers` get it below
+ * their heading; without any answers every heading is left empty to fill in.
+ * Once there are answers, unanswered questions are left out.
+ * @param {MissingSong} song
+ * @param {Record<string, string>} [answers]  question → answer
+ */
+export function songMarkdown(song, answers = {}) {
+  const { release, title, trackNumber, questions } = song;
+  const wholeRelease = trackNumber === null;
+  const frontmatter = [
+    `releaseId: ${JSON.stringify(release.id)}`,
+    `title: ${JSON.stringify(title)}`,
+    `type: ${release.type}`,
+    `trackNumber: ${trackNumber ?? 'null'}`,
+    `releaseDate: ${JSON.stringify(release.releaseDate)}`,
+    'genres: []',
+    'themes: []',
+    'mood: []',
+    // BPM and key describe one piece of music, not an EP as a whole
+    ...(wholeRelease ? [] : ['bpm: null', 'key: ""']),
+    // Written before the release is out: keep the notes off the site until it is
+    ...(isUpcoming(release) ? ['embargo: true'] : []),
+  ];
+  const answered = Object.values(answers).some(a => a.trim());
+  const sections = questions
+    .filter(q => !answered || answers[q]?.trim())
+    .map(q => `## ${q}\n\n${answered ? `${answers[q].trim()}\n\n` : ''}`);
+  const heading = wholeRelease ? `# ${release.type === 'ep' ? 'EP' : 'Album'} Q&A` : '# Song Q&A';
+  return `---\n${frontmatter.join('\n')}\n---\n\n${heading}\n\n${sections.join('')}`.replace(/\n+$/, '\n');
+}
+
+/** Writes src/content/songs/<slug>.md and returns its path; never overwrites. */
+export function writeSong(song, answers, dir = SONGS_DIR) {
+  const path = join(dir, `${song.slug}.md`);
+  if (existsSync(path)) throw new Error(`${path} already exists`);
+  writeFileSync(path, songMarkdown(song, answers));
+  return path;
+}
+
+// ---------------------------------------------------------------------------
+// Interview
+// ---------------------------------------------------------------------------
+
+/**
+ * Asks each question and collects the answers. An answer can run over
+ * several lines, each its own paragraph, and ends at an empty line; an
+ * empty first line skips the question.
+ * @param {string[]} questions
+ * @param {(prompt: string) => Promise<string>} ask  e.g. createPrompt().ask
+ * @returns {Promise<Record<string, string>>}
+ */
+export async function interview(questions, ask) {
+  const answers = {};
+  for (const question of questions) {
+    const lines = [];
+    let line = await ask(`\n${question}\n> `);
+    while (line.trim() !== '') {
+      lines.push(line.trimEnd());
+      line = await ask('> ');
+    }
+    if (lines.length > 0) answers[question] = lines.join('\n\n');
+  }
+  return answers;
+}
@@ -0,0 +1,190 @@
+/**
+ * song-tags.js
+ * Proposes mood/genre/theme tags for a song page from its Q&A and the artist
+ * profile, using only the controlled vocabulary in src/data/tags.yaml, and
+ * writes accepted tags back into the page's frontmatter. Used by
+ * scripts/tag-songs.js; the vocabulary is also checked by content-check.js.
+ *
+ * The model client is passed in (anything with the Anthropic SDK's
+ * `messages.create`), so tests can use a stub.
+ */
+
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import YAML from 'yaml';
+import { ROOT, slugify } from './platform-sync.js';
+import { setFrontmatter } from './frontmatter.js';
+
+export const VOCABULARY_PATH = join(ROOT, 'src', 'data', 'tags.yaml');
+
+export const MODEL = 'claude-sonnet-4-6';
+
+/** Frontmatter fields, in the order they appear in song pages. */
+export const TAG_FIELDS = ['genres', 'themes', 'mood'];
+
+/** Most tags proposed per field, so each tag page stays meaningful. */
+export const MAX_TAGS = { genres: 2, themes: 3, mood: 3 };
+
+/**
+ * @typedef {{ genres: string[], themes: string[], mood: string[] }} Tags
+ */
+
+/** Reads src/data/tags.yaml. Missing lists are empty. */
+export function loadVocabulary(file = VOCABULARY_PATH) {
+  const data = YAML.parse(readFileSync(file, 'utf-8')) ?? {};
+  return Object.fromEntries(TAG_FIELDS.map(field => [field, (data[field] ?? []).map(String)]));
+}
+
+/**
+ * The vocabulary's spelling of `label`, matched the way tag pages are (by
+ * slug, so "night drive" finds "Night drive"), or null if it isn't there.
+ */
+export function canonicalTag(vocabulary, field, label) {
+  const slug = slugify(String(label));
+  return vocabulary[field].find(tag => slugify(tag) === slug) ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Proposing
+// ---------------------------------------------------------------------------
+
+/** The Q&A without the frontmatter and the headings nobody answered. */
+export function songAnswers(raw) {
+  const body = raw.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n?/, '').trimStart();
+  return body
+    .split(/^(?=## )/m)
+    .filter(section => !section.startsWith('## ') || section.replace(/^## .*\n?/, '').trim())
+    .join('')
+    .replace(/^# .*\n+/, '')
+    .trim();
+}
+
+/**
+ * The request for one song. The artist profile gives the model the sound
+ * the songs share; the song's own answers decide its tags.
+ * @param {{ title: string, answers: string, profile: { data: { genres: string[] }, body: string }, vocabulary: Tags }} input
+ */
+export function tagRequest({ title, answers, profile, vocabulary }, model = MODEL) {
+  const lists = TAG_FIELDS
+    .map(field => `${field} (at most ${MAX_TAGS[field]}): ${vocabulary[field].map(t => JSON.stringify(t)).join(', ')}`)
+    .join('\n');
+  return {
+    model,
+    max_tokens: 512,
+    system: 'You tag songs for a musician\'s website. Reply with a single JSON object and nothing else.',
+    messages: [{
+      role: 'user',
+      content: `Tag the song "${title}" by Jade Three.
+
+Choose tags only from these lists, spelled exactly as shown:
+${lists}
+
+Rules:
+- Base the tags on what the artist says about this song; use the profile only for the overall sound
+- Leave a list empty rather than guess — a theme must be something the answers talk about
+- If a tag you'd want isn't in the lists, put it in "missing" instead
+
+Reply with: {"genres": [...], "themes": [...], "mood": [...], "missing": [...]}
+
+Artist profile (genres: ${profile.data.genres.join(', ') || 'none listed'}):
+${profile.body.trim()}
+
+Song Q&A:
+${answers}`,
+    }],
+  };
+}
+
+/**
+ * Tags typed during review ("Dreamy, night drive"), in the vocabulary's
+ * spelling. Labels it doesn't know are returned in `unknown`.
+ */
+export function parseTagList(text, vocabulary, field) {
+  const tags = [];
+  const unknown = [];
+  for (const label of text.split(',').map(l => l.trim()).filter(Boolean)) {
+    const tag = canonicalTag(vocabulary, field, label);
+    if (!tag) unknown.push(label);
+    else if (!tags.includes(tag)) tags.push(tag);
+  }
+  return { tags, unknown };
+}
+
+/**
+ * Reads the model's reply. Tags are matched to the vocabulary's spelling;
+ * anything outside it is returned in `rejected`, never in `tags`.
+ * @returns {{ tags: Tags, rejected: { field: string, label: string }[], missing: string[] }}
+ */
+export function parseProposal(text, vocabulary) {
+  const json = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  let reply;
+  try {
+    reply = JSON.parse(json);
+  } catch {
+    throw new Error(`Model reply isn't a JSON object: ${text.slice(0, 200)}`);
+  }
+
+  const tags = {};
+  const rejected = [];
+  for (const field of TAG_FIELDS) {
+    tags[field] = [];
+    for (const label of Array.isArray(reply[field]) ? reply[field] : []) {
+      const tag = canonicalTag(vocabulary, field, label);
+      if (!tag) rejected.push({ field, label: String(label) });
+      else if (!tags[field].includes(tag) && tags[field].length < MAX_TAGS[field]) tags[field].push(tag);
+    }
+  }
+  const missing = Array.isArray(reply.missing) ? reply.missing.map(String) : [];
+  return { tags, rejected, missing };
+}
+
+/**
+ * Asks the model for one song's tags.
+ * @param {{ messages: { create(params: object): Promise<{ content: { type: string, text?: string }[] }> } }} client
+ * @param {Parameters<typeof tagRequest>[0]} input
+ */
+export async function proposeTags(client, input, { model = MODEL } = {}) {
+  const message = await client.messages.create(tagRequest(input, model));
+  const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+  return parseProposal(text, input.vocabulary);
+}
+
+// ---------------------------------------------------------------------------
+// Diff
+// ---------------------------------------------------------------------------
+
+/** The fields whose proposed tags differ from the page's, as { field, from, to }. */
+export function tagChanges(current, proposed) {
+  const sameTags = (a, b) => a.length === b.length && a.every(tag => b.includes(tag));
+  return TAG_FIELDS
+    .map(field => ({ field, from: current[field] ?? [], to: proposed[field] }))
+    .filter(({ from, to }) => !sameTags(from, to));
+}
+
+/**
+ * Renders one song's changes like the sync diff: "-" the page's tags, "+"
+ * the proposal, with "!" on lines that replace tags someone already chose.
+ */
+export function formatTagDiff(slug, changes, indent = '  ') {
+  const lines = [`${indent}${slug}`];
+  for (const { field, from, to } of changes) {
+    const flag = from.length > 0 ? '!' : ' ';
+    lines.push(`${indent}${flag} - ${field}: ${JSON.stringify(from)}`);
+    lines.push(`${indent}${flag} + ${field}: ${JSON.stringify(to)}`);
+  }
+  return lines.join('\n');
+}
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+/**
+ * Sets tag fields in a song page's frontmatter, changing only their lines
+ * (see setFrontmatter()). A missing field is added before `bpm:`.
+ * @param {string} raw  the whole .md file
+ * @param {Partial<Tags>} tags
+ */
+export function setFrontmatterTags(raw, tags) {
+  return setFrontmatter(raw, tags, { before: 'bpm' });
+}
@@ -0,0 +1,112 @@
+/**
+ * upcoming.js
+ * Releases announced before they're out: which ones are still upcoming, the
+ * countdown and pre-save links shown in place of the players
+ * (src/components/ComingSoon.astro), song notes under embargo, and the
+ * release-day rebuild run by netlify/functions/release-day-build.mjs.
+ *
+ * A release is upcoming while it has `status: "upcoming"` in releases.json
+ * and its releaseDate is after the build date, so a build on the day flips
+ * its pages to live without editing anything. `npm run sync` then sets the
+ * status to "released".
+ */
+
+/** Today's date in UTC as YYYY-MM-DD, the date builds and checks compare releaseDate with. */
+export function today(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+/** Whether `release` is announced but not out as of `date`. */
+export function isUpcoming(release, date = today()) {
+  return release.status === 'upcoming' && release.releaseDate > date;
+}
+
+/**
+ * Whether a song page's notes are held back: it has `embargo: true` and its
+ * release is still upcoming.
+ * @param {{ data: { releaseId: string, embargo?: boolean } }} song
+ * @param {object[]} releases
+ */
+export function isEmbargoed(song, releases, date = today()) {
+  if (!song.data.embargo) return false;
+  const release = releases.find(r => r.id === song.data.releaseId);
+  return release !== undefined && isUpcoming(release, date);
+}
+
+/**
+ * Upcoming releases whose date has come, which `npm run sync` marks
+ * "released". Sets the status in place and returns them.
+ */
+export function markReleased(data, date = today()) {
+  const released = data.releases.filter(r => r.status === 'upcoming' && r.releaseDate <= date);
+  for (const release of released) release.status = 'released';
+  return released;
+}
+
+// ---------------------------------------------------------------------------
+// Coming-soon card
+// ---------------------------------------------------------------------------
+
+/**
+ * Where fans can pre-save: the distributor's pre-save page, then each
+ * platform's pre-release page as far as releases.json has one.
+ * @returns {{ id: string, label: string, url: string }[]}
+ */
+export function preSaveLinks(release) {
+  return [
+    { id: 'presave', label: 'Pre-save', url: release.preSaveUrl },
+    { id: 'spotify', label: 'Pre-save on Spotify', url: release.spotifyUrl },
+    { id: 'apple', label: 'Pre-add on Apple Music', url: release.appleMusicUrl },
+    { id: 'amazon', label: 'Pre-save on Amazon Music', url: release.amazonMusicUrl },
+  ].filter(link => link.url);
+}
+
+/**
+ * When the release goes live: midnight UTC at the start of the release date,
+ * the same day boundary as `today()`, so the countdown ends just before the
+ * release-day build swaps in the player.
+ */
+export function releaseStart(releaseDate) {
+  return new Date(`${releaseDate}T00:00:00Z`);
+}
+
+/**
+ * Whole days, hours, minutes and seconds from `now` until `target`, or null
+ * once it's passed.
+ * @param {Date} target
+ * @param {Date} [now]
+ * @returns {{ days: number, hours: number, minutes: number, seconds: number } | null}
+ */
+export function countdown(target, now = new Date()) {
+  const total = Math.floor((target.getTime() - now.getTime()) / 1000);
+  if (total <= 0) return null;
+  return {
+    days: Math.floor(total / 86400),
+    hours: Math.floor(total / 3600) % 24,
+    minutes: Math.floor(total / 60) % 60,
+    seconds: total % 60,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Release-day build
+// ---------------------------------------------------------------------------
+
+/**
+ * Rebuilds the site when a release it still shows as upcoming is due. Reads
+ * the deployed /api/v1/releases.json, so once the rebuild is live nothing is
+ * due and later runs do nothing. Returns the titles that triggered a build.
+ * @param {{ siteUrl: string, buildHookUrl: string, date?: string, fetch?: typeof fetch }} options
+ * @returns {Promise<string[]>}
+ */
+export async function triggerReleaseBuild({ siteUrl, buildHookUrl, date = today(), fetch = globalThis.fetch }) {
+  const res = await fetch(new URL('/api/v1/releases.json', siteUrl));
+  if (!res.ok) throw new Error(`/api/v1/releases.json: ${res.status}`);
+  const { releases } = await res.json();
+  const due = releases.filter(r => r.status === 'upcoming' && r.releaseDate <= date).map(r => r.title);
+  if (due.length === 0) return [];
+
+  const hook = await fetch(buildHookUrl, { method: 'POST' });
+  if (!hook.ok) throw new Error(`Build hook failed: ${hook.status}`);
+  return due;
+}
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Lints every clip in clips.yaml and records the results on each clip.
+ *
+ * Usage:
+ *   node scripts/lint-clips.mjs                 # lint all clips, write `lint:` annotations
+ *   node scripts/lint-clips.mjs --slug stinger  # one song's clips (compared against all)
+ *   node scripts/lint-clips.mjs --no-write      # print only, leave clips.yaml alone
+ *   node scripts/lint-clips.mjs --strict        # exit 1 if any approved clip has issues
+ *
+ * Checks (see scripts/lib/clip-lint.mjs): length in graphemes, duplicate or
+ * near-duplicate clips, missing or wrong URL, wrong pronouns in third-person
+ * clips, and quotes that aren't in the song's interview.
+ *
+ * A clip with issues gets them listed under `lint:`; a clean clip has no
+ * `lint:` field. Unapproved clean clips are listed at the end as suggested
+ * approvals.
+ */
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { openClipStore, withClipStore } from './lib/clip-store.mjs';
+import { lintStore } from './lib/clip-lint.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.join(__dirname, '..');
+// Overridable so tests can run against fixture files
+const CLIPS_FILE = process.env.CLIPS_FILE ?? path.join(ROOT, 'clips.yaml');
+
+function argValue(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+const NO_WRITE = process.argv.includes('--no-write');
+const STRICT = process.argv.includes('--strict');
+const SLUG_FILTER = argValue('--slug');
+
+function report(results) {
+  for (const { id, approved, issues } of results) {
+    if (issues.length === 0) continue;
+    console.log(`${id}${approved ? ' (approved)' : ''}`);
+    for (const issue of issues) console.log(`  ✗ ${issue}`);
+  }
+
+  const flagged = results.filter(r => r.issues.length > 0);
+  const suggested = results.filter(r => r.issues.length === 0 && !r.approved);
+  console.log(`\n${results.length} clip(s) checked, ${flagged.length} with issues.`);
+  if (suggested.length > 0) {
+    console.log(`\nSuggested for approval (unapproved, no issues): ${suggested.length}`);
+    console.log(`  ${suggested.map(r => r.id).join(', ')}`);
+  }
+  return flagged;
+}
+
+async function main() {
+  const slugs = SLUG_FILTER ? [SLUG_FILTER] : null;
+  const results = NO_WRITE
+    ? lintStore(openClipStore(CLIPS_FILE), { slugs })
+    : await withClipStore(CLIPS_FILE, store => lintStore(store, { slugs }));
+
+  if (SLUG_FILTER && results.length === 0) {
+    console.error(`No clips for slug: ${SLUG_FILTER}`);
+    process.exit(1);
+  }
+
+  const flagged = report(results);
+  if (!NO_WRITE) console.log(`\nclips.yaml updated with lint annotations.`);
+  if (STRICT && flagged.some(r => r.approved)) process.exit(1);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,31 @@
+/**
+ * Buttondown list: adds the address through the subscribers API. With
+ * double opt-in on (Settings → Subscribing) Buttondown sends the
+ * confirmation email and only mails the subscriber once it's clicked.
+ *
+ * No `confirm`: opt-in is Buttondown's own, so the signup endpoint doesn't
+ * sign a link of ours and /newsletter/confirm turns tokens away.
+ *
+ * Env: BUTTONDOWN_API_KEY (Settings → API)
+ */
+
+export default {
+  name: 'buttondown',
+  requiredEnv: ['BUTTONDOWN_API_KEY'],
+
+  async subscribe(email, env) {
+    const res = await fetch('https://api.buttondown.com/v1/subscribers', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Token ${env.BUTTONDOWN_API_KEY}`,
+      },
+      body: JSON.stringify({ email_address: email, type: 'unactivated' }),
+    });
+    if (res.ok) return;
+    const body = await res.text();
+    // Already on the list (confirmed or not): nothing to do
+    if (res.status === 400 && /already/i.test(body)) return;
+    throw new Error(`Buttondown subscribe failed: ${res.status} ${body}`);
+  },
+};
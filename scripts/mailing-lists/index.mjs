@@ -0,0 +1,27 @@
+/**
+ * Registry of the mailing lists the newsletter signup can add fans to.
+ * MAILING_LIST picks one; netlify/functions/newsletter.mjs and the dev server
+ * (astro.config.mjs) both go through scripts/lib/newsletter.js.
+ *
+ * A list is { name, requiredEnv, subscribe(email, env, { confirmUrl }), confirm?(email, env) }.
+ * `subscribe` starts double opt-in and resolves once the confirmation email
+ * is on its way. Lists that send their own (Buttondown, Mailchimp) add the
+ * address as unconfirmed and ignore `confirmUrl`. Lists with `confirm` send
+ * `confirmUrl`, which carries a signed token, and have `confirm` called when
+ * it's followed. Either way the fan isn't told whether they were already on
+ * the list.
+ */
+
+import buttondown from './buttondown.mjs';
+import mailchimp from './mailchimp.mjs';
+import local from './local.mjs';
+
+export const mailingLists = [buttondown, mailchimp, local];
+
+export function getMailingList(name) {
+  return mailingLists.find(l => l.name === name) ?? null;
+}
+
+export function isConfigured(list, env) {
+  return list.requiredEnv.every(key => env[key]);
+}
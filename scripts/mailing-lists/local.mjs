@@ -0,0 +1,55 @@
+/**
+ * Local list for development and tests: a JSON file holding the confirmed
+ * subscribers, the pending addresses and an outbox of the confirmation
+ * emails that would have been sent. Open the confirmUrl from the outbox to
+ * finish signing up.
+ *
+ * Env: MAILING_LIST_FILE (optional, default .mailing-list.json in the project root),
+ *      MAILING_LIST_SECRET (signs the confirmation links)
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { ROOT } from '../lib/platform-sync.js';
+
+const DEFAULT_FILE = join(ROOT, '.mailing-list.json');
+
+export function readList(file = DEFAULT_FILE) {
+  const list = existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : {};
+  return { subscribers: [], pending: [], outbox: [], ...list };
+}
+
+function update(env, change) {
+  const file = env.MAILING_LIST_FILE ?? DEFAULT_FILE;
+  const list = readList(file);
+  change(list);
+  writeFileSync(file, JSON.stringify(list, null, 2) + '\n');
+}
+
+export default {
+  name: 'local',
+  requiredEnv: ['MAILING_LIST_SECRET'],
+
+  async subscribe(email, env, { confirmUrl }) {
+    update(env, list => {
+      if (list.subscribers.some(s => s.email === email)) return;
+      const now = new Date().toISOString();
+      if (!list.pending.some(p => p.email === email)) list.pending.push({ email, requestedAt: now });
+      list.outbox.push({
+        to: email,
+        subject: 'Confirm your Jade Three newsletter signup',
+        confirmUrl,
+        sentAt: now,
+      });
+    });
+  },
+
+  async confirm(email, env) {
+    update(env, list => {
+      list.pending = list.pending.filter(p => p.email !== email);
+      if (!list.subscribers.some(s => s.email === email)) {
+        list.subscribers.push({ email, confirmedAt: new Date().toISOString() });
+      }
+    });
+  },
+};
@@ -0,0 +1,33 @@
+/**
+ * Mailchimp list (audience): upserts the member as "pending", which makes
+ * Mailchimp send its opt-in confirmation email. Members who are already
+ * subscribed or unsubscribed keep their status.
+ *
+ * No `confirm`: opt-in is Mailchimp's own, so the signup endpoint doesn't
+ * sign a link of ours and /newsletter/confirm turns tokens away.
+ *
+ * Env: MAILCHIMP_API_KEY (Profile → Extras → API keys; ends in the data
+ *      center, e.g. -us21), MAILCHIMP_LIST_ID (Audience → Settings → Audience ID)
+ */
+
+import { createHash } from 'node:crypto';
+
+export default {
+  name: 'mailchimp',
+  requiredEnv: ['MAILCHIMP_API_KEY', 'MAILCHIMP_LIST_ID'],
+
+  async subscribe(email, env) {
+    const dataCenter = env.MAILCHIMP_API_KEY.split('-').at(-1);
+    // Members are addressed by the MD5 of the lowercased address
+    const member = createHash('md5').update(email.toLowerCase()).digest('hex');
+    const res = await fetch(`https://${dataCenter}.api.mailchimp.com/3.0/lists/${env.MAILCHIMP_LIST_ID}/members/${member}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Basic ${Buffer.from(`jade-three:${env.MAILCHIMP_API_KEY}`).toString('base64')}`,
+      },
+      body: JSON.stringify({ email_address: email, status_if_new: 'pending' }),
+    });
+    if (!res.ok) throw new Error(`Mailchimp subscribe failed: ${res.status} ${await res.text()}`);
+  },
+};
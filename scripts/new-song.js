@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * new-song.js
+ * Creates song pages in src/content/songs/ for the releases and tracks in
+ * releases.json that don't have one, with the frontmatter copied over so it
+ * can't disagree with releases.json.
+ *
+ * Usage:
+ *   npm run new-song                        # list the missing pages and their slugs
+ *   npm run new-song -- <slug> [<slug>...]  # write those pages
+ *   npm run new-song -- --all               # write every missing page
+ *   npm run new-song -- <slug> --interview  # answer the Q&A in the terminal first
+ *
+ * Without --interview each page gets the standard Q&A headings to fill in;
+ * delete the ones you don't answer. In the interview, end an answer with an
+ * empty line, or press enter straight away to skip the question.
+ */
+
+import { relative } from 'node:path';
+import { createPrompt, loadReleases, ROOT } from './lib/platform-sync.js';
+import { loadSongs } from './lib/content-check.js';
+import { interview, missingSongs, writeSong } from './lib/song-scaffold.js';
+
+const args = process.argv.slice(2);
+const slugs = args.filter(a => !a.startsWith('-'));
+const ALL = args.includes('--all');
+const INTERVIEW = args.includes('--interview');
+
+function describe(song) {
+  const where = song.trackNumber === null || song.release.type === 'single'
+    ? song.release.title
+    : `${song.release.title} / ${song.trackNumber}. ${song.title}`;
+  return `${song.slug.padEnd(32)} ${where} (${song.release.type}, ${song.release.releaseDate})`;
+}
+
+async function main() {
+  const missing = missingSongs(loadReleases().releases, loadSongs());
+
+  if (!ALL && slugs.length === 0) {
+    if (missing.length === 0) {
+      console.log('Every release and track has a song page.');
+      return;
+    }
+    for (const song of missing) console.log(`  ${describe(song)}`);
+    console.log(`\n${missing.length} missing. Write one with \`npm run new-song -- <slug>\`, or all with --all.`);
+    return;
+  }
+
+  const unknown = slugs.filter(slug => !missing.some(s => s.slug === slug));
+  if (unknown.length > 0) {
+    throw new Error(`No missing song page called ${unknown.join(', ')}. Run \`npm run new-song\` to list them.`);
+  }
+  const selected = ALL ? missing : missing.filter(s => slugs.includes(s.slug));
+
+  const prompt = INTERVIEW ? createPrompt() : null;
+  try {
+    for (const song of selected) {
+      let answers = {};
+      if (prompt) {
+        console.log(`\n── ${describe(song)} ──`);
+        answers = await interview(song.questions, prompt.ask);
+      }
+      console.log(`  ✓ ${relative(ROOT, writeSong(song, answers))}`);
+    }
+  } finally {
+    prompt?.close();
+  }
+  console.log(`\nWrote ${selected.length} song page(s). Check the title's capitalisation, then add tags, bpm and key.`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
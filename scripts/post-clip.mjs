@@ -1,23 +1,61 @@
 #!/usr/bin/env node
 /**
- * Posts a random approved, unsent clip from clips.yaml to Bluesky.
+ * Posts approved, unsent clips from clips.yaml to Bluesky, Mastodon and Threads.
  *
  * Usage:
- *   node scripts/post-clip.mjs                     # post a random approved clip from any song
- *   node scripts/post-clip.mjs --slug <slug>        # post a random approved clip from one song
+ *   node scripts/post-clip.mjs                     # post one approved clip from any song
+ *   node scripts/post-clip.mjs --slug <slug>        # post one approved clip from one song
+ *   node scripts/post-clip.mjs --network mastodon   # only this network (repeatable, or comma-separated)
+ *   node scripts/post-clip.mjs --due                # post everything that's due (for cron)
  *   node scripts/post-clip.mjs --dry-run            # preview without posting
  *
- * When multiple eligible clips exist (across all songs or within a slug), one is chosen at random.
+ * Each network is handled separately: a clip's `sent` state is tracked per
+ * network (`sent: { bluesky: true, mastodon: false }`), and each network picks
+ * its own clip. Without --network, every network with credentials set is used.
+ * A plain `sent: true` (the old format) means sent to Bluesky only.
  *
- * Required env vars:
- *   BLUESKY_HANDLE        your handle, e.g. jadethree.bsky.social
- *   BLUESKY_APP_PASSWORD  app password from Settings → Privacy → App Passwords
+ * Without --due, one clip is chosen from the song posted least recently (at random
+ * among its clips), so the same song doesn't go out twice in a row.
+ *
+ * Scheduling (--due):
+ *   - a clip with `scheduledAt: 2026-11-03T17:00:00Z` is posted once that time has passed
+ *   - with a cadence (--per-week N), one unscheduled clip is posted whenever fewer
+ *     than N went out in the last 7 days and at least 7/N days have passed since the
+ *     last post; songs posted within --song-gap DAYS are skipped
+ * Clips with a scheduledAt are only ever posted by --due.
+ *
+ * Bluesky extras, per clip (other networks post the text alone):
+ *   image: artwork                 the release's cover art (alt text defaults to the title)
+ *   image: images/live.jpg         a local file (relative to the project root) or an image URL
+ *   alt: ...                       alt text — required for anything but `artwork`
+ *   thread: [...]                  follow-up posts, each posted as a reply to the one before
+                                 (if one fails, the clip is still marked sent and the rest are printed)
+ * An image replaces the link card; the link in the text stays clickable.
+ *
+ * Every post is appended to post-history.jsonl (network, URI, CID, timestamp, slug, clip id, text).
+ *
+ * clips.yaml is locked (clips.yaml.lock) from picking a clip until it's marked
+ * sent, so overlapping runs can't post the same clip twice. A lock left behind
+ * by a crashed run is cleared once its process is gone.
+ *
+ * Env vars, per network (see scripts/publishers/):
+ *   BLUESKY_HANDLE, BLUESKY_APP_PASSWORD        handle + app password (Settings → Privacy → App Passwords)
+ *   MASTODON_INSTANCE, MASTODON_ACCESS_TOKEN    e.g. https://mastodon.social + a write:statuses token
+ *   THREADS_USER_ID, THREADS_ACCESS_TOKEN       Threads Graph API user + token
+ *
+ * Optional env vars:
+ *   POSTS_PER_WEEK        default for --per-week
+ *   SONG_GAP_DAYS         default for --song-gap
  */
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import yaml from 'js-yaml';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { openClipStore, withClipStore, isSent } from './lib/clip-store.mjs';
+import { loadSongs } from './lib/content-check.js';
+import { ARTIST_NAME, loadReleases } from './lib/platform-sync.js';
+import { readHistory, appendHistory, pickClip, selectDue } from './lib/schedule.mjs';
+import { publishers, getPublisher, isConfigured } from './publishers/index.mjs';
 
 // Load .env if present
 const __envPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '.env');
@@ -30,209 +68,250 @@ if (fs.existsSync(__envPath)) {
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT = path.join(__dirname, '..');
-const CLIPS_FILE = path.join(ROOT, 'clips.yaml');
-const BSKY_API = 'https://bsky.social/xrpc';
+// Overridable so tests can run against fixture files
+const CLIPS_FILE = process.env.CLIPS_FILE ?? path.join(ROOT, 'clips.yaml');
+const HISTORY_FILE = process.env.POST_HISTORY_FILE ?? path.join(ROOT, 'post-history.jsonl');
+
+function argValue(name) {
+  const idx = process.argv.indexOf(name);
+  return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+function argValues(name) {
+  return process.argv
+    .flatMap((arg, i) => (arg === name ? process.argv[i + 1]?.split(',') ?? [] : []))
+    .filter(Boolean);
+}
 
 const DRY_RUN = process.argv.includes('--dry-run') || process.argv.includes('-n');
-const SLUG_IDX = process.argv.indexOf('--slug');
-const SLUG_FILTER = SLUG_IDX !== -1 ? process.argv[SLUG_IDX + 1] : null;
-const BSKY_HEADERS = { 'User-Agent': 'jade-three-bot/1.0' };
+const DUE = process.argv.includes('--due');
+const SLUG_FILTER = argValue('--slug');
+const NETWORKS = argValues('--network');
+const PER_WEEK = Number(argValue('--per-week') ?? process.env.POSTS_PER_WEEK ?? 0);
+const SONG_GAP_DAYS = Number(argValue('--song-gap') ?? process.env.SONG_GAP_DAYS ?? 0);
 
 // ── Clip loading ──────────────────────────────────────────────────────────────
 
-function loadEligibleClips() {
-  const raw = fs.readFileSync(CLIPS_FILE, 'utf-8');
-  const songs = yaml.load(raw);
-
+function loadEligibleClips(store, network) {
   const eligible = [];
-  for (const song of songs) {
+  for (const song of store.songs()) {
     if (SLUG_FILTER && song.slug !== SLUG_FILTER) continue;
     for (const clip of song.clips ?? []) {
-      if (clip.approved === true && clip.sent === false) {
-        eligible.push({ slug: song.slug, text: clip.text.trim() });
+      if (clip.approved === true && !isSent(clip, network)) {
+        eligible.push({
+          id: clip.id,
+          slug: song.slug,
+          text: clip.text.trim(),
+          scheduledAt: clip.scheduledAt ?? null,
+          image: clip.image ?? null,
+          alt: clip.alt ?? null,
+          thread: (clip.thread ?? []).map(t => String(t).trim()),
+        });
       }
     }
   }
   return eligible;
 }
 
-// ── File update ───────────────────────────────────────────────────────────────
-
-function markSent(clipText) {
-  const content = fs.readFileSync(CLIPS_FILE, 'utf-8');
-
-  // Find the clip by its first line (indented 8 spaces in the file)
-  const firstLine = clipText.split('\n')[0];
-  const idx = content.indexOf(`        ${firstLine}`);
-  if (idx === -1) throw new Error(`Could not locate clip in file:\n  ${firstLine}`);
-
-  // Walk back to find the nearest "sent: false" before this position
-  const marker = '      sent: false';
-  const markerIdx = content.lastIndexOf(marker, idx);
-  if (markerIdx === -1) throw new Error('Could not find sent: false for this clip');
-
-  const updated =
-    content.slice(0, markerIdx) +
-    '      sent: true' +
-    content.slice(markerIdx + marker.length);
+/** `image: artwork` → the cover art of the song's release, with a default alt text. */
+function artworkImage(slug, alt) {
+  const song = loadSongs().find(s => s.slug === slug);
+  const release = loadReleases().releases.find(r => r.id === song?.data.releaseId);
+  if (!release?.artworkUrl) throw new Error(`No artwork found for ${slug}`);
+  return { url: release.artworkUrl, alt: alt ?? `Cover art for "${release.title}" by ${ARTIST_NAME}` };
+}
 
-  fs.writeFileSync(CLIPS_FILE, updated);
+/** The image a clip asks for, as { path | url, alt }, or null. */
+function resolveImage(clip) {
+  if (!clip.image) return null;
+  if (clip.image === 'artwork') return artworkImage(clip.slug, clip.alt);
+  const alt = clip.alt;
+  if (/^https?:\/\//.test(clip.image)) return { url: clip.image, alt };
+  return { path: path.resolve(ROOT, clip.image), alt };
 }
 
-// ── Bluesky ───────────────────────────────────────────────────────────────────
-
-// Fetch OG title/description/image from a URL
-async function fetchOgData(url) {
-  const res = await fetch(url, { headers: { 'User-Agent': 'Bluesky/cardyb' } });
-  const html = await res.text();
-  const get = (prop) =>
-    html.match(new RegExp(`<meta[^>]+property="${prop}"[^>]+content="([^"]+)"`))?.[1] ??
-    html.match(new RegExp(`<meta[^>]+content="([^"]+)"[^>]+property="${prop}"`))?.[1];
-  return {
-    title: get('og:title') ?? url,
-    description: get('og:description') ?? '',
-    imageUrl: get('og:image'),
-  };
+/** The texts a publisher would post for a clip: the clip, plus its thread where supported. */
+function postTexts(clip, publisher) {
+  return [clip.text, ...(publisher.supportsThreads ? clip.thread : [])];
 }
 
-// Download an image and upload it as a Bluesky blob
-async function uploadThumb(imageUrl, accessJwt, pdsApi) {
-  try {
-    const res = await fetch(imageUrl);
-    if (!res.ok) return null;
-    const mimeType = res.headers.get('content-type') ?? 'image/jpeg';
-    const body = await res.arrayBuffer();
-    const uploadRes = await fetch(`${pdsApi}/com.atproto.repo.uploadBlob`, {
-      method: 'POST',
-      headers: { 'Content-Type': mimeType, Authorization: `Bearer ${accessJwt}`, ...BSKY_HEADERS },
-      body,
-    });
-    if (!uploadRes.ok) return null;
-    return (await uploadRes.json()).blob;
-  } catch {
-    return null;
+/** Why a clip can't go to this network, or null if it can. */
+function clipProblem(clip, publisher) {
+  const tooLong = postTexts(clip, publisher).findIndex(t => publisher.length(t) > publisher.maxLength);
+  if (tooLong !== -1) {
+    const which = tooLong === 0 ? 'post' : `thread reply ${tooLong}`;
+    return `${which} is over the ${publisher.name} limit of ${publisher.maxLength}`;
   }
+  if (publisher.supportsImages && clip.image && clip.image !== 'artwork' && !clip.alt?.trim()) {
+    return 'image has no alt text';
+  }
+  return null;
 }
 
-async function bskyPost(handle, password, text) {
-  // 1. Authenticate
-  const authRes = await fetch(`${BSKY_API}/com.atproto.server.createSession`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json', ...BSKY_HEADERS },
-    body: JSON.stringify({ identifier: handle, password }),
-  });
-  if (!authRes.ok) {
-    const err = await authRes.text();
-    throw new Error(`Bluesky auth failed: ${err}`);
-  }
-  const { did, accessJwt, didDoc } = await authRes.json();
-
-  // Resolve the PDS URL from the DID document (accounts may be on a different PDS than bsky.social)
-  const pdsUrl =
-    didDoc?.service?.find(s => s.id === '#atproto_pds')?.serviceEndpoint ?? 'https://bsky.social';
-  const pdsApi = `${pdsUrl}/xrpc`;
-  process.stderr.write(`PDS: ${pdsUrl}\n`);
-
-  // 2. Detect URL facets (so the link in the post text is clickable)
-  const facets = detectUrlFacets(text);
-
-  // 3. Build link card embed from the release page's OG tags
-  const postUrl = text.split('\n').filter(Boolean).at(-1).trim();
-  process.stderr.write(`Fetching OG data for: ${postUrl}\n`);
-  const og = await fetchOgData(postUrl);
-  const thumb = og.imageUrl ? await uploadThumb(og.imageUrl, accessJwt, pdsApi) : null;
-  if (!thumb) process.stderr.write('  (no thumbnail — image unavailable)\n');
-
-  const embed = {
-    $type: 'app.bsky.embed.external',
-    external: {
-      uri: postUrl,
-      title: og.title,
-      description: og.description,
-      ...(thumb && { thumb }),
-    },
-  };
+// ── Main ──────────────────────────────────────────────────────────────────────
 
-  // 4. Create the post
-  const postRes = await fetch(`${pdsApi}/com.atproto.repo.createRecord`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      Authorization: `Bearer ${accessJwt}`,
-      ...BSKY_HEADERS,
-    },
-    body: JSON.stringify({
-      repo: did,
-      collection: 'app.bsky.feed.post',
-      record: {
-        $type: 'app.bsky.feed.post',
-        text,
-        ...(facets.length > 0 && { facets }),
-        embed,
-        createdAt: new Date().toISOString(),
-      },
-    }),
+function printClip(clip, publisher) {
+  const lengthLine = text => {
+    const length = publisher.length(text);
+    return `${length}/${publisher.maxLength}${length > publisher.maxLength ? ' — too long' : ''}`;
+  };
+  const [text, ...replies] = postTexts(clip, publisher);
+  console.log(`Song:   ${clip.slug}`);
+  if (clip.scheduledAt) console.log(`Due:    ${new Date(clip.scheduledAt).toISOString()}`);
+  if (clip.image && publisher.supportsImages) console.log(`Image:  ${clip.image}${clip.alt ? ` (alt: ${clip.alt})` : ''}`);
+  console.log(`Length: ${lengthLine(text)}`);
+  console.log('─'.repeat(50));
+  console.log(text);
+  replies.forEach((reply, i) => {
+    console.log(`── reply ${i + 1} (${lengthLine(reply)})`);
+    console.log(reply);
   });
-  if (!postRes.ok) {
-    const err = await postRes.text();
-    throw new Error(`Bluesky post failed: ${err}`);
+  console.log('─'.repeat(50));
+}
+
+function chooseClips(eligible, history) {
+  if (DUE) {
+    return selectDue(eligible, history, { perWeek: PER_WEEK, songGapDays: SONG_GAP_DAYS });
   }
-  return postRes.json();
+  const unscheduled = eligible.filter(c => !c.scheduledAt);
+  const clip = pickClip(unscheduled, history, { songGapDays: SLUG_FILTER ? 0 : SONG_GAP_DAYS });
+  return clip ? [clip] : [];
 }
 
-// Bluesky facets use UTF-8 byte offsets
-function detectUrlFacets(text) {
-  const enc = new TextEncoder();
-  const urlRe = /https?:\/\/[^\s]+/g;
-  const facets = [];
-  let match;
-  while ((match = urlRe.exec(text)) !== null) {
-    const byteStart = enc.encode(text.slice(0, match.index)).length;
-    const byteEnd = byteStart + enc.encode(match[0]).length;
-    facets.push({
-      index: { byteStart, byteEnd },
-      features: [{ $type: 'app.bsky.richtext.facet#link', uri: match[0] }],
+/** Networks to use: --network, else every configured one (Bluesky for a bare dry run). */
+function selectPublishers() {
+  if (NETWORKS.length > 0) {
+    return NETWORKS.map(name => {
+      const publisher = getPublisher(name);
+      if (!publisher) {
+        console.error(`Unknown network: ${name} (available: ${publishers.map(p => p.name).join(', ')})`);
+        process.exit(1);
+      }
+      if (!DRY_RUN && !isConfigured(publisher, process.env)) {
+        console.error(`Error: ${publisher.requiredEnv.join(' and ')} must be set.`);
+        process.exit(1);
+      }
+      return publisher;
     });
   }
-  return facets;
+
+  const configured = publishers.filter(p => isConfigured(p, process.env));
+  if (configured.length > 0) return configured;
+  if (DRY_RUN) return [getPublisher('bluesky')];
+
+  console.error('Error: no network configured. Set BLUESKY_HANDLE and BLUESKY_APP_PASSWORD');
+  console.error('(or the Mastodon / Threads variables — see scripts/post-clip.mjs).');
+  process.exit(1);
 }
 
-// ── Main ──────────────────────────────────────────────────────────────────────
+/**
+ * A thread that broke off after its first post: the clip is marked sent (so it
+ * isn't posted twice), and the replies still to post are printed for posting
+ * by hand.
+ */
+function reportUnposted(clip, result) {
+  const posted = clip.thread.length - result.unposted.length;
+  const parent = result.thread?.at(-1)?.uri ?? result.uri;
+  console.error(`Warning: partial thread — ${posted} of ${clip.thread.length} replies posted (${result.error}).`);
+  console.error(`Post the rest as replies to ${parent}:`);
+  result.unposted.forEach((reply, i) => {
+    console.error(`── reply ${posted + i + 1}`);
+    console.error(reply);
+  });
+  console.error('');
+}
 
-async function main() {
-  const eligible = loadEligibleClips();
+/** Posts due or chosen clips to one network. Returns the number of failures. */
+async function runNetwork(store, publisher, showHeader) {
+  const network = publisher.name;
+  if (showHeader) console.log(`\n── ${network} ──`);
 
+  const eligible = loadEligibleClips(store, network);
   if (eligible.length === 0) {
     console.log('No approved, unsent clips available.');
-    process.exit(0);
+    return 0;
   }
 
-  const clip = eligible[Math.floor(Math.random() * eligible.length)];
+  const history = readHistory(HISTORY_FILE).filter(e => (e.network ?? 'bluesky') === network);
+  const clips = chooseClips(eligible, history);
 
-  console.log(`Song:   ${clip.slug}`);
-  console.log(`Length: ${clip.text.length} chars`);
-  console.log('─'.repeat(50));
-  console.log(clip.text);
-  console.log('─'.repeat(50));
+  if (clips.length === 0) {
+    console.log(DUE ? 'Nothing due.' : 'No clips available outside the song gap.');
+    return 0;
+  }
 
   if (DRY_RUN) {
-    console.log('\n[Dry run] Not posting. Exiting.');
-    return;
+    for (const clip of clips) {
+      printClip(clip, publisher);
+      const problem = clipProblem(clip, publisher);
+      if (problem) console.log(`Would skip: ${problem}.`);
+    }
+    console.log(`\n[Dry run] Not posting ${clips.length} clip(s) to ${network}.`);
+    return 0;
   }
 
-  const handle = process.env.BLUESKY_HANDLE;
-  const password = process.env.BLUESKY_APP_PASSWORD;
+  let failed = 0;
+  for (const clip of clips) {
+    printClip(clip, publisher);
+    const problem = clipProblem(clip, publisher);
+    if (problem) {
+      console.error(`Skipping: ${problem}.\n`);
+      failed++;
+      continue;
+    }
+    try {
+      const extras = {
+        ...(publisher.supportsImages && clip.image && { image: resolveImage(clip) }),
+        ...(publisher.supportsThreads && clip.thread.length > 0 && { thread: clip.thread }),
+      };
+      const result = await publisher.post(clip.text, process.env, extras);
+      console.log(`\nPosted! ${result.url ?? result.uri}`);
+
+      // Save straight away so the post is recorded even if a later one fails
+      store.markSent(clip.id, network);
+      store.save();
+      appendHistory(HISTORY_FILE, {
+        postedAt: new Date().toISOString(),
+        network,
+        slug: clip.slug,
+        id: clip.id,
+        uri: result.uri,
+        cid: result.cid ?? null,
+        url: result.url ?? null,
+        ...(result.thread && { thread: result.thread.map(r => r.uri) }),
+        ...(result.unposted && { unposted: result.unposted }),
+        text: clip.text,
+      });
+      console.log(`clips.yaml updated: marked as sent to ${network}. Logged to post-history.jsonl.\n`);
+      if (result.unposted) {
+        reportUnposted(clip, result);
+        failed++;
+      }
+    } catch (err) {
+      console.error(`Failed to post clip from ${clip.slug} to ${network}: ${err.message}\n`);
+      failed++;
+    }
+  }
+  return failed;
+}
 
-  if (!handle || !password) {
-    console.error('Error: BLUESKY_HANDLE and BLUESKY_APP_PASSWORD must be set.');
-    process.exit(1);
+async function postAll(store, selected) {
+  let failed = 0;
+  for (const publisher of selected) {
+    failed += await runNetwork(store, publisher, selected.length > 1 || NETWORKS.length > 0);
   }
+  return failed;
+}
+
+async function main() {
+  const selected = selectPublishers();
 
-  const result = await bskyPost(handle, password, clip.text);
-  console.log(`\nPosted! ${result.uri}`);
+  // A dry run only reads, so it neither locks nor saves (not even backfilled ids)
+  const failed = DRY_RUN
+    ? await postAll(openClipStore(CLIPS_FILE), selected)
+    : await withClipStore(CLIPS_FILE, store => postAll(store, selected));
 
-  markSent(clip.text);
-  console.log('clips.yaml updated: marked as sent.');
+  if (failed > 0) process.exit(1);
 }
 
 main().catch(err => {
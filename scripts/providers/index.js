@@ -0,0 +1,21 @@
+/**
+ * Registry of sync providers, in the order `npm run sync` runs them.
+ * iTunes goes first so new releases exist before the others look them up.
+ *
+ * A provider is { name, description, requiredEnv, sync(data, ctx) }.
+ * `sync` updates `data` (the parsed releases.json) in place and returns
+ * { notFound: string[] } for the summary.
+ *
+ * `ctx` is { env, confirm(url), overwrite }: `overwrite` is set by `--review`
+ * or `--overwrite`, and lets a provider replace values that are already set.
+ */
+
+import itunes from './itunes.js';
+import spotify from './spotify.js';
+import youtube from './youtube.js';
+
+export const providers = [itunes, spotify, youtube];
+
+export function getProvider(name) {
+  return providers.find(p => p.name === name) ?? null;
+}
@@ -0,0 +1,183 @@
+/**
+ * itunes.js
+ * Sync provider for the iTunes Search API: Apple Music URLs, artwork,
+ * release dates, track lists and durations. Releases and tracks that aren't
+ * in releases.json yet are added.
+ *
+ * No credentials required — iTunes Search API is public.
+ */
+
+import {
+  ARTIST_NAME,
+  DELAY_MS,
+  sleep,
+  bestMatch,
+  cleanTitle,
+  findRelease,
+  findTrack,
+  formatDuration,
+  inferReleaseType,
+  mergeFields,
+  newRelease,
+  newTrack,
+} from '../lib/platform-sync.js';
+
+const ITUNES_API = 'https://itunes.apple.com';
+
+// Counted and measured by the store, so always refreshed
+const RELEASE_REFRESH = ['totalTracks'];
+const TRACK_REFRESH = ['durationMs', 'durationFormatted', 'isExplicit'];
+// iTunes is the source of truth for these too, but a value that's already set
+// (maybe fixed by hand) is only replaced under `--review` or `--overwrite`
+const RELEASE_OWNED = ['appleMusicUrl', 'artworkUrl', 'artworkUrlSmall', 'releaseDate'];
+const TRACK_OWNED = ['appleMusicUrl'];
+
+// ---------------------------------------------------------------------------
+// iTunes API helpers
+// ---------------------------------------------------------------------------
+async function itunesGet(path) {
+  const url = `${ITUNES_API}${path}`;
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`iTunes API error: ${res.status} ${url}`);
+  return res.json();
+}
+
+async function getArtistId() {
+  const query = encodeURIComponent(ARTIST_NAME);
+  const data = await itunesGet(`/search?term=${query}&media=music&entity=musicArtist&limit=10&country=US`);
+  const artist = data.results?.find(
+    r => r.wrapperType === 'artist' && r.artistName?.toLowerCase() === ARTIST_NAME.toLowerCase()
+  );
+  if (!artist) throw new Error(`Artist "${ARTIST_NAME}" not found on iTunes`);
+  return artist.artistId;
+}
+
+async function getArtistAlbums(artistId) {
+  const data = await itunesGet(`/lookup?id=${artistId}&entity=album&limit=200&country=US`);
+  return data.results?.filter(r => r.wrapperType === 'collection') ?? [];
+}
+
+async function getAlbumTracks(collectionId) {
+  const data = await itunesGet(`/lookup?id=${collectionId}&entity=song&country=US`);
+  return data.results?.filter(r => r.wrapperType === 'track') ?? [];
+}
+
+/** Free-text album search, for releases the artist lookup didn't return. */
+async function searchAlbums(releaseTitle) {
+  const query = encodeURIComponent(`${ARTIST_NAME} ${releaseTitle}`);
+  const data = await itunesGet(`/search?term=${query}&media=music&entity=album&limit=10&country=US`);
+  return data.results ?? [];
+}
+
+// ---------------------------------------------------------------------------
+// Data helpers
+// ---------------------------------------------------------------------------
+
+/** iTunes returns artworkUrl100 — swap in a larger size. */
+function largeArtworkUrl(url) {
+  return url?.replace('100x100bb', '600x600bb') ?? '';
+}
+
+function smallArtworkUrl(url) {
+  return url?.replace('100x100bb', '64x64bb') ?? '';
+}
+
+function trackFields(item) {
+  return {
+    trackNumber: item.trackNumber,
+    title: item.trackName,
+    appleMusicUrl: item.trackViewUrl,
+    durationMs: item.trackTimeMillis,
+    durationFormatted: item.trackTimeMillis ? formatDuration(item.trackTimeMillis) : null,
+    isExplicit: item.trackExplicitness === 'explicit',
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Provider
+// ---------------------------------------------------------------------------
+export default {
+  name: 'itunes',
+  description: 'Apple Music URLs, artwork, release dates and durations (iTunes Search API)',
+  requiredEnv: [],
+
+  async sync(data, { overwrite = false } = {}) {
+    const notFound = [];
+    const releaseOverwrite = [...RELEASE_REFRESH, ...(overwrite ? RELEASE_OWNED : [])];
+    const trackOverwrite = [...TRACK_REFRESH, ...(overwrite ? TRACK_OWNED : [])];
+
+    console.log(`  Looking up artist "${ARTIST_NAME}" on iTunes...`);
+    const artistId = await getArtistId();
+    const albums = await getArtistAlbums(artistId);
+    console.log(`  Found ${albums.length} releases. Fetching track data...`);
+
+    for (const album of albums) {
+      process.stdout.write(`  ? ${album.collectionName}...`);
+      await sleep(DELAY_MS);
+
+      let trackItems = [];
+      try {
+        trackItems = await getAlbumTracks(album.collectionId);
+      } catch (err) {
+        console.log(` could not fetch tracks (${err.message})`);
+        notFound.push(`${album.collectionName} (tracks)`);
+      }
+
+      const trackCount = trackItems.length || album.trackCount;
+      let release = findRelease(data, album.collectionName);
+      if (!release) {
+        const type = inferReleaseType(album.collectionName, trackCount);
+        release = newRelease({
+          id: `${type}-${album.collectionId}`,
+          type,
+          title: cleanTitle(album.collectionName),
+        });
+        data.releases.push(release);
+      }
+
+      mergeFields(release, {
+        releaseDate: album.releaseDate?.slice(0, 10),
+        appleMusicUrl: album.collectionViewUrl,
+        artworkUrl: largeArtworkUrl(album.artworkUrl100),
+        artworkUrlSmall: smallArtworkUrl(album.artworkUrl100),
+        totalTracks: trackCount,
+      }, { overwrite: releaseOverwrite });
+      // The year follows whichever releaseDate was kept
+      if (release.releaseDate) release.year = parseInt(release.releaseDate.slice(0, 4), 10);
+
+      for (const item of trackItems) {
+        const track = findTrack(release, item.trackName);
+        if (track) {
+          mergeFields(track, trackFields(item), { overwrite: trackOverwrite });
+        } else {
+          release.tracks.push(newTrack(trackFields(item)));
+        }
+      }
+      release.tracks.sort((a, b) => a.trackNumber - b.trackNumber);
+
+      console.log(' done');
+    }
+
+    // Anything still without an Apple Music link: fall back to a title search
+    for (const release of data.releases) {
+      if (release.appleMusicUrl) continue;
+      process.stdout.write(`  ? ${release.title} — searching...`);
+      await sleep(DELAY_MS);
+      try {
+        const match = bestMatch(await searchAlbums(release.title), release.title, r => r.collectionName);
+        if (match?.collectionViewUrl) {
+          release.appleMusicUrl = match.collectionViewUrl;
+          console.log(' found');
+        } else {
+          console.log(' not found');
+          notFound.push(release.title);
+        }
+      } catch (err) {
+        console.log(` error: ${err.message}`);
+        notFound.push(release.title);
+      }
+    }
+
+    return { notFound };
+  },
+};
@@ -0,0 +1,208 @@
+/**
+ * spotify.js
+ * Sync provider for the Spotify Web API. Lists the artist's albums and
+ * singles, then fills spotifyId/spotifyUrl on releases and tracks, matching
+ * tracks by ISRC first and fuzzy title second. Also fills
+ * spotifyArtistId and adds releases that are on Spotify but not yet in
+ * releases.json.
+ *
+ * Requires SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET in .env
+ * (client-credentials flow — create an app at https://developer.spotify.com/dashboard).
+ *
+ * SPOTIFY_API_URL / SPOTIFY_ACCOUNTS_URL override the endpoints, e.g. to
+ * point at a local mock server in tests.
+ */
+
+import {
+  ARTIST_NAME,
+  DELAY_MS,
+  sleep,
+  bestMatch,
+  findTrack,
+  formatDuration,
+  inferReleaseType,
+  mergeFields,
+  newRelease,
+  newTrack,
+} from '../lib/platform-sync.js';
+
+const ACCOUNTS_URL = 'https://accounts.spotify.com';
+const API_URL = 'https://api.spotify.com/v1';
+
+// ---------------------------------------------------------------------------
+// Spotify API client
+// ---------------------------------------------------------------------------
+async function getAccessToken(accountsUrl, clientId, clientSecret) {
+  const res = await fetch(`${accountsUrl}/api/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+    },
+    body: 'grant_type=client_credentials',
+  });
+  if (!res.ok) throw new Error(`Spotify auth failed: ${res.status} ${await res.text()}`);
+  return (await res.json()).access_token;
+}
+
+function createClient(apiUrl, token) {
+  // `pathOrUrl` may be a full URL — Spotify's paging `next` links are absolute
+  async function get(pathOrUrl) {
+    const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${apiUrl}${pathOrUrl}`;
+    const res = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+    if (!res.ok) throw new Error(`Spotify API error: ${res.status} ${url}`);
+    return res.json();
+  }
+
+  async function getAllPages(path) {
+    const items = [];
+    let next = path;
+    while (next) {
+      const page = await get(next);
+      items.push(...(page.items ?? []));
+      next = page.next;
+    }
+    return items;
+  }
+
+  return {
+    async findArtistId(name) {
+      const params = new URLSearchParams({ q: name, type: 'artist', limit: '10' });
+      const data = await get(`/search?${params}`);
+      const artist = data.artists?.items?.find(a => a.name.toLowerCase() === name.toLowerCase());
+      if (!artist) throw new Error(`Artist "${name}" not found on Spotify`);
+      return artist.id;
+    },
+
+    getArtistAlbums(artistId) {
+      return getAllPages(`/artists/${artistId}/albums?include_groups=album,single&market=US&limit=50`);
+    },
+
+    getAlbumTracks(albumId) {
+      return getAllPages(`/albums/${albumId}/tracks?market=US&limit=50`);
+    },
+
+    /** Full track objects (with external_ids.isrc), 50 per request. */
+    async getTracks(ids) {
+      const tracks = [];
+      for (let i = 0; i < ids.length; i += 50) {
+        const data = await get(`/tracks?ids=${ids.slice(i, i + 50).join(',')}&market=US`);
+        tracks.push(...(data.tracks ?? []).filter(Boolean));
+      }
+      return tracks;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+function findRelease(data, album) {
+  return (
+    data.releases.find(r => r.spotifyId === album.id) ??
+    bestMatch(data.releases.filter(r => !r.spotifyId), album.name)
+  );
+}
+
+function matchTrack(release, item) {
+  const isrc = item.external_ids?.isrc;
+  return (
+    release.tracks.find(t => t.spotifyId === item.id) ??
+    (isrc && release.tracks.find(t => t.isrc === isrc)) ??
+    findTrack({ tracks: release.tracks.filter(t => !t.spotifyId) }, item.name)
+  );
+}
+
+/** Spotify release dates can be "2025", "2025-11" or "2025-11-03". */
+function releaseDateFields(album) {
+  if (album.release_date_precision !== 'day') return { year: parseInt(album.release_date, 10) };
+  return { releaseDate: album.release_date, year: parseInt(album.release_date, 10) };
+}
+
+function artworkFields(album) {
+  const images = [...(album.images ?? [])].sort((a, b) => (b.width ?? 0) - (a.width ?? 0));
+  return { artworkUrl: images[0]?.url, artworkUrlSmall: images.at(-1)?.url };
+}
+
+function trackFields(item) {
+  return {
+    trackNumber: item.track_number,
+    title: item.name,
+    spotifyId: item.id,
+    spotifyUrl: item.external_urls?.spotify,
+    isrc: item.external_ids?.isrc,
+    durationMs: item.duration_ms,
+    durationFormatted: item.duration_ms ? formatDuration(item.duration_ms) : null,
+    isExplicit: item.explicit,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Provider
+// ---------------------------------------------------------------------------
+export default {
+  name: 'spotify',
+  description: 'Spotify IDs/URLs, ISRCs, new releases and the artist ID (Spotify Web API)',
+  requiredEnv: ['SPOTIFY_CLIENT_ID', 'SPOTIFY_CLIENT_SECRET'],
+
+  async sync(data, { env }) {
+    const token = await getAccessToken(
+      env.SPOTIFY_ACCOUNTS_URL ?? ACCOUNTS_URL,
+      env.SPOTIFY_CLIENT_ID,
+      env.SPOTIFY_CLIENT_SECRET
+    );
+    const spotify = createClient(env.SPOTIFY_API_URL ?? API_URL, token);
+    const notFound = [];
+
+    if (!data.spotifyArtistId) {
+      console.log(`  Looking up artist "${ARTIST_NAME}" on Spotify...`);
+      data.spotifyArtistId = await spotify.findArtistId(ARTIST_NAME);
+    }
+
+    const albums = await spotify.getArtistAlbums(data.spotifyArtistId);
+    console.log(`  Found ${albums.length} releases. Fetching track data...`);
+    const matched = new Set();
+
+    for (const album of albums) {
+      process.stdout.write(`  ? ${album.name}...`);
+      await sleep(DELAY_MS);
+
+      const items = await spotify.getTracks((await spotify.getAlbumTracks(album.id)).map(t => t.id));
+      let release = findRelease(data, album);
+      if (!release) {
+        const type = inferReleaseType(album.name, items.length || album.total_tracks);
+        release = newRelease({ id: `${type}-${album.id}`, type, title: album.name, ...releaseDateFields(album) });
+        data.releases.push(release);
+      }
+      matched.add(release);
+
+      mergeFields(release, {
+        spotifyId: album.id,
+        spotifyUrl: album.external_urls?.spotify,
+        totalTracks: album.total_tracks,
+        ...releaseDateFields(album),
+        ...artworkFields(album),
+      });
+
+      for (const item of items) {
+        const track = matchTrack(release, item);
+        if (track) {
+          mergeFields(track, trackFields(item));
+        } else {
+          release.tracks.push(newTrack(trackFields(item)));
+        }
+      }
+      release.tracks.sort((a, b) => a.trackNumber - b.trackNumber);
+
+      const missing = release.tracks.filter(t => !t.spotifyId);
+      for (const t of missing) notFound.push(`${release.title} / ${t.title}`);
+      console.log(missing.length > 0 ? ` ${missing.length} track(s) unmatched` : ' done');
+    }
+
+    for (const release of data.releases) {
+      if (!matched.has(release) && !release.spotifyId) notFound.push(release.title);
+    }
+
+    return { notFound };
+  },
+};
@@ -0,0 +1,115 @@
+/**
+ * youtube.js
+ * Sync provider for the YouTube Data API v3.
+ *
+ * For singles: populates youtubeUrl with the best matching video.
+ * For EPs/albums: populates youtubeUrl with a video and youtubePlaylistUrl with a playlist.
+ *
+ * Each found URL is shown for manual verification before being saved.
+ * At the prompt: y = accept, n = skip, or paste a correct URL to use that instead.
+ *
+ * Requires YOUTUBE_API_KEY in .env.
+ * Get a key at https://console.cloud.google.com/ — enable "YouTube Data API v3".
+ */
+
+import { ARTIST_NAME, DELAY_MS, sleep, normalizeTitle } from '../lib/platform-sync.js';
+
+// ---------------------------------------------------------------------------
+// YouTube API helpers
+// ---------------------------------------------------------------------------
+async function searchYouTube(apiKey, query, type = 'video', maxResults = 10) {
+  const params = new URLSearchParams({
+    part: 'snippet',
+    q: query,
+    type,
+    maxResults: String(maxResults),
+    key: apiKey,
+  });
+  const url = `https://www.googleapis.com/youtube/v3/search?${params}`;
+  const res = await fetch(url);
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`YouTube API error ${res.status}: ${body}`);
+  }
+  const data = await res.json();
+  return data.items ?? [];
+}
+
+function channelMatches(snippet) {
+  return snippet.channelTitle?.toLowerCase().includes('jade') ||
+         snippet.channelTitle?.toLowerCase().includes('jade three');
+}
+
+/**
+ * Picks the best item from the artist's channel: first one whose title
+ * contains ours, otherwise any item from the channel.
+ */
+function findBestItem(items, releaseTitle) {
+  const normTitle = normalizeTitle(releaseTitle);
+  const fromChannel = items.filter(item => channelMatches(item.snippet));
+  return (
+    fromChannel.find(item => {
+      const itemTitle = normalizeTitle(item.snippet.title);
+      return itemTitle.includes(normTitle) || normTitle.includes(itemTitle.slice(0, 6));
+    }) ??
+    fromChannel[0] ??
+    null
+  );
+}
+
+function videoUrl(item) {
+  return `https://www.youtube.com/watch?v=${item.id.videoId}`;
+}
+
+function playlistUrl(item) {
+  return `https://www.youtube.com/playlist?list=${item.id.playlistId}`;
+}
+
+// ---------------------------------------------------------------------------
+// Provider
+// ---------------------------------------------------------------------------
+export default {
+  name: 'youtube',
+  description: 'YouTube video and playlist URLs (YouTube Data API v3, interactive)',
+  requiredEnv: ['YOUTUBE_API_KEY'],
+
+  async sync(data, { env, confirm }) {
+    const apiKey = env.YOUTUBE_API_KEY;
+    const notFound = [];
+
+    const lookups = [
+      { field: 'youtubeUrl', kind: 'video', toUrl: videoUrl, needed: () => true },
+      { field: 'youtubePlaylistUrl', kind: 'playlist', toUrl: playlistUrl, needed: r => r.type !== 'single' },
+    ];
+
+    for (const release of data.releases) {
+      const pending = lookups.filter(l => !release[l.field] && l.needed(release));
+      for (const { field, kind, toUrl } of pending) {
+        process.stdout.write(`  ? ${release.title} — searching for ${kind}...`);
+        await sleep(DELAY_MS);
+        try {
+          const items = await searchYouTube(apiKey, `${ARTIST_NAME} ${release.title}`, kind);
+          const item = findBestItem(items, release.title);
+          if (!item) {
+            console.log(' not found — add manually');
+            notFound.push(`${release.title} (${kind})`);
+            continue;
+          }
+          console.log(' found');
+          const chosen = await confirm(toUrl(item));
+          if (chosen) {
+            release[field] = chosen;
+          } else {
+            console.log('    Skipped — add manually');
+            notFound.push(`${release.title} (${kind})`);
+          }
+        } catch (err) {
+          console.log(` error: ${err.message}`);
+          notFound.push(`${release.title} (${kind})`);
+        }
+      }
+    }
+
+    return { notFound };
+  },
+};
@@ -0,0 +1,281 @@
+/**
+ * Bluesky publisher: posts through the XRPC API with an app password.
+ *
+ * Links, #hashtags and @handle mentions become facets (mentions are resolved
+ * to DIDs; unknown handles stay plain text). A post with an image gets an
+ * `app.bsky.embed.images` embed with alt text; otherwise it gets a link card
+ * built from the release page's OG tags. Thread replies are posted in order,
+ * each replying to the one before.
+ *
+ * Every post in the thread is checked against the grapheme limit before
+ * anything is sent.
+ *
+ * Env: BLUESKY_HANDLE, BLUESKY_APP_PASSWORD
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { countGraphemes, findUrls, findLinkUrl, findHashtags, findMentions } from '../lib/post-text.mjs';
+
+const BSKY_API = 'https://bsky.social/xrpc';
+const BSKY_HEADERS = { 'User-Agent': 'jade-three-bot/1.0' };
+const MAX_GRAPHEMES = 300;
+// app.bsky.embed.images rejects blobs over this size
+const MAX_IMAGE_BYTES = 1_000_000;
+const MAX_TAG_GRAPHEMES = 64;
+
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif' };
+
+// Fetch OG title/description/image from a URL
+async function fetchOgData(url) {
+  const res = await fetch(url, { headers: { 'User-Agent': 'Bluesky/cardyb' } });
+  const html = await res.text();
+  const get = (prop) =>
+    html.match(new RegExp(`<meta[^>]+property="${prop}"[^>]+content="([^"]+)"`))?.[1] ??
+    html.match(new RegExp(`<meta[^>]+content="([^"]+)"[^>]+property="${prop}"`))?.[1];
+  return {
+    title: get('og:title') ?? url,
+    description: get('og:description') ?? '',
+    imageUrl: get('og:image'),
+  };
+}
+
+// Download an image and upload it as a Bluesky blob
+async function uploadThumb(imageUrl, accessJwt, pdsApi) {
+  try {
+    const res = await fetch(imageUrl);
+    if (!res.ok) return null;
+    const mimeType = res.headers.get('content-type') ?? 'image/jpeg';
+    const body = await res.arrayBuffer();
+    const uploadRes = await fetch(`${pdsApi}/com.atproto.repo.uploadBlob`, {
+      method: 'POST',
+      headers: { 'Content-Type': mimeType, Authorization: `Bearer ${accessJwt}`, ...BSKY_HEADERS },
+      body,
+    });
+    if (!uploadRes.ok) return null;
+    return (await uploadRes.json()).blob;
+  } catch {
+    return null;
+  }
+}
+
+// Bluesky facets use UTF-8 byte offsets
+function byteRange(text, index, match) {
+  const enc = new TextEncoder();
+  const byteStart = enc.encode(text.slice(0, index)).length;
+  return { byteStart, byteEnd: byteStart + enc.encode(match).length };
+}
+
+export function detectUrlFacets(text) {
+  return findUrls(text).map(({ url, index }) => ({
+    index: byteRange(text, index, url),
+    features: [{ $type: 'app.bsky.richtext.facet#link', uri: url }],
+  }));
+}
+
+export function detectTagFacets(text) {
+  return findHashtags(text)
+    .filter(({ tag }) => countGraphemes(tag) <= MAX_TAG_GRAPHEMES)
+    .map(({ match, tag, index }) => ({
+      index: byteRange(text, index, match),
+      features: [{ $type: 'app.bsky.richtext.facet#tag', tag }],
+    }));
+}
+
+/** Mention facets for handles that resolve; `resolveHandle` returns a DID or null. */
+export async function detectMentionFacets(text, resolveHandle) {
+  const facets = [];
+  for (const { match, handle, index } of findMentions(text)) {
+    const did = await resolveHandle(handle);
+    if (!did) {
+      process.stderr.write(`  (@${handle} not found — left as plain text)\n`);
+      continue;
+    }
+    facets.push({
+      index: byteRange(text, index, match),
+      features: [{ $type: 'app.bsky.richtext.facet#mention', did }],
+    });
+  }
+  return facets;
+}
+
+async function resolveHandle(handle) {
+  const res = await fetch(`${BSKY_API}/com.atproto.identity.resolveHandle?handle=${encodeURIComponent(handle)}`, {
+    headers: BSKY_HEADERS,
+  });
+  if (!res.ok) return null;
+  return (await res.json()).did ?? null;
+}
+
+async function detectFacets(text) {
+  const facets = [
+    ...detectUrlFacets(text),
+    ...detectTagFacets(text),
+    ...(await detectMentionFacets(text, resolveHandle)),
+  ];
+  return facets.sort((a, b) => a.index.byteStart - b.index.byteStart);
+}
+
+/** Texts over the limit, as messages; empty when the whole thread fits. */
+export function checkThreadLength(texts) {
+  return texts
+    .map((text, i) => ({ i, length: countGraphemes(text) }))
+    .filter(({ length }) => length > MAX_GRAPHEMES)
+    .map(({ i, length }) => `${i === 0 ? 'post' : `thread reply ${i}`} is ${length} graphemes (limit ${MAX_GRAPHEMES})`);
+}
+
+/** Reads a local file or downloads a URL; returns { bytes, mimeType }. */
+async function loadImage(image) {
+  if (image.path) {
+    const mimeType = IMAGE_TYPES[path.extname(image.path).toLowerCase()];
+    if (!mimeType) throw new Error(`Unsupported image type: ${image.path}`);
+    return { bytes: fs.readFileSync(image.path), mimeType };
+  }
+  const res = await fetch(image.url);
+  if (!res.ok) throw new Error(`Could not download image ${image.url}: ${res.status}`);
+  return { bytes: Buffer.from(await res.arrayBuffer()), mimeType: res.headers.get('content-type') ?? 'image/jpeg' };
+}
+
+async function uploadBlob(bytes, mimeType, accessJwt, pdsApi) {
+  const res = await fetch(`${pdsApi}/com.atproto.repo.uploadBlob`, {
+    method: 'POST',
+    headers: { 'Content-Type': mimeType, Authorization: `Bearer ${accessJwt}`, ...BSKY_HEADERS },
+    body: bytes,
+  });
+  if (!res.ok) throw new Error(`Bluesky image upload failed: ${await res.text()}`);
+  return (await res.json()).blob;
+}
+
+async function imageEmbed(image, accessJwt, pdsApi) {
+  const { bytes, mimeType } = await loadImage(image);
+  if (bytes.length > MAX_IMAGE_BYTES) {
+    throw new Error(`Image is ${bytes.length} bytes; Bluesky allows ${MAX_IMAGE_BYTES}`);
+  }
+  const blob = await uploadBlob(bytes, mimeType, accessJwt, pdsApi);
+  return { $type: 'app.bsky.embed.images', images: [{ image: blob, alt: image.alt }] };
+}
+
+async function linkCardEmbed(text, accessJwt, pdsApi) {
+  const postUrl = findLinkUrl(text);
+  if (!postUrl) return undefined;
+  process.stderr.write(`Fetching OG data for: ${postUrl}\n`);
+  const og = await fetchOgData(postUrl);
+  const thumb = og.imageUrl ? await uploadThumb(og.imageUrl, accessJwt, pdsApi) : null;
+  if (!thumb) process.stderr.write('  (no thumbnail — image unavailable)\n');
+
+  return {
+    $type: 'app.bsky.embed.external',
+    external: {
+      uri: postUrl,
+      title: og.title,
+      description: og.description,
+      ...(thumb && { thumb }),
+    },
+  };
+}
+
+/**
+ * Posts `text` (with `image`, if given) and then each of `thread` as a reply
+ * chain. Resolves to { refs, unposted, error? }: the refs { uri, cid } of every
+ * post, first post first, and the replies that couldn't be posted.
+ */
+async function bskyPost(handle, password, text, { image, thread = [] } = {}) {
+  const problems = checkThreadLength([text, ...thread]);
+  if (problems.length > 0) throw new Error(`Too long for Bluesky: ${problems.join('; ')}`);
+  if (image && !image.alt?.trim()) throw new Error('Image has no alt text');
+
+  // 1. Authenticate
+  const authRes = await fetch(`${BSKY_API}/com.atproto.server.createSession`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...BSKY_HEADERS },
+    body: JSON.stringify({ identifier: handle, password }),
+  });
+  if (!authRes.ok) {
+    const err = await authRes.text();
+    throw new Error(`Bluesky auth failed: ${err}`);
+  }
+  const { did, accessJwt, didDoc } = await authRes.json();
+
+  // Resolve the PDS URL from the DID document (accounts may be on a different PDS than bsky.social)
+  const pdsUrl =
+    didDoc?.service?.find(s => s.id === '#atproto_pds')?.serviceEndpoint ?? 'https://bsky.social';
+  const pdsApi = `${pdsUrl}/xrpc`;
+  process.stderr.write(`PDS: ${pdsUrl}\n`);
+
+  async function createPost(record) {
+    const postRes = await fetch(`${pdsApi}/com.atproto.repo.createRecord`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${accessJwt}`,
+        ...BSKY_HEADERS,
+      },
+      body: JSON.stringify({
+        repo: did,
+        collection: 'app.bsky.feed.post',
+        record: { $type: 'app.bsky.feed.post', ...record, createdAt: new Date().toISOString() },
+      }),
+    });
+    if (!postRes.ok) {
+      const err = await postRes.text();
+      throw new Error(`Bluesky post failed: ${err}`);
+    }
+    const { uri, cid } = await postRes.json();
+    return { uri, cid };
+  }
+
+  // 2. The first post: an image embed if there is one, else a link card
+  const embed = image
+    ? await imageEmbed(image, accessJwt, pdsApi)
+    : await linkCardEmbed(text, accessJwt, pdsApi);
+  const facets = await detectFacets(text);
+  const root = await createPost({
+    text,
+    ...(facets.length > 0 && { facets }),
+    ...(embed && { embed }),
+  });
+
+  // 3. Thread replies, each replying to the previous post. The first post is
+  //    up by now, so a failed reply stops the thread instead of throwing —
+  //    otherwise the clip stays unsent and the next run posts it again.
+  const refs = [root];
+  for (const [i, reply] of thread.entries()) {
+    try {
+      const replyFacets = await detectFacets(reply);
+      refs.push(await createPost({
+        text: reply,
+        ...(replyFacets.length > 0 && { facets: replyFacets }),
+        reply: { root, parent: refs.at(-1) },
+      }));
+    } catch (err) {
+      return { refs, unposted: thread.slice(i), error: err.message };
+    }
+  }
+  return { refs, unposted: [] };
+}
+
+export default {
+  name: 'bluesky',
+  requiredEnv: ['BLUESKY_HANDLE', 'BLUESKY_APP_PASSWORD'],
+  maxLength: MAX_GRAPHEMES,
+  // Bluesky posts a clip's image and thread replies; other networks ignore them
+  supportsImages: true,
+  supportsThreads: true,
+
+  /** Bluesky counts graphemes; the link stays in the text as a facet. */
+  length: countGraphemes,
+
+  /**
+   * `extras` is { image?: { path | url, alt }, thread?: [text] }. If the thread
+   * breaks off, the result has `unposted` (the replies not sent) and `error`.
+   */
+  async post(text, env, extras = {}) {
+    const { refs, unposted, error } = await bskyPost(env.BLUESKY_HANDLE, env.BLUESKY_APP_PASSWORD, text, extras);
+    const [first, ...replies] = refs;
+    return {
+      ...first,
+      ...(replies.length > 0 && { thread: replies }),
+      ...(unposted.length > 0 && { unposted, error }),
+    };
+  },
+};
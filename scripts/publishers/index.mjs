@@ -0,0 +1,25 @@
+/**
+ * Registry of the networks post-clip.mjs can publish to.
+ *
+ * A publisher is { name, requiredEnv, maxLength, length(text), post(text, env, extras) }.
+ * `length` counts the text the way the network does; `post` resolves to
+ * { uri, cid?, url? } identifying the published post.
+ *
+ * Publishers with `supportsImages` / `supportsThreads` also take a clip's
+ * `extras.image` ({ path | url, alt }) and `extras.thread` (reply texts);
+ * the others post the clip text alone.
+ */
+
+import bluesky from './bluesky.mjs';
+import mastodon from './mastodon.mjs';
+import threads from './threads.mjs';
+
+export const publishers = [bluesky, mastodon, threads];
+
+export function getPublisher(name) {
+  return publishers.find(p => p.name === name) ?? null;
+}
+
+export function isConfigured(publisher, env) {
+  return publisher.requiredEnv.every(key => env[key]);
+}
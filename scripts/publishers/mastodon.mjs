@@ -0,0 +1,48 @@
+/**
+ * Mastodon publisher: posts a public status through the REST API.
+ *
+ * There are no facets — Mastodon links URLs itself — and no card to build:
+ * the instance fetches a preview card for the first link in the status.
+ * Every URL counts as 23 characters towards the limit, however long it is.
+ *
+ * Env: MASTODON_INSTANCE (e.g. https://mastodon.social), MASTODON_ACCESS_TOKEN
+ *      (Preferences → Development → New application, scope write:statuses),
+ *      MASTODON_MAX_CHARS (optional, for instances with a limit other than 500)
+ */
+
+import { createHash } from 'node:crypto';
+import { findUrls } from '../lib/post-text.mjs';
+
+const URL_LENGTH = 23;
+
+export default {
+  name: 'mastodon',
+  requiredEnv: ['MASTODON_INSTANCE', 'MASTODON_ACCESS_TOKEN'],
+  // A getter, so a value from .env (loaded after imports) is picked up
+  get maxLength() {
+    return Number(process.env.MASTODON_MAX_CHARS ?? 500);
+  },
+
+  length(text) {
+    const urls = findUrls(text);
+    const urlChars = urls.reduce((n, { url }) => n + [...url].length, 0);
+    return [...text].length - urlChars + urls.length * URL_LENGTH;
+  },
+
+  async post(text, env) {
+    const instance = env.MASTODON_INSTANCE.replace(/\/$/, '');
+    const res = await fetch(`${instance}/api/v1/statuses`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${env.MASTODON_ACCESS_TOKEN}`,
+        // Same text → same key, so a retried request can't post twice
+        'Idempotency-Key': createHash('sha256').update(text).digest('hex'),
+      },
+      body: JSON.stringify({ status: text, visibility: 'public' }),
+    });
+    if (!res.ok) throw new Error(`Mastodon post failed: ${res.status} ${await res.text()}`);
+    const status = await res.json();
+    return { uri: status.uri, url: status.url, id: status.id };
+  },
+};
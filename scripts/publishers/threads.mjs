@@ -0,0 +1,55 @@
+/**
+ * Threads publisher: creates a text container through the Threads Graph API,
+ * then publishes it. The clip's link is passed as `link_attachment` so
+ * Threads renders a link preview card; URLs in the text are linked by Threads.
+ *
+ * Env: THREADS_USER_ID, THREADS_ACCESS_TOKEN (threads_basic + threads_content_publish)
+ */
+
+import { findLinkUrl } from '../lib/post-text.mjs';
+
+const THREADS_API = 'https://graph.threads.net/v1.0';
+
+async function threadsPost(path, params) {
+  const res = await fetch(`${THREADS_API}${path}?${new URLSearchParams(params)}`, { method: 'POST' });
+  if (!res.ok) throw new Error(`Threads post failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+export default {
+  name: 'threads',
+  requiredEnv: ['THREADS_USER_ID', 'THREADS_ACCESS_TOKEN'],
+  maxLength: 500,
+
+  length: text => [...text].length,
+
+  async post(text, env) {
+    const userId = env.THREADS_USER_ID;
+    const token = env.THREADS_ACCESS_TOKEN;
+    const link = findLinkUrl(text);
+
+    // 1. Create the media container
+    const container = await threadsPost(`/${userId}/threads`, {
+      media_type: 'TEXT',
+      text,
+      ...(link && { link_attachment: link }),
+      access_token: token,
+    });
+
+    // 2. Publish it
+    const published = await threadsPost(`/${userId}/threads_publish`, {
+      creation_id: container.id,
+      access_token: token,
+    });
+
+    // 3. Look up the public permalink for the log (best effort)
+    let url = null;
+    try {
+      const res = await fetch(`${THREADS_API}/${published.id}?fields=permalink&access_token=${token}`);
+      if (res.ok) url = (await res.json()).permalink ?? null;
+    } catch {
+      // The post is live either way
+    }
+    return { uri: published.id, url };
+  },
+};
@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * sync.js
+ * Syncs src/data/releases.json from the streaming platforms. Each platform is
+ * a provider in scripts/providers/; run them all or pick some by name.
+ * Existing manually-added data is preserved.
+ *
+ * Usage:
+ *   npm run sync                      # all providers
+ *   npm run sync -- itunes youtube    # only the named providers
+ *   npm run sync -- --dry-run         # print the diff, write nothing
+ *   npm run sync -- --review          # approve each change before it's written
+ *   npm run sync -- --overwrite       # let iTunes replace artwork, dates and URLs that are set
+ *   npm run sync -- --list            # list providers and required env vars
+ *
+ * In review mode every changed field is shown as a before/after diff.
+ * At the prompt: y = accept, n = skip, a = accept the rest, q = skip the rest,
+ * or paste a replacement value. Lines marked "!" replace a value that was
+ * already set — check those before accepting.
+ *
+ * Providers whose credentials are missing from .env are skipped when running
+ * all of them, and are an error when named explicitly.
+ *
+ * Releases with "status": "upcoming" whose releaseDate has come are set to
+ * "released" at the end of every run.
+ *
+ * Requires Node 18+ (uses built-in fetch).
+ */
+
+import {
+  DATA_PATH,
+  loadEnv,
+  loadReleases,
+  saveReleases,
+  diffReleases,
+  applyChange,
+  formatDiff,
+  createPrompt,
+} from './lib/platform-sync.js';
+import { providers, getProvider } from './providers/index.js';
+import { markReleased } from './lib/upcoming.js';
+
+const args = process.argv.slice(2);
+const names = args.filter(a => !a.startsWith('-'));
+const DRY_RUN = args.includes('--dry-run') || args.includes('-n');
+const REVIEW = args.includes('--review');
+// Reviewed changes are checked one by one, so they may replace existing values too
+const OVERWRITE = REVIEW || args.includes('--overwrite');
+
+function listProviders() {
+  for (const p of providers) {
+    const env = p.requiredEnv.length > 0 ? ` (needs ${p.requiredEnv.join(', ')})` : '';
+    console.log(`  ${p.name.padEnd(10)} ${p.description}${env}`);
+  }
+}
+
+/**
+ * Prompts the user to accept a URL, reject it, or supply a replacement.
+ * Returns the URL to use, or null to skip.
+ */
+async function confirmWith(prompt, url) {
+  const answer = await prompt.ask(`    ${url}\n    [y] accept  [n] skip  [or paste correct URL]: `);
+  const trimmed = answer.trim();
+  if (trimmed.toLowerCase() === 'y') return url;
+  if (trimmed.toLowerCase() === 'n' || trimmed === '') return null;
+  // Treat anything else as a replacement URL
+  return trimmed;
+}
+
+/** Parses a pasted replacement, keeping the type of the value it replaces. */
+function parseReplacement(input, change) {
+  const sample = change.to ?? change.from;
+  if (typeof sample === 'string' || sample === null) return input;
+  try {
+    return JSON.parse(input);
+  } catch {
+    return input;
+  }
+}
+
+/**
+ * Walks through each change and returns the accepted ones, with any pasted
+ * replacement values swapped in.
+ */
+async function reviewChanges(prompt, changes) {
+  const accepted = [];
+  let rest = null; // 'accept' | 'skip' once the user answers a/q
+
+  for (const [i, change] of changes.entries()) {
+    if (rest) {
+      if (rest === 'accept') accepted.push(change);
+      continue;
+    }
+    console.log(`\n  [${i + 1}/${changes.length}]`);
+    console.log(formatDiff([change], '    '));
+    const answer = (await prompt.ask('    [y] accept  [n] skip  [a] accept rest  [q] skip rest  [or paste value]: ')).trim();
+    const key = answer.toLowerCase();
+    if (key === 'y') accepted.push(change);
+    else if (key === 'a') {
+      accepted.push(change);
+      rest = 'accept';
+    } else if (key === 'q') rest = 'skip';
+    else if (key === 'n' || answer === '' || change.kind) continue;
+    else accepted.push({ ...change, to: parseReplacement(answer, change) });
+  }
+  return accepted;
+}
+
+function selectProviders(env) {
+  if (names.length === 0) {
+    return providers.filter(p => {
+      const missing = p.requiredEnv.filter(key => !env[key]);
+      if (missing.length > 0) console.log(`Skipping ${p.name} — ${missing.join(', ')} not set in .env`);
+      return missing.length === 0;
+    });
+  }
+
+  return names.map(name => {
+    const provider = getProvider(name);
+    if (!provider) {
+      console.error(`Unknown provider: ${name}\nAvailable providers:`);
+      listProviders();
+      process.exit(1);
+    }
+    const missing = provider.requiredEnv.filter(key => !env[key]);
+    if (missing.length > 0) {
+      console.error(`Error: ${missing.join(', ')} not found in .env (needed by ${name})`);
+      process.exit(1);
+    }
+    return provider;
+  });
+}
+
+async function main() {
+  if (args.includes('--list')) {
+    listProviders();
+    return;
+  }
+
+  const env = loadEnv();
+  const selected = selectProviders(env);
+  const data = loadReleases();
+  // Only open stdin once something actually needs to ask
+  let prompt = null;
+  const getPrompt = () => (prompt ??= createPrompt());
+  // Review and dry-run modes look at every change at the end, so providers
+  // shouldn't stop to confirm individual URLs.
+  const ctx = {
+    env,
+    overwrite: OVERWRITE,
+    confirm: url => (REVIEW || DRY_RUN ? url : confirmWith(getPrompt(), url)),
+  };
+  const summary = [];
+  // Not a platform: sets upcoming releases whose date has come to "released",
+  // reviewed and written like any provider's changes
+  const releaseStatus = { name: 'release status', sync: working => void markReleased(working) };
+
+  try {
+    for (const provider of [...selected, releaseStatus]) {
+      console.log(`\n── ${provider.name} ──`);
+      // Providers work on a copy; only the changes that survive review are applied
+      const working = structuredClone(data);
+      try {
+        const { notFound = [] } = (await provider.sync(working, ctx)) ?? {};
+        let changes = diffReleases(data, working);
+        if (REVIEW && changes.length > 0) changes = await reviewChanges(getPrompt(), changes);
+        for (const change of changes) applyChange(data, change);
+        summary.push({ provider: provider.name, changes, notFound });
+      } catch (err) {
+        console.log(`  Failed: ${err.message}`);
+        summary.push({ provider: provider.name, changes: [], notFound: [], error: err.message });
+      }
+    }
+  } finally {
+    prompt?.close();
+  }
+
+  const total = summary.reduce((n, s) => n + s.changes.length, 0);
+
+  console.log(DRY_RUN ? '\n── Summary (dry run) ──' : '\n── Summary ──');
+  for (const { provider, changes, notFound, error } of summary) {
+    const status = error ? `failed (${error})` : `${changes.length} change(s), not found: ${notFound.length}`;
+    console.log(`${provider}: ${status}`);
+    if (changes.length > 0) console.log(formatDiff(changes));
+    for (const t of notFound) console.log(`  - not found: ${t}`);
+  }
+
+  if (total === 0) {
+    console.log('\nNo changes.');
+  } else if (DRY_RUN) {
+    console.log(`\n[Dry run] ${total} change(s) not written.`);
+  } else {
+    saveReleases(data);
+    console.log(`\nWrote ${total} change(s) to ${DATA_PATH}`);
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
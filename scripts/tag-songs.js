@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * tag-songs.js
+ * Proposes mood, genre and theme tags for song pages from their Q&A and the
+ * artist profile, using only the tags in src/data/tags.yaml, and writes the
+ * ones you accept into each page's frontmatter.
+ *
+ * Usage:
+ *   npm run tag-songs                    # songs with no tags yet
+ *   npm run tag-songs -- stinger         # the named songs, tagged or not
+ *   npm run tag-songs -- --all           # every song
+ *   npm run tag-songs -- --dry-run       # print the proposals, write nothing
+ *   npm run tag-songs -- --yes           # accept every proposal without asking
+ *
+ * Each changed field is shown as a before/after diff. At the prompt:
+ * y = accept, n = skip, a = accept the rest, q = skip the rest, or type the
+ * tags you want instead, separated by commas. Lines marked "!" replace tags
+ * that were already set.
+ *
+ * Requires ANTHROPIC_API_KEY in .env or the environment.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import Anthropic from '@anthropic-ai/sdk';
+import { createPrompt, loadEnv } from './lib/platform-sync.js';
+import { SONGS_DIR, loadSongs } from './lib/content-check.js';
+import { loadProfile } from './lib/artist-profile.js';
+import {
+  TAG_FIELDS,
+  formatTagDiff,
+  loadVocabulary,
+  parseTagList,
+  proposeTags,
+  setFrontmatterTags,
+  songAnswers,
+  tagChanges,
+} from './lib/song-tags.js';
+
+const args = process.argv.slice(2);
+const slugs = args.filter(a => !a.startsWith('-'));
+const ALL = args.includes('--all');
+const DRY_RUN = args.includes('--dry-run') || args.includes('-n');
+const YES = args.includes('--yes');
+
+const isUntagged = song => TAG_FIELDS.every(field => (song.data[field] ?? []).length === 0);
+
+function selectSongs() {
+  const songs = loadSongs();
+  if (slugs.length === 0) return ALL ? songs : songs.filter(isUntagged);
+  const unknown = slugs.filter(slug => !songs.some(s => s.slug === slug));
+  if (unknown.length > 0) {
+    throw new Error(`No song page called ${unknown.join(', ')}. Available:\n  ${songs.map(s => s.slug).join('\n  ')}`);
+  }
+  return songs.filter(s => slugs.includes(s.slug));
+}
+
+/** Asks about each change; returns the tags to write, keyed by field. */
+async function review(prompt, slug, changes, vocabulary, state) {
+  const accepted = {};
+  for (const change of changes) {
+    if (state.rest) {
+      if (state.rest === 'accept') accepted[change.field] = change.to;
+      continue;
+    }
+    console.log(`\n${formatTagDiff(slug, [change], '    ')}`);
+    for (;;) {
+      const answer = (await prompt.ask('    [y] accept  [n] skip  [a] accept rest  [q] skip rest  [or type tags]: ')).trim();
+      const key = answer.toLowerCase();
+      if (key === 'y') accepted[change.field] = change.to;
+      else if (key === 'a') {
+        accepted[change.field] = change.to;
+        state.rest = 'accept';
+      } else if (key === 'q') state.rest = 'skip';
+      else if (key !== 'n' && answer !== '') {
+        const { tags, unknown } = parseTagList(answer, vocabulary, change.field);
+        if (unknown.length > 0) {
+          console.log(`    Not in src/data/tags.yaml: ${unknown.join(', ')} — add them there first, or pick others.`);
+          continue;
+        }
+        accepted[change.field] = tags;
+      }
+      break;
+    }
+  }
+  return accepted;
+}
+
+async function main() {
+  const env = loadEnv();
+  const songs = selectSongs();
+  if (songs.length === 0) {
+    console.log('Every song has tags. Name songs, or use --all, to tag them again.');
+    return;
+  }
+  if (!env.ANTHROPIC_API_KEY) throw new Error('ANTHROPIC_API_KEY is not set in .env or the environment.');
+
+  const client = new Anthropic({ apiKey: env.ANTHROPIC_API_KEY });
+  const vocabulary = loadVocabulary();
+  const profile = loadProfile();
+  const prompt = DRY_RUN || YES ? null : createPrompt();
+  const state = { rest: null };
+  let written = 0;
+
+  try {
+    for (const song of songs) {
+      if (state.rest === 'skip') break;
+      const file = join(SONGS_DIR, `${song.slug}.md`);
+      const raw = readFileSync(file, 'utf-8');
+      const answers = songAnswers(raw);
+      if (!answers) {
+        console.log(`\n  ${song.slug}: no Q&A answers to go on, skipped`);
+        continue;
+      }
+
+      process.stdout.write(`\nTagging ${song.slug}...`);
+      const { tags, rejected, missing } = await proposeTags(client, { title: song.data.title, answers, profile, vocabulary });
+      const changes = tagChanges(song.data, tags);
+      console.log(changes.length === 0 ? ' no changes' : '');
+      for (const { field, label } of rejected) console.log(`    ✗ ${field} "${label}" isn't in src/data/tags.yaml, dropped`);
+      if (missing.length > 0) console.log(`    Tags the model would have liked: ${missing.join(', ')}`);
+      if (changes.length === 0) continue;
+
+      if (!prompt) console.log(formatTagDiff(song.slug, changes));
+      if (DRY_RUN) continue;
+
+      const accepted = prompt
+        ? await review(prompt, song.slug, changes, vocabulary, state)
+        : Object.fromEntries(changes.map(c => [c.field, c.to]));
+      if (Object.keys(accepted).length === 0) continue;
+      writeFileSync(file, setFrontmatterTags(raw, accepted));
+      console.log(`    ✓ wrote ${Object.keys(accepted).join(', ')}`);
+      written++;
+    }
+  } finally {
+    prompt?.close();
+  }
+
+  console.log(DRY_RUN ? '\nDry run — nothing written.' : `\nTagged ${written} song page(s).`);
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
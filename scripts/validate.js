@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * validate.js
+ * Checks src/data/releases.json against its schema and cross-checks it with
+ * the song pages in src/content/songs/. The same check runs on every build.
+ *
+ * Usage:
+ *   npm run validate              # exit 1 on errors
+ *   npm run validate -- --strict  # exit 1 on warnings too
+ *
+ * Errors: schema violations, song pages whose releaseId / type / trackNumber /
+ * releaseDate disagree with releases.json, duplicate IDs, cached artwork that
+ * is missing or doesn't match its checksum.
+ * Warnings: malformed Spotify IDs, title mismatches, releases with no song
+ * page, artwork that isn't cached or was cached from an older artworkUrl.
+ */
+
+import { checkProjectContent } from './lib/content-check.js';
+
+const STRICT = process.argv.includes('--strict');
+
+const { errors, warnings } = checkProjectContent();
+
+for (const e of errors) console.log(`  ✗ ${e}`);
+for (const w of warnings) console.log(`  ⚠ ${w}`);
+console.log(`\n${errors.length} error(s), ${warnings.length} warning(s)`);
+
+if (errors.length > 0 || (STRICT && warnings.length > 0)) process.exit(1);
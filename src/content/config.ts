@@ -13,7 +13,49 @@ const songs = defineCollection({
     mood: z.array(z.string()).optional().default([]),
     bpm: z.number().nullable().optional(),
     key: z.string().optional().default(''),
+    // Written by `npm run analyze-audio`: how sure the estimates are (0-1), and the master's exact length
+    bpmConfidence: z.number().min(0).max(1).nullable().optional(),
+    keyConfidence: z.number().min(0).max(1).nullable().optional(),
+    masterDurationMs: z.number().int().positive().nullable().optional(),
+    // Keeps the notes off the site while the release is upcoming (scripts/lib/upcoming.js)
+    embargo: z.boolean().optional().default(false),
   }),
 });
 
-export const collections = { songs };
+// One entry, profile.md: the About page renders its Q&A, the Press page its bios, photos and quotes
+const artist = defineCollection({
+  type: 'content',
+  schema: ({ image }) =>
+    z.object({
+      name: z.string(),
+      location: z.string().optional().default(''),
+      genres: z.array(z.string()).optional().default([]),
+      influences: z.array(z.string()).optional().default([]),
+      instruments: z.array(z.string()).optional().default([]),
+      started: z.string().optional().default(''),
+      bio_short: z.string().optional().default(''),
+      bio_medium: z.string().optional().default(''),
+      photos: z
+        .array(
+          z.object({
+            src: image(),
+            alt: z.string(),
+            credit: z.string().optional(),
+          })
+        )
+        .optional()
+        .default([]),
+      quotes: z
+        .array(
+          z.object({
+            text: z.string(),
+            source: z.string(),
+            url: z.string().url().optional(),
+          })
+        )
+        .optional()
+        .default([]),
+    }),
+});
+
+export const collections = { songs, artist };
@@ -0,0 +1,2 @@
+// The bios are built in plain JS so the press kit zip (scripts/lib/press-kit.js) uses the same text
+export { bioVariants, factBio } from '../../scripts/lib/artist-profile.js';
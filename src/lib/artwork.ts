@@ -0,0 +1,24 @@
+import type { ImageMetadata } from 'astro';
+import type { Release } from '../types/releases';
+
+// Everything `npm run cache-artwork` has downloaded, keyed by path
+const images = import.meta.glob<ImageMetadata>('../assets/artwork/*.{jpg,png,webp}', {
+  eager: true,
+  import: 'default',
+});
+
+/** The release's cached artwork, or null until `npm run cache-artwork` has fetched it (pages show artworkUrl until then). */
+export function artworkImage(release: Release): ImageMetadata | null {
+  if (!release.artwork) return null;
+  return images[`../assets/artwork/${release.artwork.file}`] ?? null;
+}
+
+/**
+ * Absolute artwork URL for og:image, feeds and JSON-LD — read by other
+ * sites, not rendered by ours. The self-hosted original once cached, the
+ * store's URL until then.
+ */
+export function artworkUrl(release: Release, site: URL | string): string {
+  const image = artworkImage(release);
+  return image ? new URL(image.src, site).href : release.artworkUrl;
+}
@@ -0,0 +1,210 @@
+import type { Release, ReleasesData, Track } from '../types/releases';
+import {
+  formatReleaseDate,
+  hasReleasePage,
+  isMultiTrack,
+  isUpcoming,
+  releasePath,
+  releaseSlug,
+  releaseSong,
+  trackPath,
+  trackSong,
+  typeLabel,
+} from './releases';
+import { songTags, type TaggedSong } from './taxonomy';
+import { artworkUrl } from './artwork';
+import { escapeXml, songExcerpt } from '../../scripts/lib/feeds.js';
+
+/** A songs collection entry, with the markdown body the excerpts come from. */
+export type NotedSong = TaggedSong & { body?: string };
+
+export const API_VERSION = 1;
+
+const songsOf = <S extends NotedSong>(release: Release, songs: S[]) =>
+  songs.filter((s) => s.data.releaseId === release.id);
+
+/** The release's own notes, else the first of its tracks' notes. */
+export function releaseExcerpt(release: Release, songs: NotedSong[], maxLength?: number): string {
+  const candidates = [releaseSong(release, songs), ...release.tracks.map((t) => trackSong(release, t, songs))];
+  for (const song of candidates) {
+    const excerpt = song?.body ? songExcerpt(song.body, maxLength) : '';
+    if (excerpt) return excerpt;
+  }
+  return '';
+}
+
+function imageType(url: string): string {
+  if (/\.png(\?|$)/i.test(url)) return 'image/png';
+  if (/\.webp(\?|$)/i.test(url)) return 'image/webp';
+  return 'image/jpeg';
+}
+
+function platformLinks(item: Release | Track) {
+  return {
+    spotify: item.spotifyUrl,
+    appleMusic: item.appleMusicUrl,
+    amazonMusic: item.amazonMusicUrl,
+    youtube: 'youtubePlaylistUrl' in item ? (item.youtubePlaylistUrl ?? item.youtubeUrl) : item.youtubeUrl,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Feeds
+// ---------------------------------------------------------------------------
+
+/**
+ * One feed entry per release, newest first (see scripts/lib/feeds.js for the
+ * formats). Upcoming releases are left out until the release-day build, so
+ * feed readers announce them when they can be played.
+ */
+export function feedItems(releases: Release[], songs: NotedSong[], site: URL) {
+  return releases
+    .filter((release) => !isUpcoming(release))
+    .sort((a, b) => b.releaseDate.localeCompare(a.releaseDate))
+    .map((release) => {
+      const label = typeLabel(release);
+      const url = hasReleasePage(release, songs)
+        ? new URL(releasePath(release, songs), site).href
+        : release.spotifyUrl ?? new URL(`/go/${releaseSlug(release, songs)}`, site).href;
+      const excerpt = releaseExcerpt(release, songs);
+      const artwork = artworkUrl(release, site);
+      const summary = excerpt || `${label} by Jade Three, released ${formatReleaseDate(release.releaseDate)}.`;
+      const listen = Object.entries({
+        Spotify: release.spotifyUrl,
+        'Apple Music': release.appleMusicUrl,
+        'Amazon Music': release.amazonMusicUrl,
+        YouTube: release.youtubePlaylistUrl ?? release.youtubeUrl,
+      }).filter((entry): entry is [string, string] => !!entry[1]);
+      const tracklist = isMultiTrack(release)
+        ? `<ol>${release.tracks
+            .map((t) => `<li><a href="${escapeXml(new URL(trackPath(release, t, songs), site).href)}">${escapeXml(t.title)}</a> (${t.durationFormatted})</li>`)
+            .join('')}</ol>`
+        : '';
+
+      return {
+        id: `tag:${site.host},${release.year}:${release.id}`,
+        url,
+        title: isMultiTrack(release) ? `${release.title} (${label})` : release.title,
+        date: release.releaseDate,
+        summary,
+        contentHtml: [
+          `<p><img src="${escapeXml(artwork)}" alt="Cover art for ${escapeXml(release.title)}"/></p>`,
+          `<p>${escapeXml(summary)}</p>`,
+          tracklist,
+          `<p>Listen on ${listen.map(([name, href]) => `<a href="${escapeXml(href)}">${name}</a>`).join(' · ')}</p>`,
+        ].join(''),
+        tags: [...new Set(songsOf(release, songs).flatMap((s) => songTags(s).map((t) => t.label)))],
+        image: { url: artwork, type: imageType(artwork) },
+      };
+    });
+}
+
+/** The feed served as /feed.xml, /atom.xml and /feed.json. */
+export function discographyFeed(data: ReleasesData, songs: NotedSong[], site: URL) {
+  return {
+    title: `${data.artistName} — New releases`,
+    description: 'Electronic downtempo soundscapes from Portland, Oregon. New music by Jade Three.',
+    author: data.artistName,
+    siteUrl: new URL('/', site).href,
+    feedUrls: {
+      rss: new URL('/feed.xml', site).href,
+      atom: new URL('/atom.xml', site).href,
+      json: new URL('/feed.json', site).href,
+    },
+    icon: new URL('/og-image.png', site).href,
+    items: feedItems(data.releases, songs, site),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Static JSON API (/api/v1/)
+// ---------------------------------------------------------------------------
+
+export function apiTrack(release: Release, track: Track, songs: NotedSong[], site: URL) {
+  const song = trackSong(release, track, songs);
+  // A single's track lives on the release page
+  const path = isMultiTrack(release)
+    ? trackPath(release, track, songs)
+    : hasReleasePage(release, songs) ? releasePath(release, songs) : null;
+  return {
+    trackNumber: track.trackNumber,
+    title: track.title,
+    url: path ? new URL(path, site).href : null,
+    durationMs: track.durationMs,
+    duration: track.durationFormatted,
+    isrc: track.isrc ?? null,
+    explicit: track.isExplicit,
+    bpm: song?.data.bpm ?? null,
+    key: song?.data.key || null,
+    links: platformLinks(track),
+  };
+}
+
+export function apiRelease(release: Release, songs: NotedSong[], site: URL) {
+  const slug = releaseSlug(release, songs);
+  const song = releaseSong(release, songs);
+  return {
+    id: release.id,
+    slug,
+    type: release.type,
+    title: release.title,
+    releaseDate: release.releaseDate,
+    // "upcoming" until the build on the release date
+    status: isUpcoming(release) ? 'upcoming' : 'released',
+    url: hasReleasePage(release, songs) ? new URL(releasePath(release, songs), site).href : null,
+    apiUrl: new URL(`/api/v1/releases/${slug}.json`, site).href,
+    artwork: { large: artworkUrl(release, site), small: release.artworkUrlSmall, color: release.artwork?.color ?? null },
+    links: platformLinks(release),
+    genres: song?.data.genres ?? [],
+    themes: song?.data.themes ?? [],
+    mood: song?.data.mood ?? [],
+    trackCount: release.tracks.length,
+    tracks: release.tracks.map((t) => apiTrack(release, t, songs, site)),
+  };
+}
+
+/** Every release, newest first. */
+export function apiReleases(data: ReleasesData, songs: NotedSong[], site: URL) {
+  return {
+    version: API_VERSION,
+    artist: data.artistName,
+    updated: data.lastUpdated,
+    releases: [...data.releases]
+      .sort((a, b) => b.releaseDate.localeCompare(a.releaseDate))
+      .map((r) => apiRelease(r, songs, site)),
+  };
+}
+
+/** One release, with the excerpt from its notes. */
+export function apiReleaseDetail(data: ReleasesData, release: Release, songs: NotedSong[], site: URL) {
+  return {
+    version: API_VERSION,
+    artist: data.artistName,
+    updated: data.lastUpdated,
+    release: { ...apiRelease(release, songs, site), excerpt: releaseExcerpt(release, songs) || null },
+  };
+}
+
+/** Every track across all releases, newest release first, in track order. */
+export function apiTracks(data: ReleasesData, songs: NotedSong[], site: URL) {
+  return {
+    version: API_VERSION,
+    artist: data.artistName,
+    updated: data.lastUpdated,
+    tracks: apiReleases(data, songs, site).releases.flatMap(({ tracks, ...release }) =>
+      tracks.map((track) => ({
+        ...track,
+        release: {
+          id: release.id,
+          slug: release.slug,
+          type: release.type,
+          title: release.title,
+          releaseDate: release.releaseDate,
+          status: release.status,
+          url: release.url,
+          apiUrl: release.apiUrl,
+        },
+      }))
+    ),
+  };
+}
@@ -0,0 +1,82 @@
+import type { Release, Track } from '../types/releases';
+import { isEmbargoed } from '../../scripts/lib/upcoming.js';
+import { slugify } from '../../scripts/lib/platform-sync.js';
+
+export { isEmbargoed, isUpcoming } from '../../scripts/lib/upcoming.js';
+export { slugify } from '../../scripts/lib/platform-sync.js';
+
+/** The parts of a `songs` collection entry needed to work out routes. */
+export interface SongRef {
+  slug: string;
+  data: { releaseId: string; trackNumber?: number | null };
+}
+
+export function isMultiTrack(release: Release): boolean {
+  return release.type !== 'single';
+}
+
+/**
+ * The song page describing a whole release: a single's only page, or an
+ * EP/album page with no trackNumber.
+ */
+export function releaseSong<S extends SongRef>(release: Release, songs: S[]): S | undefined {
+  return songs.find(
+    (s) => s.data.releaseId === release.id && (!isMultiTrack(release) || s.data.trackNumber == null)
+  );
+}
+
+/** The song page for one track of an EP/album, matched by trackNumber. */
+export function trackSong<S extends SongRef>(release: Release, track: Track, songs: S[]): S | undefined {
+  return songs.find((s) => s.data.releaseId === release.id && s.data.trackNumber === track.trackNumber);
+}
+
+/** Every EP/album has a page; a single has one only if it has a song page. */
+export function hasReleasePage(release: Release, songs: SongRef[]): boolean {
+  return isMultiTrack(release) || releaseSong(release, songs) !== undefined;
+}
+
+/**
+ * The songs as the site may quote them: an embargoed song (`embargo: true`,
+ * release still upcoming) keeps its page and tags but loses its notes.
+ */
+export function publishedNotes<S extends SongRef & { body?: string; data: { embargo?: boolean } }>(
+  songs: S[],
+  releases: Release[]
+): S[] {
+  return songs.map((song) => (isEmbargoed(song, releases) ? { ...song, body: undefined } : song));
+}
+
+/** URL segment for a release: its song page's slug, else the title plus type (e.g. "year-until-the-fall-ep"). */
+export function releaseSlug(release: Release, songs: SongRef[]): string {
+  return releaseSong(release, songs)?.slug ?? `${slugify(release.title)}-${release.type}`;
+}
+
+/** URL segment for a track within its release: its song page's slug, else the title. */
+export function trackSlug(release: Release, track: Track, songs: SongRef[]): string {
+  return trackSong(release, track, songs)?.slug ?? slugify(track.title);
+}
+
+export function releasePath(release: Release, songs: SongRef[]): string {
+  return `/releases/${releaseSlug(release, songs)}`;
+}
+
+export function trackPath(release: Release, track: Track, songs: SongRef[]): string {
+  return `${releasePath(release, songs)}/${trackSlug(release, track, songs)}`;
+}
+
+export function formatReleaseDate(releaseDate: string): string {
+  return new Date(releaseDate + 'T12:00:00').toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+}
+
+export function typeLabel(release: Release): string {
+  return release.type === 'ep' ? 'EP' : release.type === 'album' ? 'Album' : 'Single';
+}
+
+/** trackNumber → track page URL, for every track of an EP/album. */
+export function trackHrefs(release: Release, songs: SongRef[]): Record<number, string> {
+  return Object.fromEntries(release.tracks.map((t) => [t.trackNumber, trackPath(release, t, songs)]));
+}
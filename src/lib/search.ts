@@ -0,0 +1,105 @@
+import type { MarkdownHeading } from 'astro';
+import type { Release } from '../types/releases';
+import {
+  hasReleasePage,
+  isMultiTrack,
+  isUpcoming,
+  releasePath,
+  releaseSlug,
+  releaseSong,
+  trackPath,
+  trackSong,
+  typeLabel,
+} from './releases';
+import type { NotedSong } from './discography';
+import { plainText } from '../../scripts/lib/feeds.js';
+import { buildSearchIndex, type SearchDoc, type SearchGroup, type SearchIndex } from '../../scripts/lib/search.js';
+
+/** A rendered markdown entry: its body and the heading ids Astro gave it. */
+export interface SearchSource {
+  body?: string;
+  headings: MarkdownHeading[];
+}
+
+export type SearchableSong = NotedSong & SearchSource;
+
+export const ABOUT_GROUP = 'about';
+
+/**
+ * One section per answered `## ` question, linking to its heading. The
+ * headings are matched to Astro's in order, so the anchors are the ones on
+ * the page.
+ */
+export function qaSections({ body = '', headings }: SearchSource): { title: string; anchor: string; text: string }[] {
+  const ids = headings.filter((h) => h.depth === 2);
+  const sections: { title: string; anchor: string; text: string }[] = [];
+  let current: (typeof sections)[number] | null = null;
+  let h2 = 0;
+  for (const line of body.split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.+)$/);
+    if (heading) {
+      current = heading[1] === '##' ? { title: plainText(heading[2]), anchor: ids[h2++]?.slug ?? '', text: '' } : null;
+      if (current) sections.push(current);
+    } else if (current) {
+      current.text += `${line}\n`;
+    }
+  }
+  return sections
+    .map((s) => ({ ...s, text: plainText(s.text) }))
+    .filter((s) => s.text);
+}
+
+/**
+ * Everything the site search covers, grouped by release: each release and
+ * EP/album track by title, every answered question in the song notes, and
+ * the artist Q&A on /about.
+ */
+export function searchDocuments(
+  releases: Release[],
+  songs: SearchableSong[],
+  profile: SearchSource | undefined
+): { docs: SearchDoc[]; groups: Record<string, SearchGroup> } {
+  const docs: SearchDoc[] = [];
+  const groups: Record<string, SearchGroup> = {};
+  const addSong = (song: SearchableSong | undefined, group: string, url: string, label?: string) => {
+    for (const { title, anchor, text } of song ? qaSections(song) : []) {
+      docs.push({ group, label, title, url: anchor ? `${url}#${anchor}` : url, text });
+    }
+  };
+
+  for (const release of releases) {
+    // Singles without a song page only have their smart link
+    const url = hasReleasePage(release, songs) ? releasePath(release, songs) : `/go/${releaseSlug(release, songs)}`;
+    groups[release.id] = { title: release.title, url, meta: `${typeLabel(release)} · ${release.year}` };
+    docs.push({
+      group: release.id,
+      title: release.title,
+      url,
+      text: isMultiTrack(release)
+        ? `${typeLabel(release)}: ${release.tracks.map((t) => t.title).join(', ')}`
+        : `${typeLabel(release)} ${isUpcoming(release) ? 'out' : 'released'} ${release.releaseDate.slice(0, 4)}`,
+    });
+    addSong(releaseSong(release, songs), release.id, url);
+
+    if (!isMultiTrack(release)) continue;
+    for (const track of release.tracks) {
+      const trackUrl = trackPath(release, track, songs);
+      docs.push({ group: release.id, title: track.title, url: trackUrl, text: `Track ${track.trackNumber} on ${release.title}` });
+      addSong(trackSong(release, track, songs), release.id, trackUrl, track.title);
+    }
+  }
+
+  if (profile) {
+    groups[ABOUT_GROUP] = { title: 'About Jade Three', url: '/about', meta: 'Artist Q&A' };
+    for (const { title, anchor, text } of qaSections(profile)) {
+      docs.push({ group: ABOUT_GROUP, title, url: `/about#${anchor}`, text });
+    }
+  }
+
+  return { docs, groups };
+}
+
+export function siteSearchIndex(...args: Parameters<typeof searchDocuments>): SearchIndex {
+  const { docs, groups } = searchDocuments(...args);
+  return buildSearchIndex(docs, groups);
+}
@@ -0,0 +1,152 @@
+import type { Release, ReleasesData, Track } from '../types/releases';
+import { hasReleasePage, isMultiTrack, releasePath, trackPath, type SongRef } from './releases';
+import { artworkUrl } from './artwork';
+
+// schema.org JSON-LD for the homepage (MusicGroup) and release/track pages
+// (MusicAlbum, MusicRecording). See https://schema.org/MusicGroup.
+
+type JsonLd = Record<string, unknown>;
+
+/** What the JSON-LD takes from the artist profile (src/content/artist/profile.md). */
+export interface ArtistFacts {
+  genres: string[];
+  location: string;
+}
+
+const ALBUM_RELEASE_TYPE: Record<Release['type'], string> = {
+  single: 'https://schema.org/SingleRelease',
+  ep: 'https://schema.org/EPRelease',
+  album: 'https://schema.org/AlbumRelease',
+};
+
+/** 207692 → "PT3M28S" (ISO 8601 duration) */
+export function isoDuration(ms: number): string {
+  const total = Math.round(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return `PT${h ? `${h}H` : ''}${h || m ? `${m}M` : ''}${s}S`;
+}
+
+function sameAs(...urls: (string | null | undefined)[]): string[] {
+  return urls.filter((u): u is string => !!u);
+}
+
+function artist(data: ReleasesData, site: URL): JsonLd {
+  return {
+    '@type': 'MusicGroup',
+    '@id': new URL('/#artist', site).href,
+    name: data.artistName,
+    url: new URL('/', site).href,
+  };
+}
+
+function pageUrl(release: Release, songs: SongRef[], site: URL): string | undefined {
+  return hasReleasePage(release, songs) ? new URL(releasePath(release, songs), site).href : undefined;
+}
+
+/** `@id` of a release: its page, else its Spotify URL; none while it has neither. */
+function releaseId(release: Release, songs: SongRef[], site: URL): JsonLd {
+  const base = pageUrl(release, songs, site) ?? release.spotifyUrl;
+  return base ? { '@id': `${base}#release` } : {};
+}
+
+function genres(profile: ArtistFacts): JsonLd {
+  return profile.genres.length > 0 ? { genre: profile.genres } : {};
+}
+
+function recording(release: Release, track: Track, songs: SongRef[], site: URL): JsonLd {
+  // A single's track lives on the release page
+  const path = isMultiTrack(release)
+    ? trackPath(release, track, songs)
+    : hasReleasePage(release, songs) ? releasePath(release, songs) : null;
+  return {
+    '@type': 'MusicRecording',
+    name: track.title,
+    ...(path ? { url: new URL(path, site).href } : {}),
+    duration: isoDuration(track.durationMs),
+    // Filled in once the Spotify sync has recorded the track's ISRC
+    ...(track.isrc ? { isrcCode: track.isrc } : {}),
+    position: track.trackNumber,
+    sameAs: sameAs(track.spotifyUrl, track.appleMusicUrl, track.amazonMusicUrl, track.youtubeUrl),
+  };
+}
+
+function albumSummary(release: Release, songs: SongRef[], site: URL): JsonLd {
+  return {
+    '@type': 'MusicAlbum',
+    name: release.title,
+    url: pageUrl(release, songs, site),
+    datePublished: release.releaseDate,
+    albumReleaseType: ALBUM_RELEASE_TYPE[release.type],
+    image: artworkUrl(release, site),
+  };
+}
+
+/** Homepage: the artist and their releases, newest first. */
+export function musicGroupJsonLd(data: ReleasesData, profile: ArtistFacts, songs: SongRef[], site: URL): JsonLd {
+  const releases = [...data.releases].sort((a, b) => b.releaseDate.localeCompare(a.releaseDate));
+  return {
+    '@context': 'https://schema.org',
+    ...artist(data, site),
+    ...genres(profile),
+    ...(profile.location ? { foundingLocation: { '@type': 'Place', name: profile.location } } : {}),
+    image: new URL('/og-image.png', site).href,
+    sameAs: [`https://open.spotify.com/artist/${data.spotifyArtistId}`],
+    album: releases.map((r) => albumSummary(r, songs, site)),
+  };
+}
+
+/** Release page: the release and its tracks. */
+export function musicAlbumJsonLd(
+  data: ReleasesData,
+  profile: ArtistFacts,
+  release: Release,
+  songs: SongRef[],
+  site: URL
+): JsonLd {
+  return {
+    '@context': 'https://schema.org',
+    ...albumSummary(release, songs, site),
+    ...releaseId(release, songs, site),
+    byArtist: artist(data, site),
+    ...genres(profile),
+    numTracks: release.tracks.length,
+    sameAs: sameAs(
+      release.spotifyUrl,
+      release.appleMusicUrl,
+      release.amazonMusicUrl,
+      release.youtubePlaylistUrl ?? release.youtubeUrl
+    ),
+    track: {
+      '@type': 'ItemList',
+      numberOfItems: release.tracks.length,
+      itemListElement: release.tracks.map((t) => ({
+        '@type': 'ListItem',
+        position: t.trackNumber,
+        item: recording(release, t, songs, site),
+      })),
+    },
+  };
+}
+
+/** Track page: one recording, linked to its release. */
+export function musicRecordingJsonLd(
+  data: ReleasesData,
+  release: Release,
+  track: Track,
+  songs: SongRef[],
+  site: URL
+): JsonLd {
+  return {
+    '@context': 'https://schema.org',
+    ...recording(release, track, songs, site),
+    byArtist: artist(data, site),
+    datePublished: release.releaseDate,
+    image: artworkUrl(release, site),
+    inAlbum: {
+      ...albumSummary(release, songs, site),
+      ...releaseId(release, songs, site),
+    },
+  };
+}
@@ -0,0 +1,114 @@
+import type { Release } from '../types/releases';
+import { isMultiTrack, releasePath, slugify, trackPath, type SongRef } from './releases';
+
+/** A song entry with the frontmatter fields the taxonomy pages read. */
+export interface TaggedSong extends SongRef {
+  data: SongRef['data'] & {
+    title: string;
+    releaseDate: string;
+    genres: string[];
+    themes: string[];
+    mood: string[];
+    bpm?: number | null;
+    key?: string;
+  };
+}
+
+export type TaxonomyName = 'mood' | 'genre' | 'theme';
+
+export interface Taxonomy {
+  name: TaxonomyName;
+  label: string;
+  /** URL prefix, e.g. /themes/<tag> */
+  path: string;
+  field: 'mood' | 'genres' | 'themes';
+}
+
+export const TAXONOMIES: Taxonomy[] = [
+  { name: 'mood', label: 'Mood', path: 'mood', field: 'mood' },
+  { name: 'genre', label: 'Genre', path: 'genre', field: 'genres' },
+  { name: 'theme', label: 'Theme', path: 'themes', field: 'themes' },
+];
+
+export function getTaxonomy(name: TaxonomyName): Taxonomy {
+  return TAXONOMIES.find((t) => t.name === name)!;
+}
+
+export interface Tag {
+  taxonomy: Taxonomy;
+  label: string;
+  slug: string;
+  href: string;
+  /** `<taxonomy>:<slug>`, the value used by the homepage filter */
+  id: string;
+}
+
+function makeTag(taxonomy: Taxonomy, label: string): Tag {
+  const slug = slugify(label);
+  return { taxonomy, label, slug, href: `/${taxonomy.path}/${slug}`, id: `${taxonomy.name}:${slug}` };
+}
+
+/** Every tag on a song, in taxonomy order. */
+export function songTags(song: TaggedSong): Tag[] {
+  return TAXONOMIES.flatMap((taxonomy) =>
+    (song.data[taxonomy.field] ?? []).filter((label) => slugify(label)).map((label) => makeTag(taxonomy, label))
+  );
+}
+
+/** The tags of one taxonomy across all songs, with the songs carrying each, sorted by label. */
+export function collectTags<S extends TaggedSong>(taxonomy: Taxonomy, songs: S[]): { tag: Tag; songs: S[] }[] {
+  const bySlug = new Map<string, { tag: Tag; songs: S[] }>();
+  for (const song of songs) {
+    for (const tag of songTags(song).filter((t) => t.taxonomy === taxonomy)) {
+      const entry = bySlug.get(tag.slug) ?? { tag, songs: [] };
+      if (!entry.songs.includes(song)) entry.songs.push(song);
+      bySlug.set(tag.slug, entry);
+    }
+  }
+  return [...bySlug.values()].sort((a, b) => a.tag.label.localeCompare(b.tag.label));
+}
+
+/**
+ * Songs sharing the most tags with `song` (at least one), closest BPM
+ * breaking ties, then newest first.
+ */
+export function similarSongs<S extends TaggedSong>(song: S, songs: S[], limit = 4): S[] {
+  const mine = new Set(songTags(song).map((t) => t.id));
+  if (mine.size === 0) return [];
+  const bpmGap = (other: S) =>
+    song.data.bpm && other.data.bpm ? Math.abs(song.data.bpm - other.data.bpm) : Number.POSITIVE_INFINITY;
+
+  return songs
+    .filter((other) => other.slug !== song.slug)
+    .map((other) => ({ other, shared: songTags(other).filter((t) => mine.has(t.id)).length }))
+    .filter(({ shared }) => shared > 0)
+    .sort(
+      (a, b) =>
+        b.shared - a.shared ||
+        bpmGap(a.other) - bpmGap(b.other) ||
+        b.other.data.releaseDate.localeCompare(a.other.data.releaseDate)
+    )
+    .slice(0, limit)
+    .map(({ other }) => other);
+}
+
+/** The page a song's notes appear on: its release page, or its track page on an EP/album. */
+export function songPath(song: SongRef, releases: Release[], songs: SongRef[]): string | null {
+  const release = releases.find((r) => r.id === song.data.releaseId);
+  if (!release) return null;
+  const track = release.tracks.find((t) => t.trackNumber === song.data.trackNumber);
+  return isMultiTrack(release) && track ? trackPath(release, track, songs) : releasePath(release, songs);
+}
+
+/** What the homepage filter bar matches against, per song on a release. */
+export interface SongFilterData {
+  tags: string[];
+  bpm: number | null;
+  key: string;
+}
+
+export function releaseFilterData(release: Release, songs: TaggedSong[]): SongFilterData[] {
+  return songs
+    .filter((s) => s.data.releaseId === release.id)
+    .map((s) => ({ tags: songTags(s).map((t) => t.id), bpm: s.data.bpm ?? null, key: s.data.key ?? '' }));
+}
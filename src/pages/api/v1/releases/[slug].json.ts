@@ -0,0 +1,21 @@
+import type { APIRoute, GetStaticPaths } from 'astro';
+import { getCollection } from 'astro:content';
+import releasesData from '../../../../data/releases.json';
+import type { Release, ReleasesData } from '../../../../types/releases';
+import { publishedNotes, releaseSlug } from '../../../../lib/releases';
+import { apiReleaseDetail } from '../../../../lib/discography';
+
+// One file per release, including singles without a page of their own
+export const getStaticPaths = (async () => {
+  const songs = await getCollection('songs');
+  return (releasesData as ReleasesData).releases.map((release) => ({
+    params: { slug: releaseSlug(release, songs) },
+    props: { release },
+  }));
+}) satisfies GetStaticPaths;
+
+export const GET: APIRoute<{ release: Release }> = async ({ props, site }) => {
+  const data = releasesData as ReleasesData;
+  const songs = publishedNotes(await getCollection('songs'), data.releases);
+  return Response.json(apiReleaseDetail(data, props.release, songs, site!));
+};
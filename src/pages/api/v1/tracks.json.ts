@@ -0,0 +1,10 @@
+import type { APIRoute } from 'astro';
+import { getCollection } from 'astro:content';
+import releasesData from '../../../data/releases.json';
+import type { ReleasesData } from '../../../types/releases';
+import { apiTracks } from '../../../lib/discography';
+
+export const GET: APIRoute = async ({ site }) => {
+  const songs = await getCollection('songs');
+  return Response.json(apiTracks(releasesData as ReleasesData, songs, site!));
+};
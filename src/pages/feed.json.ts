@@ -0,0 +1,12 @@
+import type { APIRoute } from 'astro';
+import { getCollection } from 'astro:content';
+import releasesData from '../data/releases.json';
+import type { ReleasesData } from '../types/releases';
+import { discographyFeed } from '../lib/discography';
+import { jsonFeed } from '../../scripts/lib/feeds.js';
+
+export const GET: APIRoute = async ({ site }) => {
+  const songs = await getCollection('songs');
+  const feed = discographyFeed(releasesData as ReleasesData, songs, site!);
+  return new Response(jsonFeed(feed), { headers: { 'Content-Type': 'application/feed+json; charset=utf-8' } });
+};
@@ -0,0 +1,26 @@
+import type { APIRoute } from 'astro';
+import { getCollection, getEntry, render } from 'astro:content';
+import releasesData from '../data/releases.json';
+import type { ReleasesData } from '../types/releases';
+import { publishedNotes } from '../lib/releases';
+import { siteSearchIndex } from '../lib/search';
+
+// The site search index (scripts/lib/search.js), fetched by the header
+// search box, /search and the edge function behind /search?q=
+export const GET: APIRoute = async () => {
+  const { releases } = releasesData as ReleasesData;
+  // Embargoed notes stay out of the index until the release-day build
+  const songs = await Promise.all(
+    publishedNotes(await getCollection('songs'), releases).map(async (song) => ({
+      ...song,
+      headings: (await render(song)).headings,
+    }))
+  );
+  const profile = await getEntry('artist', 'profile');
+  const index = siteSearchIndex(
+    releases,
+    songs,
+    profile && { body: profile.body, headings: (await render(profile)).headings }
+  );
+  return new Response(JSON.stringify(index), { headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+};
@@ -1,8 +1,10 @@
 export interface Track {
   trackNumber: number;
   title: string;
-  spotifyId: string;
-  spotifyUrl: string;
+  /** null only while the release is upcoming and Spotify hasn't listed it */
+  spotifyId: string | null;
+  spotifyUrl: string | null;
+  isrc?: string;
   appleMusicUrl: string | null;
   amazonMusicUrl: string | null;
   youtubeUrl: string | null;
@@ -11,20 +13,42 @@ export interface Track {
   isExplicit: boolean;
 }
 
+/** The local copy of a release's artwork, written by `npm run cache-artwork` */
+export interface ReleaseArtwork {
+  /** File name in src/assets/artwork/ */
+  file: string;
+  sha256: string;
+  /** The artworkUrl it was downloaded from */
+  source: string;
+  /** Dominant color, #rrggbb */
+  color: string;
+  /** Tiny blurred preview as a data: URL */
+  placeholder: string;
+}
+
 export interface Release {
   id: string;
   type: 'album' | 'ep' | 'single';
   title: string;
   releaseDate: string;
   year: number;
-  spotifyId: string;
-  spotifyUrl: string;
+  /**
+   * "upcoming" until the release date, which shows a coming-soon card in
+   * place of the players. `npm run sync` sets it to "released" afterwards.
+   */
+  status?: 'upcoming' | 'released';
+  /** A pre-save page covering every platform (e.g. from the distributor), shown while upcoming */
+  preSaveUrl?: string | null;
+  /** null only while the release is upcoming and Spotify hasn't listed it */
+  spotifyId: string | null;
+  spotifyUrl: string | null;
   appleMusicUrl: string | null;
   amazonMusicUrl: string | null;
   youtubePlaylistUrl: string | null;
   youtubeUrl: string | null;
   artworkUrl: string;
   artworkUrlSmall: string;
+  artwork?: ReleaseArtwork;
   totalTracks: number;
   tracks: Track[];
 }
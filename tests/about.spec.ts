@@ -0,0 +1,60 @@
+import { test, expect } from '@playwright/test';
+
+test.describe('About and press pages', () => {
+  test('header links to About and Press from any page', async ({ page }) => {
+    await page.goto('/releases/stinger');
+    const nav = page.getByRole('navigation', { name: 'Main' });
+    await nav.getByRole('link', { name: 'About' }).click();
+    await expect(page).toHaveURL(/\/about\/?$/);
+    await expect(nav.getByRole('link', { name: 'About' })).toHaveAttribute('aria-current', 'page');
+    await nav.getByRole('link', { name: 'Press' }).click();
+    await expect(page).toHaveURL(/\/press\/?$/);
+    await expect(nav.getByRole('link', { name: 'Music' })).toHaveAttribute('href', '/#releases');
+  });
+
+  test('about page renders the artist Q&A', async ({ page }) => {
+    await page.goto('/about');
+    await expect(page.getByRole('heading', { level: 1 })).toHaveText('Jade Three');
+    await expect(page.locator('.prose-song h2', { hasText: 'Why did you start making music?' })).toBeVisible();
+    await expect(page.getByText('Portland, Oregon')).toBeVisible();
+  });
+
+  test('press page bios can be copied', async ({ page, context }) => {
+    await context.grantPermissions(['clipboard-read', 'clipboard-write']);
+    await page.goto('/press');
+    const bio = page.locator('#bio-short');
+    await expect(bio).toContainText('Jade Three');
+
+    await page.getByRole('button', { name: 'Copy short bio' }).click();
+    await expect(page.getByRole('button', { name: 'Copied' })).toBeVisible();
+    expect(await page.evaluate(() => navigator.clipboard.readText())).toBe((await bio.innerText()).trim());
+  });
+
+  test('press page links a downloadable photo and lists every release', async ({ page }) => {
+    await page.goto('/press');
+    const download = page.getByRole('link', { name: /^Download \(\d+ × \d+ [A-Z]+\)$/ }).first();
+    await expect(download).toHaveAttribute('download', '');
+    const res = await page.request.get((await download.getAttribute('href'))!);
+    expect(res.headers()['content-type']).toMatch(/^image\//);
+
+    const { releases } = await (await page.request.get('/api/v1/releases.json')).json();
+    const rows = page.getByRole('table').locator('tbody tr');
+    await expect(rows).toHaveCount(releases.length);
+    await expect(rows.first().getByRole('rowheader')).toHaveText(releases[0].title);
+  });
+
+  test('press page links the press kit zip', async ({ page }) => {
+    await page.goto('/press');
+    const link = page.getByRole('link', { name: 'Download press kit (.zip)' });
+    await expect(link).toHaveAttribute('download', '');
+    const res = await page.request.get((await link.getAttribute('href'))!);
+    expect(res.ok()).toBe(true);
+    // Zip local file header
+    expect((await res.body()).subarray(0, 4).toString('hex')).toBe('504b0304');
+  });
+
+  test('press page shows the selected quotes', async ({ page }) => {
+    await page.goto('/press');
+    await expect(page.locator('blockquote').first()).toContainText('make more and consume less');
+  });
+});
@@ -0,0 +1,40 @@
+import { test, expect } from '@playwright/test';
+import releasesData from '../src/data/releases.json' with { type: 'json' };
+import type { ReleasesData } from '../src/types/releases';
+
+const data = releasesData as ReleasesData;
+const STINGER = data.releases.find((r) => r.title === 'Stinger')!;
+// Uncached artwork is shown from the store until `npm run cache-artwork` has fetched it
+const REMOTE_ARTWORK = new Set(data.releases.filter((r) => !r.artwork).map((r) => r.artworkUrl));
+
+test.describe('Release artwork', () => {
+  test('release pages load images from other hosts only for uncached artwork', async ({ page }) => {
+    const external: string[] = [];
+    page.on('request', (req) => {
+      if (req.resourceType() === 'image' && new URL(req.url()).origin !== new URL(page.url()).origin) {
+        external.push(req.url());
+      }
+    });
+    await page.goto('/releases/stinger');
+    await page.goto('/releases/year-until-the-fall-ep');
+    expect(external.filter((url) => !REMOTE_ARTWORK.has(url))).toEqual([]);
+  });
+
+  test('cached artwork is a responsive AVIF/WebP picture with a placeholder', async ({ page }) => {
+    test.skip(!STINGER.artwork, 'Stinger artwork not cached (npm run cache-artwork)');
+    await page.goto('/releases/stinger');
+    const picture = page.locator('picture', { has: page.getByAltText('Stinger artwork') });
+    await expect(picture.locator('source[type="image/avif"]')).toHaveAttribute('srcset', /\.avif 144w, .*\.avif 384w/);
+    await expect(picture.locator('source[type="image/webp"]')).toHaveCount(1);
+    await expect(picture.locator('img')).toHaveAttribute('style', new RegExp(`background: ${STINGER.artwork!.color}`));
+    await expect(page.locator('[data-artwork-backdrop]')).toHaveCount(1);
+  });
+
+  test('uncached artwork is loaded from artworkUrl', async ({ page }) => {
+    test.skip(!!STINGER.artwork, 'Stinger artwork is cached');
+    await page.goto('/releases/stinger');
+    const image = page.getByRole('img', { name: 'Stinger artwork' });
+    await expect(image).toHaveAttribute('data-artwork-remote', '');
+    await expect(image).toHaveAttribute('src', STINGER.artworkUrl);
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Tests for scripts/lib/audio.js and scripts/lib/masters.js
+ * Run with: node --test tests/audio.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { analyzeAudio, decodeAudio, decodeWav, estimateKey } from '../scripts/lib/audio.js';
+import {
+  analysisFields,
+  durationMismatch,
+  formatPreciseDuration,
+  masterTitle,
+  matchMaster,
+  setAnalysis,
+} from '../scripts/lib/masters.js';
+import { tempDir } from './temp-dir.mjs';
+
+const RATE = 44100;
+
+const midiHz = note => 440 * 2 ** ((note - 69) / 12);
+
+/**
+ * A test master: a noise-burst kick on every beat under sustained sine
+ * chords (MIDI note numbers), one chord per equal slice of the length.
+ */
+function synth({ seconds, bpm, chords }) {
+  const samples = new Float32Array(seconds * RATE);
+  let seed = 1;
+  const noise = () => ((seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff) * 2 - 1;
+  for (let t = 0; t < seconds; t += 60 / bpm) {
+    const start = Math.round(t * RATE);
+    for (let i = 0; i < 0.05 * RATE && start + i < samples.length; i++) {
+      samples[start + i] += 0.5 * noise() * Math.exp(-i / (0.01 * RATE));
+    }
+  }
+  const slice = samples.length / chords.length;
+  chords.forEach((notes, c) => {
+    for (let i = Math.round(c * slice); i < Math.round((c + 1) * slice); i++) {
+      for (const note of notes) samples[i] += 0.1 * Math.sin(2 * Math.PI * midiHz(note) * i / RATE);
+    }
+  });
+  return samples;
+}
+
+/** 16-bit PCM, or WAVE_FORMAT_EXTENSIBLE float when `float` is set. */
+function encodeWav(channels, { float = false } = {}) {
+  const bytesPerSample = float ? 4 : 2;
+  const frames = channels[0].length;
+  const fmtSize = float ? 40 : 16;
+  const dataSize = frames * channels.length * bytesPerSample;
+  const buf = Buffer.alloc(20 + fmtSize + 8 + dataSize + 12);
+  buf.write('RIFF', 0);
+  buf.writeUInt32LE(buf.length - 8, 4);
+  buf.write('WAVE', 8);
+  buf.write('fmt ', 12);
+  buf.writeUInt32LE(fmtSize, 16);
+  buf.writeUInt16LE(float ? 0xfffe : 1, 20);
+  buf.writeUInt16LE(channels.length, 22);
+  buf.writeUInt32LE(RATE, 24);
+  buf.writeUInt32LE(RATE * channels.length * bytesPerSample, 28);
+  buf.writeUInt16LE(channels.length * bytesPerSample, 32);
+  buf.writeUInt16LE(bytesPerSample * 8, 34);
+  if (float) {
+    buf.writeUInt16LE(22, 36);
+    buf.writeUInt16LE(32, 38);
+    buf.writeUInt16LE(3, 44); // KSDATAFORMAT_SUBTYPE_IEEE_FLOAT
+  }
+  let offset = 20 + fmtSize;
+  // An odd-sized chunk before the data, to check the padding is skipped
+  buf.write('junk', offset);
+  buf.writeUInt32LE(3, offset + 4);
+  offset += 12;
+  buf.write('data', offset);
+  buf.writeUInt32LE(dataSize, offset + 4);
+  offset += 8;
+  for (let i = 0; i < frames; i++) {
+    for (const channel of channels) {
+      if (float) buf.writeFloatLE(channel[i], offset);
+      else buf.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(channel[i] * 32768))), offset);
+      offset += bytesPerSample;
+    }
+  }
+  return buf;
+}
+
+// ---------------------------------------------------------------------------
+// Decoding
+// ---------------------------------------------------------------------------
+
+test('decodeWav: 16-bit PCM and extensible float, skipping other chunks', () => {
+  const left = Float32Array.from([0, 0.5, -0.5, -1]);
+  const right = Float32Array.from([0.25, -0.25, 0.125, 0.75]);
+
+  const pcm = decodeWav(encodeWav([left, right]));
+  assert.equal(pcm.sampleRate, RATE);
+  assert.deepEqual([...pcm.channelData[0]], [0, 0.5, -0.5, -1]);
+  assert.deepEqual([...pcm.channelData[1]], [0.25, -0.25, 0.125, 0.75]);
+
+  const float = decodeWav(encodeWav([left], { float: true }));
+  assert.deepEqual([...float.channelData[0]], [...left]);
+
+  assert.throws(() => decodeWav(Buffer.from('ID3 not a wav file')), /Not a WAV file/);
+});
+
+test('decodeAudio: reads WAV files and rejects other formats', async () => {
+  const dir = tempDir('masters-');
+  const wav = path.join(dir, 'stinger.wav');
+  fs.writeFileSync(wav, encodeWav([new Float32Array(RATE / 2)]));
+  const audio = await decodeAudio(wav);
+  assert.equal(audio.channelData[0].length, RATE / 2);
+
+  fs.writeFileSync(path.join(dir, 'stinger.aiff'), 'FORM');
+  await assert.rejects(decodeAudio(path.join(dir, 'stinger.aiff')), /stinger\.aiff: unsupported format/);
+});
+
+// ---------------------------------------------------------------------------
+// Analysis
+// ---------------------------------------------------------------------------
+
+test('analyzeAudio: tempo, key and exact duration', () => {
+  // i - iv - V - i in A minor at 120 BPM
+  const minor = synth({ seconds: 12, bpm: 120, chords: [[57, 60, 64], [62, 65, 69], [64, 68, 71], [57, 60, 64]] });
+  assert.deepEqual(analyzeAudio({ sampleRate: RATE, channelData: [minor, minor] }), {
+    durationMs: 12000,
+    bpm: 120,
+    bpmConfidence: 1,
+    key: 'A minor',
+    keyConfidence: 0.68,
+  });
+
+  // I - IV - V - I in Eb major at 96 BPM, with a half-second tail
+  const major = synth({ seconds: 12.5, bpm: 96, chords: [[63, 67, 70], [68, 72, 75], [70, 74, 77], [63, 67, 70]] });
+  const result = analyzeAudio({ sampleRate: RATE, channelData: [major] });
+  assert.equal(result.durationMs, 12500);
+  assert.equal(result.bpm, 96);
+  assert.equal(result.key, 'Eb major');
+});
+
+test('analyzeAudio: silence has no tempo or key', () => {
+  const silence = new Float32Array(8 * RATE);
+  assert.deepEqual(analyzeAudio({ sampleRate: RATE, channelData: [silence] }), {
+    durationMs: 8000,
+    bpm: null,
+    bpmConfidence: null,
+    key: null,
+    keyConfidence: null,
+  });
+});
+
+test('estimateKey: a flat profile is low confidence', () => {
+  const { confidence } = estimateKey([1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1.01]);
+  assert.ok(confidence < 0.3, `confidence ${confidence}`);
+});
+
+// ---------------------------------------------------------------------------
+// Matching and writing
+// ---------------------------------------------------------------------------
+
+const RELEASES = [
+  { id: 'single-1', type: 'single', title: 'Stinger', tracks: [{ trackNumber: 1, title: 'Stinger', durationMs: 194400 }] },
+  {
+    id: 'ep-1',
+    type: 'ep',
+    title: 'Year Until the Fall',
+    tracks: [
+      { trackNumber: 1, title: 'Year until the fall', durationMs: 298667 },
+      { trackNumber: 2, title: 'Stinger', durationMs: 194400 },
+      { trackNumber: 3, title: 'Fight or flight', durationMs: 190000 },
+    ],
+  },
+];
+
+const SONGS = [
+  { slug: 'stinger', data: { releaseId: 'single-1', trackNumber: 1 } },
+  { slug: 'year-until-the-fall-ep', data: { releaseId: 'ep-1', trackNumber: null } },
+  { slug: 'fight-or-flight', data: { releaseId: 'ep-1', trackNumber: 3 } },
+];
+
+test('masterTitle: drops track numbers, versions and notes', () => {
+  assert.equal(masterTitle('03 - Fight or Flight (Master v2).wav'), 'Fight or Flight');
+  assert.equal(masterTitle('stinger_final_24bit.flac'), 'stinger');
+  assert.equal(masterTitle('Year Until the Fall - mastered.mp3'), 'Year Until the Fall');
+  assert.equal(masterTitle('1. Fall in Love [clean].wav'), 'Fall in Love');
+});
+
+test('matchMaster: every track with the title, with its song page if there is one', () => {
+  const matches = matchMaster('02 Stinger (Master).wav', RELEASES, SONGS);
+  assert.deepEqual(
+    matches.map(m => [m.release.id, m.track.trackNumber, m.song?.slug ?? null]),
+    [['single-1', 1, 'stinger'], ['ep-1', 2, null]],
+  );
+  assert.deepEqual(matchMaster('Fight or flight extended.wav', RELEASES, SONGS).map(m => m.song.slug), ['fight-or-flight']);
+  assert.deepEqual(matchMaster('Something else.wav', RELEASES, SONGS), []);
+});
+
+test('durationMismatch: over 1.5 s either way', () => {
+  const track = { durationMs: 194400 };
+  assert.equal(durationMismatch(195800, track), null);
+  assert.equal(durationMismatch(196000, track), 1600);
+  assert.equal(durationMismatch(20000, track), -174400);
+  assert.equal(durationMismatch(20000, { durationMs: 0 }), null);
+  assert.equal(formatPreciseDuration(194400), '3:14.4');
+  assert.equal(formatPreciseDuration(59960), '1:00.0');
+});
+
+const ANALYSIS = { durationMs: 194412, bpm: 128, bpmConfidence: 0.91, key: 'A minor', keyConfidence: 0.42 };
+
+test('analysisFields: keeps values typed in by hand unless forced', () => {
+  assert.deepEqual(analysisFields({ bpm: null, key: '' }, ANALYSIS), {
+    bpm: 128, bpmConfidence: 0.91, key: 'A minor', keyConfidence: 0.42, masterDurationMs: 194412,
+  });
+  assert.deepEqual(analysisFields({ bpm: 127, key: 'C major', keyConfidence: 0.2 }, ANALYSIS), {
+    key: 'A minor', keyConfidence: 0.42, masterDurationMs: 194412,
+  });
+  assert.equal(analysisFields({ bpm: 127 }, ANALYSIS, { force: true }).bpm, 128);
+  assert.deepEqual(analysisFields({}, { ...ANALYSIS, bpm: null, bpmConfidence: null }), {
+    key: 'A minor', keyConfidence: 0.42, masterDurationMs: 194412,
+  });
+});
+
+test('setAnalysis: each confidence next to its value, the rest untouched', () => {
+  const raw = '---\ntitle: "Stinger"\nmood: ["Floaty"]\nbpm: null\nkey: ""\n---\n\n# Song Q&A\n';
+  assert.equal(
+    setAnalysis(raw, analysisFields({}, ANALYSIS)),
+    '---\ntitle: "Stinger"\nmood: ["Floaty"]\nbpm: 128\nbpmConfidence: 0.91\nkey: "A minor"\nkeyConfidence: 0.42\nmasterDurationMs: 194412\n---\n\n# Song Q&A\n',
+  );
+  const again = setAnalysis(setAnalysis(raw, analysisFields({}, ANALYSIS)), { masterDurationMs: 194000 });
+  assert.match(again, /keyConfidence: 0\.42\nmasterDurationMs: 194000\n---/);
+});
@@ -0,0 +1,131 @@
+/**
+ * Tests for scripts/lib/clip-lint.mjs and scripts/lint-clips.mjs
+ * Run with: node --test tests/clip-lint.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { lintClip, lintStore, findQuotes } from '../scripts/lib/clip-lint.mjs';
+import { openClipStore } from '../scripts/lib/clip-store.mjs';
+import { tempDir } from './temp-dir.mjs';
+
+const SCRIPT = new URL('../scripts/lint-clips.mjs', import.meta.url).pathname;
+const SONG_URL = 'https://jadethreemusic.com/releases/stinger';
+const INTERVIEW = `## Where did the idea come from?
+
+The approach was to select the mood first, then find sounds that matched it — and layer them up to reinforce that feeling.
+Stinger was probably the first song I was really happy with.`;
+
+const lint = (text, options = {}) => lintClip(text, { url: SONG_URL, interview: INTERVIEW, titles: ['Stinger'], ...options });
+
+test('a clean clip has no issues', () => {
+  assert.deepEqual(lint(`"Stinger was probably the first song I was really happy with." — Jade Three\n\n${SONG_URL}\n`), []);
+});
+
+test('flags clips over the grapheme limit', () => {
+  assert.deepEqual(lint(`${'🎵'.repeat(260)}\n\n${SONG_URL}`), [`length: ${262 + SONG_URL.length} graphemes (limit 300)`]);
+});
+
+test('flags a missing, wrong or misplaced URL', () => {
+  assert.deepEqual(lint('Floaty. Beautiful.'), [`url: missing ${SONG_URL}`]);
+  assert.deepEqual(lint('Floaty.\n\nhttps://jadethreemusic.com/releases/fall-in-love'), [
+    `url: links to https://jadethreemusic.com/releases/fall-in-love, expected ${SONG_URL}`,
+  ]);
+  assert.deepEqual(lint(`Listen: ${SONG_URL} — floaty.`), [`url: ${SONG_URL} should be on the last line`]);
+});
+
+test('flags duplicates and near-duplicates of other clips', () => {
+  const others = [
+    { id: 'stinger-1', text: `Mood first, then the sounds to match, layered up until it clicked.\n\n${SONG_URL}` },
+    { id: 'stinger-2', text: `Something else entirely about acid basslines.\n\n${SONG_URL}` },
+  ];
+  assert.deepEqual(lint(`Mood first, then the sounds to match — layered up until it clicked!\n\n${SONG_URL}`, { others }), [
+    'duplicate: too close to stinger-1',
+  ]);
+});
+
+test('flags the wrong pronouns in third-person narration only', () => {
+  assert.deepEqual(lint(`Jade Three made this when she was starting out.\n\n${SONG_URL}`), [
+    'pronouns: "she" — Jade Three is he/him',
+  ]);
+  assert.deepEqual(lint(`Jade Three made this when he was starting out. Layer them up.\n\n${SONG_URL}`), []);
+});
+
+test('flags quotes that are not in the interview, allowing light edits and titles', () => {
+  assert.deepEqual(lint(`"I select the mood first, then find sounds that matched it." — Jade Three\n\n${SONG_URL}`), []);
+  assert.deepEqual(lint(`Jade Three's "Stinger" is out.\n\n${SONG_URL}`), []);
+  assert.deepEqual(lint(`"I wrote this in a single night on a train." — Jade Three\n\n${SONG_URL}`), [
+    'quote: "I wrote this in a single night on a train." not found in the interview',
+  ]);
+});
+
+test('findQuotes splits at ellipses and skips short quotes', () => {
+  assert.deepEqual(findQuotes('“Mood first, then … the sounds to match it” and "hey" and “woow”'), [
+    'Mood first, then',
+    'the sounds to match it',
+  ]);
+});
+
+test('lintStore writes lint annotations and clears them once fixed', () => {
+  const dir = tempDir('clip-lint-');
+  fs.writeFileSync(path.join(dir, 'stinger.md'), `---\ntitle: "Stinger"\nreleaseId: "x"\n---\n\n${INTERVIEW}\n`);
+  const file = path.join(dir, 'clips.yaml');
+  fs.writeFileSync(file, [
+    '- slug: stinger',
+    `  url: ${SONG_URL}`,
+    '  clips:',
+    '    - approved: false',
+    '      sent: false',
+    '      text: |',
+    '        Jade Three, she made it.',
+    '',
+  ].join('\n'));
+
+  const store = openClipStore(file);
+  const [result] = lintStore(store, { songsDir: dir });
+  store.save();
+  assert.deepEqual(result.issues, [`url: missing ${SONG_URL}`, 'pronouns: "she" — Jade Three is he/him']);
+  assert.match(fs.readFileSync(file, 'utf-8'), /sent: false\n {6}lint:\n {8}- "url: missing [^\n]+\n {8}- 'pronouns: [^\n]+\n {6}text: \|/);
+
+  store.updateClip('stinger-1', { text: `Jade Three, he made it.\n\n${SONG_URL}\n` });
+  lintStore(store, { songsDir: dir });
+  store.save();
+  assert.doesNotMatch(fs.readFileSync(file, 'utf-8'), /lint:/);
+});
+
+test('lint-clips --no-write reports issues and suggestions without touching the file', () => {
+  const dir = tempDir('clip-lint-');
+  const file = path.join(dir, 'clips.yaml');
+  const original = [
+    '- slug: stinger',
+    `  url: ${SONG_URL}`,
+    '  clips:',
+    '    - id: stinger-1',
+    '      approved: true',
+    '      sent: false',
+    '      text: |',
+    '        "I made this whole thing on a rainy afternoon in Paris." — Jade Three',
+    '',
+    `        ${SONG_URL}`,
+    '    - id: stinger-2',
+    '      approved: false',
+    '      sent: false',
+    '      text: |',
+    '        Floaty, beautiful, melodic.',
+    '',
+    `        ${SONG_URL}`,
+    '',
+  ].join('\n');
+  fs.writeFileSync(file, original);
+
+  const run = args => execFileSync('node', [SCRIPT, ...args], { env: { ...process.env, CLIPS_FILE: file }, encoding: 'utf-8' });
+  const out = run(['--no-write']);
+  assert.match(out, /stinger-1 \(approved\)\n {2}✗ quote: "I made this whole thing/);
+  assert.match(out, /Suggested for approval \(unapproved, no issues\): 1\n {2}stinger-2/);
+  assert.equal(fs.readFileSync(file, 'utf-8'), original);
+
+  assert.throws(() => run(['--no-write', '--strict']), err => err.status === 1);
+});
@@ -0,0 +1,134 @@
+/**
+ * Tests for scripts/lib/engagement.mjs and scripts/clip-stats.mjs, the latter
+ * against a local mock of the Bluesky AppView's app.bsky.feed.getPosts.
+ * Run with: node --test tests/clip-stats.test.mjs
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import fs from 'node:fs';
+import path from 'node:path';
+import { classifyStyle, buildReport, latestSnapshots, fetchCounts } from '../scripts/lib/engagement.mjs';
+import { tempDir } from './temp-dir.mjs';
+
+const SCRIPT = new URL('../scripts/clip-stats.mjs', import.meta.url).pathname;
+const URL_LINE = '\n\nhttps://jadethreemusic.com/releases/stinger';
+
+const POSTS = {
+  'at://did:plc:jade/app.bsky.feed.post/1': { likeCount: 10, repostCount: 2, replyCount: 1, quoteCount: 1 },
+  'at://did:plc:jade/app.bsky.feed.post/2': { likeCount: 1, repostCount: 0, replyCount: 0, quoteCount: 0 },
+  'at://did:plc:jade/app.bsky.feed.post/3': { likeCount: 3 },
+};
+
+let server;
+let appViewUrl;
+const requests = [];
+
+before(async () => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url);
+    if (url.pathname !== '/xrpc/app.bsky.feed.getPosts') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'MethodNotImplemented' }));
+      return;
+    }
+    const posts = url.searchParams.getAll('uris')
+      .filter(uri => POSTS[uri])
+      .map(uri => ({ uri, cid: 'cid', ...POSTS[uri] }));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ posts }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  appViewUrl = `http://127.0.0.1:${server.address().port}/xrpc`;
+});
+
+after(() => server.close());
+
+test('classifies voice and form from the clip text', () => {
+  assert.deepEqual(
+    classifyStyle(`"Stinger was probably the first song I was really happy with." — Jade Three${URL_LINE}`),
+    { voice: 'first-person', form: 'quote', style: 'first-person quote' }
+  );
+  assert.equal(classifyStyle(`Jade Three picked the mood first. The result: "Stinger."${URL_LINE}`).style, 'third-person description');
+  assert.equal(classifyStyle('I’ve always loved this one.').voice, 'first-person');
+});
+
+test('ranks songs and styles by average engagement of the latest snapshot', () => {
+  const history = [
+    { network: 'bluesky', uri: 'a', slug: 'stinger', text: '"I made this in a day." — Jade Three' },
+    { network: 'bluesky', uri: 'b', slug: 'stinger', text: 'Jade Three made this in a day.' },
+    { uri: 'c', slug: 'fall-in-love', text: 'Jade Three wrote it on a train.' },
+    { network: 'mastodon', uri: 'https://m.social/1', slug: 'fall-in-love', text: 'ignored' },
+  ];
+  const snapshots = [
+    { fetchedAt: '2026-01-01T00:00:00Z', uri: 'a', likes: 1 },
+    { fetchedAt: '2026-01-02T00:00:00Z', uri: 'a', likes: 8, reposts: 2 },
+    { fetchedAt: '2026-01-02T00:00:00Z', uri: 'b', likes: 0 },
+    { fetchedAt: '2026-01-02T00:00:00Z', uri: 'c', likes: 4 },
+  ];
+  assert.equal(latestSnapshots(snapshots).get('a').likes, 8);
+
+  const report = buildReport(history, snapshots);
+  assert.deepEqual(report.posts.map(p => p.uri), ['a', 'c', 'b']);
+  assert.deepEqual(report.songs.map(s => [s.key, s.average]), [['stinger', 5], ['fall-in-love', 4]]);
+  assert.deepEqual(report.styles.map(s => s.key), ['first-person quote', 'third-person description']);
+  assert.equal(report.styles[1].posts, 2);
+});
+
+test('fetchCounts batches 25 URIs per request and skips deleted posts', async () => {
+  const uris = Array.from({ length: 30 }, (_, i) => `at://did:plc:jade/app.bsky.feed.post/${i + 1}`);
+  requests.length = 0;
+  const counts = await fetchCounts(uris, { appViewUrl });
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].searchParams.getAll('uris').length, 25);
+  assert.equal(counts.size, 3);
+  assert.deepEqual(counts.get('at://did:plc:jade/app.bsky.feed.post/3'), { likes: 3, reposts: 0, replies: 0, quotes: 0 });
+});
+
+test('clip-stats saves snapshots and prints the report', async () => {
+  const dir = tempDir('clip-stats-');
+  const history = [
+    { postedAt: '2026-01-01T00:00:00Z', network: 'bluesky', slug: 'stinger', id: 'stinger-1', uri: 'at://did:plc:jade/app.bsky.feed.post/1', text: `"I love this one." — Jade Three${URL_LINE}` },
+    { postedAt: '2026-01-02T00:00:00Z', network: 'bluesky', slug: 'fall-in-love', id: 'fall-in-love-1', uri: 'at://did:plc:jade/app.bsky.feed.post/2', text: 'Jade Three wrote it fast.' },
+    { postedAt: '2026-01-03T00:00:00Z', network: 'bluesky', slug: 'fall-in-love', id: 'fall-in-love-2', uri: 'at://did:plc:jade/app.bsky.feed.post/9', text: 'Deleted post' },
+  ];
+  fs.writeFileSync(path.join(dir, 'history.jsonl'), history.map(h => JSON.stringify(h)).join('\n') + '\n');
+  fs.writeFileSync(path.join(dir, 'clips.yaml'), [
+    '- slug: stinger',
+    '  clips:',
+    '    - id: stinger-2',
+    '      approved: false',
+    '      sent: false',
+    '      text: |',
+    '        "My favourite mix so far." — Jade Three',
+    '',
+  ].join('\n'));
+  const env = {
+    ...process.env,
+    BSKY_APPVIEW_URL: appViewUrl,
+    CLIPS_FILE: path.join(dir, 'clips.yaml'),
+    POST_HISTORY_FILE: path.join(dir, 'history.jsonl'),
+    POST_STATS_FILE: path.join(dir, 'stats.jsonl'),
+  };
+
+  const { stdout } = await promisify(execFile)('node', [SCRIPT], { env });
+  assert.match(stdout, /Saved 2 snapshot\(s\)/);
+  assert.match(stdout, /1 post\(s\) not found/);
+  assert.match(stdout, /Songs\n\s+1\. stinger\s+14\.0 avg/);
+  assert.match(stdout, /Clip styles\n\s+1\. first-person quote/);
+  assert.match(stdout, /Unapproved clips in the best style \(first-person quote\): 1\n\s+stinger-2/);
+
+  const saved = fs.readFileSync(env.POST_STATS_FILE, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(saved.map(s => [s.id, s.likes, s.reposts, s.replies, s.quotes]), [
+    ['stinger-1', 10, 2, 1, 1],
+    ['fall-in-love-1', 1, 0, 0, 0],
+  ]);
+
+  // A second run appends a new snapshot rather than rewriting
+  await promisify(execFile)('node', [SCRIPT], { env });
+  assert.equal(fs.readFileSync(env.POST_STATS_FILE, 'utf-8').trim().split('\n').length, 4);
+});
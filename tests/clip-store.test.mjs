@@ -0,0 +1,128 @@
+/**
+ * Unit tests for scripts/lib/clip-store.mjs
+ * Run with: node --test tests/clip-store.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { openClipStore, withClipStore, isSent } from '../scripts/lib/clip-store.mjs';
+import { tempDir } from './temp-dir.mjs';
+
+const SAMPLE = [
+  '# Social media clips',
+  '- slug: stinger',
+  '  url: https://jadethreemusic.com/releases/stinger',
+  '  clips:',
+  '    - approved: true',
+  '      sent: false',
+  '      text: |',
+  '        Same first line',
+  '',
+  '        https://jadethreemusic.com/releases/stinger',
+  '',
+  '    # keep this one for the anniversary',
+  '    - approved: true',
+  '      sent: true',
+  '      text: |',
+  '        Same first line',
+  '',
+  '- slug: fall-in-love',
+  '  clips:',
+  '    - approved: true',
+  '      sent: false',
+  '      text: |',
+  '        Same first line',
+  '',
+].join('\n');
+
+function tempClips(content = SAMPLE) {
+  const dir = tempDir('clip-store-');
+  const file = path.join(dir, 'clips.yaml');
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+test('backfills stable ids per song, in file order', () => {
+  const store = openClipStore(tempClips());
+  const ids = store.songs().flatMap(s => s.clips.map(c => c.id));
+  assert.deepEqual(ids, ['stinger-1', 'stinger-2', 'fall-in-love-1']);
+  assert.equal(store.changed, true);
+});
+
+test('markSent edits only the clip with that id, keeping comments and text', () => {
+  const file = tempClips();
+  const store = openClipStore(file);
+  store.markSent('fall-in-love-1', 'mastodon');
+  store.save();
+
+  const saved = fs.readFileSync(file, 'utf-8');
+  assert.match(saved, /^# Social media clips$/m);
+  assert.match(saved, /# keep this one for the anniversary/);
+  assert.match(saved, /text: \|\n {8}Same first line\n\n {8}https:/);
+
+  const [stinger, fall] = openClipStore(file).songs();
+  assert.deepEqual(stinger.clips.map(c => c.sent), [false, true]);
+  assert.deepEqual(fall.clips[0].sent, { bluesky: false, mastodon: true });
+});
+
+test('a legacy sent: true stays sent to Bluesky when another network is added', () => {
+  const file = tempClips();
+  const store = openClipStore(file);
+  store.markSent('stinger-2', 'threads');
+  const clip = store.songs()[0].clips[1];
+  assert.deepEqual(clip.sent, { bluesky: true, threads: true });
+  assert.equal(isSent(clip, 'bluesky'), true);
+  assert.equal(isSent({ sent: true }, 'mastodon'), false);
+});
+
+test('addSong appends clips with new ids as literal blocks', () => {
+  const file = tempClips();
+  const store = openClipStore(file);
+  const ids = store.addSong('dancing', 'https://x/dancing', ['One\n\nhttps://x/dancing\n', 'Two\n']);
+  store.save();
+
+  assert.deepEqual(ids, ['dancing-1', 'dancing-2']);
+  assert.equal(store.hasSlug('dancing'), true);
+  const saved = fs.readFileSync(file, 'utf-8');
+  assert.match(saved, /- id: dancing-1\n {6}approved: false\n {6}sent: false\n {6}text: \|\n {8}One\n/);
+  const dancing = openClipStore(file).songs().find(s => s.slug === 'dancing');
+  assert.deepEqual(dancing.clips.map(c => c.text), ['One\n\nhttps://x/dancing\n', 'Two\n']);
+});
+
+test('starts a new file with the header when none exists', () => {
+  const file = path.join(tempDir('clip-store-'), 'clips.yaml');
+  const store = openClipStore(file);
+  store.addSong('stinger', 'https://x/stinger', ['Hi\n']);
+  store.save();
+  assert.match(fs.readFileSync(file, 'utf-8'), /^# Social media clips for Jade Three\n/);
+});
+
+test('markSent with an unknown id throws', () => {
+  const store = openClipStore(tempClips());
+  assert.throws(() => store.markSent('nope-1', 'bluesky'), /No clip with id nope-1/);
+});
+
+test('withClipStore refuses to run while another process holds the lock', async () => {
+  const file = tempClips();
+  // Our own (live) pid holds the lock
+  fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: process.pid }));
+  await assert.rejects(withClipStore(file, () => {}), /locked by another run/);
+  assert.ok(fs.existsSync(`${file}.lock`));
+});
+
+test('withClipStore clears a stale lock, saves changes and releases the lock', async () => {
+  const file = tempClips();
+  // No process has this pid (above the kernel's pid_max)
+  fs.writeFileSync(`${file}.lock`, JSON.stringify({ pid: 2 ** 22 + 1 }));
+  await withClipStore(file, store => store.markSent('stinger-1', 'bluesky'));
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+  assert.deepEqual(openClipStore(file).songs()[0].clips[0].sent, { bluesky: true });
+});
+
+test('withClipStore releases the lock when the callback throws', async () => {
+  const file = tempClips();
+  await assert.rejects(withClipStore(file, () => { throw new Error('boom'); }), /boom/);
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
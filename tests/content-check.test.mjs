@@ -0,0 +1,172 @@
+/**
+ * Unit tests for scripts/lib/content-check.js
+ * Run with: node --test tests/content-check.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { checkArtwork, checkContent, checkProjectContent, checkTags } from '../scripts/lib/content-check.js';
+import { newRelease, newTrack } from '../scripts/lib/platform-sync.js';
+import { sha256 } from '../scripts/lib/artwork-cache.js';
+import { tempDir } from './temp-dir.mjs';
+
+function sampleData() {
+  return {
+    lastUpdated: '2026-03-28',
+    artistName: 'Jade Three',
+    spotifyArtistId: '2T04y62jXdLsznulD3sT4D',
+    releases: [
+      newRelease({
+        id: 'single-1',
+        title: 'Stinger',
+        releaseDate: '2025-01-04',
+        year: 2025,
+        spotifyId: '4o2iCJcIaBHsOn5uqHDS4c',
+        spotifyUrl: 'https://open.spotify.com/album/4o2iCJcIaBHsOn5uqHDS4c',
+        artworkUrl: 'https://is1-ssl.mzstatic.com/600x600bb.jpg',
+        artworkUrlSmall: 'https://is1-ssl.mzstatic.com/64x64bb.jpg',
+        totalTracks: 1,
+        tracks: [newTrack({
+          trackNumber: 1,
+          title: 'Stinger',
+          spotifyId: '15J0CApYgqv78HgmwE2Rog',
+          spotifyUrl: 'https://open.spotify.com/track/15J0CApYgqv78HgmwE2Rog',
+          durationMs: 180000,
+          durationFormatted: '3:00',
+        })],
+      }),
+    ],
+  };
+}
+
+const stingerPage = {
+  slug: 'stinger',
+  data: { releaseId: 'single-1', title: 'Stinger', type: 'single', trackNumber: 1, releaseDate: '2025-01-04' },
+};
+
+test('the checked-in releases.json and song pages are consistent', () => {
+  const { errors } = checkProjectContent();
+  assert.deepEqual(errors, []);
+});
+
+test('valid data produces no errors or warnings', () => {
+  assert.deepEqual(checkContent(sampleData(), [stingerPage]), { errors: [], warnings: [] });
+});
+
+test('schema violations name the release, track and field', () => {
+  const data = sampleData();
+  delete data.spotifyArtistId;
+  data.releases[0].artworkUrl = '';
+  data.releases[0].tracks[0].spotifyId = null;
+
+  const { errors } = checkContent(data, [stingerPage]);
+  assert.ok(errors.includes('releases.json: spotifyArtistId: Required'));
+  assert.ok(errors.includes('releases.json: Stinger / artworkUrl: missing artwork'));
+  assert.ok(errors.includes('releases.json: Stinger / track 1 / spotifyId: missing Spotify ID'));
+});
+
+test('song pages must agree with the release data', () => {
+  const pages = [
+    { slug: 'wrong-date', data: { ...stingerPage.data, releaseDate: '2025-01-05' } },
+    { slug: 'wrong-track', data: { ...stingerPage.data, trackNumber: 2 } },
+    { slug: 'orphan', data: { ...stingerPage.data, releaseId: 'single-404' } },
+  ];
+  const { errors, warnings } = checkContent(sampleData(), pages);
+  assert.deepEqual(errors, [
+    'songs/wrong-date.md: releaseDate "2025-01-05" doesn\'t match release date "2025-01-04"',
+    'songs/wrong-track.md: trackNumber 2 not found on "Stinger"',
+    'songs/orphan.md: releaseId "single-404" not found in releases.json',
+  ]);
+  assert.deepEqual(warnings, []);
+});
+
+test('flags duplicate IDs, malformed Spotify IDs and releases without a page', () => {
+  const data = sampleData();
+  data.releases.push({ ...structuredClone(data.releases[0]), title: 'Copy' });
+  data.releases[1].spotifyId = 'PLACEHOLDER';
+
+  const { errors, warnings } = checkContent(data, [stingerPage, { ...stingerPage, slug: 'stinger-2' }]);
+  assert.ok(errors.includes('releases.json: duplicate release id "single-1"'));
+  assert.ok(errors.includes('releases.json: Spotify ID "15J0CApYgqv78HgmwE2Rog" is used by more than one track'));
+  assert.ok(errors.includes('songs: stinger, stinger-2 all describe single-1 track 1'));
+  assert.ok(warnings.includes('releases.json: Copy: malformed Spotify ID "PLACEHOLDER" (player will be unavailable)'));
+});
+
+test('upcoming releases may lack Spotify IDs until `npm run sync` marks them released', () => {
+  const data = sampleData();
+  Object.assign(data.releases[0], { status: 'upcoming', releaseDate: '2026-05-01', year: 2026, spotifyId: null, spotifyUrl: null });
+  Object.assign(data.releases[0].tracks[0], { spotifyId: null, spotifyUrl: null });
+  const pages = [{ ...stingerPage, data: { ...stingerPage.data, releaseDate: '2026-05-01' } }];
+
+  assert.deepEqual(checkContent(data, pages, '2026-04-30'), { errors: [], warnings: [] });
+
+  // The release-day build must not fail on them
+  const { errors, warnings } = checkContent(data, pages, '2026-05-01');
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, [
+    'releases.json: Stinger / spotifyId: missing Spotify ID',
+    'releases.json: Stinger / spotifyUrl: missing Spotify URL',
+    'releases.json: Stinger / track 1 / spotifyId: missing Spotify ID',
+    'releases.json: Stinger / track 1 / spotifyUrl: missing Spotify URL',
+    'releases.json: Stinger: status is "upcoming" but it came out on 2026-05-01 (`npm run sync` marks it released)',
+  ]);
+
+  data.releases[0].status = 'released';
+  assert.ok(checkContent(data, pages, '2026-05-01').errors.includes('releases.json: Stinger / track 1 / spotifyUrl: missing Spotify URL'));
+});
+
+test('a future releaseDate without the upcoming status is a warning', () => {
+  const { warnings } = checkContent(sampleData(), [stingerPage], '2024-12-31');
+  assert.deepEqual(warnings, [
+    'releases.json: Stinger: releaseDate 2025-01-04 is in the future; set "status": "upcoming" to show a coming-soon card instead of the players',
+  ]);
+});
+
+test('cached artwork must match its checksum and artworkUrl', () => {
+  const dir = tempDir('artwork-');
+  fs.writeFileSync(path.join(dir, 'single-1-0123abcd.jpg'), 'cover');
+  fs.writeFileSync(path.join(dir, 'single-2-0123abcd.jpg'), 'edited');
+  const artwork = (file, source) => ({ file, sha256: sha256('cover'), source, color: '#112233', placeholder: 'data:image/webp;base64,AA==' });
+  const [base] = sampleData().releases;
+  const releases = [
+    { ...base, title: 'Fine', artwork: artwork('single-1-0123abcd.jpg', base.artworkUrl) },
+    { ...base, title: 'Edited', artwork: artwork('single-2-0123abcd.jpg', base.artworkUrl) },
+    { ...base, title: 'Gone', artwork: artwork('single-3-0123abcd.jpg', base.artworkUrl) },
+    { ...base, title: 'Stale', artwork: artwork('single-1-0123abcd.jpg', 'https://is1-ssl.mzstatic.com/old.jpg') },
+    { ...base, title: 'Uncached' },
+  ];
+
+  const { errors, warnings } = checkArtwork(releases, dir);
+  assert.deepEqual(errors, [
+    'Edited: single-2-0123abcd.jpg doesn\'t match its checksum in releases.json (run `npm run cache-artwork -- --force`)',
+    'Gone: artwork file single-3-0123abcd.jpg is missing from src/assets/artwork (run `npm run cache-artwork`)',
+  ]);
+  assert.deepEqual(warnings, [
+    'Stale: artworkUrl changed since the artwork was cached (run `npm run cache-artwork`)',
+    'Uncached: artwork not cached, the site loads it from artworkUrl (run `npm run cache-artwork`)',
+  ]);
+  assert.deepEqual(checkContent({ ...sampleData(), releases: releases.slice(0, 1) }, [stingerPage]).errors, []);
+});
+
+test('tags outside src/data/tags.yaml, or spelled differently, are warnings', () => {
+  const vocabulary = { genres: ['Downtempo'], themes: [], mood: ['Night drive'] };
+  const page = { ...stingerPage, data: { ...stingerPage.data, genres: ['Downtempo'], mood: ['night drive', 'Sparkly'] } };
+  assert.deepEqual(checkTags([page], vocabulary), {
+    errors: [],
+    warnings: [
+      'songs/stinger.md: mood "night drive" is spelled "Night drive" in src/data/tags.yaml',
+      'songs/stinger.md: mood "Sparkly" isn\'t in src/data/tags.yaml',
+    ],
+  });
+  assert.deepEqual(checkTags([stingerPage], vocabulary).warnings, []);
+});
+
+test('a master whose length differs from the track by over 1.5 s is a warning', () => {
+  const page = masterDurationMs => ({ ...stingerPage, data: { ...stingerPage.data, masterDurationMs } });
+  assert.deepEqual(checkContent(sampleData(), [page(181000)]).warnings, []);
+  assert.deepEqual(checkContent(sampleData(), [page(176400)]).warnings, [
+    'songs/stinger.md: master is 2:56.4 but track 1 is 3:00.0 in releases.json',
+  ]);
+});
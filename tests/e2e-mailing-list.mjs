@@ -0,0 +1,15 @@
+/**
+ * The local mailing list the Playwright dev server signs fans up to
+ * (playwright.config.ts), kept out of the developer's own .mailing-list.json.
+ * The default export is Playwright's global teardown, which deletes it.
+ */
+
+import { rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export const E2E_MAILING_LIST_FILE = join(tmpdir(), 'jade-three-e2e-mailing-list.json');
+
+export default function removeMailingList() {
+  rmSync(E2E_MAILING_LIST_FILE, { force: true });
+}
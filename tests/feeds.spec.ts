@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@', isArray: (name) => ['item', 'entry'].includes(name) });
+
+test.describe('Feeds', () => {
+  test('homepage advertises the feeds', async ({ page }) => {
+    await page.goto('/');
+    await expect(page.locator('link[rel="alternate"][type="application/rss+xml"]')).toHaveAttribute('href', '/feed.xml');
+    await expect(page.locator('link[rel="alternate"][type="application/atom+xml"]')).toHaveAttribute('href', '/atom.xml');
+    await expect(page.locator('link[rel="alternate"][type="application/feed+json"]')).toHaveAttribute('href', '/feed.json');
+  });
+
+  test('RSS and Atom feeds are well-formed, with one entry per release', async ({ request }) => {
+    const { releases } = await (await request.get('/api/v1/releases.json')).json();
+
+    const rss = await (await request.get('/feed.xml')).text();
+    expect(XMLValidator.validate(rss)).toBe(true);
+    const items = parser.parse(rss).rss.channel.item;
+    expect(items).toHaveLength(releases.length);
+    expect(items[0].enclosure['@type']).toMatch(/^image\//);
+
+    const atom = await (await request.get('/atom.xml')).text();
+    expect(XMLValidator.validate(atom)).toBe(true);
+    expect(parser.parse(atom).feed.entry).toHaveLength(releases.length);
+  });
+
+  test('JSON feed has an excerpt from the song notes', async ({ request }) => {
+    const feed = await (await request.get('/feed.json')).json();
+    expect(feed.version).toBe('https://jsonfeed.org/version/1.1');
+    const item = feed.items.find((i: { url: string }) => i.url.endsWith('/releases/stinger'));
+    expect(item.summary).toMatch(/^Instrumental\./);
+    expect(item.attachments[0].url).toMatch(/^https:\/\//);
+  });
+});
+
+test.describe('JSON API v1', () => {
+  test('releases.json lists every release with its tracks', async ({ request }) => {
+    const res = await request.get('/api/v1/releases.json');
+    expect(res.ok()).toBe(true);
+    const body = await res.json();
+    expect(body.version).toBe(1);
+    const ep = body.releases.find((r: { slug: string }) => r.slug === 'year-until-the-fall-ep');
+    expect(ep.type).toBe('ep');
+    expect(ep.tracks).toHaveLength(ep.trackCount);
+    expect(ep.tracks[1].url).toMatch(/\/releases\/year-until-the-fall-ep\/fractional-person$/);
+  });
+
+  test('each release has its own file, linked from the list', async ({ request }) => {
+    const { releases } = await (await request.get('/api/v1/releases.json')).json();
+    for (const release of releases) {
+      const detail = await (await request.get(new URL(release.apiUrl).pathname)).json();
+      expect(detail.release.id).toBe(release.id);
+    }
+    const stinger = await (await request.get('/api/v1/releases/stinger.json')).json();
+    expect(stinger.release.excerpt).toMatch(/^Instrumental\./);
+  });
+
+  test('tracks.json lists every track with its release', async ({ request }) => {
+    const { releases } = await (await request.get('/api/v1/releases.json')).json();
+    const { tracks } = await (await request.get('/api/v1/tracks.json')).json();
+    const trackCount = releases.reduce((n: number, r: { trackCount: number }) => n + r.trackCount, 0);
+    expect(tracks).toHaveLength(trackCount);
+    expect(tracks[0].release.slug).toBe(releases[0].slug);
+  });
+});
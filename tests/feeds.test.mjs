@@ -0,0 +1,140 @@
+/**
+ * Tests for scripts/lib/feeds.js — RSS, Atom and JSON Feed output
+ * Run with: node --test tests/feeds.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { rssFeed, atomFeed, jsonFeed, songExcerpt } from '../scripts/lib/feeds.js';
+
+const SITE = 'https://jadethreemusic.com/';
+const RFC3339 = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const FEED = {
+  title: 'Jade Three — New releases',
+  description: 'New music by Jade Three.',
+  author: 'Jade Three',
+  siteUrl: SITE,
+  feedUrls: { rss: `${SITE}feed.xml`, atom: `${SITE}atom.xml`, json: `${SITE}feed.json` },
+  icon: `${SITE}og-image.png`,
+  items: [
+    {
+      id: 'tag:jadethreemusic.com,2025:ep-1',
+      url: `${SITE}releases/year-until-the-fall-ep`,
+      title: 'Year Until the Fall (EP)',
+      date: '2025-11-03',
+      summary: 'Tension & release — "fight or flight" <loud>.',
+      contentHtml: '<p>Odd CDATA end ]]> inside</p><ol><li><a href="/x?a=1&amp;b=2">Track</a></li></ol>',
+      tags: ['Downtempo', 'Night & day'],
+      image: { url: 'https://is1-ssl.mzstatic.com/cover.jpg/600x600bb.jpg?a=1&b=2', type: 'image/jpeg' },
+    },
+    {
+      id: 'tag:jadethreemusic.com,2025:single-1',
+      url: `${SITE}releases/stinger`,
+      title: 'Stinger',
+      date: '2025-01-04',
+      summary: 'Instrumental.',
+      contentHtml: '<p>Instrumental.</p>',
+    },
+  ],
+};
+
+const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@', isArray: name => ['item', 'entry', 'link', 'category'].includes(name) });
+
+function parseXml(xml) {
+  const valid = XMLValidator.validate(xml);
+  assert.equal(valid, true, `not well-formed XML: ${JSON.stringify(valid)}`);
+  return parser.parse(xml);
+}
+
+test('RSS feed is well-formed RSS 2.0 with every required element', () => {
+  const { rss } = parseXml(rssFeed(FEED));
+  assert.equal(rss['@version'], '2.0');
+  const { channel } = rss;
+  assert.equal(channel.title, FEED.title);
+  assert.equal(channel.link[0], SITE);
+  assert.equal(channel.description, FEED.description);
+  assert.equal(channel['atom:link']['@rel'], 'self');
+  assert.equal(channel['atom:link']['@href'], FEED.feedUrls.rss);
+
+  assert.equal(channel.item.length, 2);
+  for (const item of channel.item) {
+    assert.ok(item.title && item.link[0] && item.description);
+    assert.equal(item.guid['@isPermaLink'], 'false');
+    assert.match(item.pubDate, /^[A-Z][a-z]{2}, \d{2} [A-Z][a-z]{2} \d{4} \d{2}:\d{2}:\d{2} GMT$/);
+  }
+
+  const [ep, single] = channel.item;
+  assert.equal(ep.description, FEED.items[0].summary);
+  assert.equal(ep['content:encoded'], FEED.items[0].contentHtml);
+  assert.deepEqual(ep.category, ['Downtempo', 'Night & day']);
+  assert.deepEqual(
+    { url: ep.enclosure['@url'], length: ep.enclosure['@length'], type: ep.enclosure['@type'] },
+    { url: FEED.items[0].image.url, length: '0', type: 'image/jpeg' },
+  );
+  assert.equal(single.enclosure, undefined);
+  assert.equal(channel.lastBuildDate, ep.pubDate);
+});
+
+test('Atom feed is well-formed Atom 1.0 with every required element', () => {
+  const { feed } = parseXml(atomFeed(FEED));
+  assert.equal(feed['@xmlns'], 'http://www.w3.org/2005/Atom');
+  assert.equal(feed.title, FEED.title);
+  assert.equal(feed.id, SITE);
+  assert.match(feed.updated, RFC3339);
+  assert.equal(feed.author.name, 'Jade Three');
+  assert.equal(feed.link.find(l => l['@rel'] === 'self')['@href'], FEED.feedUrls.atom);
+
+  assert.equal(feed.entry.length, 2);
+  for (const entry of feed.entry) {
+    assert.ok(entry.id && entry.title);
+    assert.match(entry.updated, RFC3339);
+    assert.match(entry.published, RFC3339);
+    assert.ok(entry.link.some(l => l['@rel'] === 'alternate' && l['@href'].startsWith(SITE)));
+  }
+  const [ep] = feed.entry;
+  assert.equal(ep.content['#text'], FEED.items[0].contentHtml);
+  assert.equal(ep.content['@type'], 'html');
+  assert.equal(ep.link.find(l => l['@rel'] === 'enclosure')['@href'], FEED.items[0].image.url);
+  assert.deepEqual(ep.category.map(c => c['@term']), FEED.items[0].tags);
+});
+
+test('JSON feed follows JSON Feed 1.1', () => {
+  const json = JSON.parse(jsonFeed(FEED));
+  assert.equal(json.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(json.title, FEED.title);
+  assert.equal(json.feed_url, FEED.feedUrls.json);
+  assert.equal(json.home_page_url, SITE);
+  assert.deepEqual(json.authors, [{ name: 'Jade Three', url: SITE }]);
+
+  for (const item of json.items) {
+    assert.equal(typeof item.id, 'string');
+    assert.ok(item.content_html);
+    assert.match(item.date_published, RFC3339);
+  }
+  assert.deepEqual(json.items[0].attachments, [{ url: FEED.items[0].image.url, mime_type: 'image/jpeg' }]);
+  assert.equal(json.items[0].image, FEED.items[0].image.url);
+  assert.equal(json.items[1].attachments, undefined);
+  assert.equal(json.items[1].tags, undefined);
+});
+
+test('an empty feed is still valid', () => {
+  const empty = { ...FEED, items: [] };
+  assert.equal(parseXml(rssFeed(empty)).rss.channel.item, undefined);
+  assert.match(parseXml(atomFeed(empty)).feed.updated, RFC3339);
+  assert.deepEqual(JSON.parse(jsonFeed(empty)).items, []);
+});
+
+test('songExcerpt returns the first Q&A answer as plain text', () => {
+  const md = `---\ntitle: "Stinger"\n---\n\n# Song Q&A\n\n## What's the song about?\n\nInstrumental. The feeling is **floaty**, [beautiful](https://example.com), _melodic_.\n\n## Next\n\nMore.\n`;
+  assert.equal(songExcerpt(md), 'Instrumental. The feeling is floaty, beautiful, melodic.');
+  assert.equal(songExcerpt('# Song Q&A\n\n## Empty question\n'), '');
+  assert.equal(songExcerpt('## Q\nAnswer straight after the heading.'), 'Answer straight after the heading.');
+});
+
+test('songExcerpt cuts long answers at a word boundary', () => {
+  const excerpt = songExcerpt('## Q\n\nThe approach was to select the mood first, then find sounds that matched it.', 40);
+  assert.equal(excerpt, 'The approach was to select the mood…');
+  assert.ok(excerpt.length <= 40);
+});
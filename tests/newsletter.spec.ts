@@ -0,0 +1,86 @@
+import { test, expect, type APIRequestContext } from '@playwright/test';
+
+// The dev server (second webServer in playwright.config.ts) runs the signup endpoint
+// against the local mailing list, so the whole double opt-in flow works offline.
+test.use({ baseURL: 'http://localhost:4322' });
+
+interface OutboxEmail {
+  to: string;
+  confirmUrl: string;
+}
+
+const uniqueEmail = () => `fan+${Date.now()}-${Math.random().toString(36).slice(2, 8)}@example.com`;
+
+async function confirmUrlFor(request: APIRequestContext, email: string) {
+  const outbox = (await (await request.get('/newsletter/outbox')).json()) as OutboxEmail[];
+  return outbox.find((mail) => mail.to === email)?.confirmUrl;
+}
+
+test.describe('Newsletter signup', () => {
+  test('the homepage, release pages and footer have a signup form', async ({ page }) => {
+    await page.goto('/');
+    await expect(page.locator('#newsletter').getByRole('form', { name: 'Newsletter signup' })).toBeVisible();
+    await expect(page.locator('footer').getByRole('form', { name: 'Newsletter signup' })).toBeVisible();
+    await page.goto('/releases/fall-in-love');
+    await expect(page.getByRole('form', { name: 'Newsletter signup' })).toHaveCount(2);
+  });
+
+  test('sign up, confirm from the email, land on the list', async ({ page, request }) => {
+    const email = uniqueEmail();
+    await page.goto('/');
+    const signup = page.locator('#newsletter');
+    await signup.getByLabel('Email address').fill(email);
+    await signup.getByRole('button', { name: 'Sign up' }).click();
+    await expect(signup.getByRole('status')).toHaveText(/Check your inbox/);
+    await expect(signup.getByLabel('Email address')).toHaveValue('');
+
+    const confirmUrl = await confirmUrlFor(request, email);
+    expect(confirmUrl).toMatch(/\/newsletter\/confirm\?token=/);
+    await page.goto(confirmUrl!);
+    await expect(page).toHaveURL(/\/newsletter\/confirmed\/$/);
+    await expect(page.getByRole('heading', { level: 1 })).toHaveText("You're on the list");
+  });
+
+  test('a tampered confirmation link is rejected', async ({ page, request }) => {
+    const email = uniqueEmail();
+    await request.post('/newsletter/subscribe', { form: { email } });
+    const confirmUrl = (await confirmUrlFor(request, email))!;
+    await page.goto(confirmUrl.replace(/.$/, (c) => (c === 'A' ? 'B' : 'A')));
+    await expect(page).toHaveURL(/\/newsletter\/link-expired\/$/);
+  });
+
+  test('bots filling in the honeypot get a success message and no email', async ({ page, request }) => {
+    const email = uniqueEmail();
+    await page.goto('/');
+    const signup = page.locator('#newsletter');
+    await signup.getByLabel('Email address').fill(email);
+    await signup.locator('input[name="website"]').fill('https://spam.example', { force: true });
+    await signup.getByRole('button', { name: 'Sign up' }).click();
+    await expect(signup.getByRole('status')).toHaveText(/Check your inbox/);
+    expect(await confirmUrlFor(request, email)).toBeUndefined();
+  });
+
+  test('invalid addresses are turned away by the endpoint', async ({ request }) => {
+    const res = await request.post('/newsletter/subscribe', {
+      form: { email: 'not-an-email' },
+      headers: { Accept: 'application/json' },
+    });
+    expect(res.status()).toBe(400);
+    expect((await res.json()).outcome).toBe('invalid-email');
+  });
+
+  test.describe('without JavaScript', () => {
+    // Without JS, smooth scrolling to the form never settles for Playwright's click
+    test.use({ javaScriptEnabled: false, contextOptions: { reducedMotion: 'reduce' } });
+
+    test('the form posts and redirects to the check-your-inbox page', async ({ page, request }) => {
+      const email = uniqueEmail();
+      await page.goto('/');
+      const signup = page.locator('#newsletter');
+      await signup.getByLabel('Email address').fill(email);
+      await signup.getByRole('button', { name: 'Sign up' }).click();
+      await expect(page).toHaveURL(/\/newsletter\/check-your-inbox\/$/);
+      expect(await confirmUrlFor(request, email)).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,220 @@
+/**
+ * Tests for scripts/lib/newsletter.js and scripts/mailing-lists/
+ * Run with: node --test tests/newsletter.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  createRateLimiter,
+  handleNewsletter,
+  normalizeEmail,
+  signToken,
+  verifyToken,
+} from '../scripts/lib/newsletter.js';
+import buttondown from '../scripts/mailing-lists/buttondown.mjs';
+import mailchimp from '../scripts/mailing-lists/mailchimp.mjs';
+import { readList } from '../scripts/mailing-lists/local.mjs';
+import { tempDir } from './temp-dir.mjs';
+
+const SITE = 'https://jadethreemusic.com';
+const SECRET = 'test-secret';
+
+function localEnv() {
+  const dir = tempDir('newsletter-');
+  return { MAILING_LIST: 'local', MAILING_LIST_SECRET: SECRET, MAILING_LIST_FILE: path.join(dir, 'list.json') };
+}
+
+function subscribeRequest(fields, { json = true } = {}) {
+  return new Request(`${SITE}/newsletter/subscribe`, {
+    method: 'POST',
+    headers: json ? { Accept: 'application/json' } : {},
+    body: new URLSearchParams(fields),
+  });
+}
+
+function handle(request, env, rateLimiter = createRateLimiter()) {
+  return handleNewsletter(request, { env, ip: '203.0.113.7', rateLimiter });
+}
+
+/** Replaces global fetch for one test, recording each request. */
+function stubFetch(status, body = '{}') {
+  const calls = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    calls.push({ url: String(url), init });
+    return new Response(body, { status });
+  };
+  return { calls, restore: () => (globalThis.fetch = realFetch) };
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+test('normalizeEmail: trims and lowercases, rejects anything without user@domain.tld', () => {
+  assert.equal(normalizeEmail('  Fan@Example.COM '), 'fan@example.com');
+  assert.equal(normalizeEmail('fan@localhost'), null);
+  assert.equal(normalizeEmail('two words@example.com'), null);
+  assert.equal(normalizeEmail(null), null);
+  assert.equal(normalizeEmail(`${'a'.repeat(250)}@example.com`), null);
+});
+
+test('tokens: round-trip, expire after a week, reject tampering and other secrets', () => {
+  const now = Date.UTC(2026, 0, 1);
+  const token = signToken('fan@example.com', SECRET, now);
+  assert.equal(verifyToken(token, SECRET, now + 1000), 'fan@example.com');
+  assert.equal(verifyToken(token, SECRET, now + 8 * 24 * 60 * 60 * 1000), null);
+  assert.equal(verifyToken(token, 'other-secret', now), null);
+
+  const [, signature] = token.split('.');
+  const forged = `${Buffer.from(JSON.stringify({ email: 'bot@example.com', exp: now + 1e9 })).toString('base64url')}.${signature}`;
+  assert.equal(verifyToken(forged, SECRET, now), null);
+  assert.equal(verifyToken('garbage', SECRET, now), null);
+  assert.equal(verifyToken(`${token}.extra`, SECRET, now), null);
+  assert.equal(verifyToken(null, SECRET, now), null);
+});
+
+test('rate limiter: allows `limit` per key per window', () => {
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.deepEqual([limiter.take('a', 0), limiter.take('a', 10), limiter.take('a', 20)], [true, true, false]);
+  assert.equal(limiter.take('b', 20), true, 'keys are counted separately');
+  assert.equal(limiter.take('a', 1000), true, 'a new window starts');
+});
+
+// ---------------------------------------------------------------------------
+// Endpoint, with the local list
+// ---------------------------------------------------------------------------
+
+test('subscribe → outbox → confirm adds the subscriber', async () => {
+  const env = localEnv();
+  const res = await handle(subscribeRequest({ email: ' Fan@Example.com ' }), env);
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).outcome, 'check-your-inbox');
+
+  let list = readList(env.MAILING_LIST_FILE);
+  assert.deepEqual(list.pending.map(p => p.email), ['fan@example.com']);
+  assert.equal(list.outbox.length, 1);
+  const { confirmUrl } = list.outbox[0];
+  assert.match(confirmUrl, /^https:\/\/jadethreemusic\.com\/newsletter\/confirm\?token=/);
+
+  const confirmed = await handle(new Request(confirmUrl), env);
+  assert.equal(confirmed.status, 303);
+  assert.equal(confirmed.headers.get('location'), '/newsletter/confirmed/');
+  list = readList(env.MAILING_LIST_FILE);
+  assert.deepEqual(list.subscribers.map(s => s.email), ['fan@example.com']);
+  assert.deepEqual(list.pending, []);
+
+  // Signing up again says the same thing but sends nothing
+  await handle(subscribeRequest({ email: 'fan@example.com' }), env);
+  assert.equal(readList(env.MAILING_LIST_FILE).outbox.length, 1);
+});
+
+test('form posts without JavaScript are redirected to the outcome page', async () => {
+  const env = localEnv();
+  const ok = await handle(subscribeRequest({ email: 'fan@example.com' }, { json: false }), env);
+  assert.equal(ok.status, 303);
+  assert.equal(ok.headers.get('location'), '/newsletter/check-your-inbox/');
+  const bad = await handle(subscribeRequest({ email: 'nope' }, { json: false }), env);
+  assert.equal(bad.headers.get('location'), '/newsletter/invalid-email/');
+});
+
+test('the honeypot answers like a success and sends nothing', async () => {
+  const env = localEnv();
+  const res = await handle(subscribeRequest({ email: 'bot@example.com', website: 'https://spam.example' }), env);
+  assert.equal((await res.json()).outcome, 'check-your-inbox');
+  assert.equal(fs.existsSync(env.MAILING_LIST_FILE), false);
+});
+
+test('invalid email, bad token and rate limit', async () => {
+  const env = localEnv();
+  const invalid = await handle(subscribeRequest({ email: 'not-an-email' }), env);
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).outcome, 'invalid-email');
+
+  const expired = await handle(new Request(`${SITE}/newsletter/confirm?token=abc.def`), env);
+  assert.equal(expired.headers.get('location'), '/newsletter/link-expired/');
+
+  const limiter = createRateLimiter({ limit: 1 });
+  await handle(subscribeRequest({ email: 'a@example.com' }), env, limiter);
+  const limited = await handle(subscribeRequest({ email: 'b@example.com' }), env, limiter);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get('retry-after'), '600');
+});
+
+test('wrong method, unknown path and missing configuration', async () => {
+  const env = localEnv();
+  const get = await handle(new Request(`${SITE}/newsletter/subscribe`), env);
+  assert.equal(get.status, 405);
+  assert.equal(get.headers.get('allow'), 'POST');
+  assert.equal((await handle(new Request(`${SITE}/newsletter/other`), env)).status, 404);
+
+  const errors = [];
+  const realError = console.error;
+  console.error = (msg) => errors.push(msg);
+  try {
+    const res = await handle(subscribeRequest({ email: 'fan@example.com' }), { MAILING_LIST: 'local' });
+    assert.equal(res.status, 503);
+  } finally {
+    console.error = realError;
+  }
+  assert.match(errors[0], /MAILING_LIST_SECRET/);
+});
+
+// ---------------------------------------------------------------------------
+// Provider lists
+// ---------------------------------------------------------------------------
+
+test('Buttondown: adds an unactivated subscriber and treats "already subscribed" as done', async () => {
+  let stub = stubFetch(201);
+  try {
+    await buttondown.subscribe('fan@example.com', { BUTTONDOWN_API_KEY: 'key' }, { confirmUrl: null });
+  } finally {
+    stub.restore();
+  }
+  const [{ url, init }] = stub.calls;
+  assert.equal(url, 'https://api.buttondown.com/v1/subscribers');
+  assert.equal(init.headers.Authorization, 'Token key');
+  assert.deepEqual(JSON.parse(init.body), { email_address: 'fan@example.com', type: 'unactivated' });
+
+  stub = stubFetch(400, '{"code":"email_already_exists","detail":"This email address is already subscribed."}');
+  try {
+    await buttondown.subscribe('fan@example.com', { BUTTONDOWN_API_KEY: 'key' }, { confirmUrl: null });
+    stub.restore();
+    stub = stubFetch(401, '{"detail":"Invalid token."}');
+    await assert.rejects(buttondown.subscribe('fan@example.com', { BUTTONDOWN_API_KEY: 'bad' }, { confirmUrl: null }), /401/);
+  } finally {
+    stub.restore();
+  }
+});
+
+test('Mailchimp: upserts the member as pending in the key\'s data center', async () => {
+  const stub = stubFetch(200);
+  try {
+    await mailchimp.subscribe('Fan@Example.com', { MAILCHIMP_API_KEY: 'abc123-us21', MAILCHIMP_LIST_ID: 'list1' }, { confirmUrl: null });
+  } finally {
+    stub.restore();
+  }
+  const [{ url, init }] = stub.calls;
+  // md5('fan@example.com')
+  assert.equal(url, 'https://us21.api.mailchimp.com/3.0/lists/list1/members/b0215f672117e282a7b3bbcbb8157ba1');
+  assert.equal(init.method, 'PUT');
+  assert.equal(Buffer.from(init.headers.Authorization.replace('Basic ', ''), 'base64').toString(), 'jade-three:abc123-us21');
+  assert.deepEqual(JSON.parse(init.body), { email_address: 'Fan@Example.com', status_if_new: 'pending' });
+});
+
+test('provider lists get no confirmation link and no confirm endpoint', async () => {
+  const env = { MAILING_LIST: 'buttondown', BUTTONDOWN_API_KEY: 'key' };
+  const stub = stubFetch(201);
+  try {
+    const res = await handle(subscribeRequest({ email: 'fan@example.com' }), env);
+    assert.equal((await res.json()).outcome, 'check-your-inbox');
+  } finally {
+    stub.restore();
+  }
+  assert.equal(stub.calls.length, 1);
+  const confirm = await handle(new Request(`${SITE}/newsletter/confirm?token=${signToken('fan@example.com', SECRET)}`), env);
+  assert.equal(confirm.headers.get('location'), '/newsletter/link-expired/');
+});
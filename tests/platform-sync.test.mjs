@@ -0,0 +1,202 @@
+/**
+ * Unit tests for scripts/lib/platform-sync.js and the sync providers
+ * Run with: node --test tests/platform-sync.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeTitle,
+  findRelease,
+  findTrack,
+  mergeFields,
+  newRelease,
+  newTrack,
+  diffReleases,
+  applyChange,
+  describeChange,
+  formatDiff,
+  slugify,
+} from '../scripts/lib/platform-sync.js';
+import itunes from '../scripts/providers/itunes.js';
+
+function sampleData() {
+  return {
+    lastUpdated: '2026-01-01',
+    artistName: 'Jade Three',
+    releases: [
+      newRelease({
+        id: 'ep-1',
+        type: 'ep',
+        title: 'Year Until the Fall',
+        releaseDate: '2025-11-03',
+        artworkUrl: 'https://example.com/hand-fixed.jpg',
+        tracks: [
+          newTrack({ trackNumber: 1, title: 'Year until the fall', spotifyId: 'abc' }),
+          newTrack({ trackNumber: 2, title: 'Fractional person' }),
+        ],
+      }),
+      newRelease({ id: 'single-1', title: "It's a trap", releaseDate: '2025-03-29' }),
+    ],
+  };
+}
+
+test('normalizeTitle strips store suffixes and punctuation', () => {
+  assert.equal(normalizeTitle('Year Until the Fall - EP'), 'yearuntilthefall');
+  assert.equal(normalizeTitle("It's a trap - Single"), 'itsatrap');
+  assert.equal(normalizeTitle(undefined), '');
+});
+
+test('slugify drops apostrophes and joins words with hyphens', () => {
+  assert.equal(slugify("Didn't you want something?"), 'didnt-you-want-something');
+  assert.equal(slugify('It’s a trap'), 'its-a-trap');
+  assert.equal(slugify('  Strings, "Live" '), 'strings-live');
+  assert.equal(slugify('?!'), '');
+});
+
+test('findRelease and findTrack match by normalized title', () => {
+  const data = sampleData();
+  assert.equal(findRelease(data, "It's A Trap - Single")?.id, 'single-1');
+  assert.equal(findRelease(data, 'Nothing like it'), null);
+  assert.equal(findTrack(data.releases[0], 'Fractional Person')?.trackNumber, 2);
+});
+
+test('mergeFields fills empty fields and keeps existing ones unless overwritten', () => {
+  const release = newRelease({ title: 'X', spotifyUrl: 'https://kept' });
+  mergeFields(release, { spotifyUrl: 'https://new', appleMusicUrl: 'https://apple', youtubeUrl: null });
+  assert.equal(release.spotifyUrl, 'https://kept');
+  assert.equal(release.appleMusicUrl, 'https://apple');
+  assert.equal(release.youtubeUrl, null);
+
+  mergeFields(release, { spotifyUrl: 'https://new' }, { overwrite: ['spotifyUrl'] });
+  assert.equal(release.spotifyUrl, 'https://new');
+});
+
+test('diffReleases reports field, track and release changes', () => {
+  const before = sampleData();
+  const after = structuredClone(before);
+  after.releases[0].appleMusicUrl = 'https://music.apple.com/ep';
+  after.releases[0].tracks[1].spotifyId = 'def';
+  after.releases.push(newRelease({ id: 'single-2', title: 'New One' }));
+  after.spotifyArtistId = '2T04y62jXdLsznulD3sT4D';
+
+  const [artistId, ...changes] = diffReleases(before, after);
+  assert.deepEqual(artistId, { field: 'spotifyArtistId', from: null, to: '2T04y62jXdLsznulD3sT4D' });
+  assert.equal(describeChange(artistId), 'releases.json — spotifyArtistId: null → "2T04y62jXdLsznulD3sT4D"');
+  assert.equal(changes.length, 3);
+  assert.deepEqual(changes[0], {
+    releaseId: 'ep-1',
+    release: 'Year Until the Fall',
+    field: 'appleMusicUrl',
+    from: null,
+    to: 'https://music.apple.com/ep',
+  });
+  assert.equal(changes[1].trackNumber, 2);
+  assert.equal(changes[2].kind, 'added');
+  assert.match(describeChange(changes[1]), /Year Until the Fall \/ 2\. Fractional person — spotifyId: null → "def"/);
+});
+
+test('applyChange replays accepted changes and skips the rest', () => {
+  const before = sampleData();
+  const after = structuredClone(before);
+  after.releases[0].artworkUrl = 'https://is1-ssl.mzstatic.com/new.jpg';
+  after.releases[0].tracks[1].spotifyId = 'def';
+  after.releases[0].tracks.push(newTrack({ trackNumber: 3, title: 'Fight or flight' }));
+
+  const [artwork, spotifyId, added] = diffReleases(before, after);
+  const data = sampleData();
+  applyChange(data, { ...spotifyId, to: 'pasted' });
+  applyChange(data, added);
+
+  assert.equal(data.releases[0].artworkUrl, 'https://example.com/hand-fixed.jpg', 'skipped change is not applied');
+  assert.equal(data.releases[0].tracks[1].spotifyId, 'pasted');
+  assert.deepEqual(data.releases[0].tracks.map(t => t.title), ['Year until the fall', 'Fractional person', 'Fight or flight']);
+  assert.equal(artwork.field, 'artworkUrl');
+});
+
+test('formatDiff flags overwrites of existing values', () => {
+  const before = sampleData();
+  const after = structuredClone(before);
+  after.releases[0].artworkUrl = 'https://is1-ssl.mzstatic.com/new.jpg';
+  after.releases[0].appleMusicUrl = 'https://music.apple.com/ep';
+
+  const lines = formatDiff(diffReleases(before, after)).split('\n');
+  assert.deepEqual(lines, [
+    '  Year Until the Fall',
+    '    - appleMusicUrl: null',
+    '    + appleMusicUrl: "https://music.apple.com/ep"',
+    '  ! - artworkUrl: "https://example.com/hand-fixed.jpg"',
+    '  ! + artworkUrl: "https://is1-ssl.mzstatic.com/new.jpg"',
+  ]);
+});
+
+const itunesResponses = {
+  musicArtist: { results: [{ wrapperType: 'artist', artistName: 'Jade Three', artistId: 42 }] },
+  'id=42': {
+    results: [{
+      wrapperType: 'collection',
+      collectionId: 7,
+      collectionName: 'Year Until the Fall - EP',
+      collectionViewUrl: 'https://music.apple.com/us/album/7',
+      artworkUrl100: 'https://is1-ssl.mzstatic.com/x/100x100bb.jpg',
+      releaseDate: '2025-11-03T08:00:00Z',
+      trackCount: 2,
+    }],
+  },
+  'id=7': {
+    results: [
+      { wrapperType: 'track', trackNumber: 1, trackName: 'Year Until The Fall', trackTimeMillis: 298667, trackViewUrl: 'https://t1' },
+      { wrapperType: 'track', trackNumber: 3, trackName: 'Fight or flight', trackTimeMillis: 200000, trackViewUrl: 'https://t3' },
+    ],
+  },
+};
+
+/** Runs the iTunes provider against the canned lookup responses above. */
+async function syncItunes(data, ctx) {
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async url => {
+    const key = Object.keys(itunesResponses).find(k => String(url).includes(k));
+    const body = itunesResponses[key] ?? { results: [] };
+    return new Response(JSON.stringify(body), { status: 200 });
+  };
+  try {
+    return await itunes.sync(data, ctx);
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+}
+
+test('itunes provider merges lookup results into existing releases', async () => {
+  const data = sampleData();
+  const { notFound } = await syncItunes(data);
+  assert.deepEqual(notFound, ["It's a trap"]);
+
+  const [ep] = data.releases;
+  assert.equal(ep.appleMusicUrl, 'https://music.apple.com/us/album/7');
+  assert.equal(ep.artworkUrlSmall, 'https://is1-ssl.mzstatic.com/x/64x64bb.jpg');
+  assert.equal(ep.tracks[0].title, 'Year until the fall', 'existing titles are kept');
+  assert.equal(ep.tracks[0].spotifyId, 'abc', 'hand-entered IDs survive');
+  assert.equal(ep.tracks[0].durationFormatted, '4:59');
+  assert.deepEqual(ep.tracks.map(t => t.trackNumber), [1, 2, 3]);
+  assert.equal(data.releases.length, 2, 'no duplicate release is created');
+  assert.equal(ep.artworkUrl, 'https://example.com/hand-fixed.jpg', 'values already set are kept');
+});
+
+test('itunes provider replaces values already set only when asked to', async () => {
+  const data = sampleData();
+  data.releases[0].appleMusicUrl = 'https://music.apple.com/us/album/old';
+  data.releases[0].releaseDate = '2024-11-03';
+  data.releases[0].tracks[0].appleMusicUrl = 'https://t1-old';
+  await syncItunes(data, { overwrite: false });
+  assert.equal(data.releases[0].appleMusicUrl, 'https://music.apple.com/us/album/old');
+  assert.equal(data.releases[0].releaseDate, '2024-11-03');
+  assert.equal(data.releases[0].year, 2024);
+  assert.equal(data.releases[0].tracks[0].appleMusicUrl, 'https://t1-old');
+  assert.equal(data.releases[0].tracks[0].durationMs, 298667, 'durations are always refreshed');
+
+  await syncItunes(data, { overwrite: true });
+  assert.equal(data.releases[0].artworkUrl, 'https://is1-ssl.mzstatic.com/x/600x600bb.jpg');
+  assert.equal(data.releases[0].appleMusicUrl, 'https://music.apple.com/us/album/7');
+  assert.equal(data.releases[0].year, 2025);
+  assert.equal(data.releases[0].tracks[0].appleMusicUrl, 'https://t1');
+});
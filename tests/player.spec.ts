@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+
+const THIRD_PARTY = /open\.spotify\.com|music\.apple\.com|youtube(-nocookie)?\.com/;
+
+test.describe('Player facade', () => {
+  test('nothing is loaded from a provider until play is pressed', async ({ page }) => {
+    const requests: string[] = [];
+    page.on('request', (req) => {
+      if (THIRD_PARTY.test(req.url())) requests.push(req.url());
+    });
+    await page.goto('/');
+    await page.goto('/releases/fall-in-love');
+    await expect(page.locator('iframe')).toHaveCount(0);
+    expect(requests).toEqual([]);
+  });
+
+  test('play swaps the facade for the provider embed', async ({ page }) => {
+    await page.goto('/releases/fall-in-love');
+    await page.getByRole('link', { name: 'Play Fall in Love on Spotify' }).click();
+    const iframe = page.locator('iframe[title="Fall in Love on Spotify"]');
+    await expect(iframe).toHaveAttribute('src', /open\.spotify\.com\/embed\/track\//);
+    await expect(page.locator('[data-player-facade]')).toHaveCount(0);
+  });
+
+  test('choosing a provider swaps a loaded player', async ({ page }) => {
+    await page.goto('/releases/fall-in-love');
+    await page.getByRole('link', { name: 'Play Fall in Love on Spotify' }).click();
+    const choices = page.getByRole('group', { name: 'Player' });
+    await choices.getByRole('button', { name: 'YouTube' }).click();
+    await expect(choices.getByRole('button', { name: 'YouTube' })).toHaveAttribute('aria-pressed', 'true');
+    await expect(page.locator('iframe')).toHaveAttribute('src', 'https://www.youtube-nocookie.com/embed/0V4rXvtlYgQ');
+  });
+
+  test('the chosen provider is remembered across pages', async ({ page }) => {
+    await page.goto('/releases/fall-in-love');
+    await page.getByRole('group', { name: 'Player' }).getByRole('button', { name: 'Apple Music' }).click();
+
+    await page.goto('/releases/stinger');
+    const play = page.getByRole('link', { name: 'Play Stinger on Apple Music' });
+    await expect(play).toHaveAttribute('href', /^https:\/\/music\.apple\.com\//);
+    await play.click();
+    await expect(page.locator('iframe')).toHaveAttribute('src', /^https:\/\/embed\.music\.apple\.com\/us\/album\/stinger\/1788364985\?i=1788364986$/);
+  });
+
+  test('a release without the chosen provider falls back to the first one', async ({ page }) => {
+    await page.goto('/releases/fall-in-love');
+    await page.getByRole('group', { name: 'Player' }).getByRole('button', { name: 'YouTube' }).click();
+
+    // Picking My Bones has no YouTube link
+    await page.goto('/releases/picking-my-bones');
+    await expect(page.getByRole('link', { name: 'Play Picking My Bones on Spotify' })).toBeVisible();
+  });
+
+  test.describe('without JavaScript', () => {
+    test.use({ javaScriptEnabled: false });
+
+    test('play links to the provider and the choices stay hidden', async ({ page }) => {
+      await page.goto('/releases/fall-in-love');
+      const play = page.getByRole('link', { name: 'Play Fall in Love on Spotify' });
+      await expect(play).toHaveAttribute('href', /^https:\/\/open\.spotify\.com\//);
+      await expect(page.getByRole('group', { name: 'Player' })).toBeHidden();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for scripts/lib/players.js and scripts/lib/csp.js
+ * Run with: node --test tests/players.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { appleEmbedUrl, playerEmbeds, spotifyEmbedUrl, youtubeEmbedUrl } from '../scripts/lib/players.js';
+import { contentSecurityPolicy, headersFile } from '../scripts/lib/csp.js';
+
+const ALBUM_ID = '7qUiYF0NhcV4epRkvR7LWn';
+const TRACK_ID = '5SL267855YMMxeeLtpnuHj';
+
+function track(overrides = {}) {
+  return {
+    trackNumber: 1,
+    title: 'Fall in Love',
+    spotifyId: TRACK_ID,
+    spotifyUrl: `https://open.spotify.com/track/${TRACK_ID}`,
+    appleMusicUrl: 'https://music.apple.com/us/album/fall-in-love/1888734107?i=1888734108&uo=4',
+    youtubeUrl: 'https://www.youtube.com/watch?v=0V4rXvtlYgQ',
+    ...overrides,
+  };
+}
+
+function release(overrides = {}) {
+  return {
+    type: 'single',
+    spotifyId: ALBUM_ID,
+    spotifyUrl: `https://open.spotify.com/album/${ALBUM_ID}`,
+    appleMusicUrl: 'https://music.apple.com/us/album/fall-in-love-single/1888734107?uo=4',
+    youtubeUrl: null,
+    youtubePlaylistUrl: null,
+    tracks: [track()],
+    ...overrides,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Embed URLs
+// ---------------------------------------------------------------------------
+
+test('spotifyEmbedUrl: real IDs embed, placeholders do not', () => {
+  assert.equal(spotifyEmbedUrl('track', TRACK_ID), `https://open.spotify.com/embed/track/${TRACK_ID}?utm_source=generator&theme=0`);
+  assert.equal(spotifyEmbedUrl('album', 'PLACEHOLDER_ID'), null);
+  assert.equal(spotifyEmbedUrl('album', undefined), null);
+});
+
+test('appleEmbedUrl: swaps the host and drops the affiliate parameter', () => {
+  assert.equal(
+    appleEmbedUrl('https://music.apple.com/us/album/stinger/1788364985?i=1788364986&uo=4'),
+    'https://embed.music.apple.com/us/album/stinger/1788364985?i=1788364986',
+  );
+  assert.equal(appleEmbedUrl('https://example.com/us/album/x/1'), null);
+  assert.equal(appleEmbedUrl('not a url'), null);
+  assert.equal(appleEmbedUrl(null), null);
+});
+
+test('youtubeEmbedUrl: videos, short links and playlists', () => {
+  assert.equal(youtubeEmbedUrl('https://www.youtube.com/watch?v=0V4rXvtlYgQ'), 'https://www.youtube-nocookie.com/embed/0V4rXvtlYgQ');
+  assert.equal(youtubeEmbedUrl('https://youtu.be/0V4rXvtlYgQ'), 'https://www.youtube-nocookie.com/embed/0V4rXvtlYgQ');
+  assert.equal(youtubeEmbedUrl('https://music.youtube.com/watch?v=0V4rXvtlYgQ&list=OLAK5uy_x'), 'https://www.youtube-nocookie.com/embed/0V4rXvtlYgQ');
+  assert.equal(
+    youtubeEmbedUrl('https://www.youtube.com/playlist?list=OLAK5uy_kX-wTfC0HccD4QeluROWN-fb7gT5ovp74'),
+    'https://www.youtube-nocookie.com/embed/videoseries?list=OLAK5uy_kX-wTfC0HccD4QeluROWN-fb7gT5ovp74',
+  );
+  assert.equal(youtubeEmbedUrl('https://www.youtube.com/@jadethree'), null);
+  assert.equal(youtubeEmbedUrl('https://vimeo.com/123'), null);
+});
+
+// ---------------------------------------------------------------------------
+// playerEmbeds
+// ---------------------------------------------------------------------------
+
+test('playerEmbeds: a single plays its track on every provider it has', () => {
+  const embeds = playerEmbeds(release());
+  assert.deepEqual(embeds.map(e => e.id), ['spotify', 'apple', 'youtube']);
+  assert.deepEqual(embeds[0], {
+    id: 'spotify',
+    label: 'Spotify',
+    src: `https://open.spotify.com/embed/track/${TRACK_ID}?utm_source=generator&theme=0`,
+    href: `https://open.spotify.com/track/${TRACK_ID}`,
+    height: 152,
+  });
+  assert.equal(embeds[1].src, 'https://embed.music.apple.com/us/album/fall-in-love/1888734107?i=1888734108');
+  assert.equal(embeds[2].height, null);
+});
+
+test('playerEmbeds: a single falls back to its release-level links', () => {
+  const embeds = playerEmbeds(release({
+    youtubeUrl: 'https://youtu.be/0V4rXvtlYgQ',
+    tracks: [track({ appleMusicUrl: null, youtubeUrl: null })],
+  }));
+  assert.equal(embeds[1].href, 'https://music.apple.com/us/album/fall-in-love-single/1888734107?uo=4');
+  assert.equal(embeds[2].src, 'https://www.youtube-nocookie.com/embed/0V4rXvtlYgQ');
+});
+
+test('playerEmbeds: an EP plays as a whole, preferring its playlist', () => {
+  const embeds = playerEmbeds(release({
+    type: 'ep',
+    youtubeUrl: 'https://www.youtube.com/watch?v=eOrl4ckHgWY',
+    youtubePlaylistUrl: 'https://www.youtube.com/playlist?list=OLAK5uy_ep',
+  }));
+  assert.equal(embeds[0].src, `https://open.spotify.com/embed/album/${ALBUM_ID}?utm_source=generator&theme=0`);
+  assert.equal(embeds[0].height, 352);
+  assert.equal(embeds[1].height, 450);
+  assert.equal(embeds[2].src, 'https://www.youtube-nocookie.com/embed/videoseries?list=OLAK5uy_ep');
+});
+
+test('playerEmbeds: a track of an EP uses only the track links', () => {
+  const ep = release({ type: 'ep', youtubeUrl: 'https://www.youtube.com/watch?v=eOrl4ckHgWY' });
+  const embeds = playerEmbeds(ep, track({ youtubeUrl: null }));
+  assert.deepEqual(embeds.map(e => e.id), ['spotify', 'apple']);
+  assert.equal(embeds[1].height, 175);
+});
+
+test('playerEmbeds: placeholder data has no players', () => {
+  const embeds = playerEmbeds(release({
+    spotifyId: 'PLACEHOLDER_ID',
+    appleMusicUrl: null,
+    tracks: [track({ spotifyId: 'PLACEHOLDER_ID', appleMusicUrl: null, youtubeUrl: null })],
+  }));
+  assert.deepEqual(embeds, []);
+});
+
+test('playerEmbeds: only enabled providers, in the enabled order', () => {
+  assert.deepEqual(playerEmbeds(release(), null, ['youtube', 'spotify']).map(e => e.id), ['youtube', 'spotify']);
+});
+
+// ---------------------------------------------------------------------------
+// Content-Security-Policy
+// ---------------------------------------------------------------------------
+
+test('contentSecurityPolicy: frame-src lists the enabled players', () => {
+  const csp = contentSecurityPolicy();
+  assert.match(csp, /frame-src https:\/\/open\.spotify\.com https:\/\/embed\.music\.apple\.com https:\/\/www\.youtube-nocookie\.com;/);
+  assert.match(csp, /img-src 'self' data: blob:;/);
+  assert.match(csp, /form-action 'self';/);
+  assert.match(contentSecurityPolicy({ players: ['spotify'] }), /frame-src https:\/\/open\.spotify\.com;/);
+});
+
+test('contentSecurityPolicy: img-src adds the hosts of uncached artwork', () => {
+  assert.match(
+    contentSecurityPolicy({ imageOrigins: ['https://is1-ssl.mzstatic.com'] }),
+    /img-src 'self' data: blob: https:\/\/is1-ssl\.mzstatic\.com;/
+  );
+});
+
+test('contentSecurityPolicy: no players means no frames', () => {
+  assert.match(contentSecurityPolicy({ players: [] }), /frame-src 'none';/);
+});
+
+test('headersFile: applies the policy to every page', () => {
+  const lines = headersFile({ players: [] }).split('\n');
+  assert.equal(lines[0], '/*');
+  assert.match(lines[1], /^ {2}Content-Security-Policy: default-src 'self'; /);
+});
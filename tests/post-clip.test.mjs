@@ -6,6 +6,9 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { execSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+import { tempDir } from './temp-dir.mjs';
 
 const SCRIPT = new URL('../scripts/post-clip.mjs', import.meta.url).pathname;
 
@@ -43,3 +46,108 @@ test('missing BLUESKY_HANDLE exits with an error', () => {
     }
   );
 });
+
+test('--due posts scheduled clips whose time has passed', () => {
+  const dir = tempDir('post-clip-');
+  const clipsFile = path.join(dir, 'clips.yaml');
+  fs.writeFileSync(clipsFile, [
+    '- slug: stinger',
+    '  clips:',
+    '    - approved: true',
+    '      sent: false',
+    '      scheduledAt: 2020-01-01T09:00:00Z',
+    '      text: |',
+    '        Due clip',
+    '    - approved: true',
+    '      sent: false',
+    '      scheduledAt: 2999-01-01T09:00:00Z',
+    '      text: |',
+    '        Future clip',
+    '',
+  ].join('\n'));
+  const out = execSync(`node ${SCRIPT} --due --dry-run`, {
+    env: { ...process.env, CLIPS_FILE: clipsFile, POST_HISTORY_FILE: path.join(dir, 'history.jsonl') },
+    encoding: 'utf-8',
+  });
+  assert.match(out, /Due clip/);
+  assert.doesNotMatch(out, /Future clip/);
+  assert.match(out, /\[Dry run\] Not posting 1 clip\(s\)/);
+});
+
+test('sent state is tracked per network', () => {
+  const dir = tempDir('post-clip-');
+  const clipsFile = path.join(dir, 'clips.yaml');
+  fs.writeFileSync(clipsFile, [
+    '- slug: stinger',
+    '  clips:',
+    '    - approved: true',
+    '      sent: { bluesky: true, mastodon: false }',
+    '      text: |',
+    '        Already on Bluesky',
+    '',
+  ].join('\n'));
+  const env = { ...process.env, CLIPS_FILE: clipsFile, POST_HISTORY_FILE: path.join(dir, 'history.jsonl') };
+  const run = network => execSync(`node ${SCRIPT} --dry-run --network ${network}`, { env, encoding: 'utf-8' });
+
+  assert.match(run('bluesky'), /No approved, unsent clips available/);
+  const out = run('mastodon');
+  assert.match(out, /── mastodon ──/);
+  assert.match(out, /Already on Bluesky/);
+  assert.match(out, /Length: 18\/500/);
+});
+
+test('a held clips.yaml lock stops a real run before posting; a dry run ignores it', () => {
+  const dir = tempDir('post-clip-');
+  const clipsFile = path.join(dir, 'clips.yaml');
+  const original = ['- slug: stinger', '  clips:', '    - approved: true', '      sent: false', '      text: |', '        Locked clip', ''].join('\n');
+  fs.writeFileSync(clipsFile, original);
+  fs.writeFileSync(`${clipsFile}.lock`, JSON.stringify({ pid: process.pid }));
+  const env = {
+    ...process.env,
+    CLIPS_FILE: clipsFile,
+    POST_HISTORY_FILE: path.join(dir, 'history.jsonl'),
+    BLUESKY_HANDLE: 'test.bsky.social',
+    BLUESKY_APP_PASSWORD: 'x',
+  };
+
+  assert.throws(
+    () => execSync(`node ${SCRIPT} --network bluesky`, { env, encoding: 'utf-8', stdio: 'pipe' }),
+    (err) => {
+      assert.match(err.stderr, /locked by another run/);
+      return true;
+    }
+  );
+  assert.match(execSync(`node ${SCRIPT} --dry-run --network bluesky`, { env, encoding: 'utf-8' }), /Locked clip/);
+  // Neither run touched the file (the dry run doesn't save backfilled ids)
+  assert.equal(fs.readFileSync(clipsFile, 'utf-8'), original);
+});
+
+test('--dry-run shows a clip\'s image and thread on Bluesky only', () => {
+  const dir = tempDir('post-clip-');
+  const clipsFile = path.join(dir, 'clips.yaml');
+  fs.writeFileSync(clipsFile, [
+    '- slug: stinger',
+    '  clips:',
+    '    - approved: true',
+    '      sent: false',
+    '      image: artwork',
+    '      text: |',
+    '        Artwork-led clip',
+    '      thread:',
+    '        - Second post',
+    '        - |',
+    `          ${'x'.repeat(301)}`,
+    '',
+  ].join('\n'));
+  const env = { ...process.env, CLIPS_FILE: clipsFile, POST_HISTORY_FILE: path.join(dir, 'history.jsonl') };
+  const run = network => execSync(`node ${SCRIPT} --dry-run --network ${network}`, { env, encoding: 'utf-8' });
+
+  const out = run('bluesky');
+  assert.match(out, /Image:\s+artwork/);
+  assert.match(out, /── reply 1 \(11\/300\)\nSecond post/);
+  assert.match(out, /── reply 2 \(301\/300 — too long\)/);
+  assert.match(out, /Would skip: thread reply 2 is over the bluesky limit of 300/);
+
+  const mastodon = run('mastodon');
+  assert.doesNotMatch(mastodon, /Image:|reply 1|Would skip/);
+});
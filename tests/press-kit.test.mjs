@@ -0,0 +1,274 @@
+/**
+ * Tests for scripts/lib/press-kit.js and scripts/lib/artwork-cache.js
+ * Run with: node --test tests/press-kit.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { unzipSync, strFromU8 } from 'fflate';
+import sharp from 'sharp';
+import sharpService from 'astro/assets/services/sharp';
+import { buildPressKit, discographyCsv, writePressKit } from '../scripts/lib/press-kit.js';
+import { artworkProblem, cacheArtwork, cachedArtwork, remoteArtworkOrigins, sha256 } from '../scripts/lib/artwork-cache.js';
+import { fullBio } from '../scripts/lib/artist-profile.js';
+import { tempDir } from './temp-dir.mjs';
+
+const SITE = 'https://jadethreemusic.com';
+const PNG = Buffer.from('89504e470d0a1a0a', 'hex');
+// A 400×400 #336699 JPEG, standing in for a store's cover
+const COVER = fs.readFileSync(new URL('fixtures/artwork/cover.jpg', import.meta.url));
+
+function release(overrides) {
+  return {
+    type: 'single',
+    spotifyUrl: 'https://open.spotify.com/album/x',
+    appleMusicUrl: null,
+    amazonMusicUrl: null,
+    youtubePlaylistUrl: null,
+    youtubeUrl: null,
+    artworkUrl: 'https://is1-ssl.mzstatic.com/image/cover.jpg',
+    tracks: [{ trackNumber: 1, title: overrides.title, durationFormatted: '3:00', isExplicit: false }],
+    ...overrides,
+  };
+}
+
+const RELEASES = [
+  release({ id: 'single-1', title: 'Older One', releaseDate: '2025-01-10', year: 2025 }),
+  release({ id: 'ep-2', type: 'ep', title: 'Strings, "Live"', releaseDate: '2026-02-01', year: 2026 }),
+];
+
+function withArtwork(r, file, bytes = PNG) {
+  return { ...r, artwork: { file, sha256: sha256(bytes), source: r.artworkUrl, color: '#336699', placeholder: 'data:image/webp;base64,' } };
+}
+
+function fixture({ artwork = ['ep-2'] } = {}) {
+  const dir = tempDir('press-kit-');
+  const dataPath = path.join(dir, 'releases.json');
+  const releases = RELEASES.map(r => (artwork.includes(r.id) ? withArtwork(r, `${r.id}-0123abcd.png`) : r));
+  fs.writeFileSync(dataPath, JSON.stringify({ lastUpdated: '2026-03-28', artistName: 'Jade Three', spotifyArtistId: 'abc', releases }));
+
+  fs.mkdirSync(path.join(dir, 'assets'));
+  fs.writeFileSync(path.join(dir, 'assets', 'artist.png'), PNG);
+  fs.mkdirSync(path.join(dir, 'content'));
+  const profilePath = path.join(dir, 'content', 'profile.md');
+  fs.writeFileSync(profilePath, [
+    '---',
+    'name: "Jade Three"',
+    'location: "Portland, Oregon"',
+    'genres: ["Electronic"]',
+    'started: "2024"',
+    'photos:',
+    '  - src: ../assets/artist.png',
+    '    alt: "Jade Three"',
+    'quotes:',
+    '  - text: "Make more, consume less."',
+    '    source: "Jade Three"',
+    '---',
+    '# Jade Three',
+    '',
+    '## Why music?',
+    '',
+    'Because.',
+    '',
+    '## Unanswered',
+    '',
+  ].join('\n'));
+
+  const artworkDir = path.join(dir, 'artwork');
+  fs.mkdirSync(artworkDir);
+  for (const id of artwork) fs.writeFileSync(path.join(artworkDir, `${id}-0123abcd.png`), PNG);
+  return { dir, dataPath, profilePath, artworkDir };
+}
+
+function unzip(zip) {
+  return Object.fromEntries(Object.entries(unzipSync(zip)).map(([name, bytes]) => [name.replace(/^jade-three-press-kit\//, ''), bytes]));
+}
+
+// ---------------------------------------------------------------------------
+// Press kit
+// ---------------------------------------------------------------------------
+
+test('zips bios, discography, photos, cached artwork and the one-sheet', () => {
+  const { dataPath, profilePath, artworkDir } = fixture();
+  const { zip, missingArtwork } = buildPressKit({ siteUrl: SITE, dataPath, profilePath, artworkDir });
+  const files = unzip(zip);
+
+  assert.deepEqual(Object.keys(files).sort(), [
+    'artwork/2026-strings-live-ep.png',
+    'bio-full.txt',
+    'bio-short.txt',
+    'discography.csv',
+    'discography.json',
+    'one-sheet.html',
+    'photos/artist.png',
+  ]);
+  assert.deepEqual(missingArtwork, ['Older One']);
+  assert.deepEqual(Buffer.from(files['photos/artist.png']), PNG);
+  assert.match(strFromU8(files['bio-short.txt']), /^Jade Three is an electronic artist from Portland, Oregon/);
+  assert.equal(strFromU8(files['bio-full.txt']), 'Jade Three\n\nWhy music?\n\nBecause.\n');
+
+  const json = JSON.parse(strFromU8(files['discography.json']));
+  assert.deepEqual(json.releases.map(r => [r.title, r.artwork]), [
+    ['Strings, "Live"', 'artwork/2026-strings-live-ep.png'],
+    ['Older One', 'https://is1-ssl.mzstatic.com/image/cover.jpg'],
+  ]);
+
+  const sheet = strFromU8(files['one-sheet.html']);
+  assert.match(sheet, /<img src="artwork\/2026-strings-live-ep\.png"/);
+  assert.match(sheet, /<img src="photos\/artist\.png" alt="Jade Three">/);
+  assert.match(sheet, /Strings, &quot;Live&quot;/);
+  assert.match(sheet, /Make more, consume less\./);
+  assert.doesNotMatch(sheet, /mzstatic/);
+});
+
+test('the zip is identical between builds of the same data', () => {
+  const { dataPath, profilePath, artworkDir } = fixture();
+  const a = buildPressKit({ siteUrl: SITE, dataPath, profilePath, artworkDir }).zip;
+  const b = buildPressKit({ siteUrl: SITE, dataPath, profilePath, artworkDir }).zip;
+  assert.deepEqual(Buffer.from(a), Buffer.from(b));
+});
+
+test('writePressKit writes press/jade-three-press-kit.zip into dist', () => {
+  const { dir, dataPath, profilePath, artworkDir } = fixture({ artwork: [] });
+  const dist = path.join(dir, 'dist');
+  const { files, missingArtwork } = writePressKit(dist, { siteUrl: SITE, dataPath, profilePath, artworkDir });
+  assert.equal(missingArtwork.length, 2);
+  assert.ok(!files.some(f => f.startsWith('artwork/')));
+  const zip = fs.readFileSync(path.join(dist, 'press', 'jade-three-press-kit.zip'));
+  assert.ok(Object.keys(unzip(zip)).includes('one-sheet.html'));
+});
+
+test('discographyCsv lists releases newest first and quotes fields with commas and quotes', () => {
+  const lines = discographyCsv(RELEASES).trimEnd().split('\n');
+  assert.equal(lines[0], 'title,type,release_date,tracks,spotify,apple_music,amazon_music,youtube');
+  assert.equal(lines[1], '"Strings, ""Live""",EP,2026-02-01,1,https://open.spotify.com/album/x,,,');
+  assert.equal(lines[2], 'Older One,Single,2025-01-10,1,https://open.spotify.com/album/x,,,');
+});
+
+test('fullBio drops the title heading and questions without an answer', () => {
+  assert.equal(fullBio('# Title\n\n## Q1\n\nA1\n\n## Q2\n\n## Q3\nA3\n'), 'Q1\n\nA1\n\n\nQ3\n\nA3');
+  assert.equal(fullBio('# Title\n\n## Q1\n\n'), '');
+});
+
+// ---------------------------------------------------------------------------
+// Artwork cache
+// ---------------------------------------------------------------------------
+
+function fakeFetch(responses) {
+  const calls = [];
+  const impl = async (url) => {
+    calls.push(url);
+    const { status = 200, type = 'image/jpeg' } = responses[url] ?? {};
+    return {
+      ok: status < 400,
+      status,
+      headers: new Headers({ 'content-type': type }),
+      arrayBuffer: async () => new Uint8Array(COVER).buffer,
+    };
+  };
+  return { impl, calls };
+}
+
+test('cacheArtwork downloads missing artwork under a versioned name and records it', async () => {
+  const dir = tempDir('artwork-');
+  fs.writeFileSync(path.join(dir, 'single-1-0123abcd.png'), PNG);
+  const releases = [
+    withArtwork(RELEASES[0], 'single-1-0123abcd.png'),
+    { ...RELEASES[1], artworkUrl: 'https://example.test/ep.jpg' },
+  ];
+  const { impl, calls } = fakeFetch({});
+
+  const result = await cacheArtwork(releases, { dir, fetchImpl: impl });
+  assert.deepEqual(result, { fetched: ['Strings, "Live"'], cached: ['Older One'], failed: [] });
+  assert.deepEqual(calls, ['https://example.test/ep.jpg']);
+
+  const { artwork } = releases[1];
+  assert.equal(artwork.file, `ep-2-${sha256(COVER).slice(0, 8)}.jpg`);
+  assert.equal(artwork.sha256, sha256(COVER));
+  assert.equal(artwork.source, 'https://example.test/ep.jpg');
+  // sharp buckets colors, so only roughly the fill color
+  const [r, g, b] = artwork.color.match(/^#(..)(..)(..)$/).slice(1).map(h => parseInt(h, 16));
+  assert.ok(Math.abs(r - 0x33) < 16 && Math.abs(g - 0x66) < 16 && Math.abs(b - 0x99) < 16, artwork.color);
+  assert.match(artwork.placeholder, /^data:image\/webp;base64,[A-Za-z0-9+/]+=*$/);
+  assert.equal(cachedArtwork(releases[1], dir), path.join(dir, artwork.file));
+  assert.equal(artworkProblem(releases[1], dir), null);
+});
+
+test('artworkProblem spots missing, edited and stale artwork', () => {
+  const dir = tempDir('artwork-');
+  const cached = withArtwork(RELEASES[0], 'single-1-0123abcd.png');
+  assert.equal(artworkProblem(RELEASES[0], dir), 'missing');
+  assert.equal(artworkProblem(cached, dir), 'missing');
+  fs.writeFileSync(path.join(dir, 'single-1-0123abcd.png'), PNG);
+  assert.equal(artworkProblem(cached, dir), null);
+  assert.equal(artworkProblem({ ...cached, artworkUrl: 'https://example.test/new.jpg' }, dir), 'stale');
+  fs.writeFileSync(path.join(dir, 'single-1-0123abcd.png'), COVER);
+  assert.equal(artworkProblem(cached, dir), 'modified');
+});
+
+test('cacheArtwork reports HTTP errors, non-image responses and missing URLs', async () => {
+  const dir = tempDir('artwork-');
+  const releases = [
+    { ...RELEASES[0], artworkUrl: 'https://example.test/gone.jpg' },
+    { ...RELEASES[1], artworkUrl: 'https://example.test/page.html' },
+    { ...RELEASES[1], id: 'ep-3', title: 'No Art', artworkUrl: null },
+  ];
+  const { impl } = fakeFetch({
+    'https://example.test/gone.jpg': { status: 404 },
+    'https://example.test/page.html': { type: 'text/html; charset=utf-8' },
+  });
+
+  const result = await cacheArtwork(releases, { dir, fetchImpl: impl });
+  assert.deepEqual(result.failed, [
+    'Older One: HTTP 404',
+    'Strings, "Live": unexpected content type "text/html"',
+    'No Art: no artworkUrl',
+  ]);
+  assert.equal(fs.readdirSync(dir).length, 0);
+  assert.equal(releases[0].artwork, undefined);
+});
+
+test('re-fetched artwork replaces the old version of the file', async () => {
+  const dir = tempDir('artwork-');
+  fs.writeFileSync(path.join(dir, 'single-1-0123abcd.png'), PNG);
+  fs.writeFileSync(path.join(dir, 'single-12-0123abcd.png'), PNG);
+  const releases = [withArtwork(RELEASES[0], 'single-1-0123abcd.png')];
+  const { impl, calls } = fakeFetch({});
+
+  const result = await cacheArtwork(releases, { dir, force: true, fetchImpl: impl });
+  assert.deepEqual(result.fetched, ['Older One']);
+  assert.equal(calls.length, 1);
+  assert.deepEqual(fs.readdirSync(dir).sort(), [releases[0].artwork.file, 'single-12-0123abcd.png'].sort());
+});
+
+test('remoteArtworkOrigins lists the store hosts of uncached artwork only', () => {
+  const dir = tempDir('artwork-');
+  fs.writeFileSync(path.join(dir, 'single-1-0123abcd.png'), PNG);
+  const releases = [
+    withArtwork({ ...RELEASES[0], artworkUrl: 'https://cached.example.test/a.jpg' }, 'single-1-0123abcd.png'),
+    RELEASES[1],
+    { ...RELEASES[1], id: 'ep-3', artworkUrl: 'https://is1-ssl.mzstatic.com/other.jpg' },
+    { ...RELEASES[1], id: 'ep-4', artworkUrl: null },
+  ];
+  assert.deepEqual(remoteArtworkOrigins(releases, dir), ['https://is1-ssl.mzstatic.com']);
+});
+
+test('cached artwork goes through the astro:assets sharp service as AVIF and WebP', async () => {
+  const dir = tempDir('artwork-');
+  const releases = [{ ...RELEASES[0] }];
+  await cacheArtwork(releases, { dir, fetchImpl: fakeFetch({}).impl });
+  const original = fs.readFileSync(cachedArtwork(releases[0], dir));
+  const config = { service: { entrypoint: 'astro/assets/services/sharp', config: {} } };
+
+  // The widths ReleaseHero asks for: 144px and 192px, at 1x and 2x
+  for (const format of ['avif', 'webp']) {
+    for (const width of [144, 192, 288, 384]) {
+      const { data } = await sharpService.transform(original, { src: releases[0].artwork.file, format, width }, config);
+      const meta = await sharp(data).metadata();
+      assert.equal(meta.format, format === 'avif' ? 'heif' : format, `${format} ${width}`);
+      assert.deepEqual([meta.width, meta.height], [width, width]);
+    }
+  }
+});
@@ -0,0 +1,190 @@
+/**
+ * Unit tests for scripts/publishers/
+ * Run with: node --test tests/publishers.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import bluesky, {
+  detectUrlFacets,
+  detectTagFacets,
+  detectMentionFacets,
+  checkThreadLength,
+} from '../scripts/publishers/bluesky.mjs';
+import mastodon from '../scripts/publishers/mastodon.mjs';
+import threads from '../scripts/publishers/threads.mjs';
+import { tempDir } from './temp-dir.mjs';
+
+const URL = 'https://jadethreemusic.com/releases/year-until-the-fall';
+
+/** Replaces global fetch for one test, recording each request. */
+function stubFetch(handler) {
+  const calls = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, init = {}) => {
+    calls.push({ url: String(url), init });
+    const body = handler(String(url), init);
+    return body instanceof Response ? body : new Response(JSON.stringify(body), { status: 200 });
+  };
+  return { calls, restore: () => (globalThis.fetch = realFetch) };
+}
+
+test('each network counts length its own way', () => {
+  const text = `Floaty. Beautiful. 🎵\n\n${URL}`;
+  assert.equal(bluesky.length(text), 22 + URL.length);
+  assert.equal(mastodon.length(text), 22 + 23, 'Mastodon counts every URL as 23');
+  assert.equal(threads.length(text), 22 + URL.length);
+  assert.equal(bluesky.maxLength, 300);
+  assert.equal(mastodon.maxLength, 500);
+});
+
+test('Bluesky link facets use UTF-8 byte offsets', () => {
+  const [facet] = detectUrlFacets(`Café 🎵 ${URL}`);
+  assert.deepEqual(facet.index, { byteStart: 11, byteEnd: 11 + URL.length });
+  assert.equal(facet.features[0].uri, URL);
+});
+
+test('Mastodon posts a public status with an idempotency key', async () => {
+  const stub = stubFetch(() => ({ id: '1', uri: 'https://m.social/users/j/statuses/1', url: 'https://m.social/@j/1' }));
+  try {
+    const result = await mastodon.post(`Hello\n\n${URL}`, { MASTODON_INSTANCE: 'https://m.social/', MASTODON_ACCESS_TOKEN: 'tok' });
+    assert.deepEqual(result, { uri: 'https://m.social/users/j/statuses/1', url: 'https://m.social/@j/1', id: '1' });
+  } finally {
+    stub.restore();
+  }
+  const [{ url, init }] = stub.calls;
+  assert.equal(url, 'https://m.social/api/v1/statuses');
+  assert.equal(init.headers.Authorization, 'Bearer tok');
+  assert.match(init.headers['Idempotency-Key'], /^[0-9a-f]{64}$/);
+  assert.deepEqual(JSON.parse(init.body), { status: `Hello\n\n${URL}`, visibility: 'public' });
+});
+
+test('Threads creates a container with a link attachment, then publishes it', async () => {
+  const stub = stubFetch(url => {
+    if (url.includes('/threads_publish')) return { id: 'media-2' };
+    if (url.includes('/threads?')) return { id: 'container-1' };
+    return { permalink: 'https://www.threads.net/@jadethree/post/abc' };
+  });
+  let result;
+  try {
+    result = await threads.post(`Hello\n\n${URL}`, { THREADS_USER_ID: '42', THREADS_ACCESS_TOKEN: 'tok' });
+  } finally {
+    stub.restore();
+  }
+  const create = new globalThis.URL(stub.calls[0].url);
+  assert.equal(create.pathname, '/v1.0/42/threads');
+  assert.equal(create.searchParams.get('media_type'), 'TEXT');
+  assert.equal(create.searchParams.get('link_attachment'), URL);
+  assert.equal(new globalThis.URL(stub.calls[1].url).searchParams.get('creation_id'), 'container-1');
+  assert.deepEqual(result, { uri: 'media-2', url: 'https://www.threads.net/@jadethree/post/abc' });
+});
+
+test('Bluesky hashtag facets skip numbers and mid-word #', () => {
+  const text = 'New one 🎵 #DreamPop #1 track#2 #lo_fi';
+  const facets = detectTagFacets(text);
+  assert.deepEqual(facets.map(f => f.features[0].tag), ['DreamPop', 'lo_fi']);
+  const enc = new TextEncoder();
+  const { byteStart, byteEnd } = facets[0].index;
+  assert.equal(new TextDecoder().decode(enc.encode(text).slice(byteStart, byteEnd)), '#DreamPop');
+});
+
+test('Bluesky mention facets use resolved DIDs and skip unknown handles', async () => {
+  const dids = { 'friend.bsky.social': 'did:plc:friend' };
+  const facets = await detectMentionFacets(
+    'Mixed by @Friend.bsky.social with @nobody.example.com.',
+    async handle => dids[handle] ?? null
+  );
+  assert.equal(facets.length, 1);
+  assert.deepEqual(facets[0].features, [{ $type: 'app.bsky.richtext.facet#mention', did: 'did:plc:friend' }]);
+  assert.deepEqual(facets[0].index, { byteStart: 9, byteEnd: 28 });
+});
+
+test('Bluesky checks every post in a thread against the grapheme limit', async () => {
+  assert.deepEqual(checkThreadLength(['ok', '👩‍👩‍👧'.repeat(300)]), []);
+  assert.deepEqual(checkThreadLength(['ok', 'x'.repeat(301)]), ['thread reply 1 is 301 graphemes (limit 300)']);
+
+  const stub = stubFetch(() => ({}));
+  try {
+    await assert.rejects(
+      bluesky.post('x'.repeat(301), { BLUESKY_HANDLE: 'h', BLUESKY_APP_PASSWORD: 'p' }),
+      /Too long for Bluesky: post is 301 graphemes/
+    );
+  } finally {
+    stub.restore();
+  }
+  assert.equal(stub.calls.length, 0, 'nothing is sent');
+});
+
+test('Bluesky posts an image with alt text, then the thread as replies', async () => {
+  const image = path.join(tempDir('bsky-'), 'cover.png');
+  fs.writeFileSync(image, Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  let posts = 0;
+  const stub = stubFetch(url => {
+    if (url.endsWith('createSession')) return { did: 'did:plc:jade', accessJwt: 'jwt' };
+    if (url.includes('resolveHandle')) return { did: 'did:plc:friend' };
+    if (url.endsWith('uploadBlob')) return { blob: { $type: 'blob', ref: { $link: 'bafy' }, mimeType: 'image/png', size: 4 } };
+    posts++;
+    return { uri: `at://did:plc:jade/app.bsky.feed.post/${posts}`, cid: `cid${posts}` };
+  });
+  let result;
+  try {
+    result = await bluesky.post(
+      `Out now #dreampop\n\n${URL}`,
+      { BLUESKY_HANDLE: 'jade', BLUESKY_APP_PASSWORD: 'pw' },
+      { image: { path: image, alt: 'Cover art' }, thread: ['Thanks @friend.bsky.social', 'Last one'] }
+    );
+  } finally {
+    stub.restore();
+  }
+
+  const records = stub.calls.filter(c => c.url.endsWith('createRecord')).map(c => JSON.parse(c.init.body).record);
+  assert.equal(records.length, 3);
+  assert.equal(stub.calls.some(c => !c.url.startsWith('https://bsky.social')), false, 'no link card fetch');
+  assert.equal(stub.calls.find(c => c.url.endsWith('uploadBlob')).init.headers['Content-Type'], 'image/png');
+
+  assert.equal(records[0].embed.$type, 'app.bsky.embed.images');
+  assert.equal(records[0].embed.images[0].alt, 'Cover art');
+  assert.deepEqual(records[0].facets.map(f => f.features[0].$type), ['app.bsky.richtext.facet#tag', 'app.bsky.richtext.facet#link']);
+  assert.equal(records[1].facets[0].features[0].did, 'did:plc:friend');
+
+  const root = { uri: 'at://did:plc:jade/app.bsky.feed.post/1', cid: 'cid1' };
+  assert.deepEqual(records[1].reply, { root, parent: root });
+  assert.deepEqual(records[2].reply, { root, parent: { uri: 'at://did:plc:jade/app.bsky.feed.post/2', cid: 'cid2' } });
+  assert.deepEqual(result, { ...root, thread: [
+    { uri: 'at://did:plc:jade/app.bsky.feed.post/2', cid: 'cid2' },
+    { uri: 'at://did:plc:jade/app.bsky.feed.post/3', cid: 'cid3' },
+  ] });
+});
+
+test('a Bluesky thread that fails part-way returns what was posted instead of throwing', async () => {
+  let posts = 0;
+  const stub = stubFetch(url => {
+    if (url.endsWith('createSession')) return { did: 'did:plc:jade', accessJwt: 'jwt' };
+    if (++posts === 3) return new Response('RateLimitExceeded', { status: 429 });
+    return { uri: `at://did:plc:jade/app.bsky.feed.post/${posts}`, cid: `cid${posts}` };
+  });
+  let result;
+  try {
+    result = await bluesky.post('Out now', { BLUESKY_HANDLE: 'jade', BLUESKY_APP_PASSWORD: 'pw' }, { thread: ['One', 'Two', 'Three'] });
+  } finally {
+    stub.restore();
+  }
+
+  assert.equal(stub.calls.filter(c => c.url.endsWith('createRecord')).length, 3, 'no replies after the failed one');
+  assert.deepEqual(result, {
+    uri: 'at://did:plc:jade/app.bsky.feed.post/1',
+    cid: 'cid1',
+    thread: [{ uri: 'at://did:plc:jade/app.bsky.feed.post/2', cid: 'cid2' }],
+    unposted: ['Two', 'Three'],
+    error: 'Bluesky post failed: RateLimitExceeded',
+  });
+});
+
+test('Bluesky refuses an image without alt text', async () => {
+  await assert.rejects(
+    bluesky.post('Hi', { BLUESKY_HANDLE: 'h', BLUESKY_APP_PASSWORD: 'p' }, { image: { url: 'https://x/a.jpg' } }),
+    /Image has no alt text/
+  );
+});
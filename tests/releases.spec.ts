@@ -21,6 +21,7 @@ test.describe('Fall in Love release', () => {
 
   test('release page has a Spotify embed', async ({ page }) => {
     await page.goto('/releases/fall-in-love');
+    await page.getByRole('link', { name: 'Play Fall in Love on Spotify' }).click();
     const embed = page.locator('iframe[src*="open.spotify.com/embed"]');
     await expect(embed).toBeVisible();
   });
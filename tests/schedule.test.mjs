@@ -0,0 +1,74 @@
+/**
+ * Unit tests for scripts/lib/schedule.mjs
+ * Run with: node --test tests/schedule.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { readHistory, appendHistory, pickClip, cadenceSlotOpen, selectDue } from '../scripts/lib/schedule.mjs';
+import { tempDir } from './temp-dir.mjs';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const daysAgo = n => new Date(NOW.getTime() - n * 24 * 60 * 60 * 1000).toISOString();
+const first = () => 0;
+
+const clips = [
+  { slug: 'stinger', text: 'a' },
+  { slug: 'stinger', text: 'b' },
+  { slug: 'eh-ville', text: 'c' },
+  { slug: 'obey-early', text: 'd' },
+];
+
+test('history is appended one JSON line at a time', () => {
+  const file = path.join(tempDir('history-'), 'post-history.jsonl');
+  assert.deepEqual(readHistory(file), []);
+  appendHistory(file, { postedAt: daysAgo(1), slug: 'stinger', uri: 'at://x/1', cid: 'c1', text: 'a' });
+  appendHistory(file, { postedAt: daysAgo(0), slug: 'eh-ville', uri: 'at://x/2', cid: 'c2', text: 'c' });
+  assert.equal(fs.readFileSync(file, 'utf-8').split('\n').length, 3);
+  assert.deepEqual(readHistory(file).map(e => e.uri), ['at://x/1', 'at://x/2']);
+});
+
+test('pickClip prefers songs that have never been posted', () => {
+  const history = [
+    { postedAt: daysAgo(2), slug: 'stinger' },
+    { postedAt: daysAgo(5), slug: 'eh-ville' },
+  ];
+  assert.equal(pickClip(clips, history, { now: NOW, random: first }).slug, 'obey-early');
+});
+
+test('pickClip never repeats a song posted within the gap', () => {
+  const history = [
+    { postedAt: daysAgo(1), slug: 'stinger' },
+    { postedAt: daysAgo(3), slug: 'eh-ville' },
+    { postedAt: daysAgo(10), slug: 'obey-early' },
+  ];
+  assert.equal(pickClip(clips, history, { now: NOW, random: first }).slug, 'obey-early');
+  assert.equal(pickClip(clips.slice(0, 3), history, { now: NOW, songGapDays: 7 }), null);
+  assert.equal(pickClip(clips.slice(0, 3), history, { now: NOW, songGapDays: 2, random: first }).slug, 'eh-ville');
+});
+
+test('cadenceSlotOpen spaces posts and caps them per week', () => {
+  assert.equal(cadenceSlotOpen([], { now: NOW, perWeek: 0 }), false);
+  assert.equal(cadenceSlotOpen([], { now: NOW, perWeek: 3 }), true);
+  // 3 per week → at least 2⅓ days apart
+  assert.equal(cadenceSlotOpen([{ postedAt: daysAgo(2) }], { now: NOW, perWeek: 3 }), false);
+  assert.equal(cadenceSlotOpen([{ postedAt: daysAgo(2.5) }], { now: NOW, perWeek: 3 }), true);
+  const full = [{ postedAt: daysAgo(6) }, { postedAt: daysAgo(5) }, { postedAt: daysAgo(4) }];
+  assert.equal(cadenceSlotOpen(full, { now: NOW, perWeek: 3 }), false);
+});
+
+test('selectDue returns passed scheduled clips in order, then one cadence clip', () => {
+  const withSchedule = [
+    { slug: 'stinger', text: 'later', scheduledAt: '2026-10-20T09:00:00Z' },
+    { slug: 'stinger', text: 'second', scheduledAt: new Date('2026-10-19T09:00:00Z') },
+    { slug: 'eh-ville', text: 'first', scheduledAt: '2026-10-18T09:00:00Z' },
+    { slug: 'obey-early', text: 'cadence' },
+  ];
+  assert.deepEqual(selectDue(withSchedule, [], { now: NOW }).map(c => c.text), ['first', 'second']);
+  assert.deepEqual(
+    selectDue(withSchedule, [], { now: NOW, perWeek: 2, random: first }).map(c => c.text),
+    ['first', 'second', 'cadence']
+  );
+});
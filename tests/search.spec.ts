@@ -0,0 +1,74 @@
+import { test, expect } from '@playwright/test';
+
+// /search?q= without JavaScript is rendered by netlify/edge-functions/search.js, which
+// only runs on Netlify; these tests cover the header search box and the page's own script.
+
+test.describe('Search', () => {
+  test('the header box shows results grouped by release', async ({ page }) => {
+    await page.goto('/');
+    await page.getByRole('combobox', { name: 'Search songs and notes' }).fill('grinding bass');
+    const results = page.getByRole('listbox', { name: 'Search results' });
+    await expect(results).toBeVisible();
+    await expect(results.getByRole('group', { name: 'Picking My Bones' })).toBeVisible();
+    await expect(results.locator('mark').first()).toHaveText(/grinding|bass/i);
+    await expect(results.getByRole('option').last()).toHaveText('See all results');
+  });
+
+  test('arrow keys move through the results and Enter opens one', async ({ page }) => {
+    await page.goto('/about');
+    const input = page.getByRole('combobox', { name: 'Search songs and notes' });
+    await input.fill('barbarians');
+    const first = page.getByRole('option').first();
+    await expect(first).toBeVisible();
+
+    await input.press('ArrowDown');
+    await expect(first).toHaveAttribute('aria-selected', 'true');
+    await expect(input).toHaveAttribute('aria-activedescendant', 'search-option-0');
+    await input.press('ArrowUp');
+    await expect(page.getByRole('option').last()).toHaveAttribute('aria-selected', 'true');
+    await input.press('ArrowDown');
+    await input.press('Enter');
+    await expect(page).toHaveURL(/\/releases\/barbarians-in-the-gates/);
+  });
+
+  test('Escape closes the results; Enter with nothing picked goes to /search', async ({ page }) => {
+    await page.goto('/');
+    const input = page.getByRole('combobox', { name: 'Search songs and notes' });
+    await input.fill('melancholy');
+    await expect(page.getByRole('listbox')).toBeVisible();
+    await input.press('Escape');
+    await expect(page.getByRole('listbox')).toBeHidden();
+    await expect(input).toHaveAttribute('aria-expanded', 'false');
+
+    await input.press('Enter');
+    await expect(page).toHaveURL(/\/search\/?\?q=melancholy$/);
+    await expect(page.getByRole('heading', { name: /It's a trap/ })).toBeVisible();
+  });
+
+  test('/search?q= renders results and updates as you type', async ({ page }) => {
+    await page.goto('/search?q=bass');
+    const input = page.getByRole('searchbox', { name: 'Search songs and notes' });
+    await expect(input).toHaveValue('bass');
+    await expect(page.getByText(/\d+ results for “bass”/)).toBeVisible();
+    await expect(page.getByRole('link', { name: 'How did it come together in the studio/production?' }).first())
+      .toHaveAttribute('href', /#how-did-it-come-together-in-the-studioproduction$/);
+
+    await input.fill('why did you start making music');
+    await expect(page).toHaveURL(/\?q=why%20did%20you%20start%20making%20music$/);
+    await expect(page.getByRole('heading', { name: /About Jade Three/ })).toBeVisible();
+
+    await input.fill('xylophone');
+    await expect(page.getByText('No results for “xylophone”', { exact: false })).toBeVisible();
+    await expect(page.locator('meta[name="robots"]')).toHaveAttribute('content', 'noindex');
+  });
+
+  test('works as a plain form without JavaScript', async ({ browser }) => {
+    const context = await browser.newContext({ javaScriptEnabled: false });
+    const page = await context.newPage();
+    await page.goto('/');
+    await page.getByRole('combobox', { name: 'Search songs and notes' }).fill('dread');
+    await page.keyboard.press('Enter');
+    await expect(page).toHaveURL(/\/search\/?\?q=dread$/);
+    await context.close();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Tests for scripts/lib/search.js
+ * Run with: node --test tests/search.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSearchIndex, fillSearchPage, renderResults, search, snippet, stem, terms, words } from '../scripts/lib/search.js';
+
+// ---------------------------------------------------------------------------
+// Tokenizing
+// ---------------------------------------------------------------------------
+
+test('stem: Porter stemmer', () => {
+  const pairs = {
+    caresses: 'caress', ponies: 'poni', cats: 'cat', agreed: 'agre', feed: 'feed', plastered: 'plaster',
+    motoring: 'motor', sing: 'sing', conflated: 'conflat', hopping: 'hop', falling: 'fall', filing: 'file',
+    happy: 'happi', relational: 'relat', conditional: 'condit', generalization: 'gener', electrical: 'electr',
+    adjustment: 'adjust', adoption: 'adopt', hopeful: 'hope', goodness: 'good', controll: 'control',
+    melancholy: 'melancholi', dreaming: 'dream', dreamy: 'dreami',
+  };
+  for (const [word, expected] of Object.entries(pairs)) assert.equal(stem(word), expected, word);
+});
+
+test('words: positions, case, accents and apostrophes', () => {
+  assert.deepEqual(words('What’s a Café?'), [
+    { word: 'whats', start: 0, end: 6 },
+    { word: 'a', start: 7, end: 8 },
+    { word: 'cafe', start: 9, end: 13 },
+  ]);
+});
+
+test('terms: stop words go unless the query is nothing but', () => {
+  assert.deepEqual(terms('What is the song about?'), ['song']);
+  assert.deepEqual(terms('Who are you'), ['who', 'ar', 'you']);
+});
+
+// ---------------------------------------------------------------------------
+// Searching
+// ---------------------------------------------------------------------------
+
+const GROUPS = {
+  'single-1': { title: 'Stinger', url: '/releases/stinger', meta: 'Single · 2025' },
+  'ep-1': { title: 'Year Until the Fall', url: '/releases/year-until-the-fall-ep', meta: 'EP · 2025' },
+  about: { title: 'About Jade Three', url: '/about', meta: 'Artist Q&A' },
+};
+
+const DOCS = [
+  { group: 'single-1', title: 'Stinger', url: '/releases/stinger', text: 'Single released 2025' },
+  {
+    group: 'single-1',
+    title: 'On the title',
+    url: '/releases/stinger#on-the-title',
+    text: 'Came across an instrument called a stinger bass and liked how that sound felt.',
+  },
+  {
+    group: 'ep-1',
+    label: 'Fight or flight',
+    title: "What's the song about?",
+    url: '/releases/year-until-the-fall-ep/fight-or-flight#whats-the-song-about',
+    text: 'Dread, and the body deciding before you do. A gritty bass under dreamy chords.',
+  },
+  {
+    group: 'about',
+    title: 'Why did you start making music?',
+    url: '/about#why-did-you-start-making-music',
+    text: 'I wanted to make more and consume less.',
+  },
+];
+
+const INDEX = JSON.parse(JSON.stringify(buildSearchIndex(DOCS, GROUPS)));
+
+const hits = (query, options) => search(INDEX, query, options).map(g => [g.id, g.hits.map(h => h.doc.url)]);
+
+test('search: grouped by release, best group first', () => {
+  assert.deepEqual(hits('bass'), [
+    ['single-1', ['/releases/stinger#on-the-title']],
+    ['ep-1', ['/releases/year-until-the-fall-ep/fight-or-flight#whats-the-song-about']],
+  ]);
+  // Title words count double
+  assert.deepEqual(hits('stinger')[0], ['single-1', ['/releases/stinger', '/releases/stinger#on-the-title']]);
+});
+
+test('search: stems, partial last word and all words matching first', () => {
+  assert.equal(hits('chord')[0][0], 'ep-1');
+  assert.equal(hits('dream')[0][0], 'ep-1');
+  assert.equal(hits('made')[0], undefined);
+  assert.equal(hits('mak')[0][0], 'about');
+  assert.equal(hits('gritty bass')[0][0], 'ep-1');
+  assert.deepEqual(hits('Fight or flight'), [['ep-1', ['/releases/year-until-the-fall-ep/fight-or-flight#whats-the-song-about']]]);
+});
+
+test('search: nothing for empty queries, unknown or inherited words', () => {
+  assert.deepEqual(hits(''), []);
+  assert.deepEqual(hits('?!'), []);
+  assert.deepEqual(hits('xylophone'), []);
+  assert.deepEqual(hits('constructor'), []);
+});
+
+test('search: limit counts hits, not groups', () => {
+  assert.equal(search(INDEX, 'stinger bass', { limit: 2 }).flatMap(g => g.hits).length, 2);
+});
+
+// ---------------------------------------------------------------------------
+// Snippets and rendering
+// ---------------------------------------------------------------------------
+
+test('snippet: the window with the most matches, marked', () => {
+  const text = `${'Filler words here. '.repeat(10)}The grinding bass drops, then the bass returns. ${'More filler. '.repeat(20)}`;
+  const segments = snippet(text, w => w === 'bass', 12);
+  assert.equal(segments[0].text.startsWith('…'), true);
+  assert.deepEqual(segments.filter(s => s.mark).map(s => s.text), ['bass', 'bass']);
+  assert.equal(segments.at(-1).text.endsWith('…'), true);
+
+  assert.deepEqual(snippet('Short answer.', () => false), [{ text: 'Short answer.', mark: false }]);
+});
+
+test('renderResults: escaped, with marks and the track label', () => {
+  const html = renderResults(search(INDEX, 'dread'), 'dread <b>');
+  assert.match(html, /1 result for “dread &lt;b&gt;”/);
+  assert.match(html, /Fight or flight — What's the song about\?/);
+  assert.match(html, /<mark class="[^"]+">Dread<\/mark>/);
+  assert.doesNotMatch(html, /<b>/);
+  assert.match(renderResults([], 'zzz'), /No results for “zzz”/);
+});
+
+test('renderResults: compact options end with "See all results"', () => {
+  const html = renderResults(search(INDEX, 'bass'), 'bass & more', { compact: true });
+  assert.deepEqual([...html.matchAll(/role="option" id="(search-option-\d+)"/g)].map(m => m[1]), [
+    'search-option-0',
+    'search-option-1',
+    'search-option-2',
+  ]);
+  assert.match(html, /href="\/search\?q=bass%20%26%20more"[^>]*>See all results/);
+});
+
+test('fillSearchPage: results and the query rendered into the page', () => {
+  const page = '<form><input id="q" type="search" name="q" data-search-input class="x" /></form><div><!--search-results--></div>';
+  const html = fillSearchPage(page, 'bass "$&"', INDEX);
+  assert.match(html, /<input id="q" type="search" name="q" data-search-input value="bass &quot;\$&amp;&quot;" class="x" \/>/);
+  assert.doesNotMatch(html, /<!--search-results-->/);
+  assert.match(html, /<a href="\/releases\/stinger#on-the-title"/);
+  assert.equal(fillSearchPage(page, '  ', INDEX), page);
+});
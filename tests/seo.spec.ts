@@ -0,0 +1,97 @@
+import { test, expect, type Page } from '@playwright/test';
+import { XMLParser } from 'fast-xml-parser';
+import releasesData from '../src/data/releases.json' with { type: 'json' };
+import type { ReleasesData } from '../src/types/releases';
+
+const data = releasesData as ReleasesData;
+const EP = data.releases.find((r) => r.type === 'ep')!;
+const STINGER = data.releases.find((r) => r.title === 'Stinger')!;
+
+async function jsonLd(page: Page) {
+  const scripts = page.locator('script[type="application/ld+json"]');
+  await expect(scripts).toHaveCount(1);
+  return JSON.parse((await scripts.textContent())!);
+}
+
+test.describe('Structured data', () => {
+  test('homepage describes the artist as a MusicGroup with every release', async ({ page }) => {
+    await page.goto('/');
+    const group = await jsonLd(page);
+    expect(group['@context']).toBe('https://schema.org');
+    expect(group['@type']).toBe('MusicGroup');
+    expect(group.name).toBe(data.artistName);
+    expect(group.sameAs).toContain(`https://open.spotify.com/artist/${data.spotifyArtistId}`);
+    // From src/content/artist/profile.md
+    expect(group.genre).toEqual(['Electronic', 'Downtempo']);
+    expect(group.foundingLocation).toEqual({ '@type': 'Place', name: 'Portland, Oregon' });
+    expect(group.album.map((a: { name: string }) => a.name).sort()).toEqual(data.releases.map((r) => r.title).sort());
+  });
+
+  test('EP page has a MusicAlbum with its tracks, durations and platform links', async ({ page }) => {
+    await page.goto('/releases/year-until-the-fall-ep');
+    const album = await jsonLd(page);
+    expect(album['@type']).toBe('MusicAlbum');
+    expect(album['@id']).toMatch(/\/releases\/year-until-the-fall-ep#release$/);
+    expect(album.name).toBe(EP.title);
+    expect(album.datePublished).toBe(EP.releaseDate);
+    expect(album.albumReleaseType).toBe('https://schema.org/EPRelease');
+    expect(album.sameAs).toContain(EP.spotifyUrl);
+    expect(album.numTracks).toBe(EP.tracks.length);
+
+    const recordings = album.track.itemListElement.map((li: { item: Record<string, unknown> }) => li.item);
+    expect(recordings.map((r: { name: string }) => r.name)).toEqual(EP.tracks.map((t) => t.title));
+    for (const [i, track] of EP.tracks.entries()) {
+      const seconds = Math.round(track.durationMs / 1000);
+      expect(recordings[i].duration).toBe(`PT${Math.floor(seconds / 60)}M${seconds % 60}S`);
+      expect(recordings[i].sameAs).toContain(track.spotifyUrl);
+      if (track.isrc) expect(recordings[i].isrcCode).toBe(track.isrc);
+    }
+  });
+
+  test('track page has a MusicRecording linked to its release', async ({ page }) => {
+    await page.goto('/releases/year-until-the-fall-ep/fractional-person');
+    const recording = await jsonLd(page);
+    expect(recording['@type']).toBe('MusicRecording');
+    expect(recording.name).toBe(EP.tracks[1].title);
+    expect(recording.inAlbum.name).toBe(EP.title);
+    expect(recording.byArtist.name).toBe(data.artistName);
+  });
+
+  test('single page has a SingleRelease', async ({ page }) => {
+    await page.goto('/releases/stinger');
+    const album = await jsonLd(page);
+    expect(album.albumReleaseType).toBe('https://schema.org/SingleRelease');
+    expect(album.track.itemListElement).toHaveLength(STINGER.tracks.length);
+  });
+});
+
+test.describe('Meta descriptions', () => {
+  test('release page description is the first Q&A answer', async ({ page }) => {
+    await page.goto('/releases/stinger');
+    await expect(page.locator('meta[name="description"]')).toHaveAttribute('content', /^Instrumental\. The overall feeling is floaty/);
+  });
+
+  test('descriptions stay short enough for search snippets', async ({ page }) => {
+    await page.goto('/releases/year-until-the-fall-ep');
+    const description = await page.locator('meta[name="description"]').getAttribute('content');
+    expect(description!.length).toBeLessThanOrEqual(160);
+  });
+});
+
+test.describe('Sitemap', () => {
+  test('robots.txt points to the sitemap', async ({ request }) => {
+    const robots = await (await request.get('/robots.txt')).text();
+    expect(robots).toContain('Sitemap: https://jadethreemusic.com/sitemap.xml');
+  });
+
+  test('sitemap lists release and track pages but not redirects', async ({ request }) => {
+    const xml = await (await request.get('/sitemap.xml')).text();
+    const { urlset } = new XMLParser().parse(xml);
+    const locs: string[] = urlset.url.map((u: { loc: string }) => u.loc);
+    expect(locs).toContain('https://jadethreemusic.com/');
+    expect(locs).toContain('https://jadethreemusic.com/releases/stinger/');
+    expect(locs).toContain('https://jadethreemusic.com/releases/year-until-the-fall-ep/fractional-person/');
+    // /releases/fractional-person only redirects to the track page
+    expect(locs).not.toContain('https://jadethreemusic.com/releases/fractional-person/');
+  });
+});
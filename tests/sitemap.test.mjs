@@ -0,0 +1,49 @@
+/**
+ * Tests for scripts/lib/sitemap.js
+ * Run with: node --test tests/sitemap.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { XMLValidator } from 'fast-xml-parser';
+import { sitemapUrls, writeSitemap } from '../scripts/lib/sitemap.js';
+import { tempDir } from './temp-dir.mjs';
+
+const SITE = 'https://jadethreemusic.com';
+
+function page(dir, pathname, html) {
+  fs.mkdirSync(path.join(dir, pathname), { recursive: true });
+  fs.writeFileSync(path.join(dir, pathname, 'index.html'), html);
+}
+
+function fixtureDist() {
+  const dir = tempDir('sitemap-');
+  page(dir, '', '<html><head><title>Home</title></head></html>');
+  page(dir, 'releases/stinger/', '<html><head><title>Stinger</title></head></html>');
+  page(dir, 'releases/ep/a-track/', '<html><head><title>A track</title></head></html>');
+  page(dir, 'releases/a-track/', '<!doctype html><title>Redirecting to: /releases/ep/a-track</title><meta http-equiv="refresh" content="0;url=/releases/ep/a-track">');
+  page(dir, 'drafts/x/', '<html><head><meta name="robots" content="noindex, nofollow"></head></html>');
+  fs.writeFileSync(path.join(dir, 'feed.xml'), '<rss/>');
+  return dir;
+}
+
+test('lists built pages with trailing slashes, skipping redirects, noindex pages and endpoints', () => {
+  const dir = fixtureDist();
+  const pathnames = ['', 'releases/stinger/', 'releases/ep/a-track/', 'releases/a-track/', 'drafts/x/', 'feed.xml', 'releases/stinger/'];
+  assert.deepEqual(sitemapUrls(dir, pathnames, SITE), [
+    'https://jadethreemusic.com/',
+    'https://jadethreemusic.com/releases/ep/a-track/',
+    'https://jadethreemusic.com/releases/stinger/',
+  ]);
+});
+
+test('writes a valid sitemap.xml', () => {
+  const dir = fixtureDist();
+  assert.equal(writeSitemap(dir, ['', 'releases/stinger/'], SITE), 2);
+  const xml = fs.readFileSync(path.join(dir, 'sitemap.xml'), 'utf-8');
+  assert.equal(XMLValidator.validate(xml), true);
+  assert.match(xml, /<urlset xmlns="http:\/\/www\.sitemaps\.org\/schemas\/sitemap\/0\.9">/);
+  assert.match(xml, /<url><loc>https:\/\/jadethreemusic\.com\/releases\/stinger\/<\/loc><\/url>/);
+});
@@ -0,0 +1,61 @@
+import { test, expect } from '@playwright/test';
+
+// The /go/<slug>/<platform> redirects live in dist/_redirects and only work on Netlify;
+// these tests cover the smart-link page itself.
+
+test.describe('Smart links', () => {
+  test('lists every platform the release is on', async ({ page }) => {
+    await page.goto('/go/fall-in-love');
+    await expect(page.getByRole('heading', { level: 1 })).toHaveText('Fall in Love');
+    const links = page.getByRole('list', { name: 'Listen on' }).getByRole('link');
+    await expect(links).toHaveText([/Spotify/, /Apple Music/, /YouTube/]);
+    await expect(links.first()).toHaveAttribute('href', /^https:\/\/open\.spotify\.com\/album\//);
+    await expect(page.locator('meta[name="robots"]')).toHaveAttribute('content', 'noindex');
+  });
+
+  test('links back to the release page', async ({ page }) => {
+    await page.goto('/go/year-until-the-fall-ep');
+    await expect(page.getByRole('link', { name: 'About this release →' })).toHaveAttribute('href', '/releases/year-until-the-fall-ep');
+  });
+
+  test('"always open in" sends later visits straight to the platform', async ({ page }) => {
+    await page.route(/music\.apple\.com/, (route) => route.fulfill({ body: 'Apple Music' }));
+    await page.goto('/go/fall-in-love');
+    await page.getByLabel('Always open links in the app I pick').check();
+    await page.getByRole('link', { name: /Apple Music/ }).click();
+    await expect(page).toHaveURL(/music\.apple\.com\/us\/album\/fall-in-love-single/);
+
+    await page.goto('/go/coordination-problem');
+    await expect(page).toHaveURL(/music\.apple\.com\/us\/album\/coordination-problem-single/);
+  });
+
+  test('?choose shows the page and the remembered choice can be forgotten', async ({ page }) => {
+    await page.goto('/go/fall-in-love');
+    await page.evaluate(() => localStorage.setItem('open-in', 'youtube'));
+
+    await page.goto('/go/fall-in-love?choose');
+    await expect(page.getByText('Links open in YouTube.')).toBeVisible();
+    await page.getByRole('button', { name: 'Forget' }).click();
+    await expect(page.getByLabel('Always open links in the app I pick')).toBeVisible();
+
+    await page.goto('/go/fall-in-love');
+    await expect(page.getByRole('heading', { level: 1 })).toHaveText('Fall in Love');
+  });
+
+  test('release pages link to the smart link with ?choose', async ({ page }) => {
+    await page.goto('/go/fall-in-love');
+    await page.evaluate(() => localStorage.setItem('open-in', 'youtube'));
+
+    await page.goto('/releases/fall-in-love');
+    await page.getByRole('link', { name: 'Choose the app links open in →' }).click();
+    await expect(page).toHaveURL(/\/go\/fall-in-love\/?\?choose$/);
+    await expect(page.getByText('Links open in YouTube.')).toBeVisible();
+  });
+
+  test('a remembered platform the release is not on shows the page', async ({ page }) => {
+    await page.goto('/go/picking-my-bones');
+    await page.evaluate(() => localStorage.setItem('open-in', 'youtube'));
+    await page.reload();
+    await expect(page.getByRole('heading', { level: 1 })).toHaveText('Picking My Bones');
+  });
+});
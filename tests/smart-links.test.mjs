@@ -0,0 +1,63 @@
+/**
+ * Tests for scripts/lib/smart-links.js
+ * Run with: node --test tests/smart-links.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import { platformLinks, redirectRules, writeRedirects } from '../scripts/lib/smart-links.js';
+import { tempDir } from './temp-dir.mjs';
+
+function release(overrides = {}) {
+  return {
+    type: 'single',
+    spotifyUrl: 'https://open.spotify.com/album/40r8ms9JvIA4pHYI2e4xpS',
+    appleMusicUrl: 'https://music.apple.com/us/album/fall-in-love-single/1888734107?uo=4',
+    amazonMusicUrl: null,
+    youtubeUrl: 'https://www.youtube.com/watch?v=0V4rXvtlYgQ',
+    youtubePlaylistUrl: null,
+    ...overrides,
+  };
+}
+
+test('platformLinks: every platform the release is on, in page order', () => {
+  const links = platformLinks(release({ amazonMusicUrl: 'https://music.amazon.com/albums/B0' }));
+  assert.deepEqual(links.map(l => l.id), ['spotify', 'apple', 'amazon', 'youtube']);
+  assert.deepEqual(links[1], {
+    id: 'apple',
+    label: 'Apple Music',
+    url: 'https://music.apple.com/us/album/fall-in-love-single/1888734107?uo=4',
+  });
+});
+
+test('platformLinks: leaves out missing platforms', () => {
+  assert.deepEqual(platformLinks(release({ appleMusicUrl: null, youtubeUrl: null })).map(l => l.id), ['spotify']);
+});
+
+test('platformLinks: an EP links its YouTube playlist', () => {
+  const links = platformLinks(release({ type: 'ep', youtubePlaylistUrl: 'https://www.youtube.com/playlist?list=OLAK5uy_ep' }));
+  assert.equal(links.at(-1).url, 'https://www.youtube.com/playlist?list=OLAK5uy_ep');
+});
+
+test('redirectRules: a 302 per platform, then a catch-all back to the smart link', () => {
+  assert.deepEqual(redirectRules([{ slug: 'fall-in-love', release: release({ appleMusicUrl: null }) }]), [
+    '/go/fall-in-love/spotify  https://open.spotify.com/album/40r8ms9JvIA4pHYI2e4xpS  302',
+    '/go/fall-in-love/youtube  https://www.youtube.com/watch?v=0V4rXvtlYgQ  302',
+    '/go/fall-in-love/*  /go/fall-in-love/  302',
+  ]);
+});
+
+test('writeRedirects: writes _redirects and returns the rule count', () => {
+  const dir = tempDir('smart-links-');
+  const count = writeRedirects(dir, [
+    { slug: 'fall-in-love', release: release() },
+    { slug: 'stinger', release: release({ youtubeUrl: null }) },
+  ]);
+  const lines = fs.readFileSync(path.join(dir, '_redirects'), 'utf-8').trimEnd().split('\n');
+  assert.equal(count, 7);
+  assert.match(lines[0], /^# /);
+  assert.equal(lines.length, 8);
+  assert.equal(lines.at(-1), '/go/stinger/*  /go/stinger/  302');
+});
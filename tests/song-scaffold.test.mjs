@@ -0,0 +1,137 @@
+/**
+ * Tests for scripts/lib/song-scaffold.js
+ * Run with: node --test tests/song-scaffold.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SONG_QUESTIONS,
+  interview,
+  missingSongs,
+  songMarkdown,
+  writeSong,
+} from '../scripts/lib/song-scaffold.js';
+import { checkContent, loadSongs } from '../scripts/lib/content-check.js';
+import { tempDir } from './temp-dir.mjs';
+
+function release(overrides) {
+  return {
+    type: 'single',
+    releaseDate: '2026-01-01',
+    year: 2026,
+    tracks: [{ trackNumber: 1, title: overrides.title, durationFormatted: '3:00', isExplicit: false }],
+    ...overrides,
+  };
+}
+
+const SINGLE = release({ id: 'single-1', title: "Didn't You Want Something?", releaseDate: '2026-03-01' });
+const EP = release({
+  id: 'ep-1',
+  type: 'ep',
+  title: 'Year Until the Fall',
+  releaseDate: '2026-02-01',
+  tracks: [
+    { trackNumber: 1, title: 'Year until the fall', durationFormatted: '3:00', isExplicit: false },
+    { trackNumber: 2, title: 'Stinger', durationFormatted: '3:00', isExplicit: false },
+  ],
+});
+const OLD = release({ id: 'single-0', title: 'Stinger', releaseDate: '2025-01-04' });
+
+const song = (slug, releaseId, trackNumber) => ({ slug, data: { releaseId, trackNumber } });
+
+test('missingSongs: every release and track without a page, newest first', () => {
+  const missing = missingSongs([OLD, SINGLE, EP], []);
+  assert.deepEqual(
+    missing.map(s => [s.slug, s.release.id, s.trackNumber]),
+    [
+      ['didnt-you-want-something', 'single-1', 1],
+      ['year-until-the-fall-ep', 'ep-1', null],
+      ['year-until-the-fall', 'ep-1', 1],
+      ['stinger', 'ep-1', 2],
+      ['stinger-single', 'single-0', 1],
+    ],
+  );
+  assert.equal(missing[1].questions[0], 'What is this EP about as a whole?');
+  assert.deepEqual(missing[2].questions, SONG_QUESTIONS);
+});
+
+test('missingSongs: skips existing pages and avoids their slugs', () => {
+  const songs = [
+    song('stinger', 'single-0', 1),
+    song('year-until-the-fall-ep', 'ep-1', null),
+    song('year-until-the-fall', 'ep-1', 1),
+  ];
+  const missing = missingSongs([OLD, EP], songs);
+  assert.deepEqual(missing.map(s => [s.slug, s.trackNumber]), [['stinger-ep', 2]]);
+});
+
+test('missingSongs: a single page counts whatever its trackNumber', () => {
+  assert.deepEqual(missingSongs([OLD], [song('stinger', 'single-0', null)]), []);
+});
+
+test('songMarkdown: frontmatter from releases.json and the Q&A template', () => {
+  const [single, epPage] = missingSongs([SINGLE, EP], []);
+  assert.equal(songMarkdown(single), [
+    '---',
+    'releaseId: "single-1"',
+    `title: "Didn't You Want Something?"`,
+    'type: single',
+    'trackNumber: 1',
+    'releaseDate: "2026-03-01"',
+    'genres: []',
+    'themes: []',
+    'mood: []',
+    'bpm: null',
+    'key: ""',
+    '---',
+    '',
+    '# Song Q&A',
+    '',
+    ...SONG_QUESTIONS.flatMap(q => [`## ${q}`, '']),
+  ].join('\n').replace(/\n+$/, '\n'));
+
+  const ep = songMarkdown(epPage);
+  assert.match(ep, /^trackNumber: null$/m);
+  assert.doesNotMatch(ep, /^bpm:/m);
+  assert.match(ep, /^# EP Q&A\n\n## What is this EP about as a whole\?\n/m);
+  assert.doesNotMatch(ep, /^embargo:/m);
+
+  // Pages for releases that aren't out yet start under embargo
+  const [upcoming] = missingSongs([{ ...SINGLE, status: 'upcoming', releaseDate: '2999-01-01', year: 2999 }], []);
+  assert.match(songMarkdown(upcoming), /^key: ""\nembargo: true\n---$/m);
+});
+
+test('songMarkdown: with answers, only the answered questions are kept', () => {
+  const [single] = missingSongs([SINGLE], []);
+  const markdown = songMarkdown(single, { "What's the song about?": 'Dread.\n\nMostly dread.', 'The artwork': '' });
+  assert.ok(markdown.endsWith("# Song Q&A\n\n## What's the song about?\n\nDread.\n\nMostly dread.\n"));
+});
+
+test('written pages pass the content check', () => {
+  const dir = tempDir('new-song-');
+  for (const s of missingSongs([SINGLE, EP], [])) writeSong(s, {}, dir);
+  const songs = loadSongs(dir);
+  assert.deepEqual(songs.map(s => s.slug).sort(), ['didnt-you-want-something', 'stinger', 'year-until-the-fall', 'year-until-the-fall-ep']);
+
+  const data = { lastUpdated: '2026-03-01', artistName: 'Jade Three', releases: [SINGLE, EP] };
+  // The fixtures are only partial releases, so only the song page checks apply
+  const { errors, warnings } = checkContent(data, songs);
+  const aboutSongs = (messages) => messages.filter(m => /^songs|no song page/.test(m));
+  assert.deepEqual(aboutSongs(errors), []);
+  assert.deepEqual(aboutSongs(warnings), []);
+
+  assert.throws(() => writeSong(missingSongs([SINGLE], [])[0], {}, dir), /already exists/);
+});
+
+test('interview: multi-line answers end at an empty line, an empty first line skips', async () => {
+  const replies = ['First line', 'second line', '', '', 'Only line', ''];
+  const prompts = [];
+  const answers = await interview(['A?', 'B?', 'C?'], async (prompt) => {
+    prompts.push(prompt);
+    return replies.shift();
+  });
+  assert.deepEqual(answers, { 'A?': 'First line\n\nsecond line', 'C?': 'Only line' });
+  assert.equal(prompts[0], '\nA?\n> ');
+  assert.equal(prompts[1], '> ');
+});
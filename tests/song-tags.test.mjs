@@ -0,0 +1,185 @@
+/**
+ * Tests for scripts/lib/song-tags.js
+ * Run with: node --test tests/song-tags.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  TAG_FIELDS,
+  formatTagDiff,
+  loadVocabulary,
+  parseProposal,
+  parseTagList,
+  proposeTags,
+  setFrontmatterTags,
+  songAnswers,
+  tagChanges,
+} from '../scripts/lib/song-tags.js';
+import { SONGS_DIR } from '../scripts/lib/content-check.js';
+import { slugify } from '../scripts/lib/platform-sync.js';
+
+const VOCABULARY = {
+  genres: ['Downtempo', 'Electronic'],
+  themes: ['Dread', 'Beauty in dark times'],
+  mood: ['Floaty', 'Night drive', 'Melancholy', 'Hopeful', 'Wistful'],
+};
+
+const PROFILE = { data: { genres: ['Electronic', 'Downtempo'] }, body: '# Artist Q&A\n\n## Sound\n\nSoundscapes.\n' };
+
+const PAGE = `---
+releaseId: "single-1"
+title: "Stinger"
+type: single
+trackNumber: 1
+releaseDate: "2025-01-04"
+genres: []
+themes: []
+mood: []
+bpm: null
+key: ""
+---
+
+# Song Q&A
+
+## What's the song about?
+
+Instrumental. The overall feeling is floaty, beautiful, melodic.
+
+## Favourite moment in the track
+
+## On the title
+
+A stinger bass.
+`;
+
+/** A model client that records its requests and replies with `text`. */
+function stubClient(text) {
+  const requests = [];
+  return {
+    requests,
+    messages: {
+      create: async (params) => {
+        requests.push(params);
+        return { content: [{ type: 'text', text }] };
+      },
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Vocabulary
+// ---------------------------------------------------------------------------
+
+test('the checked-in vocabulary has every field and no duplicate tag pages', () => {
+  const vocabulary = loadVocabulary();
+  for (const field of TAG_FIELDS) {
+    assert.ok(vocabulary[field].length > 0, `${field} is empty`);
+    const slugs = vocabulary[field].map(slugify);
+    assert.equal(new Set(slugs).size, slugs.length, `${field} has two tags with the same page`);
+  }
+});
+
+test('parseTagList: matches the vocabulary spelling and reports unknown tags', () => {
+  assert.deepEqual(parseTagList('night drive, FLOATY, Floaty, sparkly', VOCABULARY, 'mood'), {
+    tags: ['Night drive', 'Floaty'],
+    unknown: ['sparkly'],
+  });
+  assert.deepEqual(parseTagList(' , ', VOCABULARY, 'mood'), { tags: [], unknown: [] });
+});
+
+// ---------------------------------------------------------------------------
+// Proposing
+// ---------------------------------------------------------------------------
+
+test('songAnswers: the Q&A without frontmatter, title or unanswered headings', () => {
+  assert.equal(
+    songAnswers(PAGE),
+    "## What's the song about?\n\nInstrumental. The overall feeling is floaty, beautiful, melodic.\n\n## On the title\n\nA stinger bass.",
+  );
+  assert.equal(songAnswers('---\ntitle: "x"\n---\n\n# Song Q&A\n\n## Empty\n\n## Also empty\n'), '');
+});
+
+test('proposeTags: sends the Q&A, profile and vocabulary, keeps only vocabulary tags', async () => {
+  const client = stubClient('```json\n{"genres": ["downtempo"], "themes": [], "mood": ["Floaty", "Dreamlike", "Wistful", "Hopeful", "Melancholy"], "missing": ["Acid"]}\n```');
+  const proposal = await proposeTags(client, { title: 'Stinger', answers: songAnswers(PAGE), profile: PROFILE, vocabulary: VOCABULARY });
+
+  assert.deepEqual(proposal, {
+    tags: { genres: ['Downtempo'], themes: [], mood: ['Floaty', 'Wistful', 'Hopeful'] },
+    rejected: [{ field: 'mood', label: 'Dreamlike' }],
+    missing: ['Acid'],
+  });
+
+  const [request] = client.requests;
+  assert.equal(request.model, 'claude-sonnet-4-6');
+  const content = request.messages[0].content;
+  assert.match(content, /Tag the song "Stinger"/);
+  assert.match(content, /mood \(at most 3\): "Floaty", "Night drive", "Melancholy", "Hopeful", "Wistful"/);
+  assert.match(content, /themes \(at most 3\): "Dread", "Beauty in dark times"/);
+  assert.match(content, /genres: Electronic, Downtempo\):\n# Artist Q&A/);
+  assert.match(content, /Song Q&A:\n## What's the song about\?/);
+});
+
+test('proposeTags: a reply that isn\'t JSON is an error', async () => {
+  const client = stubClient('I think this song is floaty.');
+  await assert.rejects(
+    proposeTags(client, { title: 'Stinger', answers: 'x', profile: PROFILE, vocabulary: VOCABULARY }),
+    /isn't a JSON object: I think/,
+  );
+});
+
+// ---------------------------------------------------------------------------
+// Diff
+// ---------------------------------------------------------------------------
+
+test('tagChanges and formatTagDiff: only changed fields, "!" when replacing tags', () => {
+  const current = { genres: ['Downtempo'], themes: [], mood: ['Hopeful', 'Floaty'] };
+  const proposed = { genres: ['Electronic'], themes: ['Dread'], mood: ['Floaty', 'Hopeful'] };
+  const changes = tagChanges(current, proposed);
+  assert.deepEqual(changes, [
+    { field: 'genres', from: ['Downtempo'], to: ['Electronic'] },
+    { field: 'themes', from: [], to: ['Dread'] },
+  ]);
+  assert.equal(formatTagDiff('stinger', changes), [
+    '  stinger',
+    '  ! - genres: ["Downtempo"]',
+    '  ! + genres: ["Electronic"]',
+    '    - themes: []',
+    '    + themes: ["Dread"]',
+  ].join('\n'));
+});
+
+// ---------------------------------------------------------------------------
+// Writing
+// ---------------------------------------------------------------------------
+
+test('setFrontmatterTags: changes only the tag lines', () => {
+  const updated = setFrontmatterTags(PAGE, { mood: ['Floaty', 'Night drive'], genres: ['Downtempo'] });
+  assert.equal(
+    updated,
+    PAGE.replace('genres: []', 'genres: ["Downtempo"]').replace('mood: []', 'mood: ["Floaty", "Night drive"]'),
+  );
+});
+
+test('setFrontmatterTags: replaces block lists and adds missing fields before bpm', () => {
+  const raw = '---\r\ntitle: "x"\r\nmood:\r\n  - Old\r\n  - Older\r\n# tempo below\r\nbpm: 96\r\n---\r\n\r\nBody\r\n';
+  assert.equal(
+    setFrontmatterTags(raw, { mood: ['Floaty'], themes: ['Dread'] }),
+    '---\r\ntitle: "x"\r\nmood: ["Floaty"]\r\n# tempo below\r\nthemes: ["Dread"]\r\nbpm: 96\r\n---\r\n\r\nBody\r\n',
+  );
+  assert.throws(() => setFrontmatterTags('No frontmatter', { mood: [] }), /No frontmatter/);
+});
+
+test('every checked-in song page round-trips unchanged', () => {
+  for (const file of fs.readdirSync(SONGS_DIR).filter(f => f.endsWith('.md'))) {
+    const raw = fs.readFileSync(path.join(SONGS_DIR, file), 'utf-8');
+    const match = raw.match(/^---\n([\s\S]*?)\n---/)[1];
+    const current = Object.fromEntries(TAG_FIELDS.map(field => {
+      const line = match.split('\n').find(l => l.startsWith(`${field}:`));
+      return [field, JSON.parse(line.slice(field.length + 1))];
+    }));
+    assert.equal(setFrontmatterTags(raw, current), raw, file);
+  }
+});
@@ -0,0 +1,133 @@
+/**
+ * Tests for scripts/providers/spotify.js against a local mock of the Spotify
+ * Web API serving the recorded responses in tests/fixtures/spotify/.
+ * Run with: node --test tests/spotify-provider.test.mjs
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+import spotify from '../scripts/providers/spotify.js';
+import { newRelease, newTrack } from '../scripts/lib/platform-sync.js';
+
+const FIXTURES = new URL('./fixtures/spotify/', import.meta.url);
+
+const ROUTES = {
+  '/api/token': () => ({ access_token: 'test-token', token_type: 'Bearer', expires_in: 3600 }),
+  '/v1/search': () => fixture('search-artist.json'),
+  '/v1/artists/2T04y62jXdLsznulD3sT4D/albums': url =>
+    fixture(url.searchParams.get('page') === '2' ? 'artist-albums-page-2.json' : 'artist-albums.json'),
+  '/v1/albums/1888734107AAAAAAAAAAAA/tracks': () => fixture('album-tracks-fall-in-love.json'),
+  '/v1/albums/7qUiYF0NhcV4epRkvR7LWn/tracks': () => fixture('album-tracks-year-until-the-fall.json'),
+  '/v1/tracks': url => {
+    const ids = url.searchParams.get('ids').split(',');
+    return { tracks: fixture('tracks.json').tracks.filter(t => ids.includes(t.id)) };
+  },
+};
+
+let server;
+let baseUrl;
+const requests = [];
+
+function fixture(name) {
+  const raw = readFileSync(new URL(name, FIXTURES), 'utf-8');
+  return JSON.parse(raw.replaceAll('MOCK_URL', `${baseUrl}/v1`));
+}
+
+before(async () => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url, baseUrl);
+    requests.push({ path: url.pathname, auth: req.headers.authorization });
+    const route = ROUTES[url.pathname];
+    res.writeHead(route ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(route ? route(url) : { error: { status: 404 } }));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+function sampleData() {
+  return {
+    lastUpdated: '2026-03-28',
+    artistName: 'Jade Three',
+    releases: [
+      newRelease({
+        id: 'ep-7qUiYF0NhcV4epRkvR7LWn',
+        type: 'ep',
+        title: 'Year Until the Fall',
+        releaseDate: '2025-11-03',
+        spotifyId: '7qUiYF0NhcV4epRkvR7LWn',
+        spotifyUrl: 'https://open.spotify.com/album/7qUiYF0NhcV4epRkvR7LWn',
+        artworkUrl: 'https://is1-ssl.mzstatic.com/ytf/600x600bb.jpg',
+        tracks: [
+          newTrack({ trackNumber: 1, title: 'Year until the fall' }),
+          newTrack({ trackNumber: 2, title: 'Fractional person', isrc: 'GBSMU0000003' }),
+        ],
+      }),
+      newRelease({ id: 'single-2', title: 'Not On Spotify Yet', releaseDate: '2026-06-01' }),
+    ],
+  };
+}
+
+function env() {
+  return {
+    SPOTIFY_CLIENT_ID: 'id',
+    SPOTIFY_CLIENT_SECRET: 'secret',
+    SPOTIFY_ACCOUNTS_URL: baseUrl,
+    SPOTIFY_API_URL: `${baseUrl}/v1`,
+  };
+}
+
+test('fills the artist ID, release IDs and track IDs from the mock API', async () => {
+  const data = sampleData();
+  const { notFound } = await spotify.sync(data, { env: env() });
+
+  assert.equal(data.spotifyArtistId, '2T04y62jXdLsznulD3sT4D');
+  assert.deepEqual(notFound, ['Not On Spotify Yet']);
+
+  const ep = data.releases.find(r => r.id === 'ep-7qUiYF0NhcV4epRkvR7LWn');
+  assert.equal(ep.artworkUrl, 'https://is1-ssl.mzstatic.com/ytf/600x600bb.jpg', 'existing artwork is kept');
+  assert.deepEqual(
+    ep.tracks.map(t => [t.trackNumber, t.title, t.spotifyId]),
+    [
+      [1, 'Year until the fall', '6RMA9PlyDKcmbBqsuXbZ3r'],
+      [2, 'Fractional person', '05hOxu35DUjdAdOr6k8WXq'],
+      [3, 'Fight or flight', '7DVIgPMpkPzHS8jbMpt2Jz'],
+    ]
+  );
+  assert.equal(ep.tracks[0].isrc, 'GBSMU0000002');
+  assert.equal(ep.tracks[2].isExplicit, true);
+});
+
+test('matches tracks by ISRC when the titles differ', async () => {
+  const data = sampleData();
+  await spotify.sync(data, { env: env() });
+  const track = data.releases[0].tracks.find(t => t.isrc === 'GBSMU0000003');
+  assert.equal(track.title, 'Fractional person');
+  assert.equal(track.spotifyUrl, 'https://open.spotify.com/track/05hOxu35DUjdAdOr6k8WXq');
+});
+
+test('adds releases that are on Spotify but missing from releases.json', async () => {
+  const data = sampleData();
+  await spotify.sync(data, { env: env() });
+
+  const added = data.releases.find(r => r.spotifyId === '1888734107AAAAAAAAAAAA');
+  assert.equal(added.id, 'single-1888734107AAAAAAAAAAAA');
+  assert.equal(added.type, 'single');
+  assert.equal(added.releaseDate, '2026-02-22');
+  assert.equal(added.artworkUrl, 'https://i.scdn.co/image/fall-640');
+  assert.equal(added.artworkUrlSmall, 'https://i.scdn.co/image/fall-64');
+  assert.equal(added.tracks[0].durationFormatted, '3:28');
+});
+
+test('uses an existing spotifyArtistId and sends the bearer token', async () => {
+  const data = { ...sampleData(), spotifyArtistId: '2T04y62jXdLsznulD3sT4D' };
+  requests.length = 0;
+  await spotify.sync(data, { env: env() });
+
+  assert.ok(!requests.some(r => r.path === '/v1/search'), 'no artist search needed');
+  assert.ok(requests.filter(r => r.path.startsWith('/v1/')).every(r => r.auth === 'Bearer test-token'));
+});
@@ -0,0 +1,22 @@
+/**
+ * Temp dirs for the node:test suites. Each one is removed once the test file
+ * that made it has finished.
+ */
+
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after } from 'node:test';
+
+const dirs = [];
+
+after(() => {
+  for (const dir of dirs) rmSync(dir, { recursive: true, force: true });
+});
+
+/** A new empty directory under the OS temp dir, named `<prefix>XXXXXX`. */
+export function tempDir(prefix) {
+  const dir = mkdtempSync(join(tmpdir(), prefix));
+  dirs.push(dir);
+  return dir;
+}
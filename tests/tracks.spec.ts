@@ -0,0 +1,51 @@
+import { test, expect } from '@playwright/test';
+
+const EP = '/releases/year-until-the-fall-ep';
+
+test.describe('EP tracklists and track pages', () => {
+  test('album/EP card has an expandable tracklist linking to track pages', async ({ page }) => {
+    await page.goto('/');
+    const card = page.locator('#releases article').filter({ hasText: /\bEP\b/ }).first();
+    const trackLink = card.getByRole('link', { name: 'Fractional person' });
+    await expect(trackLink).toBeHidden();
+
+    await card.getByText(/Tracklist · 3 tracks/).click();
+    await expect(trackLink).toBeVisible();
+    await expect(trackLink).toHaveAttribute('href', `${EP}/fractional-person`);
+  });
+
+  test('EP page lists every track', async ({ page }) => {
+    await page.goto(EP);
+    const tracklist = page.getByRole('list', { name: /Year Until the Fall tracklist/ });
+    await expect(tracklist.getByRole('listitem')).toHaveCount(3);
+  });
+
+  test('track page shows the song Q&A and a track embed', async ({ page }) => {
+    await page.goto(`${EP}/fractional-person`);
+    await expect(page).toHaveTitle(/Fractional person — Year Until the Fall/);
+    await expect(page.getByRole('heading', { level: 1 })).toHaveText(/Fractional person/);
+    await expect(page.locator('.prose-song h2').first()).toBeVisible();
+    await page.getByRole('link', { name: 'Play Fractional person on Spotify' }).click();
+    await expect(page.locator('iframe[src*="open.spotify.com/embed/track"]')).toBeVisible();
+  });
+
+  test('previous/next navigation stays inside the release', async ({ page }) => {
+    await page.goto(`${EP}/fractional-person`);
+    const nav = page.getByRole('navigation', { name: 'Tracks on this release' });
+    await expect(nav.locator('a[rel="prev"]')).toHaveAttribute('href', `${EP}/year-until-the-fall`);
+    await expect(nav.locator('a[rel="next"]')).toHaveAttribute('href', `${EP}/fight-or-flight`);
+
+    await page.goto(`${EP}/fight-or-flight`);
+    await expect(nav.locator('a[rel="next"]')).toHaveCount(0);
+  });
+
+  test('current track is marked in the tracklist', async ({ page }) => {
+    await page.goto(`${EP}/fight-or-flight`);
+    await expect(page.locator('[aria-current="page"]')).toContainText('Fight or flight');
+  });
+
+  test('old flat track URLs redirect to the nested track page', async ({ page }) => {
+    await page.goto('/releases/fight-or-flight');
+    await expect(page).toHaveURL(new RegExp(`${EP}/fight-or-flight/?$`));
+  });
+});
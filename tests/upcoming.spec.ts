@@ -0,0 +1,31 @@
+import { test, expect } from '@playwright/test';
+import releasesData from '../src/data/releases.json' with { type: 'json' };
+import type { ReleasesData } from '../src/types/releases';
+
+const data = releasesData as ReleasesData;
+// Still upcoming as of today's build (isUpcoming in scripts/lib/upcoming.js)
+const UPCOMING = data.releases.find(
+  (r) => r.status === 'upcoming' && r.releaseDate > new Date().toISOString().slice(0, 10)
+);
+
+test.describe('Coming soon', () => {
+  // Midnight in Los Angeles is 8 hours after the release-day build at midnight UTC
+  test.use({ timezoneId: 'America/Los_Angeles' });
+
+  test('an upcoming release shows its date and counts down to midnight UTC', async ({ page }) => {
+    test.skip(!UPCOMING, 'no upcoming release in releases.json');
+    const release = UPCOMING!;
+    await page.clock.install({ time: new Date(`${release.releaseDate}T00:00:00Z`).getTime() - 90_000 });
+    await page.goto('/');
+
+    const card = page.locator('#releases article').filter({ hasText: release.title });
+    const comingSoon = card.locator('[data-coming-soon]');
+    await expect(comingSoon).toContainText('Coming soon');
+    await expect(card.locator('[data-player]')).toHaveCount(0);
+    // Not 08h: the countdown ends at midnight UTC, not the visitor's midnight
+    await expect(comingSoon.getByRole('timer')).toHaveText(/^0d 00h 01m \d\ds$/);
+
+    await page.clock.runFor(90_000);
+    await expect(comingSoon.getByRole('timer')).toHaveText('Out today');
+  });
+});
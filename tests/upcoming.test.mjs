@@ -0,0 +1,118 @@
+/**
+ * Tests for scripts/lib/upcoming.js
+ * Run with: node --test tests/upcoming.test.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  countdown,
+  isEmbargoed,
+  isUpcoming,
+  markReleased,
+  preSaveLinks,
+  releaseStart,
+  today,
+  triggerReleaseBuild,
+} from '../scripts/lib/upcoming.js';
+
+const upcoming = { id: 'single-9', title: 'Next One', status: 'upcoming', releaseDate: '2026-05-01' };
+const released = { id: 'single-1', title: 'Stinger', releaseDate: '2025-01-04' };
+
+test('today: the UTC date', () => {
+  assert.equal(today(new Date('2026-04-30T23:30:00-02:00')), '2026-05-01');
+});
+
+test('isUpcoming: only with the status, and only until the release date', () => {
+  assert.equal(isUpcoming(upcoming, '2026-04-30'), true);
+  assert.equal(isUpcoming(upcoming, '2026-05-01'), false);
+  assert.equal(isUpcoming({ ...upcoming, status: undefined }, '2026-04-30'), false);
+  assert.equal(isUpcoming(released, '2020-01-01'), false);
+});
+
+test('isEmbargoed: embargoed songs of upcoming releases', () => {
+  const song = { data: { releaseId: 'single-9', embargo: true } };
+  assert.equal(isEmbargoed(song, [upcoming], '2026-04-30'), true);
+  assert.equal(isEmbargoed(song, [upcoming], '2026-05-01'), false);
+  assert.equal(isEmbargoed({ data: { releaseId: 'single-9' } }, [upcoming], '2026-04-30'), false);
+  assert.equal(isEmbargoed({ data: { releaseId: 'single-1', embargo: true } }, [released], '2020-01-01'), false);
+});
+
+test('markReleased: sets the status of releases that are out', () => {
+  const data = { releases: [structuredClone(upcoming), structuredClone(released)] };
+  assert.deepEqual(markReleased(data, '2026-04-30'), []);
+  assert.deepEqual(markReleased(data, '2026-05-01').map(r => r.title), ['Next One']);
+  assert.equal(data.releases[0].status, 'released');
+  assert.equal(data.releases[1].status, undefined);
+});
+
+test('preSaveLinks: the pre-save page first, then the platforms that have one', () => {
+  const links = preSaveLinks({
+    ...upcoming,
+    preSaveUrl: 'https://distrokid.com/hyperfollow/jadethree/next-one',
+    spotifyUrl: null,
+    appleMusicUrl: 'https://music.apple.com/us/album/next-one/123',
+  });
+  assert.deepEqual(links.map(l => [l.id, l.label]), [
+    ['presave', 'Pre-save'],
+    ['apple', 'Pre-add on Apple Music'],
+  ]);
+  assert.deepEqual(preSaveLinks(upcoming), []);
+});
+
+test('releaseStart is midnight UTC, wherever the visitor is', () => {
+  assert.equal(releaseStart('2026-05-01').toISOString(), '2026-05-01T00:00:00.000Z');
+});
+
+test('countdown: days to seconds, null once passed', () => {
+  const target = new Date('2026-05-01T00:00:00Z');
+  assert.deepEqual(countdown(target, new Date('2026-04-28T21:58:30Z')), { days: 2, hours: 2, minutes: 1, seconds: 30 });
+  assert.deepEqual(countdown(target, new Date('2026-04-30T23:59:59Z')), { days: 0, hours: 0, minutes: 0, seconds: 1 });
+  assert.equal(countdown(target, target), null);
+  assert.equal(countdown(target, new Date('2026-05-02T00:00:00Z')), null);
+});
+
+// ---------------------------------------------------------------------------
+// Release-day build
+// ---------------------------------------------------------------------------
+
+function fakeFetch(releases, { hookStatus = 200 } = {}) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push([String(url), init?.method ?? 'GET']);
+    if (String(url).endsWith('/api/v1/releases.json')) return Response.json({ releases });
+    return new Response(null, { status: hookStatus });
+  };
+  return { fetch, calls };
+}
+
+const HOOK = 'https://api.netlify.com/build_hooks/abc';
+
+test('triggerReleaseBuild: posts to the hook when a release is due', async () => {
+  const { fetch, calls } = fakeFetch([upcoming, { ...released, status: 'released' }]);
+  const due = await triggerReleaseBuild({ siteUrl: 'https://jadethree.com', buildHookUrl: HOOK, date: '2026-05-01', fetch });
+  assert.deepEqual(due, ['Next One']);
+  assert.deepEqual(calls, [
+    ['https://jadethree.com/api/v1/releases.json', 'GET'],
+    [HOOK, 'POST'],
+  ]);
+});
+
+test('triggerReleaseBuild: does nothing before the date or once the site is rebuilt', async () => {
+  for (const [releases, date] of [
+    [[upcoming], '2026-04-30'],
+    [[{ ...upcoming, status: 'released' }], '2026-05-01'],
+  ]) {
+    const { fetch, calls } = fakeFetch(releases);
+    assert.deepEqual(await triggerReleaseBuild({ siteUrl: 'https://jadethree.com', buildHookUrl: HOOK, date, fetch }), []);
+    assert.equal(calls.length, 1);
+  }
+});
+
+test('triggerReleaseBuild: a failing hook is an error', async () => {
+  const { fetch } = fakeFetch([upcoming], { hookStatus: 404 });
+  await assert.rejects(
+    triggerReleaseBuild({ siteUrl: 'https://jadethree.com', buildHookUrl: HOOK, date: '2026-05-01', fetch }),
+    /Build hook failed: 404/
+  );
+});